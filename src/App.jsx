@@ -42,6 +42,7 @@ const lightPalette = {
     timelineTick:       '#757575',
     timelineText:       '#616161',
     timelineBackground: '#eeeeee',
+    segment:            '#7b1fa2',
   },
   chart: { grid: '#f0f0f0', line: '#333333', axis: '#999999', label: '#666666' },
 };
@@ -71,6 +72,7 @@ const darkPalette = {
     timelineTick:       '#888888',
     timelineText:       '#aaaaaa',
     timelineBackground: '#222222',
+    segment:            '#ce93d8',
   },
   chart: { grid: '#2a2a2a', line: '#cccccc', axis: '#777777', label: '#aaaaaa' },
 };
@@ -102,6 +104,8 @@ export default function App() {
   const url = new URL(window.location.toString());
   const configUrl = url.searchParams.get('test');
   const shareParam = url.searchParams.get('share');
+  // Non-blind author preview of options and their settings on the welcome screen
+  const preview = url.searchParams.has('preview');
 
   // Theme mode: 'system' follows OS, 'light'/'dark' are manual overrides
   const [themeOverride, setThemeOverride] = useState('system');
@@ -204,6 +208,7 @@ export default function App() {
         <TestSession
           config={standaloneConfig}
           configUrl={configUrl}
+          preview={preview}
           onScreen={setScreen}
           onTestEvent={onTestEvent}
         />
@@ -0,0 +1,186 @@
+/**
+ * Time alignment — cross-correlates options against a reference and trims
+ * them to their common, aligned span.
+ *
+ * Captures of the same source from different devices start a few samples (or
+ * milliseconds) apart, which comb-filters on every switch. Each aligned test
+ * correlates its options against its first option. Offsets from all aligned
+ * tests are combined per file, so a file shared between tests gets one
+ * consistent alignment, and every group of connected files is trimmed to the
+ * span that all of them cover.
+ */
+
+import { sliceMarkers } from './markers';
+
+/**
+ * @typedef {import('./audioLoader').DecodedAudio} DecodedAudio
+ * @typedef {{ urls: string[], maxOffset: number }} AlignGroup - urls[0] is the reference; maxOffset in seconds
+ */
+
+/** Longest stretch of the reference correlated, in samples (~5.5s at 48kHz) */
+const MAX_ANALYSIS_SAMPLES = 1 << 18;
+
+/**
+ * In-place iterative radix-2 FFT.
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ * @param {boolean} inverse
+ */
+function fft(re, im, inverse) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = ((inverse ? 2 : -2) * Math.PI) / len;
+    const wRe = Math.cos(ang);
+    const wIm = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cRe = 1;
+      let cIm = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const aRe = re[i + k];
+        const aIm = im[i + k];
+        const bRe = re[i + k + len / 2] * cRe - im[i + k + len / 2] * cIm;
+        const bIm = re[i + k + len / 2] * cIm + im[i + k + len / 2] * cRe;
+        re[i + k] = aRe + bRe;
+        im[i + k] = aIm + bIm;
+        re[i + k + len / 2] = aRe - bRe;
+        im[i + k + len / 2] = aIm - bIm;
+        const t = cRe * wRe - cIm * wIm;
+        cIm = cRe * wIm + cIm * wRe;
+        cRe = t;
+      }
+    }
+  }
+}
+
+/**
+ * Mono downmix of a sample range.
+ * @param {DecodedAudio} decoded
+ * @param {number} start
+ * @param {number} end
+ * @param {number} size - Output length (zero-padded)
+ * @returns {Float64Array}
+ */
+function downmix(decoded, start, end, size) {
+  const out = new Float64Array(size);
+  for (const ch of decoded.samples) {
+    for (let i = start; i < end; i++) out[i - start] += ch[i];
+  }
+  return out;
+}
+
+/**
+ * Find the lag (in samples) that best lines `other` up with `reference`:
+ * other[n + lag] ≈ reference[n]. The analysed stretch of the reference is
+ * centred and leaves maxLag samples either side, so short files can shift too;
+ * only lags where it fully overlaps `other` are considered.
+ * @param {DecodedAudio} reference
+ * @param {DecodedAudio} other
+ * @param {number} maxLag - Search window, in samples either way
+ * @returns {number}
+ */
+export function findLag(reference, other, maxLag) {
+  const length = Math.min(MAX_ANALYSIS_SAMPLES, reference.sampleCount - 2 * maxLag);
+  if (length <= 0) return 0;
+  const center = Math.floor((reference.sampleCount - length) / 2);
+  const searchStart = Math.max(0, center - maxLag);
+  const searchEnd = Math.min(other.sampleCount, center + length + maxLag);
+  if (searchEnd - searchStart < length) return 0;
+
+  let size = 1;
+  while (size < length + (searchEnd - searchStart)) size <<= 1;
+
+  const rRe = downmix(reference, center, center + length, size);
+  const rIm = new Float64Array(size);
+  const sRe = downmix(other, searchStart, searchEnd, size);
+  const sIm = new Float64Array(size);
+  fft(rRe, rIm, false);
+  fft(sRe, sIm, false);
+  // conj(R) × S → cross-correlation after the inverse transform
+  for (let i = 0; i < size; i++) {
+    const re = rRe[i] * sRe[i] + rIm[i] * sIm[i];
+    const im = rRe[i] * sIm[i] - rIm[i] * sRe[i];
+    sRe[i] = re;
+    sIm[i] = im;
+  }
+  fft(sRe, sIm, true);
+
+  // Index k in the correlation is lag (k - (center - searchStart))
+  const zero = center - searchStart;
+  const lo = Math.max(0, zero - maxLag);
+  const hi = Math.min(searchEnd - searchStart - length, zero + maxLag);
+  let best = zero;
+  for (let k = lo; k <= hi; k++) {
+    if (sRe[k] > sRe[best]) best = k;
+  }
+  return best - zero;
+}
+
+/**
+ * Align decoded audio for a set of tests and trim each connected group of
+ * files to the span they all cover.
+ * @param {Map<string, DecodedAudio>} decodedByUrl
+ * @param {AlignGroup[]} groups
+ * @returns {{ decoded: Map<string, DecodedAudio>, offsets: Map<string, number>[] }}
+ *   Aligned audio by URL (unaligned files unchanged), and per group the offset
+ *   of each URL relative to the group's reference, in samples
+ */
+export function alignAudio(decodedByUrl, groups) {
+  const offset = new Map(); // url → sample index of frame time 0
+  const root = new Map();   // url → root URL of its connected group
+
+  for (const { urls, maxOffset } of groups) {
+    const [ref, ...others] = urls;
+    const refAudio = decodedByUrl.get(ref);
+    const maxLag = Math.round(maxOffset * refAudio.sampleRate);
+    const lags = new Map(others.map((u) => [u, findLag(refAudio, decodedByUrl.get(u), maxLag)]));
+
+    if (!offset.has(ref)) {
+      // Place the reference through an already-aligned option, or start a new group
+      const placed = others.find((u) => offset.has(u));
+      offset.set(ref, placed ? offset.get(placed) - lags.get(placed) : 0);
+      root.set(ref, placed ? root.get(placed) : ref);
+    }
+    for (const u of others) {
+      if (offset.has(u)) continue;
+      offset.set(u, offset.get(ref) + lags.get(u));
+      root.set(u, root.get(ref));
+    }
+  }
+
+  // Trim each group to the frame-time span covered by every member
+  const members = new Map();
+  for (const [url, r] of root) {
+    if (!members.has(r)) members.set(r, []);
+    members.get(r).push(url);
+  }
+  const decoded = new Map(decodedByUrl);
+  for (const urls of members.values()) {
+    const start = Math.max(...urls.map((u) => -offset.get(u)));
+    const end = Math.min(...urls.map((u) => decodedByUrl.get(u).sampleCount - offset.get(u)));
+    for (const u of urls) {
+      const source = decodedByUrl.get(u);
+      const from = start + offset.get(u);
+      const to = Math.max(from, end + offset.get(u));
+      decoded.set(u, {
+        ...source,
+        sampleCount: to - from,
+        samples: source.samples.map((ch) => ch.slice(from, to)),
+        markers: sliceMarkers(source.markers, from, to),
+      });
+    }
+  }
+
+  const offsets = groups.map(({ urls }) => new Map(
+    urls.map((u) => [u, offset.get(u) - offset.get(urls[0])])
+  ));
+  return { decoded, offsets };
+}
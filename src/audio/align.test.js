@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { findLag, alignAudio } from './align';
+
+/**
+ * Helper: reproducible white noise (mulberry32).
+ */
+function noise(length, seed) {
+  const out = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    out[i] = ((t ^ (t >>> 14)) >>> 0) / 4294967296 - 0.5;
+  }
+  return out;
+}
+
+/**
+ * Helper: decoded audio at 8kHz from channel arrays.
+ */
+function decoded(samples, markers) {
+  return { sampleRate: 8000, bitDepth: 16, channels: samples.length, sampleCount: samples[0].length, samples, markers };
+}
+
+/**
+ * Helper: the source with `lead` extra samples in front and `length` samples in all,
+ * so source[n] lands at index n + lead.
+ */
+function shifted(source, lead, length, gain = 1) {
+  const out = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    const n = i - lead;
+    out[i] = n >= 0 && n < source.length ? source[n] * gain : 0;
+  }
+  return out;
+}
+
+const SOURCE = noise(12000, 1);
+
+describe('findLag', () => {
+  it('finds the lag of a delayed copy shorter than the analysis window', () => {
+    const reference = decoded([SOURCE.slice(0, 8000)]);
+    const other = decoded([shifted(SOURCE, 37, 8000)]);
+    expect(findLag(reference, other, 100)).toBe(37);
+  });
+
+  it('finds a negative lag for a copy that starts early', () => {
+    const reference = decoded([SOURCE.slice(100, 8100)]);
+    const other = decoded([SOURCE.slice(123, 8123)]);
+    expect(findLag(reference, other, 100)).toBe(-23);
+  });
+
+  it('ignores level differences and stereo layout', () => {
+    const reference = decoded([SOURCE.slice(0, 8000)]);
+    const left = shifted(SOURCE, 250, 8400, 0.3);
+    const other = decoded([left, left.map((v) => v * 0.8)]);
+    expect(findLag(reference, other, 400)).toBe(250);
+  });
+
+  it('searches only within maxLag', () => {
+    const reference = decoded([SOURCE.slice(0, 8000)]);
+    const other = decoded([shifted(SOURCE, 300, 8000)]);
+    expect(Math.abs(findLag(reference, other, 100))).toBeLessThanOrEqual(100);
+  });
+});
+
+describe('alignAudio', () => {
+  it('lines up every option and trims them to the span they share', () => {
+    const a = decoded([SOURCE.slice(0, 10000)], [{ id: 1, position: 5000, length: 0, label: null, note: null }]);
+    const b = decoded([shifted(SOURCE, 40, 10000)]);
+    const c = decoded([SOURCE.slice(25, 10025)]);
+    const byUrl = new Map([['a.wav', a], ['b.wav', b], ['c.wav', c]]);
+
+    const { decoded: aligned, offsets } = alignAudio(byUrl, [{ urls: ['a.wav', 'b.wav', 'c.wav'], maxOffset: 0.02 }]);
+
+    expect([...offsets[0]]).toEqual([['a.wav', 0], ['b.wav', 40], ['c.wav', -25]]);
+    // Common span: source samples 25 to 9960
+    for (const url of ['a.wav', 'b.wav', 'c.wav']) {
+      const { sampleCount, samples } = aligned.get(url);
+      expect(sampleCount).toBe(9935);
+      expect(samples[0][0]).toBe(SOURCE[25]);
+      expect(samples[0][9934]).toBe(SOURCE[9959]);
+    }
+    expect(aligned.get('a.wav').markers[0].position).toBe(4975);
+  });
+
+  it('leaves files outside the groups unchanged', () => {
+    const loose = decoded([SOURCE.slice(0, 100)]);
+    const byUrl = new Map([
+      ['a.wav', decoded([SOURCE.slice(0, 8000)])],
+      ['b.wav', decoded([SOURCE.slice(10, 8010)])],
+      ['loose.wav', loose],
+    ]);
+
+    const { decoded: aligned } = alignAudio(byUrl, [{ urls: ['a.wav', 'b.wav'], maxOffset: 0.01 }]);
+    expect(aligned.get('loose.wav')).toBe(loose);
+  });
+});
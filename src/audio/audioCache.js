@@ -0,0 +1,261 @@
+/**
+ * Audio cache — keeps decoded audio in IndexedDB so returning participants
+ * don't download and decode the files again. Opt-in per config (`audioCache`).
+ *
+ * Entries are keyed by content: the URL plus its ETag, or a SHA-256 of the
+ * file bytes when the server sends no ETag (identical files behind different
+ * URLs then share an entry). A URL maps to the entry last fetched for it.
+ * Total size is capped; the least recently used entries are evicted first.
+ *
+ * A hit makes no network request, so cached files load offline and without
+ * a round-trip. An entry is trusted for its URL until it is maxAge old, until
+ * the config's cache version changes, or until the participant clears the
+ * cache; a file replaced at the same URL within that time is served stale.
+ *
+ * Stores:
+ *   urls    — { url, key }
+ *   entries — { key, etag, version, size, fileBytes, storedAt, lastUsed } (small, scanned for eviction)
+ *   audio   — key → DecodedAudio
+ *
+ * Every failure (no IndexedDB, private browsing, quota) degrades to a miss;
+ * the cache never fails a load.
+ */
+
+const DB_NAME = 'acidtest-audio-cache';
+const DB_VERSION = 1;
+
+/**
+ * @param {IDBRequest} req
+ * @returns {Promise<any>}
+ */
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new DOMException('Transaction aborted', 'AbortError'));
+  });
+}
+
+/** @returns {Promise<IDBDatabase|null>} null where IndexedDB is unavailable */
+async function openDatabase() {
+  if (typeof indexedDB === 'undefined') return null;
+  try {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      db.createObjectStore('urls', { keyPath: 'url' }).createIndex('key', 'key');
+      db.createObjectStore('entries', { keyPath: 'key' });
+      db.createObjectStore('audio');
+    };
+    return await request(req);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Hex SHA-256 of a buffer.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string>}
+ */
+async function sha256(buffer) {
+  const hash = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(hash)).map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Bytes held by decoded samples.
+ * @param {import('./audioLoader').DecodedAudio} decoded
+ * @returns {number}
+ */
+function decodedSize(decoded) {
+  return decoded.samples.reduce((sum, ch) => sum + ch.byteLength, 0);
+}
+
+export class AudioCache {
+  /**
+   * Open the cache. Resolves to null where IndexedDB is unavailable.
+   * @param {{ maxBytes: number, maxAgeMs: number, version?: string|null }} options - Size cap for the
+   *   decoded samples of all entries, how long entries stay usable, and the config's cache version
+   *   (entries stored under another version are misses)
+   * @returns {Promise<AudioCache|null>}
+   */
+  static async open({ maxBytes, maxAgeMs, version = null }) {
+    const db = await openDatabase();
+    return db ? new AudioCache(db, maxBytes, maxAgeMs, version) : null;
+  }
+
+  /**
+   * @param {IDBDatabase} db
+   * @param {number} maxBytes
+   * @param {number} maxAgeMs
+   * @param {string|null} [version]
+   */
+  constructor(db, maxBytes, maxAgeMs, version = null) {
+    this._db = db;
+    this._maxBytes = maxBytes;
+    this._maxAgeMs = maxAgeMs;
+    this._version = version;
+  }
+
+  /**
+   * Content identity of a fetched file, from its response headers or bytes.
+   * Call before decoding — decoding may transfer (detach) the buffer.
+   * @param {string} url
+   * @param {Response} response
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<{ key: string, etag: string|null }|null>} null when neither an ETag nor hashing is available
+   */
+  async identify(url, response, buffer) {
+    const etag = response.headers.get('ETag');
+    if (etag) return { key: `etag:${url} ${etag}`, etag };
+    if (!globalThis.crypto?.subtle) return null;
+    try {
+      return { key: `sha256:${await sha256(buffer)}`, etag: null };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Cached audio for a URL if it is still current, marking it recently used.
+   * Never touches the network.
+   * @param {string} url
+   * @returns {Promise<{ decoded: import('./audioLoader').DecodedAudio, fileBytes: number }|null>}
+   */
+  async get(url) {
+    try {
+      const entry = await this._lookup(url);
+      if (!entry || !this._isCurrent(entry)) return null;
+
+      const tx = this._db.transaction(['entries', 'audio'], 'readwrite');
+      const done = transactionDone(tx);
+      done.catch(() => {}); // A failed request also fails the transaction; the request's error is the one thrown
+      const decoded = await request(tx.objectStore('audio').get(entry.key));
+      if (decoded) tx.objectStore('entries').put({ ...entry, lastUsed: Date.now() });
+      await done;
+      return decoded ? { decoded, fileBytes: entry.fileBytes } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Store decoded audio for a URL, then evict least recently used entries
+   * until the cache fits its cap. Entries larger than the cap are not stored.
+   * @param {string} url
+   * @param {{ key: string, etag: string|null }} identity - From identify()
+   * @param {import('./audioLoader').DecodedAudio} decoded
+   * @param {number} fileBytes - Downloaded size, for progress reporting on hits
+   * @returns {Promise<void>}
+   */
+  async put(url, { key, etag }, decoded, fileBytes) {
+    const size = decodedSize(decoded);
+    if (size > this._maxBytes) return;
+    try {
+      const tx = this._db.transaction(['urls', 'entries', 'audio'], 'readwrite');
+      const done = transactionDone(tx);
+      done.catch(() => {}); // A failed request also fails the transaction; the request's error is the one thrown
+      const urls = tx.objectStore('urls');
+      const entries = tx.objectStore('entries');
+      const audio = tx.objectStore('audio');
+
+      // Replace whatever the URL pointed to before (the file changed)
+      const previous = await request(urls.get(url));
+      const now = Date.now();
+      urls.put({ url, key });
+      entries.put({ key, etag, version: this._version, size, fileBytes, storedAt: now, lastUsed: now });
+      audio.put(decoded, key);
+      if (previous && previous.key !== key) {
+        const sharers = await request(urls.index('key').getAllKeys(previous.key));
+        if (sharers.every((u) => u === url)) {
+          entries.delete(previous.key);
+          audio.delete(previous.key);
+        }
+      }
+
+      const all = (await request(entries.getAll())).sort((a, b) => a.lastUsed - b.lastUsed);
+      let total = all.reduce((sum, e) => sum + e.size, 0);
+      for (const e of all) {
+        if (total <= this._maxBytes) break;
+        if (e.key === key) continue;
+        total -= e.size;
+        entries.delete(e.key);
+        audio.delete(e.key);
+        for (const u of await request(urls.index('key').getAllKeys(e.key))) urls.delete(u);
+      }
+      await done;
+    } catch {
+      // Quota exceeded or storage blocked — the file just isn't cached
+    }
+  }
+
+  /**
+   * Entry metadata for a URL.
+   * @param {string} url
+   * @returns {Promise<object|undefined>}
+   */
+  async _lookup(url) {
+    const tx = this._db.transaction(['urls', 'entries']);
+    const link = await request(tx.objectStore('urls').get(url));
+    return link && request(tx.objectStore('entries').get(link.key));
+  }
+
+  /**
+   * Whether an entry is still usable: stored under the current cache version
+   * and younger than maxAge.
+   * @param {{ version?: string|null, storedAt: number }} entry
+   * @returns {boolean}
+   */
+  _isCurrent(entry) {
+    return (entry.version ?? null) === this._version && Date.now() - entry.storedAt < this._maxAgeMs;
+  }
+
+  close() {
+    this._db.close();
+  }
+}
+
+/**
+ * Size of the cached audio in this browser.
+ * @returns {Promise<{ entries: number, bytes: number }>} Zeroes when IndexedDB is unavailable
+ */
+export async function getAudioCacheUsage() {
+  const db = await openDatabase();
+  if (!db) return { entries: 0, bytes: 0 };
+  try {
+    const all = await request(db.transaction('entries').objectStore('entries').getAll());
+    return { entries: all.length, bytes: all.reduce((sum, e) => sum + e.size, 0) };
+  } catch {
+    return { entries: 0, bytes: 0 };
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Delete all cached audio in this browser.
+ * @returns {Promise<void>}
+ */
+export async function clearAudioCache() {
+  const db = await openDatabase();
+  if (!db) return;
+  try {
+    const tx = db.transaction(['urls', 'entries', 'audio'], 'readwrite');
+    for (const name of ['urls', 'entries', 'audio']) tx.objectStore(name).clear();
+    await transactionDone(tx);
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,332 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AudioCache, clearAudioCache, getAudioCacheUsage } from './audioCache';
+import { loadAndValidate } from './audioLoader';
+
+/**
+ * Helper: a minimal in-memory IndexedDB — enough of the API for the cache.
+ * Requests complete on a later task; a transaction completes once a task
+ * passes with no request pending, as in browsers.
+ */
+function createIndexedDB() {
+  const databases = new Map();
+
+  class Transaction {
+    constructor(db) {
+      this.db = db;
+      this.pending = 0;
+      this.finished = false;
+      this.scheduleCommit();
+    }
+
+    objectStore(name) {
+      return new ObjectStore(this, this.db.stores.get(name));
+    }
+
+    request(operation) {
+      const req = { result: undefined, error: null, onsuccess: null, onerror: null };
+      this.pending++;
+      setTimeout(() => {
+        this.pending--;
+        try {
+          req.result = structuredClone(operation());
+          req.onsuccess?.();
+        } catch (err) {
+          req.error = err;
+          req.onerror?.();
+        }
+        this.scheduleCommit();
+      });
+      return req;
+    }
+
+    scheduleCommit() {
+      setTimeout(() => {
+        if (this.finished || this.pending > 0) return;
+        this.finished = true;
+        this.oncomplete?.();
+      });
+    }
+  }
+
+  class ObjectStore {
+    constructor(tx, store) {
+      this.tx = tx;
+      this.store = store;
+    }
+
+    get(key) { return this.tx.request(() => this.store.data.get(key)); }
+    getAll() { return this.tx.request(() => [...this.store.data.values()]); }
+    delete(key) { return this.tx.request(() => { this.store.data.delete(key); }); }
+    clear() { return this.tx.request(() => { this.store.data.clear(); }); }
+
+    put(value, key) {
+      return this.tx.request(() => {
+        const k = this.store.keyPath ? value[this.store.keyPath] : key;
+        this.store.data.set(k, structuredClone(value));
+        return k;
+      });
+    }
+
+    createIndex(name, keyPath) {
+      this.store.indexes[name] = keyPath;
+    }
+
+    index(name) {
+      const keyPath = this.store.indexes[name];
+      return {
+        getAllKeys: (value) => this.tx.request(() =>
+          [...this.store.data].filter(([, v]) => v[keyPath] === value).map(([k]) => k)),
+      };
+    }
+  }
+
+  return {
+    open(name) {
+      const req = { result: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+      setTimeout(() => {
+        let db = databases.get(name);
+        const created = !db;
+        if (created) {
+          db = {
+            stores: new Map(),
+            transaction: () => new Transaction(db),
+            createObjectStore(storeName, { keyPath } = {}) {
+              const store = { keyPath, data: new Map(), indexes: {} };
+              db.stores.set(storeName, store);
+              return new ObjectStore(null, store);
+            },
+            close() {},
+          };
+          databases.set(name, db);
+        }
+        req.result = db;
+        if (created) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    },
+  };
+}
+
+/** Helper: decoded audio whose samples take `bytes` bytes. */
+function decodedOfSize(bytes, value = 0) {
+  const samples = new Float32Array(bytes / 4).fill(value);
+  return { sampleRate: 44100, bitDepth: 16, channels: 1, sampleCount: samples.length, samples: [samples] };
+}
+
+/** Helper: minimal 16-bit mono WAV with every sample set to `value`. */
+function createWav(sampleCount, value = 0) {
+  const buffer = new ArrayBuffer(44 + sampleCount * 2);
+  const view = new DataView(buffer);
+  const ascii = (offset, s) => { for (let i = 0; i < s.length; i++) view.setUint8(offset + i, s.charCodeAt(i)); };
+  ascii(0, 'RIFF');
+  view.setUint32(4, 36 + sampleCount * 2, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, 44100, true);
+  view.setUint32(28, 88200, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  ascii(36, 'data');
+  view.setUint32(40, sampleCount * 2, true);
+  for (let i = 0; i < sampleCount; i++) view.setInt16(44 + i * 2, value, true);
+  return buffer;
+}
+
+/** Helper: a Response-like object with the given headers. */
+function response(headers = {}, body = null) {
+  return {
+    ok: true,
+    headers: new Map(Object.entries(headers)),
+    body: null,
+    arrayBuffer: async () => body,
+  };
+}
+
+const HOUR = 3600 * 1000;
+
+let now;
+
+beforeEach(() => {
+  globalThis.indexedDB = createIndexedDB();
+  now = 1_000_000;
+  vi.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  delete globalThis.indexedDB;
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe('AudioCache.identify', () => {
+  it('keys by URL and ETag when the server sends one', async () => {
+    const cache = await AudioCache.open({ maxBytes: 1e6, maxAgeMs: HOUR });
+    const identity = await cache.identify('https://x/a.wav', response({ ETag: '"v1"' }), new ArrayBuffer(4));
+    expect(identity).toEqual({ key: 'etag:https://x/a.wav "v1"', etag: '"v1"' });
+  });
+
+  it('keys by SHA-256 of the bytes without an ETag', async () => {
+    const cache = await AudioCache.open({ maxBytes: 1e6, maxAgeMs: HOUR });
+    const bytes = new TextEncoder().encode('abc').buffer;
+    const identity = await cache.identify('https://x/a.wav', response(), bytes);
+    expect(identity).toEqual({
+      key: 'sha256:ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+      etag: null,
+    });
+  });
+
+  it('gives identical files behind different URLs the same key', async () => {
+    const cache = await AudioCache.open({ maxBytes: 1e6, maxAgeMs: HOUR });
+    const bytes = new Uint8Array([1, 2, 3]).buffer;
+    const a = await cache.identify('https://x/a.wav', response(), bytes);
+    const b = await cache.identify('https://y/b.wav', response(), bytes);
+    expect(a.key).toBe(b.key);
+  });
+});
+
+describe('AudioCache.get and put', () => {
+  it('returns stored audio for its URL', async () => {
+    const cache = await AudioCache.open({ maxBytes: 1e6, maxAgeMs: HOUR });
+    await cache.put('a', { key: 'sha256:a', etag: null }, decodedOfSize(400, 0.5), 123);
+    const hit = await cache.get('a');
+    expect(hit.fileBytes).toBe(123);
+    expect(hit.decoded.samples[0][0]).toBe(0.5);
+    expect(await cache.get('b')).toBeNull();
+  });
+
+  it('evicts least recently used entries past the size cap', async () => {
+    const cache = await AudioCache.open({ maxBytes: 1200, maxAgeMs: HOUR });
+    for (const url of ['a', 'b', 'c']) {
+      now += 1000;
+      await cache.put(url, { key: `sha256:${url}`, etag: null }, decodedOfSize(400), 100);
+    }
+    now += 1000;
+    expect(await cache.get('a')).not.toBeNull(); // b is now the least recently used
+    now += 1000;
+    await cache.put('d', { key: 'sha256:d', etag: null }, decodedOfSize(400), 100);
+
+    expect(await cache.get('b')).toBeNull();
+    for (const url of ['a', 'c', 'd']) expect(await cache.get(url)).not.toBeNull();
+    expect(await getAudioCacheUsage()).toEqual({ entries: 3, bytes: 1200 });
+  });
+
+  it('does not store an entry larger than the cap', async () => {
+    const cache = await AudioCache.open({ maxBytes: 1000, maxAgeMs: HOUR });
+    await cache.put('a', { key: 'sha256:a', etag: null }, decodedOfSize(400), 100);
+    await cache.put('big', { key: 'sha256:big', etag: null }, decodedOfSize(2000), 100);
+    expect(await cache.get('big')).toBeNull();
+    expect(await cache.get('a')).not.toBeNull();
+  });
+
+  it('replaces the previous entry when a URL is stored again', async () => {
+    const cache = await AudioCache.open({ maxBytes: 1e6, maxAgeMs: HOUR });
+    await cache.put('a', { key: 'sha256:old', etag: null }, decodedOfSize(400, 0.25), 100);
+    await cache.put('a', { key: 'sha256:new', etag: null }, decodedOfSize(400, 0.75), 100);
+    expect((await cache.get('a')).decoded.samples[0][0]).toBe(0.75);
+    expect(await getAudioCacheUsage()).toEqual({ entries: 1, bytes: 400 });
+  });
+
+  it('empties on clearAudioCache', async () => {
+    const cache = await AudioCache.open({ maxBytes: 1e6, maxAgeMs: HOUR });
+    await cache.put('a', { key: 'sha256:a', etag: null }, decodedOfSize(400), 100);
+    await clearAudioCache();
+    expect(await cache.get('a')).toBeNull();
+    expect(await getAudioCacheUsage()).toEqual({ entries: 0, bytes: 0 });
+  });
+});
+
+describe('AudioCache expiry', () => {
+  it('uses an entry without a network request, offline too', async () => {
+    const fetchMock = vi.fn(async () => { throw new TypeError('Failed to fetch'); });
+    vi.stubGlobal('fetch', fetchMock);
+    const cache = await AudioCache.open({ maxBytes: 1e6, maxAgeMs: HOUR });
+    await cache.put('a', { key: 'etag:a "v1"', etag: '"v1"' }, decodedOfSize(400), 100);
+
+    expect(await cache.get('a')).not.toBeNull();
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('expires every entry after maxAge, with or without an ETag', async () => {
+    const cache = await AudioCache.open({ maxBytes: 1e6, maxAgeMs: HOUR });
+    await cache.put('a', { key: 'etag:a "v1"', etag: '"v1"' }, decodedOfSize(400), 100);
+    await cache.put('b', { key: 'sha256:b', etag: null }, decodedOfSize(400), 100);
+
+    now += HOUR - 1;
+    expect(await cache.get('a')).not.toBeNull();
+    expect(await cache.get('b')).not.toBeNull();
+    now += 1;
+    expect(await cache.get('a')).toBeNull();
+    expect(await cache.get('b')).toBeNull();
+  });
+
+  it('misses entries stored under another config version', async () => {
+    const v1 = await AudioCache.open({ maxBytes: 1e6, maxAgeMs: HOUR, version: '1' });
+    await v1.put('a', { key: 'sha256:a', etag: null }, decodedOfSize(400), 100);
+    const v2 = await AudioCache.open({ maxBytes: 1e6, maxAgeMs: HOUR, version: '2' });
+    const unversioned = await AudioCache.open({ maxBytes: 1e6, maxAgeMs: HOUR });
+
+    expect(await v1.get('a')).not.toBeNull();
+    expect(await v2.get('a')).toBeNull();
+    expect(await unversioned.get('a')).toBeNull();
+  });
+});
+
+describe('IndexedDB failures', () => {
+  it('opens to null without IndexedDB', async () => {
+    delete globalThis.indexedDB;
+    expect(await AudioCache.open({ maxBytes: 1e6, maxAgeMs: HOUR })).toBeNull();
+    expect(await getAudioCacheUsage()).toEqual({ entries: 0, bytes: 0 });
+  });
+
+  it('opens to null when the database fails to open', async () => {
+    globalThis.indexedDB = {
+      open() {
+        const req = { error: new DOMException('Blocked', 'UnknownError') };
+        setTimeout(() => req.onerror?.());
+        return req;
+      },
+    };
+    expect(await AudioCache.open({ maxBytes: 1e6, maxAgeMs: HOUR })).toBeNull();
+  });
+
+  it('treats a failing database as a miss and skips storing', async () => {
+    const failing = {
+      transaction() { throw new DOMException('The database connection is closing.', 'InvalidStateError'); },
+      close() {},
+    };
+    const cache = new AudioCache(failing, 1e6, HOUR);
+    expect(await cache.get('a')).toBeNull();
+    await expect(cache.put('a', { key: 'sha256:a', etag: null }, decodedOfSize(400), 100)).resolves.toBeUndefined();
+  });
+
+  it('still downloads, decodes and validates when the cache is unavailable', async () => {
+    delete globalThis.indexedDB;
+    const fetchMock = vi.fn(async () => response({}, createWav(100)));
+    vi.stubGlobal('fetch', fetchMock);
+    const result = await loadAndValidate(['a.wav'], null, { cache: { maxBytes: 1e6, maxAgeMs: HOUR } });
+    expect(result.sampleCount).toBe(100);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('loadAndValidate with the cache', () => {
+  it('skips the download on a current hit and still validates the files', async () => {
+    const lengths = { 'a.wav': 100, 'b.wav': 100, 'c.wav': 99 };
+    const fetchMock = vi.fn(async (url) => response({ ETag: '"v1"' }, createWav(lengths[url])));
+    vi.stubGlobal('fetch', fetchMock);
+    const options = { cache: { maxBytes: 1e6, maxAgeMs: HOUR } };
+
+    await expect(loadAndValidate(['a.wav', 'c.wav'], null, options)).rejects.toThrow('Sample count mismatch');
+    await loadAndValidate(['a.wav', 'b.wav'], null, options);
+    fetchMock.mockClear();
+
+    await expect(loadAndValidate(['a.wav', 'c.wav'], null, options)).rejects.toThrow('Sample count mismatch');
+    const result = await loadAndValidate(['a.wav', 'b.wav'], null, options);
+    expect(result.sampleCount).toBe(100);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
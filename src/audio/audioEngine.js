@@ -2,6 +2,12 @@
  * Audio engine — manages AudioContext, playback, transport controls, track switching,
  * loop region, seeking, crossfade, volume persistence, and playhead animation.
  *
+ * Sequence mode (N-interval forced choice) replaces free switching: play() auto-plays
+ * every track once, in order, separated by a fixed inter-stimulus interval.
+ *
+ * Channel mode (mono, mid, side, left, right) inserts a fixed channel mix between the
+ * volume gain and the output, so it applies to every track alike.
+ *
  * This is a plain JS class that acts as an external store for React components.
  * Components subscribe to state slices via useSyncExternalStore (see useEngineState.js).
  *
@@ -10,6 +16,8 @@
  * Seek while playing overlaps the new source before stopping the old to avoid gaps.
  */
 
+import { CHANNEL_MODE_MIX } from './channelMode';
+
 /**
  * @typedef {'stopped' | 'playing' | 'paused'} TransportState
  */
@@ -54,10 +62,15 @@ export class AudioEngine {
     this._gainNode = this._context.createGain();
     this._gainNode.connect(this._context.destination);
 
+    // Channel mode — 'stereo' connects the gain node straight to the output
+    this._channelMode = 'stereo';
+    this._channelNodes = [];   // Mix stage between _gainNode and destination (other modes)
+
     // State
     this._buffers = [];        // AudioBuffer per track
+    this._trackGains = [];     // Fixed per-track GainNode (option gain/polarity) → _gainNode
     this._activeSource = null; // Currently playing AudioBufferSourceNode
-    this._activeSourceGain = null; // Per-source GainNode (source → sourceGain → _gainNode)
+    this._activeSourceGain = null; // Per-source GainNode (source → sourceGain → track gain → _gainNode)
     this._readySources = [];   // Pre-created {source, sourceGain} per track for instant switch
     this._selectedTrack = -1;  // Index of selected A/B/X track (-1 = none)
     this._transportState = 'stopped';
@@ -69,6 +82,7 @@ export class AudioEngine {
     this._loopEnd = 0;
     this._loopRegionSnapshot = [0, 0]; // Referentially stable for React
     this._prevDuration = 0;
+    this._loopLock = null;     // [start, end] the loop region must stay within, or null
 
     // Volume — init from localStorage
     const stored = localStorage.getItem('abx-volume');
@@ -99,6 +113,15 @@ export class AudioEngine {
     // at that timestamp are processed at the same render quantum boundary.
     this._switchLookahead = 0.005; // 5ms
 
+    // Sequenced presentation — when set, play() auto-plays each track in turn
+    // with an inter-stimulus interval, and free track switching is disabled.
+    this._sequence = null;          // { isi: seconds, restrictToLoop: boolean } or null
+    this._sequenceInterval = -1;    // Index of the interval currently sounding (-1 = none)
+    this._sequenceStartTime = 0;    // audioContext.currentTime when interval 1 starts
+    this._sequenceSpan = [0, 0];    // Buffer range played by each interval
+    this._sequenceNodes = [];       // Scheduled {source, sourceGain} per interval
+    this._sequenceTimers = [];      // Interval highlight + end-of-sequence timers
+
     // Playhead animation — ref-like object, updated via rAF
     this._currentTimeRef = { current: 0 };
     this._animFrameId = null;
@@ -146,6 +169,8 @@ export class AudioEngine {
   getVolume() { return this._volume; }
   getLoopRegion() { return this._loopRegionSnapshot; }
   getCrossfadeEnabled() { return this._crossfadeEnabled; }
+  getSequenced() { return this._sequence !== null; }
+  getSequenceInterval() { return this._sequenceInterval; }
 
   /** @returns {SampleRateInfo} */
   getSampleRateInfo() { return this._sampleRateInfo; }
@@ -170,6 +195,14 @@ export class AudioEngine {
     if (this._transportState === 'paused') {
       return this._playOffset;
     }
+    if (this._sequence) {
+      // Sequence — position within the current interval, held at the end during the ISI
+      const [start, end] = this._sequenceSpan;
+      const elapsed = this._context.currentTime - this._sequenceStartTime;
+      if (elapsed <= 0) return start;
+      const within = elapsed % (end - start + this._sequence.isi);
+      return start + Math.min(within, end - start);
+    }
     // Playing — absolute position in the buffer
     const elapsed = this._context.currentTime - this._playStartTime;
     const pos = this._playOffset + elapsed;
@@ -193,17 +226,35 @@ export class AudioEngine {
   /**
    * Load AudioBuffers for all tracks.
    * Stops playback, resets transport. Preserves loop region if duration is unchanged.
+   * Each track gets a fixed gain stage between its sources and the volume node, so
+   * a track's trim (and polarity, as a negative gain) is the same on every play and switch.
    * @param {AudioBuffer[]} buffers
+   * @param {number[]} [trackGains] - Linear gain per track (default 1; negative inverts polarity)
    */
-  loadBuffers(buffers) {
+  loadBuffers(buffers, trackGains = []) {
     this._stopAnimation();
     // If a fade-out is in flight (from stop/pause), let it finish cleanly.
     // Only force-kill the source if nothing is fading it out.
     if (!this._pendingFadeOut) {
       this._silenceAndStopSource();
     }
+    this._clearSequenceTimers();
+    this._silenceSequence();
+    this._sequenceInterval = -1;
     this._buffers = buffers;
 
+    // Old gain stages may still carry a fade-out in flight — disconnect after it ends
+    const oldTrackGains = this._trackGains;
+    this._trackGains = buffers.map((_, i) => {
+      const trackGain = this._context.createGain();
+      trackGain.gain.value = trackGains[i] ?? 1;
+      trackGain.connect(this._gainNode);
+      return trackGain;
+    });
+    setTimeout(() => {
+      for (const trackGain of oldTrackGains) trackGain.disconnect();
+    }, 50);
+
     const dur = this.getDuration();
     // Preserve loop region if duration unchanged (same test, new iteration)
     if (Math.abs(dur - this._prevDuration) < 0.001 && this._loopRegionSnapshot[1] > 0) {
@@ -214,6 +265,10 @@ export class AudioEngine {
       this._loopEnd = dur;
       this._loopRegionSnapshot = [0, dur];
     }
+    if (this._loopLock) {
+      [this._loopStart, this._loopEnd] = this._clampToLock(this._loopStart, this._loopEnd);
+      this._loopRegionSnapshot = [this._loopStart, this._loopEnd];
+    }
     this._prevDuration = dur;
 
     this._selectedTrack = -1;
@@ -245,10 +300,12 @@ export class AudioEngine {
 
   /**
    * Set loop region. Only creates a new snapshot array if values changed.
+   * Clamped to the loop lock when one is set.
    * @param {number} start
    * @param {number} end
    */
   setLoopRegion(start, end) {
+    [start, end] = this._clampToLock(start, end);
     if (this._loopRegionSnapshot[0] === start && this._loopRegionSnapshot[1] === end) {
       return;
     }
@@ -285,7 +342,7 @@ export class AudioEngine {
         this._playOffset = start;
         this._currentTimeRef.current = start;
       }
-    } else if (this._transportState === 'playing') {
+    } else if (this._transportState === 'playing' && !this._sequence) {
       if (playingPos >= start && playingPos < end) {
         // Still in bounds — re-anchor tracking, no source recreation (avoids pops)
         this._playStartTime = this._context.currentTime;
@@ -325,6 +382,39 @@ export class AudioEngine {
     this._notify();
   }
 
+  /**
+   * Restrict playback to a region: the loop region is set to it and can only
+   * be narrowed within it. Clearing the lock resets the loop to the full range.
+   * @param {[number, number]|null} region - [start, end] in seconds, or null to unlock
+   */
+  setLoopLock(region) {
+    const wasLocked = this._loopLock !== null;
+    this._loopLock = region;
+    if (this._buffers.length === 0) return;
+    if (region) {
+      this.setLoopRegion(region[0], region[1]);
+    } else if (wasLocked) {
+      this.setLoopRegion(0, this.getDuration());
+    }
+  }
+
+  /**
+   * Clamp a loop region to the loop lock (itself clamped to the duration).
+   * Falls back to the whole lock if nothing of the region is left.
+   * @param {number} start
+   * @param {number} end
+   * @returns {[number, number]}
+   */
+  _clampToLock(start, end) {
+    if (!this._loopLock) return [start, end];
+    const dur = this.getDuration();
+    const lockStart = Math.min(this._loopLock[0], dur);
+    const lockEnd = Math.min(this._loopLock[1], dur);
+    const clampedStart = Math.max(start, lockStart);
+    const clampedEnd = Math.min(end, lockEnd);
+    return clampedEnd > clampedStart ? [clampedStart, clampedEnd] : [lockStart, lockEnd];
+  }
+
   // --- Crossfade ---
 
   /**
@@ -360,6 +450,65 @@ export class AudioEngine {
     this._crossfadeDuration = duration;
   }
 
+  // --- Sequenced presentation ---
+
+  /**
+   * Enable or disable sequence mode. Stops playback.
+   * @param {{ isi: number, restrictToLoop: boolean }|null} sequence - ISI in seconds;
+   *   restrictToLoop plays only the loop region in each interval. null = free switching.
+   */
+  setSequenceConfig(sequence) {
+    if (this._transportState !== 'stopped') this.stop();
+    this._sequence = sequence;
+    this._notify();
+  }
+
+  // --- Channel mode ---
+
+  /**
+   * Set how the tracks' channels reach the output. Mono tracks are upmixed
+   * to both ears in every mode.
+   * @param {string} mode - 'stereo' passes channels through; other modes play
+   *   the CHANNEL_MODE_MIX of left and right on both ears
+   */
+  setChannelMode(mode) {
+    if (mode === this._channelMode) return;
+    this._channelMode = mode;
+    this._gainNode.disconnect();
+    for (const node of this._channelNodes) node.disconnect();
+    this._channelNodes = [];
+
+    if (mode === 'stereo') {
+      this._gainNode.connect(this._context.destination);
+      return;
+    }
+
+    // Fixed 2-channel input upmixes mono tracks (L = R) before splitting
+    const input = this._context.createGain();
+    input.channelCount = 2;
+    input.channelCountMode = 'explicit';
+    input.channelInterpretation = 'speakers';
+    const splitter = this._context.createChannelSplitter(2);
+    const merger = this._context.createChannelMerger(2);
+    const [leftCoef, rightCoef] = CHANNEL_MODE_MIX[mode];
+    const left = this._context.createGain();
+    const right = this._context.createGain();
+    left.gain.value = leftCoef;
+    right.gain.value = rightCoef;
+
+    this._gainNode.connect(input);
+    input.connect(splitter);
+    splitter.connect(left, 0);
+    splitter.connect(right, 1);
+    // Both coefficients sum into each output channel
+    for (const node of [left, right]) {
+      node.connect(merger, 0, 0);
+      node.connect(merger, 0, 1);
+    }
+    merger.connect(this._context.destination);
+    this._channelNodes = [input, splitter, left, right, merger];
+  }
+
   // --- Track selection ---
 
   /**
@@ -371,6 +520,8 @@ export class AudioEngine {
    */
   selectTrack(index) {
     if (index < 0 || index >= this._buffers.length) return;
+    // Interval order and timing are controlled by the sequence
+    if (this._sequence) return;
 
     // Eagerly resume context on user gesture so play() is instant
     this.resumeContext();
@@ -530,6 +681,10 @@ export class AudioEngine {
    */
   play() {
     if (this._buffers.length === 0) return;
+    if (this._sequence) {
+      this._playSequence();
+      return;
+    }
     if (this._selectedTrack < 0) return;
     if (this._transportState === 'playing') return;
 
@@ -562,6 +717,11 @@ export class AudioEngine {
    */
   pause() {
     if (this._transportState !== 'playing') return;
+    // A sequence can't resume mid-interval — pausing stops it
+    if (this._sequence) {
+      this.stop();
+      return;
+    }
 
     // Capture position BEFORE fade-out
     this._playOffset = this.currentTime;
@@ -580,16 +740,20 @@ export class AudioEngine {
   stop() {
     const wasPlaying = this._transportState === 'playing';
     this._stopAnimation();
+    this._clearSequenceTimers();
+    this._sequenceInterval = -1;
     this._playOffset = this._loopStart;
     this._currentTimeRef.current = this._loopStart;
     this._setTransportState('stopped');
 
-    if (wasPlaying && this._activeSource) {
+    if (wasPlaying && (this._activeSource || this._sequenceNodes.length > 0)) {
       this._fadeOut(() => {
         this._silenceAndStopSource();
+        this._silenceSequence();
       });
     } else {
       this._silenceAndStopSource();
+      this._silenceSequence();
     }
   }
 
@@ -600,6 +764,7 @@ export class AudioEngine {
    * @param {number} time
    */
   seek(time) {
+    if (this._sequence) return;
     const clampedTime = Math.max(this._loopStart, Math.min(time, this._loopEnd));
 
     if (this._transportState === 'playing') {
@@ -650,7 +815,11 @@ export class AudioEngine {
     this._stopAnimation();
     this._cancelFadeOut();
     this._silenceAndStopSource();
+    this._clearSequenceTimers();
+    this._silenceSequence();
     this._destroyReadySources();
+    for (const trackGain of this._trackGains) trackGain.disconnect();
+    for (const node of this._channelNodes) node.disconnect();
     clearTimeout(this._volumePersistTimer);
     clearTimeout(this._pendingCrossfadeCleanup);
     this._subscribers.clear();
@@ -721,7 +890,7 @@ export class AudioEngine {
     if (!buffer) return null;
     const sourceGain = this._context.createGain();
     sourceGain.gain.value = 1;
-    sourceGain.connect(this._gainNode);
+    sourceGain.connect(this._trackGains[trackIndex]);
     const loopFadeGain = this._context.createGain();
     loopFadeGain.gain.value = 1;
     loopFadeGain.connect(sourceGain);
@@ -768,7 +937,7 @@ export class AudioEngine {
 
     const sourceGain = this._context.createGain();
     sourceGain.gain.value = gainValue;
-    sourceGain.connect(this._gainNode);
+    sourceGain.connect(this._trackGains[this._selectedTrack]);
 
     const loopFadeGain = this._context.createGain();
     loopFadeGain.gain.value = 1;
@@ -813,6 +982,86 @@ export class AudioEngine {
     }
   }
 
+  /**
+   * Start the sequence from interval 1. Resumes the context first if the
+   * browser suspended it, so interval timing is measured on a running clock.
+   */
+  _playSequence() {
+    if (this._transportState === 'playing') return;
+    this._cancelFadeOut();
+    this._setTransportState('playing');
+    this._startAnimation();
+    this.resumeContext().then(() => {
+      if (this._transportState === 'playing') this._scheduleSequence();
+    });
+  }
+
+  /**
+   * Schedule every interval on the audio clock: one non-looping source per track,
+   * each with its own micro-fades, separated by the ISI. Highlight changes and the
+   * final stop follow on timers derived from the same schedule.
+   */
+  _scheduleSequence() {
+    this._silenceSequence();
+
+    // A loop lock restricts every interval to the loop region too
+    const restrict = this._sequence.restrictToLoop || this._loopLock !== null;
+    const start = restrict ? this._loopStart : 0;
+    const end = restrict ? this._loopEnd : this.getDuration();
+    const dur = end - start;
+    const step = dur + this._sequence.isi;
+    const fade = Math.min(this._microFadeDuration, dur / 4);
+    const t0 = this._context.currentTime + this._switchLookahead;
+    this._sequenceStartTime = t0;
+    this._sequenceSpan = [start, end];
+
+    this._sequenceNodes = this._buffers.map((buffer, i) => {
+      const at = t0 + i * step;
+      const sourceGain = this._context.createGain();
+      sourceGain.gain.value = 0;
+      sourceGain.gain.setValueAtTime(0, at);
+      sourceGain.gain.linearRampToValueAtTime(1, at + fade);
+      sourceGain.gain.setValueAtTime(1, at + dur - fade);
+      sourceGain.gain.linearRampToValueAtTime(0, at + dur);
+      sourceGain.connect(this._trackGains[i]);
+      const source = new AudioBufferSourceNode(this._context, { buffer });
+      source.connect(sourceGain);
+      source.start(at, start, dur);
+      return { source, sourceGain };
+    });
+
+    const delayTo = (t) => Math.max(0, (t - this._context.currentTime) * 1000);
+    const last = this._buffers.length - 1;
+    this._sequenceTimers = this._buffers.flatMap((_, i) => {
+      const at = t0 + i * step;
+      return [
+        setTimeout(() => this._setSequenceInterval(i), delayTo(at)),
+        setTimeout(() => (i === last ? this.stop() : this._setSequenceInterval(-1)), delayTo(at + dur)),
+      ];
+    });
+  }
+
+  _setSequenceInterval(index) {
+    if (this._sequenceInterval === index) return;
+    this._sequenceInterval = index;
+    this._notify();
+  }
+
+  _clearSequenceTimers() {
+    for (const timer of this._sequenceTimers) clearTimeout(timer);
+    this._sequenceTimers = [];
+  }
+
+  /** Stop and disconnect all scheduled interval sources. */
+  _silenceSequence() {
+    for (const { source, sourceGain } of this._sequenceNodes) {
+      source.disconnect();
+      try { source.stop(); } catch { /* */ }
+      sourceGain.disconnect();
+    }
+    this._sequenceNodes = [];
+  }
+
   _setTransportState(state) {
     this._transportState = state;
     this._notify();
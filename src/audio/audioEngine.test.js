@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AudioEngine } from './audioEngine';
+
+/**
+ * Helper: an AudioParam that records its automation calls.
+ */
+function createParam(value) {
+  return {
+    value,
+    events: [],
+    setValueAtTime(v, t) { this.events.push(['set', v, t]); },
+    linearRampToValueAtTime(v, t) { this.events.push(['ramp', v, t]); },
+    cancelScheduledValues() {},
+  };
+}
+
+/** Helper: a graph node that only remembers what it was last connected to. */
+function createNode(extra = {}) {
+  return { output: null, connect(target) { this.output = target; }, disconnect() { this.output = null; }, ...extra };
+}
+
+/**
+ * Helper: just enough of the Web Audio API for the engine, on a clock that
+ * only moves when the test sets `currentTime`. Started sources are collected
+ * in `sources`.
+ */
+function createWebAudio() {
+  const sources = [];
+
+  class FakeAudioContext {
+    constructor({ sampleRate = 48000 } = {}) {
+      this.sampleRate = sampleRate;
+      this.currentTime = 10;
+      this.state = 'running';
+      this.destination = createNode();
+    }
+
+    createGain() { return createNode({ gain: createParam(1) }); }
+    createBuffer() { return {}; }
+    resume() { return Promise.resolve(); }
+    close() {}
+  }
+
+  class FakeAudioBufferSourceNode {
+    constructor(context, options) {
+      Object.assign(this, createNode(), options);
+      this.started = null;
+      this.stopped = false;
+    }
+
+    start(...args) {
+      this.started = args;
+      sources.push(this);
+    }
+
+    stop() { this.stopped = true; }
+  }
+
+  return { FakeAudioContext, FakeAudioBufferSourceNode, sources };
+}
+
+let webAudio;
+let engine;
+
+/** Helper: an engine in sequence mode over `count` two-second tracks. */
+function sequenceEngine(sequence, count = 3) {
+  engine = new AudioEngine(48000);
+  engine.loadBuffers(Array.from({ length: count }, () => ({ duration: 2 })));
+  engine.setSequenceConfig(sequence);
+  return engine;
+}
+
+/** Helper: let play() resume the context and schedule the sequence. */
+async function played() {
+  engine.play();
+  await Promise.resolve();
+  await Promise.resolve();
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  webAudio = createWebAudio();
+  vi.stubGlobal('AudioContext', webAudio.FakeAudioContext);
+  vi.stubGlobal('AudioBufferSourceNode', webAudio.FakeAudioBufferSourceNode);
+  vi.stubGlobal('window', { addEventListener() {} });
+  vi.stubGlobal('localStorage', { getItem: () => null, setItem() {} });
+  vi.stubGlobal('requestAnimationFrame', () => 1);
+  vi.stubGlobal('cancelAnimationFrame', () => {});
+});
+
+afterEach(() => {
+  engine?.destroy();
+  engine = null;
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe('AudioEngine sequence mode', () => {
+  it('schedules every interval one duration plus ISI apart', async () => {
+    sequenceEngine({ isi: 0.5, restrictToLoop: false });
+    await played();
+
+    // 5ms lookahead from t = 10, then steps of 2s + 0.5s, each playing the whole file
+    const starts = webAudio.sources.map((s) => s.started);
+    expect(starts.map(([at]) => at)).toEqual([10.005, 12.505, 15.005].map((t) => expect.closeTo(t, 10)));
+    expect(starts.map(([, offset, dur]) => [offset, dur])).toEqual([[0, 2], [0, 2], [0, 2]]);
+    expect(webAudio.sources.every((s) => !s.loop)).toBe(true);
+    expect(engine.getTransportState()).toBe('playing');
+  });
+
+  it('plays only the loop region in each interval with restrictToLoop', async () => {
+    sequenceEngine({ isi: 0.25, restrictToLoop: true });
+    engine.setLoopRegion(0.5, 1.5);
+    await played();
+
+    const starts = webAudio.sources.map((s) => s.started);
+    expect(starts.map(([at]) => at)).toEqual([10.005, 11.255, 12.505].map((t) => expect.closeTo(t, 10)));
+    expect(starts.map(([, offset, dur]) => [offset, dur])).toEqual([[0.5, 1], [0.5, 1], [0.5, 1]]);
+  });
+
+  it('ignores the loop region without restrictToLoop', async () => {
+    sequenceEngine({ isi: 0.25, restrictToLoop: false });
+    engine.setLoopRegion(0.5, 1.5);
+    await played();
+
+    expect(webAudio.sources[0].started.slice(1)).toEqual([0, 2]);
+  });
+
+  it('fades each interval in and out on the audio clock', async () => {
+    sequenceEngine({ isi: 0.5, restrictToLoop: false });
+    await played();
+
+    // Second interval: 3ms ramps at both ends of 12.505 … 14.505
+    const second = webAudio.sources[1];
+    expect(second.started[0]).toBeCloseTo(12.505, 10);
+    const { events } = second.output.gain;
+    expect(events.map(([kind, v]) => [kind, v])).toEqual([['set', 0], ['ramp', 1], ['set', 1], ['ramp', 0]]);
+    expect(events.map(([, , t]) => t)).toEqual([12.505, 12.508, 14.502, 14.505].map((t) => expect.closeTo(t, 10)));
+  });
+
+  it('highlights each interval while it sounds and stops after the last', async () => {
+    sequenceEngine({ isi: 0.5, restrictToLoop: false });
+    await played();
+    expect(engine.getSequenceInterval()).toBe(-1);
+
+    vi.advanceTimersByTime(10);
+    expect(engine.getSequenceInterval()).toBe(0);
+    vi.advanceTimersByTime(2000);
+    expect(engine.getSequenceInterval()).toBe(-1); // ISI
+    vi.advanceTimersByTime(500);
+    expect(engine.getSequenceInterval()).toBe(1);
+    vi.advanceTimersByTime(5000);
+    expect(engine.getTransportState()).toBe('stopped');
+    expect(engine.getSequenceInterval()).toBe(-1);
+  });
+
+  it('stops the sequence on pause and starts again from interval 1', async () => {
+    sequenceEngine({ isi: 0.5, restrictToLoop: false });
+    await played();
+    vi.advanceTimersByTime(2600);
+    expect(engine.getSequenceInterval()).toBe(1);
+
+    engine.pause();
+    expect(engine.getTransportState()).toBe('stopped');
+    expect(engine.getSequenceInterval()).toBe(-1);
+    vi.advanceTimersByTime(10); // the 3ms fade-out
+    expect(webAudio.sources.every((s) => s.stopped)).toBe(true);
+
+    // No highlight timer of the stopped run survives
+    vi.advanceTimersByTime(10000);
+    expect(engine.getSequenceInterval()).toBe(-1);
+
+    await played();
+    expect(webAudio.sources).toHaveLength(6);
+    vi.advanceTimersByTime(10);
+    expect(engine.getSequenceInterval()).toBe(0);
+  });
+
+  it('ignores track selection and seeking', async () => {
+    sequenceEngine({ isi: 0.5, restrictToLoop: false });
+    engine.selectTrack(1);
+    engine.seek(1);
+
+    expect(engine.getSelectedTrack()).toBe(-1);
+    expect(engine.getTransportState()).toBe('stopped');
+    expect(webAudio.sources).toHaveLength(0);
+  });
+
+  it('returns to free switching when the sequence is cleared', async () => {
+    sequenceEngine({ isi: 0.5, restrictToLoop: false });
+    await played();
+    engine.setSequenceConfig(null);
+
+    expect(engine.getSequenced()).toBe(false);
+    expect(engine.getTransportState()).toBe('stopped');
+  });
+});
@@ -2,29 +2,88 @@
  * Audio loader — fetches audio files, detects format, decodes via custom pipeline,
  * validates consistency, and loads into AudioBuffers.
  *
- * Bypasses browser's decodeAudioData() entirely.
+ * Bypasses browser's decodeAudioData() entirely. Files are fetched a few at a
+ * time and decoded on a worker pool (see decodePool.js). With the opt-in
+ * persistent cache, decoded files are kept in IndexedDB (see audioCache.js).
  */
 
-import { decodeWav, isWav } from './decodeWav';
-import { decodeFlac, isFlac } from './decodeFlac';
+import { DecodePool } from './decodePool';
+import { AudioCache } from './audioCache';
+import { alignAudio } from './align';
+import { resample } from './resample';
+import { sliceMarkers } from './markers';
 
 /**
- * Decoded audio metadata + raw samples, uniform across WAV and FLAC.
- * @typedef {{ sampleRate: number, bitDepth: number, channels: number, sampleCount: number, samples: Float32Array[] }} DecodedAudio
+ * Decoded audio metadata + raw samples, uniform across WAV, FLAC and AIFF.
+ * WAV files also carry their cue markers and Broadcast Wave metadata.
+ * @typedef {{ sampleRate: number, bitDepth: number, channels: number, sampleCount: number, samples: Float32Array[],
+ *   markers?: import('./markers').Marker[], bext?: import('./decodeWav').BextMetadata|null }} DecodedAudio
  */
 
 const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 1000;
+/** Files downloaded at once unless the config sets fetchConcurrency */
+const DEFAULT_FETCH_CONCURRENCY = 4;
+/** Byte progress is reported at most this often, plus whenever a file finishes */
+const PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * Read a response body, reporting bytes as they arrive.
+ * @param {Response} response
+ * @param {(received: number, total: number|null) => void} [onBytes] - total from Content-Length,
+ *   null when the server doesn't send it; the final call always has the full size
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function readBody(response, onBytes) {
+  if (!response.body) {
+    const buffer = await response.arrayBuffer();
+    if (onBytes) onBytes(buffer.byteLength, buffer.byteLength);
+    return buffer;
+  }
+
+  const total = Number(response.headers.get('Content-Length')) || null;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    if (onBytes) onBytes(received, total);
+  }
+
+  const bytes = new Uint8Array(received);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  if (onBytes) onBytes(received, received);
+  return bytes.buffer;
+}
 
 /**
  * Fetch and decode a single audio file.
  * Retries on network errors (Dropbox CDN can drop connections intermittently).
- * @param {string} url - URL to WAV or FLAC file
+ * A current cache hit skips the download and decode; a miss is stored after decoding.
+ * @param {string} url - URL to WAV, FLAC or AIFF file
  * @param {object} [options]
- * @param {AbortSignal} [options.signal] - AbortSignal to cancel the fetch
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the fetch and decode
+ * @param {DecodePool} [options.pool] - Pool to decode on (default: a one-off pool)
+ * @param {(received: number, total: number|null) => void} [options.onBytes] - Download progress;
+ *   a cache hit reports the file's original size at once
+ * @param {AudioCache|null} [options.cache] - Persistent cache to read and fill
  * @returns {Promise<DecodedAudio>}
  */
-export async function fetchAndDecode(url, { signal } = {}) {
+export async function fetchAndDecode(url, { signal, pool, onBytes, cache = null } = {}) {
+  const hit = cache && await cache.get(url);
+  if (hit) {
+    if (onBytes) onBytes(hit.fileBytes, hit.fileBytes);
+    return hit.decoded;
+  }
+
+  const ownPool = pool ? null : new DecodePool(1);
   let lastError;
 
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
@@ -34,21 +93,19 @@ export async function fetchAndDecode(url, { signal } = {}) {
         throw new Error(`Failed to fetch audio: ${url} (${response.status} ${response.statusText})`);
       }
 
-      const buffer = await response.arrayBuffer();
-
-      if (isWav(buffer)) {
-        return decodeWav(buffer);
-      }
-      if (isFlac(buffer)) {
-        return decodeFlac(buffer);
-      }
-
-      throw new Error(`Unsupported audio format for: ${url}. Only WAV and FLAC are supported.`);
+      const buffer = await readBody(response, onBytes);
+      // Identify and size before decoding transfers the buffer away
+      const fileBytes = buffer.byteLength;
+      const identity = cache && await cache.identify(url, response, buffer);
+      const decoded = await (pool ?? ownPool).decode(url, buffer, { signal });
+      if (ownPool) ownPool.destroy();
+      if (identity) await cache.put(url, identity, decoded, fileBytes);
+      return decoded;
     } catch (err) {
       lastError = err;
       // Don't retry on abort or format errors
-      if (err.name === 'AbortError') throw err;
-      if (err.message.startsWith('Unsupported audio format')) {
+      if (err.name === 'AbortError' || err.message.startsWith('Unsupported audio format')) {
+        if (ownPool) ownPool.destroy();
         throw err;
       }
       if (attempt < MAX_RETRIES) {
@@ -57,53 +114,280 @@ export async function fetchAndDecode(url, { signal } = {}) {
     }
   }
 
+  if (ownPool) ownPool.destroy();
   throw lastError;
 }
 
+/**
+ * Run an async function over items with at most `limit` calls in flight.
+ * Results keep the order of the items; the first rejection rejects the whole run.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapWithLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * @typedef {{ bytesLoaded: number, bytesDecoded: number, bytesTotal: number|null }} LoadBytes
+ *   bytesDecoded counts the downloaded bytes of files already decoded; bytesTotal is null
+ *   until the size of every file is known
+ */
+
+/**
+ * Fetch and decode files concurrently, decoding on a shared worker pool.
+ * The first failure aborts the other downloads and decodes.
+ * @param {string[]} urls
+ * @param {(loaded: number, total: number, bytes: LoadBytes) => void} [onProgress]
+ * @param {{ signal?: AbortSignal, concurrency: number, cache: { maxBytes: number, maxAgeMs: number, version: string|null }|null }} options
+ * @returns {Promise<DecodedAudio[]>}
+ */
+async function fetchAll(urls, onProgress, { signal, concurrency, cache: cacheOptions }) {
+  const cache = cacheOptions ? await AudioCache.open(cacheOptions) : null;
+  const pool = new DecodePool();
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal?.aborted) abort();
+  signal?.addEventListener('abort', abort);
+
+  const sizes = urls.map(() => ({ received: 0, total: null }));
+  let filesDone = 0;
+  let bytesDecoded = 0;
+  let lastReport = 0;
+  const report = (force) => {
+    if (!onProgress) return;
+    const now = Date.now();
+    if (!force && now - lastReport < PROGRESS_INTERVAL_MS) return;
+    lastReport = now;
+    const totals = sizes.map((s) => s.total);
+    onProgress(filesDone, urls.length, {
+      bytesLoaded: sizes.reduce((sum, s) => sum + s.received, 0),
+      bytesDecoded,
+      bytesTotal: totals.includes(null) ? null : totals.reduce((sum, t) => sum + t, 0),
+    });
+  };
+
+  try {
+    return await mapWithLimit(urls, concurrency, async (url, i) => {
+      const decoded = await fetchAndDecode(url, {
+        signal: controller.signal,
+        pool,
+        cache,
+        onBytes: (received, total) => {
+          sizes[i] = { received, total };
+          report(false);
+        },
+      });
+      filesDone++;
+      bytesDecoded += sizes[i].received;
+      report(true);
+      return decoded;
+    });
+  } catch (err) {
+    controller.abort();
+    throw err;
+  } finally {
+    signal?.removeEventListener('abort', abort);
+    pool.destroy();
+    cache?.close();
+  }
+}
+
+/**
+ * @typedef {{ name: string, urls: string[], policy: 'trimToShortest'|'padWithSilence', maxDifference: number }} LengthGroup
+ *   A test's files and its lengthMismatch policy; maxDifference in seconds
+ */
+
+/**
+ * Trim or pad files with differing sample counts, per test policy.
+ * Files shared between tests are adjusted once, to one length, so tests
+ * whose files overlap must use the same policy.
+ * @param {Map<string, DecodedAudio>} decodedByUrl
+ * @param {LengthGroup[]} groups
+ * @returns {{ decoded: Map<string, DecodedAudio>, adjustments: ({ sampleCount: number, originalCounts: Map<string, number> }|null)[] }}
+ *   Adjusted audio by URL, and per group the new and original sample counts (null when nothing changed)
+ */
+export function applyLengthPolicies(decodedByUrl, groups) {
+  // Merge groups that share files into components of one policy
+  const component = new Map(); // url → { policy, urls: Set }
+  for (const { name, urls, policy } of groups) {
+    let merged = { policy, urls: new Set() };
+    for (const u of urls) {
+      const existing = component.get(u);
+      if (!existing || existing === merged) continue;
+      if (existing.policy !== policy) {
+        throw new Error(
+          `Test "${name}" has lengthMismatch: ${policy}, but "${u}" is also used by a test with lengthMismatch: ${existing.policy}. Tests that share files must use the same policy.`
+        );
+      }
+      for (const v of merged.urls) existing.urls.add(v);
+      merged = existing;
+    }
+    for (const u of urls) merged.urls.add(u);
+    for (const u of merged.urls) component.set(u, merged);
+  }
+
+  for (const { name, urls, maxDifference } of groups) {
+    const counts = urls.map((u) => decodedByUrl.get(u).sampleCount);
+    const shortest = Math.min(...counts);
+    const longest = Math.max(...counts);
+    const limit = Math.round(maxDifference * decodedByUrl.get(urls[0]).sampleRate);
+    if (longest - shortest > limit) {
+      throw new Error(
+        `Test "${name}" has files differing by ${longest - shortest} samples: "${urls[counts.indexOf(shortest)]}" has ${shortest} but "${urls[counts.indexOf(longest)]}" has ${longest}. The limit is ${limit} samples (maxLengthDifferenceMs: ${maxDifference * 1000}).`
+      );
+    }
+  }
+
+  const decoded = new Map(decodedByUrl);
+  for (const { policy, urls } of new Set(component.values())) {
+    const counts = [...urls].map((u) => decodedByUrl.get(u).sampleCount);
+    const target = policy === 'trimToShortest' ? Math.min(...counts) : Math.max(...counts);
+    for (const u of urls) {
+      const source = decodedByUrl.get(u);
+      if (source.sampleCount === target) continue;
+      decoded.set(u, {
+        ...source,
+        sampleCount: target,
+        samples: source.samples.map((ch) => {
+          if (policy === 'trimToShortest') return ch.slice(0, target);
+          const padded = new Float32Array(target);
+          padded.set(ch);
+          return padded;
+        }),
+        markers: policy === 'trimToShortest' ? sliceMarkers(source.markers, 0, target) : source.markers,
+      });
+    }
+  }
+
+  const adjustments = groups.map(({ urls }) => {
+    if (urls.every((u) => decoded.get(u) === decodedByUrl.get(u))) return null;
+    return {
+      sampleCount: decoded.get(urls[0]).sampleCount,
+      originalCounts: new Map(urls.map((u) => [u, decodedByUrl.get(u).sampleCount])),
+    };
+  });
+  return { decoded, adjustments };
+}
+
 /**
  * Load multiple audio files, decode them, and validate consistency.
- * All files in a test must have the same sample rate, channel count, and sample count.
+ * All files in a test must have the same sample rate, channel count, and sample count;
+ * mono and stereo files may be mixed. The returned `channels` is the widest layout.
+ * Files listed in `resample` are converted to its target rate before the
+ * sample rates are compared. Files in `align` groups are time-aligned and
+ * trimmed, and then files in `lengths` groups trimmed or padded to a common
+ * length, before the sample counts are compared. Files from the persistent
+ * cache go through the same steps and checks as downloaded ones.
  *
  * @param {string[]} urls - Array of audio file URLs
- * @param {(loaded: number, total: number) => void} [onProgress] - Progress callback
+ * @param {(loaded: number, total: number, bytes: LoadBytes) => void} [onProgress] - Progress callback;
+ *   loaded and total count files (fetched and decoded), bytes tracks the downloads
  * @param {object} [options]
- * @param {AbortSignal} [options.signal] - AbortSignal to cancel all fetches
- * @returns {Promise<{ decoded: DecodedAudio[], sampleRate: number, channels: number, sampleCount: number }>}
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel all fetches and terminate decodes
+ * @param {number} [options.concurrency] - Most files downloaded at once (default 4)
+ * @param {{ maxBytes: number, maxAgeMs: number, version: string|null }|null} [options.cache] - Persistent decoded-audio
+ *   cache, its size cap, entry lifetime and version; null to always download
+ * @param {{ rate: number, urls: string[] }|null} [options.resample] - Files to resample, and the target rate
+ * @param {import('./align').AlignGroup[]} [options.align] - Groups of URLs to time-align, reference first
+ * @param {LengthGroup[]} [options.lengths] - Groups of URLs with a lengthMismatch policy
+ * @param {{ name: string, mode: string, urls: string[] }[]} [options.channelModes] - Tests with a non-stereo channelMode
+ * @returns {Promise<{ decoded: DecodedAudio[], sampleRate: number, channels: number, sampleCount: number, resampled: { url: string, fromRate: number }[], offsets: Map<string, number>[], lengthAdjustments: object[] }>}
+ *   resampled: files converted to sampleRate; offsets: per align group, each URL's offset from the group's reference in samples;
+ *   lengthAdjustments: per length group, the new and original sample counts (null when nothing changed)
  */
-export async function loadAndValidate(urls, onProgress, { signal } = {}) {
-  const decoded = [];
-  for (let i = 0; i < urls.length; i++) {
-    decoded.push(await fetchAndDecode(urls[i], { signal }));
-    if (onProgress) onProgress(i + 1, urls.length);
-  }
+export async function loadAndValidate(urls, onProgress, {
+  signal, concurrency = DEFAULT_FETCH_CONCURRENCY, cache = null, resample: resampleSpec = null, align = [], lengths = [], channelModes = [],
+} = {}) {
+  let decoded = await fetchAll(urls, onProgress, { signal, concurrency, cache });
 
   if (decoded.length === 0) {
     throw new Error('No audio files to load');
   }
 
-  // Validate consistency
-  const { sampleRate, channels, sampleCount } = decoded[0];
+  // Convert opted-in files to the target rate before comparing rates
+  const resampled = [];
+  if (resampleSpec) {
+    decoded = decoded.map((d, i) => {
+      if (!resampleSpec.urls.includes(urls[i]) || d.sampleRate === resampleSpec.rate) return d;
+      resampled.push({ url: urls[i], fromRate: d.sampleRate });
+      return resample(d, resampleSpec.rate);
+    });
+  }
+
+  // Validate format consistency. Mono and stereo files may be mixed — the
+  // engine plays mono files on both ears — but wider layouts must match.
+  const { sampleRate } = decoded[0];
+  const channels = Math.max(...decoded.map((d) => d.channels));
+  const widest = decoded.findIndex((d) => d.channels === channels);
 
   for (let i = 1; i < decoded.length; i++) {
     const d = decoded[i];
     if (d.sampleRate !== sampleRate) {
       throw new Error(
-        `Sample rate mismatch: "${urls[0]}" is ${sampleRate}Hz but "${urls[i]}" is ${d.sampleRate}Hz. All files must have the same sample rate.`
+        `Sample rate mismatch: "${urls[0]}" is ${sampleRate}Hz but "${urls[i]}" is ${d.sampleRate}Hz. All files must have the same sample rate, or the test must set resampleTo.`
       );
     }
-    if (d.channels !== channels) {
+  }
+  for (let i = 0; i < decoded.length; i++) {
+    const d = decoded[i];
+    if (d.channels !== channels && channels > 2) {
       throw new Error(
-        `Channel count mismatch: "${urls[0]}" has ${channels} channel(s) but "${urls[i]}" has ${d.channels}. All files must have the same channel count.`
+        `Channel count mismatch: "${urls[widest]}" has ${channels} channel(s) but "${urls[i]}" has ${d.channels}. All files must have the same channel count (mono and stereo may be mixed).`
       );
     }
-    if (d.sampleCount !== sampleCount) {
+  }
+
+  // Channel modes other than stereo mix left and right
+  for (const { name, mode, urls: modeUrls } of channelModes) {
+    for (const u of modeUrls) {
+      const d = decoded[urls.indexOf(u)];
+      if (d.channels > 2) {
+        throw new Error(
+          `Test "${name}" has channelMode: ${mode}, which needs mono or stereo files, but "${u}" has ${d.channels} channels.`
+        );
+      }
+    }
+  }
+
+  // Time-align before comparing lengths — alignment trims to the common span
+  let offsets = [];
+  if (align.length > 0) {
+    const aligned = alignAudio(new Map(urls.map((u, i) => [u, decoded[i]])), align);
+    decoded = urls.map((u) => aligned.decoded.get(u));
+    offsets = aligned.offsets;
+  }
+
+  // Trim or pad where the test's lengthMismatch policy allows
+  let lengthAdjustments = [];
+  if (lengths.length > 0) {
+    const adjusted = applyLengthPolicies(new Map(urls.map((u, i) => [u, decoded[i]])), lengths);
+    decoded = urls.map((u) => adjusted.decoded.get(u));
+    lengthAdjustments = adjusted.adjustments;
+  }
+
+  const { sampleCount } = decoded[0];
+  for (let i = 1; i < decoded.length; i++) {
+    if (decoded[i].sampleCount !== sampleCount) {
       throw new Error(
-        `Sample count mismatch: "${urls[0]}" has ${sampleCount} samples but "${urls[i]}" has ${d.sampleCount}. All files must be the same length.`
+        `Sample count mismatch: "${urls[0]}" has ${sampleCount} samples but "${urls[i]}" has ${decoded[i].sampleCount}. All files must be the same length, or the test must set lengthMismatch.`
       );
     }
   }
 
-  return { decoded, sampleRate, channels, sampleCount };
+  return { decoded, sampleRate, channels, sampleCount, resampled, offsets, lengthAdjustments };
 }
 
 /**
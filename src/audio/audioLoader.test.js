@@ -0,0 +1,198 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { applyLengthPolicies, loadAndValidate } from './audioLoader';
+import { segmentPresets } from './markers';
+
+/**
+ * Helper: decoded mono audio at 1kHz, `sampleCount` samples of a repeating ramp.
+ */
+function decoded(sampleCount, markers) {
+  const samples = [Float32Array.from({ length: sampleCount }, (_, i) => 0.5 + (i % 100) / 200)];
+  return { sampleRate: 1000, bitDepth: 16, channels: 1, sampleCount, samples, markers };
+}
+
+function marker(id, position, length = 0, label = null) {
+  return { id, position, length, label, note: null };
+}
+
+/** Helper: one length group of the given URLs. */
+function group(name, urls, policy, maxDifference = 0.05) {
+  return { name, urls, policy, maxDifference };
+}
+
+/**
+ * Helper: a 16-bit 1kHz WAV file of `sampleCount` silent frames.
+ */
+function createWav(sampleCount, channels = 1) {
+  const dataBytes = sampleCount * channels * 2;
+  const buffer = new ArrayBuffer(44 + dataBytes);
+  const view = new DataView(buffer);
+  const ascii = (offset, s) => { for (let i = 0; i < s.length; i++) view.setUint8(offset + i, s.charCodeAt(i)); };
+  ascii(0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, 1000, true);
+  view.setUint32(28, 2000 * channels, true);
+  view.setUint16(32, 2 * channels, true);
+  view.setUint16(34, 16, true);
+  ascii(36, 'data');
+  view.setUint32(40, dataBytes, true);
+  return buffer;
+}
+
+/** Helper: serve WAV files by URL. */
+function serve(files) {
+  vi.stubGlobal('fetch', vi.fn(async (url) => ({
+    ok: true,
+    headers: new Map(),
+    body: null,
+    arrayBuffer: async () => files[url],
+  })));
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('applyLengthPolicies', () => {
+  it('trims every file to the shortest with trimToShortest', () => {
+    const byUrl = new Map([['a.wav', decoded(1000)], ['b.wav', decoded(1040)], ['c.wav', decoded(1020)]]);
+    const { decoded: out, adjustments } = applyLengthPolicies(byUrl, [group('T', ['a.wav', 'b.wav', 'c.wav'], 'trimToShortest')]);
+
+    expect(out.get('a.wav')).toBe(byUrl.get('a.wav'));
+    for (const url of ['b.wav', 'c.wav']) {
+      const { sampleCount, samples } = out.get(url);
+      expect(sampleCount).toBe(1000);
+      expect(samples[0]).toHaveLength(1000);
+      expect(samples[0]).toEqual(byUrl.get(url).samples[0].slice(0, 1000));
+    }
+    expect(adjustments).toEqual([{
+      sampleCount: 1000,
+      originalCounts: new Map([['a.wav', 1000], ['b.wav', 1040], ['c.wav', 1020]]),
+    }]);
+  });
+
+  it('pads every file to the longest with silence with padWithSilence', () => {
+    const markers = [marker(1, 900, 0, 'Outro')];
+    const byUrl = new Map([['a.wav', decoded(1000, markers)], ['b.wav', decoded(1040)]]);
+    const { decoded: out, adjustments } = applyLengthPolicies(byUrl, [group('T', ['a.wav', 'b.wav'], 'padWithSilence')]);
+
+    const padded = out.get('a.wav');
+    expect(padded.sampleCount).toBe(1040);
+    expect(padded.samples[0]).toHaveLength(1040);
+    expect(padded.samples[0].subarray(0, 1000)).toEqual(byUrl.get('a.wav').samples[0]);
+    expect(padded.samples[0].subarray(1000).every((v) => v === 0)).toBe(true);
+    expect(padded.markers).toBe(markers);
+    expect(out.get('b.wav')).toBe(byUrl.get('b.wav'));
+    expect(adjustments[0].sampleCount).toBe(1040);
+  });
+
+  it('drops markers past the trim point and shortens regions running over it', () => {
+    const markers = [marker(1, 200, 0, 'Verse'), marker(2, 900, 300, 'Outro'), marker(3, 1000), marker(4, 1030)];
+    const byUrl = new Map([['a.wav', decoded(1000)], ['b.wav', decoded(1040, markers)]]);
+    const { decoded: out } = applyLengthPolicies(byUrl, [group('T', ['a.wav', 'b.wav'], 'trimToShortest')]);
+
+    expect(out.get('b.wav').markers).toEqual([marker(1, 200, 0, 'Verse'), marker(2, 900, 100, 'Outro')]);
+
+    // Loop presets from the trimmed files end within its one second
+    const test = {
+      options: [{ audioUrl: 'a.wav' }, { audioUrl: 'b.wav' }],
+      segments: [{ name: 'Tail', start: 0.9, end: 1.04 }, { name: 'Past', start: 1.01, end: 1.03 }],
+    };
+    expect(segmentPresets(test, out)).toEqual([
+      { name: 'Tail', start: 0.9, end: 1 },
+      { name: 'Verse', start: 0.2, end: 0.9 },
+      { name: 'Outro', start: 0.9, end: 1 },
+    ]);
+  });
+
+  it('adjusts tests that share files to one length', () => {
+    // b and c alone would trim to 1020; a.wav, shared through b.wav, brings them to 1000
+    const byUrl = new Map([['a.wav', decoded(1000)], ['b.wav', decoded(1040)], ['c.wav', decoded(1020)]]);
+    const { decoded: out, adjustments } = applyLengthPolicies(byUrl, [
+      group('One', ['a.wav', 'b.wav'], 'trimToShortest'),
+      group('Two', ['b.wav', 'c.wav'], 'trimToShortest'),
+    ]);
+
+    expect([...out.values()].map((d) => d.sampleCount)).toEqual([1000, 1000, 1000]);
+    expect(adjustments.map((a) => a.sampleCount)).toEqual([1000, 1000]);
+    expect(adjustments[1].originalCounts).toEqual(new Map([['b.wav', 1040], ['c.wav', 1020]]));
+  });
+
+  it('reports no adjustment for a group already of one length', () => {
+    const byUrl = new Map([['a.wav', decoded(1000)], ['b.wav', decoded(1000)], ['loose.wav', decoded(10)]]);
+    const { decoded: out, adjustments } = applyLengthPolicies(byUrl, [group('T', ['a.wav', 'b.wav'], 'padWithSilence')]);
+
+    expect(adjustments).toEqual([null]);
+    for (const [url, d] of byUrl) expect(out.get(url)).toBe(d);
+  });
+
+  it('rejects files differing by more than maxDifference', () => {
+    // 50ms at 1kHz is 50 samples
+    const byUrl = new Map([['a.wav', decoded(1000)], ['b.wav', decoded(1050)], ['c.wav', decoded(1051)]]);
+
+    expect(() => applyLengthPolicies(byUrl, [group('T', ['a.wav', 'b.wav'], 'trimToShortest')])).not.toThrow();
+    expect(() => applyLengthPolicies(byUrl, [group('T', ['a.wav', 'c.wav'], 'trimToShortest')])).toThrow(
+      'Test "T" has files differing by 51 samples: "a.wav" has 1000 but "c.wav" has 1051. The limit is 50 samples (maxLengthDifferenceMs: 50).'
+    );
+  });
+
+  it('rejects tests that share files under different policies', () => {
+    const byUrl = new Map([['a.wav', decoded(1000)], ['b.wav', decoded(1040)], ['c.wav', decoded(1020)]]);
+
+    expect(() => applyLengthPolicies(byUrl, [
+      group('One', ['a.wav', 'b.wav'], 'trimToShortest'),
+      group('Two', ['b.wav', 'c.wav'], 'padWithSilence'),
+    ])).toThrow('Test "Two" has lengthMismatch: padWithSilence, but "b.wav" is also used by a test with lengthMismatch: trimToShortest.');
+  });
+});
+
+describe('loadAndValidate length policies', () => {
+  it('rejects differing lengths without a policy', async () => {
+    serve({ 'a.wav': createWav(1000), 'b.wav': createWav(1040) });
+    await expect(loadAndValidate(['a.wav', 'b.wav'])).rejects.toThrow(
+      'Sample count mismatch: "a.wav" has 1000 samples but "b.wav" has 1040'
+    );
+  });
+
+  it('returns the adjusted files and the original counts', async () => {
+    serve({ 'a.wav': createWav(1000), 'b.wav': createWav(1040), 'c.wav': createWav(1020) });
+    const result = await loadAndValidate(['a.wav', 'b.wav', 'c.wav'], null, {
+      lengths: [group('T', ['a.wav', 'b.wav', 'c.wav'], 'padWithSilence')],
+    });
+
+    expect(result.sampleCount).toBe(1040);
+    expect(result.decoded.map((d) => d.samples[0].length)).toEqual([1040, 1040, 1040]);
+    expect(result.lengthAdjustments[0].originalCounts).toEqual(new Map([['a.wav', 1000], ['b.wav', 1040], ['c.wav', 1020]]));
+  });
+});
+
+describe('loadAndValidate channel layouts', () => {
+  it('accepts mono and stereo files together, as stereo', async () => {
+    serve({ 'mono.wav': createWav(100, 1), 'stereo.wav': createWav(100, 2) });
+    const result = await loadAndValidate(['mono.wav', 'stereo.wav'], null, {
+      channelModes: [{ name: 'T', mode: 'side', urls: ['mono.wav', 'stereo.wav'] }],
+    });
+
+    expect(result.channels).toBe(2);
+    expect(result.decoded.map((d) => d.channels)).toEqual([1, 2]);
+  });
+
+  it('rejects a mono file next to a wider layout', async () => {
+    serve({ 'mono.wav': createWav(100, 1), 'surround.wav': createWav(100, 6) });
+    await expect(loadAndValidate(['mono.wav', 'surround.wav'])).rejects.toThrow(
+      'Channel count mismatch: "surround.wav" has 6 channel(s) but "mono.wav" has 1.'
+    );
+  });
+
+  it('rejects files wider than stereo under a mixing channel mode', async () => {
+    serve({ 'a.wav': createWav(100, 6), 'b.wav': createWav(100, 6) });
+    await expect(loadAndValidate(['a.wav', 'b.wav'])).resolves.toMatchObject({ channels: 6 });
+    await expect(loadAndValidate(['a.wav', 'b.wav'], null, {
+      channelModes: [{ name: 'T', mode: 'mono', urls: ['a.wav', 'b.wav'] }],
+    })).rejects.toThrow('Test "T" has channelMode: mono, which needs mono or stereo files, but "a.wav" has 6 channels.');
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Channel modes — what a test plays from each option's channels.
+ *
+ * `stereo` plays files as they are (mono files on both ears). Every other
+ * mode mixes left and right with fixed coefficients and plays the result on
+ * both ears. The engine builds the same mix in its graph (see
+ * AudioEngine.setChannelMode); applyChannelMode renders it offline so
+ * loudness is measured as heard.
+ */
+
+/**
+ * @typedef {import('./audioLoader').DecodedAudio} DecodedAudio
+ */
+
+/** [left, right] coefficients of the mono signal each non-stereo mode plays on both ears */
+export const CHANNEL_MODE_MIX = {
+  mono: [0.5, 0.5],
+  mid: [0.5, 0.5],
+  side: [0.5, -0.5],
+  left: [1, 0],
+  right: [0, 1],
+};
+
+/**
+ * Render decoded audio as a channel mode plays it.
+ * @param {DecodedAudio} decoded
+ * @param {string} mode - stereo, mono, mid, side, left, right
+ * @param {number} width - Channels the test plays (mono files are upmixed to 2 when it plays stereo)
+ * @returns {DecodedAudio}
+ */
+export function applyChannelMode(decoded, mode, width) {
+  const [left, right = left] = decoded.samples;
+  if (mode === 'stereo') {
+    if (decoded.channels !== 1 || width < 2) return decoded;
+    return { ...decoded, channels: 2, samples: [left, left] };
+  }
+  const [a, b] = CHANNEL_MODE_MIX[mode];
+  const mixed = new Float32Array(decoded.sampleCount);
+  for (let i = 0; i < mixed.length; i++) mixed[i] = a * left[i] + b * right[i];
+  return { ...decoded, channels: 2, samples: [mixed, mixed] };
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { applyChannelMode } from './channelMode';
+
+/**
+ * Helper: decoded audio from channel arrays.
+ */
+function decoded(...samples) {
+  const channels = samples.map((ch) => Float32Array.from(ch));
+  return { sampleRate: 48000, bitDepth: 24, channels: channels.length, sampleCount: channels[0].length, samples: channels };
+}
+
+const LEFT = [1, 0.5, -0.25, 0];
+const RIGHT = [0, 0.5, 0.25, -1];
+
+/** Helper: the one signal a mixing mode plays on both ears, checking that both ears get it. */
+function mixed(input, mode) {
+  const out = applyChannelMode(input, mode, 2);
+  expect(out.channels).toBe(2);
+  expect(out.samples[1]).toBe(out.samples[0]);
+  return [...out.samples[0]];
+}
+
+describe('applyChannelMode', () => {
+  it('plays stereo files as they are in stereo mode', () => {
+    const input = decoded(LEFT, RIGHT);
+    const out = applyChannelMode(input, 'stereo', 2);
+
+    expect(out).toBe(input);
+    expect([...out.samples[0]]).toEqual(LEFT);
+    expect([...out.samples[1]]).toEqual(RIGHT);
+  });
+
+  it('upmixes a mono file to both ears when the test plays stereo', () => {
+    const input = decoded(LEFT);
+    const out = applyChannelMode(input, 'stereo', 2);
+
+    expect(out.channels).toBe(2);
+    expect(out.samples).toEqual([input.samples[0], input.samples[0]]);
+    expect(applyChannelMode(input, 'stereo', 1)).toBe(input);
+  });
+
+  it('sums to mono and mid as (L+R)/2', () => {
+    expect(mixed(decoded(LEFT, RIGHT), 'mono')).toEqual([0.5, 0.5, 0, -0.5]);
+    expect(mixed(decoded(LEFT, RIGHT), 'mid')).toEqual([0.5, 0.5, 0, -0.5]);
+  });
+
+  it('plays the side signal as (L−R)/2', () => {
+    expect(mixed(decoded(LEFT, RIGHT), 'side')).toEqual([0.5, 0, -0.25, 0.5]);
+  });
+
+  it('plays one channel on both ears with left and right', () => {
+    expect(mixed(decoded(LEFT, RIGHT), 'left')).toEqual(LEFT);
+    expect(mixed(decoded(LEFT, RIGHT), 'right')).toEqual(RIGHT);
+  });
+
+  it('treats a mono file as L = R', () => {
+    // Side of identical channels cancels; every other mode passes the file through
+    expect(mixed(decoded(LEFT), 'side')).toEqual([0, 0, 0, 0]);
+    for (const mode of ['mono', 'mid', 'left', 'right']) expect(mixed(decoded(LEFT), mode)).toEqual(LEFT);
+  });
+
+  it('keeps the sample rate, length and source channels', () => {
+    const input = decoded(LEFT, RIGHT);
+    const out = applyChannelMode(input, 'side', 2);
+
+    expect(out).toMatchObject({ sampleRate: 48000, bitDepth: 24, sampleCount: 4 });
+    expect([...input.samples[0]]).toEqual(LEFT);
+    expect([...input.samples[1]]).toEqual(RIGHT);
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * Format detection — picks the decoder for a file's bytes.
+ * Shared by the decode worker and the main-thread fallback.
+ */
+
+import { decodeWav, isWav } from './decodeWav';
+import { decodeFlac, isFlac } from './decodeFlac';
+import { decodeAiff, isAiff } from './decodeAiff';
+
+/**
+ * Decode WAV, FLAC or AIFF bytes.
+ * @param {ArrayBuffer} buffer - Raw file bytes
+ * @param {string} url - For the error message
+ * @returns {Promise<import('./audioLoader').DecodedAudio>}
+ */
+export async function decodeAudio(buffer, url) {
+  if (isWav(buffer)) {
+    return decodeWav(buffer);
+  }
+  if (isFlac(buffer)) {
+    return decodeFlac(buffer);
+  }
+  if (isAiff(buffer)) {
+    return decodeAiff(buffer);
+  }
+
+  throw new Error(`Unsupported audio format for: ${url}. Only WAV, FLAC and AIFF are supported.`);
+}
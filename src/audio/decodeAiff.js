@@ -0,0 +1,181 @@
+/**
+ * AIFF / AIFC parser — extracts raw PCM samples from AIFF and AIFC files.
+ * Bypasses browser's decodeAudioData() for a controlled decode pipeline.
+ *
+ * Supports: AIFF big-endian PCM int8, int16, int24, int32 (and widths in between,
+ *           left-justified); AIFC NONE/twos (big-endian PCM), sowt (little-endian PCM),
+ *           fl32/fl64 (big-endian float)
+ * Returns: { sampleRate, bitDepth, channels, sampleCount, samples: Float32Array[] }
+ */
+
+const FORM_HEADER = 0x464f524d; // "FORM"
+const AIFF_FORMAT = 0x41494646; // "AIFF"
+const AIFC_FORMAT = 0x41494643; // "AIFC"
+const COMM_CHUNK = 0x434f4d4d;  // "COMM"
+const SSND_CHUNK = 0x53534e44;  // "SSND"
+
+/** AIFC compression types this decoder reads, by four-character code */
+const COMPRESSION = {
+  NONE: { float: false, littleEndian: false },
+  twos: { float: false, littleEndian: false },
+  sowt: { float: false, littleEndian: true },
+  fl32: { float: true, littleEndian: false },
+  FL32: { float: true, littleEndian: false },
+  fl64: { float: true, littleEndian: false },
+  FL64: { float: true, littleEndian: false },
+};
+
+/**
+ * Parse an AIFF or AIFC file from an ArrayBuffer into raw Float32 channel data.
+ * @param {ArrayBuffer} buffer - Raw file bytes
+ * @returns {{ sampleRate: number, bitDepth: number, channels: number, sampleCount: number, samples: Float32Array[] }}
+ */
+export function decodeAiff(buffer) {
+  const view = new DataView(buffer);
+
+  // Validate FORM header
+  if (buffer.byteLength < 12 || view.getUint32(0, false) !== FORM_HEADER) {
+    throw new Error('Not an AIFF file: missing FORM header');
+  }
+  const formType = view.getUint32(8, false);
+  if (formType !== AIFF_FORMAT && formType !== AIFC_FORMAT) {
+    throw new Error('Not an AIFF file: missing AIFF/AIFC form type');
+  }
+
+  // Chunks may come in any order — locate COMM and SSND first
+  let offset = 12;
+  let comm = null;
+  let ssnd = null;
+  while (offset <= buffer.byteLength - 8) {
+    const chunkId = view.getUint32(offset, false);
+    const chunkSize = view.getUint32(offset + 4, false);
+    if (chunkId === COMM_CHUNK) comm = { offset: offset + 8, size: chunkSize };
+    if (chunkId === SSND_CHUNK) ssnd = { offset: offset + 8, size: chunkSize };
+
+    // Skip to next chunk (chunks are word-aligned)
+    offset += 8 + chunkSize;
+    if (chunkSize % 2 !== 0) offset += 1;
+  }
+
+  if (!comm) {
+    throw new Error('AIFF file has no COMM chunk');
+  }
+  if (!ssnd) {
+    throw new Error('AIFF file has no SSND chunk');
+  }
+
+  const channels = view.getInt16(comm.offset, false);
+  const frames = view.getUint32(comm.offset + 2, false);
+  const bitDepth = view.getInt16(comm.offset + 6, false);
+  const sampleRate = readExtended(view, comm.offset + 8);
+
+  let compression = 'NONE';
+  if (formType === AIFC_FORMAT) {
+    compression = String.fromCharCode(
+      view.getUint8(comm.offset + 18), view.getUint8(comm.offset + 19),
+      view.getUint8(comm.offset + 20), view.getUint8(comm.offset + 21),
+    );
+  }
+  const encoding = COMPRESSION[compression];
+  if (!encoding) {
+    throw new Error(
+      `Unsupported AIFC compression: "${compression}". Only NONE, twos, sowt, fl32 and fl64 are supported.`
+    );
+  }
+
+  // Float types fix the sample width; integer widths round up to whole bytes
+  const bytesPerSample = encoding.float
+    ? (compression.toLowerCase() === 'fl64' ? 8 : 4)
+    : Math.ceil(bitDepth / 8);
+  if (!encoding.float && (bytesPerSample < 1 || bytesPerSample > 4)) {
+    throw new Error(`Unsupported PCM bit depth: ${bitDepth}`);
+  }
+
+  // SSND: data offset (4 bytes) and block size (4 bytes), then sample frames
+  const dataStart = ssnd.offset + 8 + view.getUint32(ssnd.offset, false);
+  const dataEnd = Math.min(ssnd.offset + ssnd.size, buffer.byteLength);
+  const available = Math.floor((dataEnd - dataStart) / (bytesPerSample * channels));
+  const sampleCount = Math.max(0, Math.min(frames, available));
+
+  // Allocate output channels
+  const samples = [];
+  for (let ch = 0; ch < channels; ch++) {
+    samples.push(new Float32Array(sampleCount));
+  }
+
+  // Read interleaved samples and deinterleave into per-channel Float32Arrays
+  let pos = dataStart;
+  for (let i = 0; i < sampleCount; i++) {
+    for (let ch = 0; ch < channels; ch++) {
+      samples[ch][i] = readSample(view, pos, bytesPerSample, encoding);
+      pos += bytesPerSample;
+    }
+  }
+
+  return {
+    sampleRate,
+    bitDepth: encoding.float ? bytesPerSample * 8 : bitDepth,
+    channels,
+    sampleCount,
+    samples,
+  };
+}
+
+/**
+ * Read an 80-bit IEEE 754 extended-precision float (the COMM sample rate).
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {number}
+ */
+function readExtended(view, offset) {
+  const signExp = view.getUint16(offset, false);
+  const hi = view.getUint32(offset + 2, false);
+  const lo = view.getUint32(offset + 6, false);
+  const exponent = signExp & 0x7fff;
+  if (exponent === 0 && hi === 0 && lo === 0) return 0;
+  const mantissa = hi * 2 ** 32 + lo;
+  const value = mantissa * 2 ** (exponent - 16383 - 63);
+  return signExp & 0x8000 ? -value : value;
+}
+
+/**
+ * Read a single sample and normalize to Float32 range [-1.0, 1.0].
+ * Integer samples are signed and left-justified, so widths that aren't a
+ * multiple of 8 normalize by their container size.
+ */
+function readSample(view, offset, bytesPerSample, encoding) {
+  const le = encoding.littleEndian;
+  if (encoding.float) {
+    return bytesPerSample === 8 ? view.getFloat64(offset, le) : view.getFloat32(offset, le);
+  }
+
+  switch (bytesPerSample) {
+    case 1:
+      // 8-bit AIFF is signed (unlike WAV)
+      return view.getInt8(offset) / 128;
+    case 2:
+      return view.getInt16(offset, le) / 32768;
+    case 3: {
+      const b0 = view.getUint8(offset);
+      const b1 = view.getUint8(offset + 1);
+      const b2 = view.getUint8(offset + 2);
+      let val = le ? (b2 << 16) | (b1 << 8) | b0 : (b0 << 16) | (b1 << 8) | b2;
+      if (val >= 0x800000) val -= 0x1000000; // Sign extend
+      return val / 8388608;
+    }
+    default:
+      return view.getInt32(offset, le) / 2147483648;
+  }
+}
+
+/**
+ * Check if an ArrayBuffer is an AIFF or AIFC file by examining the magic bytes.
+ * @param {ArrayBuffer} buffer
+ * @returns {boolean}
+ */
+export function isAiff(buffer) {
+  if (buffer.byteLength < 12) return false;
+  const view = new DataView(buffer);
+  const formType = view.getUint32(8, false);
+  return view.getUint32(0, false) === FORM_HEADER && (formType === AIFF_FORMAT || formType === AIFC_FORMAT);
+}
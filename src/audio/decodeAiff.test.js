@@ -0,0 +1,321 @@
+import { describe, it, expect } from 'vitest';
+import { decodeAiff, isAiff } from './decodeAiff';
+
+/**
+ * Helper: build a minimal AIFF or AIFC file as an ArrayBuffer.
+ * Generates a simple ramp for testing.
+ */
+function createAiffBuffer({
+  sampleRate = 44100,
+  bitDepth = 16,
+  channels = 1,
+  sampleCount = 100,
+  compression = null, // null = AIFF, otherwise AIFC with this compression type
+} = {}) {
+  const isFloat = compression === 'fl32' || compression === 'fl64';
+  const bytesPerSample = Math.ceil(bitDepth / 8);
+  const dataSize = sampleCount * channels * bytesPerSample;
+  const commSize = compression ? 24 : 18; // AIFC adds compression type + empty pstring
+  const ssndSize = 8 + dataSize;
+
+  const totalSize = 12 + 8 + commSize + 8 + ssndSize + (dataSize % 2);
+  const buffer = new ArrayBuffer(totalSize);
+  const view = new DataView(buffer);
+
+  // FORM header
+  writeString(view, 0, 'FORM');
+  view.setUint32(4, totalSize - 8, false);
+  writeString(view, 8, compression ? 'AIFC' : 'AIFF');
+
+  // COMM chunk
+  writeString(view, 12, 'COMM');
+  view.setUint32(16, commSize, false);
+  view.setInt16(20, channels, false);
+  view.setUint32(22, sampleCount, false);
+  view.setInt16(26, bitDepth, false);
+  writeExtended(view, 28, sampleRate);
+  if (compression) {
+    writeString(view, 38, compression);
+    view.setUint8(42, 0); // Empty compression name (pstring) + pad
+    view.setUint8(43, 0);
+  }
+
+  // SSND chunk
+  const ssnd = 20 + commSize;
+  writeString(view, ssnd, 'SSND');
+  view.setUint32(ssnd + 4, ssndSize, false);
+  view.setUint32(ssnd + 8, 0, false); // offset
+  view.setUint32(ssnd + 12, 0, false); // blockSize
+
+  // Write samples: simple ramp from -1 to +1
+  let offset = ssnd + 16;
+  for (let i = 0; i < sampleCount; i++) {
+    const value = (i / (sampleCount - 1)) * 2 - 1; // -1 to +1
+    for (let ch = 0; ch < channels; ch++) {
+      if (isFloat) {
+        if (bitDepth === 64) view.setFloat64(offset, value, false);
+        else view.setFloat32(offset, value, false);
+      } else {
+        writeSample(view, offset, value, bitDepth, compression === 'sowt');
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+}
+
+function writeString(view, offset, str) {
+  for (let i = 0; i < str.length; i++) {
+    view.setUint8(offset + i, str.charCodeAt(i));
+  }
+}
+
+/** Write an integer sample rate as an 80-bit IEEE extended float. */
+function writeExtended(view, offset, value) {
+  const exponent = Math.floor(Math.log2(value));
+  view.setUint16(offset, 16383 + exponent, false);
+  view.setUint32(offset + 2, value * 2 ** (31 - exponent), false);
+  view.setUint32(offset + 6, 0, false);
+}
+
+function writeSample(view, offset, value, bitDepth, littleEndian) {
+  const clamped = Math.max(-1, Math.min(1, value));
+  switch (Math.ceil(bitDepth / 8)) {
+    case 1:
+      view.setInt8(offset, Math.round(clamped * 127));
+      break;
+    case 2:
+      view.setInt16(offset, Math.round(clamped * 32767), littleEndian);
+      break;
+    case 3: {
+      const intVal = Math.round(clamped * 8388607);
+      const bytes = [(intVal >> 16) & 0xff, (intVal >> 8) & 0xff, intVal & 0xff];
+      if (littleEndian) bytes.reverse();
+      bytes.forEach((b, k) => view.setUint8(offset + k, b));
+      break;
+    }
+    case 4:
+      view.setInt32(offset, Math.round(clamped * 2147483647), littleEndian);
+      break;
+  }
+}
+
+// --- Tests ---
+
+describe('isAiff', () => {
+  it('returns true for valid AIFF buffer', () => {
+    expect(isAiff(createAiffBuffer())).toBe(true);
+  });
+
+  it('returns true for valid AIFC buffer', () => {
+    expect(isAiff(createAiffBuffer({ compression: 'sowt' }))).toBe(true);
+  });
+
+  it('returns false for non-AIFF buffer', () => {
+    const buffer = new ArrayBuffer(12);
+    expect(isAiff(buffer)).toBe(false);
+  });
+
+  it('returns false for buffer too small', () => {
+    const buffer = new ArrayBuffer(4);
+    expect(isAiff(buffer)).toBe(false);
+  });
+
+  it('returns false for WAV magic bytes', () => {
+    const buffer = new ArrayBuffer(12);
+    const view = new DataView(buffer);
+    writeString(view, 0, 'RIFF');
+    writeString(view, 8, 'WAVE');
+    expect(isAiff(buffer)).toBe(false);
+  });
+});
+
+describe('decodeAiff', () => {
+  describe('16-bit PCM', () => {
+    it('decodes mono 44100Hz', () => {
+      const buffer = createAiffBuffer({ sampleRate: 44100, bitDepth: 16, channels: 1, sampleCount: 100 });
+      const result = decodeAiff(buffer);
+
+      expect(result.sampleRate).toBe(44100);
+      expect(result.bitDepth).toBe(16);
+      expect(result.channels).toBe(1);
+      expect(result.sampleCount).toBe(100);
+      expect(result.samples).toHaveLength(1);
+      expect(result.samples[0]).toBeInstanceOf(Float32Array);
+      expect(result.samples[0]).toHaveLength(100);
+    });
+
+    it('decodes stereo 48000Hz', () => {
+      const buffer = createAiffBuffer({ sampleRate: 48000, bitDepth: 16, channels: 2, sampleCount: 200 });
+      const result = decodeAiff(buffer);
+
+      expect(result.sampleRate).toBe(48000);
+      expect(result.channels).toBe(2);
+      expect(result.sampleCount).toBe(200);
+      expect(result.samples).toHaveLength(2);
+      expect(result.samples[0]).toHaveLength(200);
+      expect(result.samples[1]).toHaveLength(200);
+    });
+
+    it('first sample is approximately -1, last is approximately +1', () => {
+      const buffer = createAiffBuffer({ sampleCount: 1000 });
+      const result = decodeAiff(buffer);
+
+      expect(result.samples[0][0]).toBeCloseTo(-1, 2);
+      expect(result.samples[0][999]).toBeCloseTo(1, 2);
+    });
+  });
+
+  describe('24-bit PCM', () => {
+    it('decodes mono 96000Hz', () => {
+      const buffer = createAiffBuffer({ sampleRate: 96000, bitDepth: 24, channels: 1, sampleCount: 100 });
+      const result = decodeAiff(buffer);
+
+      expect(result.sampleRate).toBe(96000);
+      expect(result.bitDepth).toBe(24);
+      expect(result.sampleCount).toBe(100);
+      expect(result.samples[0][0]).toBeCloseTo(-1, 4);
+      expect(result.samples[0][99]).toBeCloseTo(1, 4);
+    });
+
+    it('produces values in [-1, 1] range', () => {
+      const buffer = createAiffBuffer({ bitDepth: 24, sampleCount: 1000 });
+      const result = decodeAiff(buffer);
+
+      for (const sample of result.samples[0]) {
+        expect(sample).toBeGreaterThanOrEqual(-1);
+        expect(sample).toBeLessThanOrEqual(1);
+      }
+    });
+  });
+
+  describe('32-bit integer PCM', () => {
+    it('decodes correctly', () => {
+      const buffer = createAiffBuffer({ bitDepth: 32, sampleCount: 100 });
+      const result = decodeAiff(buffer);
+
+      expect(result.bitDepth).toBe(32);
+      expect(result.sampleCount).toBe(100);
+      expect(result.samples[0][0]).toBeCloseTo(-1, 2);
+      expect(result.samples[0][99]).toBeCloseTo(1, 2);
+    });
+  });
+
+  describe('8-bit PCM', () => {
+    it('decodes signed 8-bit', () => {
+      const buffer = createAiffBuffer({ bitDepth: 8, sampleCount: 100 });
+      const result = decodeAiff(buffer);
+
+      expect(result.bitDepth).toBe(8);
+      expect(result.sampleCount).toBe(100);
+      expect(result.samples[0][0]).toBeCloseTo(-1, 1);
+      expect(result.samples[0][99]).toBeCloseTo(1, 1);
+    });
+  });
+
+  describe('AIFC', () => {
+    it('decodes NONE as big-endian PCM', () => {
+      const buffer = createAiffBuffer({ bitDepth: 16, sampleCount: 100, compression: 'NONE' });
+      const result = decodeAiff(buffer);
+
+      expect(result.bitDepth).toBe(16);
+      expect(result.samples[0][0]).toBeCloseTo(-1, 2);
+      expect(result.samples[0][99]).toBeCloseTo(1, 2);
+    });
+
+    for (const bitDepth of [16, 24, 32]) {
+      it(`decodes sowt ${bitDepth}-bit as little-endian PCM`, () => {
+        const buffer = createAiffBuffer({ bitDepth, sampleCount: 100, compression: 'sowt' });
+        const result = decodeAiff(buffer);
+
+        expect(result.bitDepth).toBe(bitDepth);
+        expect(result.samples[0][0]).toBeCloseTo(-1, 2);
+        expect(result.samples[0][99]).toBeCloseTo(1, 2);
+      });
+    }
+
+    it('decodes fl32 float', () => {
+      const buffer = createAiffBuffer({ bitDepth: 32, sampleCount: 100, compression: 'fl32' });
+      const result = decodeAiff(buffer);
+
+      expect(result.bitDepth).toBe(32);
+      expect(result.sampleCount).toBe(100);
+      expect(result.samples[0][0]).toBeCloseTo(-1, 5);
+      expect(result.samples[0][99]).toBeCloseTo(1, 5);
+    });
+
+    it('decodes fl64 float', () => {
+      const buffer = createAiffBuffer({ bitDepth: 64, sampleCount: 100, compression: 'fl64' });
+      const result = decodeAiff(buffer);
+
+      expect(result.bitDepth).toBe(64);
+      expect(result.samples[0][0]).toBeCloseTo(-1, 5);
+      expect(result.samples[0][99]).toBeCloseTo(1, 5);
+    });
+
+    it('throws for compressed formats', () => {
+      const buffer = createAiffBuffer({ compression: 'ima4' });
+      expect(() => decodeAiff(buffer)).toThrow('Unsupported AIFC compression');
+    });
+  });
+
+  describe('various sample rates', () => {
+    for (const rate of [44100, 48000, 88200, 96000, 176400, 192000]) {
+      it(`decodes ${rate}Hz`, () => {
+        const buffer = createAiffBuffer({ sampleRate: rate, sampleCount: 50 });
+        const result = decodeAiff(buffer);
+        expect(result.sampleRate).toBe(rate);
+      });
+    }
+  });
+
+  describe('error handling', () => {
+    it('throws for non-AIFF data', () => {
+      const buffer = new ArrayBuffer(100);
+      expect(() => decodeAiff(buffer)).toThrow('Not an AIFF file');
+    });
+
+    it('throws for AIFF with no SSND chunk', () => {
+      const buffer = new ArrayBuffer(38);
+      const view = new DataView(buffer);
+      writeString(view, 0, 'FORM');
+      view.setUint32(4, 30, false);
+      writeString(view, 8, 'AIFF');
+      writeString(view, 12, 'COMM');
+      view.setUint32(16, 18, false);
+      view.setInt16(20, 1, false);
+      view.setUint32(22, 0, false);
+      view.setInt16(26, 16, false);
+      writeExtended(view, 28, 44100);
+      // No SSND chunk follows
+
+      expect(() => decodeAiff(buffer)).toThrow('no SSND chunk');
+    });
+  });
+
+  describe('stereo deinterleaving', () => {
+    it('correctly separates left and right channels', () => {
+      // Left = ramp up; the helper writes the same ramp to both channels,
+      // so flip the right channel in place
+      const sampleCount = 50;
+      const buffer = createAiffBuffer({ channels: 2, sampleCount });
+      const view = new DataView(buffer);
+      const dataStart = 12 + 8 + 18 + 16;
+      for (let i = 0; i < sampleCount; i++) {
+        const right = 1 - (i / (sampleCount - 1)) * 2; // +1 to -1
+        view.setInt16(dataStart + i * 4 + 2, Math.round(right * 32767), false);
+      }
+
+      const result = decodeAiff(buffer);
+
+      // Left channel ramps up
+      expect(result.samples[0][0]).toBeCloseTo(-1, 2);
+      expect(result.samples[0][49]).toBeCloseTo(1, 2);
+
+      // Right channel ramps down
+      expect(result.samples[1][0]).toBeCloseTo(1, 2);
+      expect(result.samples[1][49]).toBeCloseTo(-1, 2);
+    });
+  });
+});
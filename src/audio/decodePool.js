@@ -0,0 +1,172 @@
+/**
+ * Decode pool — decodes files, and measures their loudness, on a few workers
+ * so large files don't block the UI. Input bytes are transferred to the
+ * worker and the decoded channels transferred back, so nothing is copied.
+ * Audio sent for measurement is still used on the main thread, so it is
+ * copied to the worker.
+ *
+ * Workers start on demand, up to the pool size, and stay until destroy().
+ * A job can't be interrupted, so aborting one terminates its worker; the
+ * next job starts a fresh one.
+ *
+ * Where workers are unavailable (tests, very old browsers) jobs run on the
+ * main thread instead.
+ */
+
+import { decodeAudio } from './decode';
+import { applyChannelMode } from './channelMode';
+import { measureLoudness } from './loudness';
+
+/** Most workers a pool starts, whatever the core count */
+const MAX_WORKERS = 4;
+
+/** @returns {DOMException} */
+function abortError() {
+  return new DOMException('Worker job aborted', 'AbortError');
+}
+
+export class DecodePool {
+  /**
+   * @param {number} [size] - Worker count (default: cores, at most MAX_WORKERS)
+   */
+  constructor(size = Math.min(MAX_WORKERS, globalThis.navigator?.hardwareConcurrency || 2)) {
+    this._size = size;
+    this._workers = new Set();  // Every live worker
+    this._idle = [];            // Live workers without a job
+    this._running = new Map();  // worker → job
+    this._queue = [];           // Jobs waiting for a worker
+    this._nextId = 0;
+  }
+
+  /**
+   * Decode a file's bytes. The buffer is transferred (detached) when a worker is used.
+   * @param {string} url - For error messages
+   * @param {ArrayBuffer} buffer - Raw file bytes
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Aborting rejects with AbortError and stops the job
+   * @returns {Promise<import('./audioLoader').DecodedAudio>}
+   */
+  decode(url, buffer, { signal } = {}) {
+    if (typeof Worker === 'undefined') return decodeAudio(buffer, url);
+    return this._run({ type: 'decode', url, buffer }, [buffer], `decode of ${url}`, signal);
+  }
+
+  /**
+   * Measure loudness and true peak of decoded audio as a test plays it.
+   * @param {import('./audioLoader').DecodedAudio} decoded - Copied to the worker, left usable
+   * @param {string} mode - Test channel mode
+   * @param {number} width - Channels the test plays
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Aborting rejects with AbortError and stops the job
+   * @returns {Promise<import('./loudness').LoudnessMeasurement>}
+   */
+  measure(decoded, mode, width, { signal } = {}) {
+    if (typeof Worker === 'undefined') return Promise.resolve(measureLoudness(applyChannelMode(decoded, mode, width)));
+    const { sampleRate, bitDepth, channels, sampleCount, samples } = decoded;
+    const audio = { sampleRate, bitDepth, channels, sampleCount, samples };
+    return this._run({ type: 'measure', audio, mode, width }, [], 'loudness measurement', signal);
+  }
+
+  /**
+   * Queue a job for the workers.
+   * @param {object} message - Posted to the worker with the job id
+   * @param {Transferable[]} transfer
+   * @param {string} label - For error messages
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<any>} The worker's result
+   */
+  _run(message, transfer, label, signal) {
+    if (signal?.aborted) return Promise.reject(abortError());
+
+    return new Promise((resolve, reject) => {
+      const job = { id: this._nextId++, message, transfer, label, resolve, reject, signal, onAbort: null };
+      job.onAbort = () => this._abort(job);
+      signal?.addEventListener('abort', job.onAbort, { once: true });
+      this._queue.push(job);
+      this._dispatch();
+    });
+  }
+
+  /** Terminate every worker and reject pending jobs. */
+  destroy() {
+    for (const job of [...this._queue, ...this._running.values()]) {
+      this._settle(job);
+      job.reject(abortError());
+    }
+    for (const worker of this._workers) worker.terminate();
+    this._workers.clear();
+    this._idle = [];
+    this._running.clear();
+    this._queue = [];
+  }
+
+  /** Start queued jobs on idle workers, starting workers up to the pool size. */
+  _dispatch() {
+    // Jobs whose signal fired but whose abort listener hasn't run yet never start
+    for (const job of this._queue.filter((j) => j.signal?.aborted)) this._abort(job);
+    while (this._queue.length > 0) {
+      let worker = this._idle.pop();
+      if (!worker) {
+        if (this._workers.size >= this._size) return;
+        worker = this._startWorker();
+      }
+      const job = this._queue.shift();
+      this._running.set(worker, job);
+      worker.postMessage({ id: job.id, ...job.message }, job.transfer);
+    }
+  }
+
+  /** @returns {Worker} */
+  _startWorker() {
+    const worker = new Worker(new URL('./decodeWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      const job = this._running.get(worker);
+      if (!job || job.id !== data.id) return;
+      this._running.delete(worker);
+      this._idle.push(worker);
+      this._settle(job);
+      if (data.error) job.reject(new Error(data.error));
+      else job.resolve(data.result);
+      this._dispatch();
+    };
+    worker.onerror = (e) => {
+      const job = this._running.get(worker);
+      this._stopWorker(worker);
+      if (job) {
+        this._settle(job);
+        job.reject(new Error(`Worker failed during ${job.label}${e.message ? ` (${e.message})` : ''}`));
+      }
+      this._dispatch();
+    };
+    this._workers.add(worker);
+    return worker;
+  }
+
+  /** @param {Worker} worker */
+  _stopWorker(worker) {
+    worker.terminate();
+    this._workers.delete(worker);
+    this._running.delete(worker);
+    this._idle = this._idle.filter((w) => w !== worker);
+  }
+
+  /** Reject an aborted job, terminating its worker if it has started. */
+  _abort(job) {
+    const queued = this._queue.indexOf(job);
+    if (queued !== -1) {
+      this._queue.splice(queued, 1);
+    } else {
+      for (const [worker, running] of this._running) {
+        if (running === job) this._stopWorker(worker);
+      }
+    }
+    this._settle(job);
+    job.reject(abortError());
+    this._dispatch();
+  }
+
+  /** Detach a finished job from its signal. */
+  _settle(job) {
+    job.signal?.removeEventListener('abort', job.onAbort);
+  }
+}
@@ -0,0 +1,304 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { DecodePool } from './decodePool';
+import { decodeAudio } from './decode';
+import { loadAndValidate } from './audioLoader';
+
+/**
+ * Helper: a Worker stand-in that records what it is sent. Tests answer jobs
+ * with reply(), fail() and crash(); with `StubWorker.handler` set, every job
+ * is answered with the handler's result instead.
+ */
+class StubWorker {
+  static instances = [];
+  static handler = null;
+
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.posted = [];
+    this.terminated = false;
+    this.onmessage = null;
+    this.onerror = null;
+    StubWorker.instances.push(this);
+  }
+
+  postMessage(message, transfer) {
+    this.posted.push({ message, transfer });
+    if (!StubWorker.handler) return;
+    Promise.resolve(StubWorker.handler(message)).then((result) => {
+      this.onmessage({ data: { id: message.id, result } });
+    });
+  }
+
+  terminate() { this.terminated = true; }
+
+  /** The job this worker was sent last. */
+  get job() { return this.posted.at(-1).message; }
+
+  reply(result, id = this.job.id) { this.onmessage({ data: { id, result } }); }
+
+  fail(error) { this.onmessage({ data: { id: this.job.id, error } }); }
+
+  crash(message) { this.onerror({ message }); }
+}
+
+/**
+ * Helper: a mono 16-bit 1kHz WAV file of `sampleCount` silent samples.
+ */
+function createWav(sampleCount) {
+  const buffer = new ArrayBuffer(44 + sampleCount * 2);
+  const view = new DataView(buffer);
+  const ascii = (offset, s) => { for (let i = 0; i < s.length; i++) view.setUint8(offset + i, s.charCodeAt(i)); };
+  ascii(0, 'RIFF');
+  view.setUint32(4, 36 + sampleCount * 2, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, 1000, true);
+  view.setUint32(28, 2000, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  ascii(36, 'data');
+  view.setUint32(40, sampleCount * 2, true);
+  return buffer;
+}
+
+/**
+ * Helper: a streaming Response-like object that delivers `buffer` in chunks
+ * of the given sizes, with a Content-Length header unless `sized` is false.
+ */
+function streamed(buffer, chunkSizes, sized = true) {
+  const bytes = new Uint8Array(buffer);
+  const chunks = [];
+  let offset = 0;
+  for (const size of chunkSizes) {
+    chunks.push(bytes.slice(offset, offset + size));
+    offset += size;
+  }
+  return {
+    ok: true,
+    headers: new Map(sized ? [['Content-Length', String(bytes.length)]] : []),
+    body: {
+      getReader: () => ({
+        read: async () => (chunks.length > 0 ? { done: false, value: chunks.shift() } : { done: true }),
+      }),
+    },
+  };
+}
+
+/** Helper: the settled state of a promise, without waiting for it. */
+async function state(promise) {
+  const pending = {};
+  try {
+    const value = await Promise.race([promise, Promise.resolve(pending)]);
+    return value === pending ? 'pending' : 'fulfilled';
+  } catch {
+    return 'rejected';
+  }
+}
+
+beforeEach(() => {
+  StubWorker.instances = [];
+  StubWorker.handler = null;
+  vi.stubGlobal('Worker', StubWorker);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('DecodePool', () => {
+  it('transfers a decode job to a module worker and resolves with its result', async () => {
+    const pool = new DecodePool(2);
+    const buffer = new ArrayBuffer(8);
+    const job = pool.decode('a.wav', buffer);
+
+    const [worker] = StubWorker.instances;
+    expect(String(worker.url)).toMatch(/decodeWorker\.js$/);
+    expect(worker.options).toEqual({ type: 'module' });
+    expect(worker.posted).toEqual([{ message: { id: 0, type: 'decode', url: 'a.wav', buffer }, transfer: [buffer] }]);
+
+    worker.reply('decoded a');
+    await expect(job).resolves.toBe('decoded a');
+    pool.destroy();
+  });
+
+  it('copies the playing fields of audio sent for measurement', async () => {
+    const pool = new DecodePool(1);
+    const samples = [new Float32Array(4)];
+    const job = pool.measure({ sampleRate: 1000, bitDepth: 16, channels: 1, sampleCount: 4, samples, markers: [] }, 'side', 2);
+
+    expect(StubWorker.instances[0].posted).toEqual([{
+      message: { id: 0, type: 'measure', audio: { sampleRate: 1000, bitDepth: 16, channels: 1, sampleCount: 4, samples }, mode: 'side', width: 2 },
+      transfer: [],
+    }]);
+    pool.destroy();
+    await expect(job).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('starts workers up to the pool size and queues the rest', async () => {
+    const pool = new DecodePool(2);
+    const jobs = ['a.wav', 'b.wav', 'c.wav'].map((url) => pool.decode(url, new ArrayBuffer(1)));
+
+    expect(StubWorker.instances).toHaveLength(2);
+    const [first, second] = StubWorker.instances;
+    expect([first.job.url, second.job.url]).toEqual(['a.wav', 'b.wav']);
+
+    // The first worker to finish takes the queued job
+    second.reply('b');
+    expect(second.job.url).toBe('c.wav');
+    expect(StubWorker.instances).toHaveLength(2);
+    expect(await state(jobs[0])).toBe('pending');
+
+    first.reply('a');
+    second.reply('c');
+    await expect(Promise.all(jobs)).resolves.toEqual(['a', 'b', 'c']);
+    pool.destroy();
+  });
+
+  it('ignores a reply for a job the worker no longer runs', async () => {
+    const pool = new DecodePool(1);
+    const job = pool.decode('a.wav', new ArrayBuffer(1));
+    const [worker] = StubWorker.instances;
+
+    worker.reply('stale', 99);
+    expect(await state(job)).toBe('pending');
+    worker.reply('a');
+    await expect(job).resolves.toBe('a');
+    pool.destroy();
+  });
+
+  it('rejects with the error a worker reports and keeps the worker', async () => {
+    const pool = new DecodePool(1);
+    const job = pool.decode('a.wav', new ArrayBuffer(1));
+    const [worker] = StubWorker.instances;
+
+    worker.fail('Unsupported audio format: a.wav');
+    await expect(job).rejects.toThrow('Unsupported audio format: a.wav');
+
+    const next = pool.decode('b.wav', new ArrayBuffer(1));
+    expect(StubWorker.instances).toHaveLength(1);
+    expect(worker.job.url).toBe('b.wav');
+    worker.reply('b');
+    await expect(next).resolves.toBe('b');
+    pool.destroy();
+  });
+
+  it('replaces a worker that crashes', async () => {
+    const pool = new DecodePool(1);
+    const crashed = pool.decode('a.wav', new ArrayBuffer(1));
+    const next = pool.decode('b.wav', new ArrayBuffer(1));
+    const [worker] = StubWorker.instances;
+
+    worker.crash('out of memory');
+    await expect(crashed).rejects.toThrow('Worker failed during decode of a.wav (out of memory)');
+    expect(worker.terminated).toBe(true);
+
+    const [, fresh] = StubWorker.instances;
+    expect(fresh.job.url).toBe('b.wav');
+    fresh.reply('b');
+    await expect(next).resolves.toBe('b');
+    pool.destroy();
+  });
+
+  it('terminates the worker of an aborted job and starts the next on a fresh one', async () => {
+    const pool = new DecodePool(1);
+    const controller = new AbortController();
+    const aborted = pool.decode('a.wav', new ArrayBuffer(1), { signal: controller.signal });
+    const next = pool.decode('b.wav', new ArrayBuffer(1));
+    const [worker] = StubWorker.instances;
+
+    controller.abort();
+    await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+    expect(worker.terminated).toBe(true);
+
+    // A late reply from the terminated worker goes nowhere
+    worker.reply('a');
+    const [, fresh] = StubWorker.instances;
+    expect(fresh.job.url).toBe('b.wav');
+    fresh.reply('b');
+    await expect(next).resolves.toBe('b');
+    pool.destroy();
+  });
+
+  it('drops an aborted job before it starts', async () => {
+    const pool = new DecodePool(1);
+    const controller = new AbortController();
+    pool.decode('a.wav', new ArrayBuffer(1));
+    const queued = pool.decode('b.wav', new ArrayBuffer(1), { signal: controller.signal });
+    const [worker] = StubWorker.instances;
+
+    controller.abort();
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    expect(worker.terminated).toBe(false);
+
+    worker.reply('a');
+    expect(worker.posted.map((p) => p.message.url)).toEqual(['a.wav']);
+    pool.destroy();
+  });
+
+  it('rejects a job whose signal has already fired without starting a worker', async () => {
+    const pool = new DecodePool(1);
+    await expect(pool.decode('a.wav', new ArrayBuffer(1), { signal: AbortSignal.abort() }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(StubWorker.instances).toHaveLength(0);
+  });
+
+  it('rejects running and queued jobs and terminates every worker on destroy', async () => {
+    const pool = new DecodePool(1);
+    const running = pool.decode('a.wav', new ArrayBuffer(1));
+    const queued = pool.decode('b.wav', new ArrayBuffer(1));
+
+    pool.destroy();
+    await expect(running).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    expect(StubWorker.instances.every((w) => w.terminated)).toBe(true);
+  });
+
+  it('runs jobs on the main thread where workers are unavailable', async () => {
+    vi.unstubAllGlobals();
+    const decoded = await new DecodePool(1).decode('a.wav', createWav(10));
+    expect(decoded.sampleCount).toBe(10);
+  });
+});
+
+describe('loadAndValidate on the decode pool', () => {
+  beforeEach(() => {
+    StubWorker.handler = ({ url, buffer }) => decodeAudio(buffer, url);
+  });
+
+  it('counts downloaded and decoded bytes as files arrive', async () => {
+    // 244-byte files: a.wav sized and in two chunks, b.wav unsized in one
+    const files = { 'a.wav': streamed(createWav(100), [100, 144]), 'b.wav': streamed(createWav(100), [244], false) };
+    vi.stubGlobal('fetch', vi.fn(async (url) => files[url]));
+    vi.spyOn(Date, 'now').mockReturnValue(1_000_000);
+    const onProgress = vi.fn();
+
+    const result = await loadAndValidate(['a.wav', 'b.wav'], onProgress, { concurrency: 1 });
+
+    expect(result.decoded.map((d) => d.sampleCount)).toEqual([100, 100]);
+    expect(StubWorker.instances.flatMap((w) => w.posted.map((p) => p.message.url))).toEqual(['a.wav', 'b.wav']);
+    // The first chunk reports at once, later chunks within the interval don't; each decoded file does
+    expect(onProgress.mock.calls).toEqual([
+      [0, 2, { bytesLoaded: 100, bytesDecoded: 0, bytesTotal: null }],
+      [1, 2, { bytesLoaded: 244, bytesDecoded: 244, bytesTotal: null }],
+      [2, 2, { bytesLoaded: 488, bytesDecoded: 488, bytesTotal: 488 }],
+    ]);
+  });
+
+  it('terminates the workers when loading is aborted', async () => {
+    StubWorker.handler = () => new Promise(() => {});
+    vi.stubGlobal('fetch', vi.fn(async () => streamed(createWav(100), [244])));
+    const controller = new AbortController();
+
+    const load = loadAndValidate(['a.wav', 'b.wav'], null, { signal: controller.signal });
+    await vi.waitFor(() => expect(StubWorker.instances).toHaveLength(2));
+    controller.abort();
+
+    await expect(load).rejects.toMatchObject({ name: 'AbortError' });
+    expect(StubWorker.instances.every((w) => w.terminated)).toBe(true);
+  });
+});
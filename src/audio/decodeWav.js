@@ -2,98 +2,298 @@
  * WAV (RIFF) parser — extracts raw PCM samples from WAV files.
  * Bypasses browser's decodeAudioData() for a controlled decode pipeline.
  *
+ * Containers: RIFF/WAVE, RF64 and BW64 (64-bit sizes from the ds64 chunk),
+ *             Sony Wave64 (GUID chunk IDs, 64-bit sizes)
  * Supports: PCM uint8, int16, int24, int32, float32, float64
- * Returns: { sampleRate, bitDepth, channels, samples: Float32Array[] }
+ * Metadata: Broadcast Wave `bext`, `cue ` points with `LIST adtl` labels, notes and regions
+ * Returns: { sampleRate, bitDepth, channels, sampleCount, samples: Float32Array[], markers, bext }
  */
 
 const RIFF_HEADER = 0x52494646; // "RIFF"
+const RF64_HEADER = 0x52463634; // "RF64"
+const BW64_HEADER = 0x42573634; // "BW64"
 const WAVE_FORMAT = 0x57415645; // "WAVE"
 const FMT_CHUNK = 0x666d7420;  // "fmt "
 const DATA_CHUNK = 0x64617461; // "data"
+const DS64_CHUNK = 0x64733634; // "ds64"
+const BEXT_CHUNK = 0x62657874; // "bext"
+const CUE_CHUNK = 0x63756520;  // "cue "
+const LIST_CHUNK = 0x4c495354; // "LIST"
+const ADTL_TYPE = 0x6164746c;  // "adtl"
+const LABL_CHUNK = 0x6c61626c; // "labl"
+const NOTE_CHUNK = 0x6e6f7465; // "note"
+const LTXT_CHUNK = 0x6c747874; // "ltxt"
+
+/** RF64 size fields hold this when the real size is in ds64 */
+const RF64_SIZE_IN_DS64 = 0xffffffff;
+
+/** Wave64 GUIDs for "riff" and "list", and the tail shared by fourCC-based chunk GUIDs ("wave", "fmt ", "data", ...) */
+const W64_RIFF_GUID = [0x72, 0x69, 0x66, 0x66, 0x2e, 0x91, 0xcf, 0x11, 0xa5, 0xd6, 0x28, 0xdb, 0x04, 0xc1, 0x00, 0x00];
+const W64_LIST_GUID = [0x6c, 0x69, 0x73, 0x74, 0x2f, 0x91, 0xcf, 0x11, 0xa5, 0xd6, 0x28, 0xdb, 0x04, 0xc1, 0x00, 0x00];
+const W64_CHUNK_GUID_TAIL = [0xf3, 0xac, 0xd3, 0x11, 0x8c, 0xd1, 0x00, 0xc0, 0x4f, 0x8e, 0xdb, 0x8a];
+/** Wave64 marker chunk GUID (ABF76256-392D-11D2-86C7-00C04F8EDB8A); its body is laid out like a RIFF cue chunk */
+const W64_MARKER_GUID = [0x56, 0x62, 0xf7, 0xab, 0x2d, 0x39, 0xd2, 0x11, 0x86, 0xc7, 0x00, 0xc0, 0x4f, 0x8e, 0xdb, 0x8a];
 
 const FORMAT_PCM = 1;
 const FORMAT_FLOAT = 3;
 const FORMAT_EXTENSIBLE = 0xfffe;
 
+/**
+ * @typedef {import('./markers').Marker} Marker
+ * @typedef {{ description: string, originator: string, originatorReference: string, originationDate: string,
+ *   originationTime: string, timeReference: number, version: number, codingHistory: string }} BextMetadata
+ */
+
 /**
  * Parse a WAV file from an ArrayBuffer into raw Float32 channel data.
  * @param {ArrayBuffer} buffer - Raw file bytes
- * @returns {{ sampleRate: number, bitDepth: number, channels: number, sampleCount: number, samples: Float32Array[] }}
+ * @returns {{ sampleRate: number, bitDepth: number, channels: number, sampleCount: number, samples: Float32Array[], markers: Marker[], bext: BextMetadata|null }}
  */
 export function decodeWav(buffer) {
   const view = new DataView(buffer);
+  const chunks = isWave64(view) ? readWave64Chunks(view) : readRiffChunks(view);
+
+  // Find fmt chunk
+  const fmt = chunks.find((c) => c.id === FMT_CHUNK);
+  const data = chunks.find((c) => c.id === DATA_CHUNK);
+  if (!data) {
+    throw new Error('WAV file has no data chunk');
+  }
+  if (!fmt) {
+    throw new Error('WAV file is missing fmt chunk');
+  }
+  if (fmt.offset > data.offset) {
+    throw new Error('WAV file has data chunk before fmt chunk');
+  }
+
+  let audioFormat = view.getUint16(fmt.offset, true);
+  const channels = view.getUint16(fmt.offset + 2, true);
+  const sampleRate = view.getUint32(fmt.offset + 4, true);
+  // skip byteRate (4) and blockAlign (2)
+  const bitDepth = view.getUint16(fmt.offset + 14, true);
+
+  // Handle WAVE_FORMAT_EXTENSIBLE — actual format is in the SubFormat GUID
+  if (audioFormat === FORMAT_EXTENSIBLE && fmt.size >= 26) {
+    // cbSize is at +16 (2 bytes), validBitsPerSample at +18 (2 bytes)
+    // dwChannelMask at +20 (4 bytes), SubFormat GUID starts at +24
+    audioFormat = view.getUint16(fmt.offset + 24, true); // First 2 bytes of SubFormat GUID
+  }
+
+  if (audioFormat !== FORMAT_PCM && audioFormat !== FORMAT_FLOAT) {
+    throw new Error(`Unsupported WAV format: ${audioFormat}. Only PCM (1) and IEEE Float (3) are supported.`);
+  }
+
+  const bytesPerSample = bitDepth / 8;
+  // Streaming writers may leave the data size unset — never read past the file
+  const dataSize = Math.min(data.size, buffer.byteLength - data.offset);
+  const sampleCount = Math.floor(dataSize / (bytesPerSample * channels));
+
+  // Allocate output channels
+  const samples = [];
+  for (let ch = 0; ch < channels; ch++) {
+    samples.push(new Float32Array(sampleCount));
+  }
 
+  // Read interleaved samples and deinterleave into per-channel Float32Arrays
+  let pos = data.offset;
+  for (let i = 0; i < sampleCount; i++) {
+    for (let ch = 0; ch < channels; ch++) {
+      samples[ch][i] = readSample(view, pos, bitDepth, audioFormat);
+      pos += bytesPerSample;
+    }
+  }
+
+  const bext = chunks.find((c) => c.id === BEXT_CHUNK);
+  return {
+    sampleRate,
+    bitDepth,
+    channels,
+    sampleCount,
+    samples,
+    markers: readMarkers(view, chunks),
+    bext: bext ? readBext(view, bext) : null,
+  };
+}
+
+/**
+ * List the chunks of a RIFF, RF64 or BW64 file.
+ * @param {DataView} view
+ * @returns {{ id: number, offset: number, size: number }[]} offset of the chunk body
+ */
+function readRiffChunks(view) {
   // Validate RIFF header
-  if (view.getUint32(0, false) !== RIFF_HEADER) {
+  const header = view.byteLength >= 12 ? view.getUint32(0, false) : 0;
+  if (header !== RIFF_HEADER && header !== RF64_HEADER && header !== BW64_HEADER) {
     throw new Error('Not a WAV file: missing RIFF header');
   }
   if (view.getUint32(8, false) !== WAVE_FORMAT) {
     throw new Error('Not a WAV file: missing WAVE format identifier');
   }
 
-  // Find fmt chunk
+  // RF64/BW64: ds64 holds 64-bit sizes for data and any other oversized chunk
+  const sizes64 = new Map();
+  const chunks = [];
   let offset = 12;
-  let fmtFound = false;
-  let audioFormat, channels, sampleRate, bitDepth;
-
-  while (offset < buffer.byteLength - 8) {
-    const chunkId = view.getUint32(offset, false);
-    const chunkSize = view.getUint32(offset + 4, true);
-
-    if (chunkId === FMT_CHUNK) {
-      audioFormat = view.getUint16(offset + 8, true);
-      channels = view.getUint16(offset + 10, true);
-      sampleRate = view.getUint32(offset + 12, true);
-      // skip byteRate (4) and blockAlign (2)
-      bitDepth = view.getUint16(offset + 22, true);
-
-      // Handle WAVE_FORMAT_EXTENSIBLE — actual format is in the SubFormat GUID
-      if (audioFormat === FORMAT_EXTENSIBLE && chunkSize >= 26) {
-        // cbSize is at offset+24 (2 bytes), validBitsPerSample at offset+26 (2 bytes)
-        // dwChannelMask at offset+28 (4 bytes), SubFormat GUID starts at offset+32
-        audioFormat = view.getUint16(offset + 32, true); // First 2 bytes of SubFormat GUID
-      }
+  while (offset <= view.byteLength - 8) {
+    const id = view.getUint32(offset, false);
+    let size = view.getUint32(offset + 4, true);
 
-      fmtFound = true;
+    if (id === DS64_CHUNK && header !== RIFF_HEADER) {
+      sizes64.set(DATA_CHUNK, readUint64(view, offset + 16));
+      const tableLength = view.getUint32(offset + 32, true);
+      for (let t = 0; t < tableLength; t++) {
+        const entry = offset + 36 + t * 12;
+        sizes64.set(view.getUint32(entry, false), readUint64(view, entry + 4));
+      }
     }
+    if (size === RF64_SIZE_IN_DS64 && sizes64.has(id)) size = sizes64.get(id);
 
-    if (chunkId === DATA_CHUNK) {
-      if (!fmtFound) {
-        throw new Error('WAV file has data chunk before fmt chunk');
-      }
+    chunks.push({ id, offset: offset + 8, size });
 
-      if (audioFormat !== FORMAT_PCM && audioFormat !== FORMAT_FLOAT) {
-        throw new Error(`Unsupported WAV format: ${audioFormat}. Only PCM (1) and IEEE Float (3) are supported.`);
-      }
+    // Skip to next chunk (chunks are word-aligned)
+    offset += 8 + size;
+    if (size % 2 !== 0) offset += 1;
+  }
+  return chunks;
+}
+
+/**
+ * List the chunks of a Sony Wave64 file. GUID IDs built from a fourCC map
+ * back to it ("list" becomes LIST) and the marker GUID to "cue ", so the
+ * chunks read like RIFF ones.
+ * @param {DataView} view
+ * @returns {{ id: number, offset: number, size: number }[]} offset of the chunk body
+ */
+function readWave64Chunks(view) {
+  const chunks = [];
+  // riff GUID (16) + file size (8) + wave GUID (16)
+  let offset = 40;
+  while (offset <= view.byteLength - 24) {
+    const size = readUint64(view, offset + 16); // Includes the 24-byte header
+    let id = null;
+    if (matchesBytes(view, offset, W64_LIST_GUID)) {
+      id = LIST_CHUNK;
+    } else if (matchesBytes(view, offset, W64_MARKER_GUID)) {
+      id = CUE_CHUNK;
+    } else if (matchesBytes(view, offset + 4, W64_CHUNK_GUID_TAIL)) {
+      id = view.getUint32(offset, false);
+    }
+    if (id !== null) chunks.push({ id, offset: offset + 24, size: size - 24 });
+    if (size < 24) break;
 
-      const dataStart = offset + 8;
-      const bytesPerSample = bitDepth / 8;
-      const sampleCount = Math.floor(chunkSize / (bytesPerSample * channels));
+    // Chunks are 8-byte aligned
+    offset += Math.ceil(size / 8) * 8;
+  }
+  return chunks;
+}
 
-      // Allocate output channels
-      const samples = [];
-      for (let ch = 0; ch < channels; ch++) {
-        samples.push(new Float32Array(sampleCount));
-      }
+/**
+ * Collect cue points with their adtl labels, notes and region lengths.
+ * @param {DataView} view
+ * @param {{ id: number, offset: number, size: number }[]} chunks
+ * @returns {Marker[]} Sorted by position
+ */
+function readMarkers(view, chunks) {
+  const cue = chunks.find((c) => c.id === CUE_CHUNK);
+  if (!cue) return [];
 
-      // Read interleaved samples and deinterleave into per-channel Float32Arrays
-      let pos = dataStart;
-      for (let i = 0; i < sampleCount; i++) {
-        for (let ch = 0; ch < channels; ch++) {
-          samples[ch][i] = readSample(view, pos, bitDepth, audioFormat);
-          pos += bytesPerSample;
+  const markers = new Map();
+  const count = view.getUint32(cue.offset, true);
+  for (let i = 0; i < count; i++) {
+    // dwName, dwPosition, fccChunk, dwChunkStart, dwBlockStart, dwSampleOffset
+    const point = cue.offset + 4 + i * 24;
+    if (point + 24 > view.byteLength) break;
+    const id = view.getUint32(point, true);
+    markers.set(id, { id, position: view.getUint32(point + 20, true), length: 0, label: null, note: null });
+  }
+
+  for (const list of chunks) {
+    if (list.id !== LIST_CHUNK || view.getUint32(list.offset, false) !== ADTL_TYPE) continue;
+    const end = Math.min(list.offset + list.size, view.byteLength);
+    let offset = list.offset + 4;
+    while (offset <= end - 12) {
+      const subId = view.getUint32(offset, false);
+      const subSize = view.getUint32(offset + 4, true);
+      const marker = markers.get(view.getUint32(offset + 8, true));
+      if (marker) {
+        if (subId === LABL_CHUNK) marker.label = readString(view, offset + 12, subSize - 4);
+        if (subId === NOTE_CHUNK) marker.note = readString(view, offset + 12, subSize - 4);
+        if (subId === LTXT_CHUNK) {
+          // dwName, dwSampleLength, dwPurposeID, country/language/dialect/codePage, text
+          marker.length = view.getUint32(offset + 12, true);
+          if (subSize > 20 && marker.label === null) marker.label = readString(view, offset + 28, subSize - 20);
         }
       }
-
-      return { sampleRate, bitDepth, channels, sampleCount, samples };
+      offset += 8 + subSize;
+      if (subSize % 2 !== 0) offset += 1;
     }
-
-    // Skip to next chunk (chunks are word-aligned)
-    offset += 8 + chunkSize;
-    if (chunkSize % 2 !== 0) offset += 1;
   }
 
-  throw new Error('WAV file has no data chunk');
+  return [...markers.values()].sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Read Broadcast Wave (EBU Tech 3285) metadata.
+ * @param {DataView} view
+ * @param {{ offset: number, size: number }} chunk
+ * @returns {BextMetadata}
+ */
+function readBext(view, { offset, size }) {
+  return {
+    description: readString(view, offset, 256),
+    originator: readString(view, offset + 256, 32),
+    originatorReference: readString(view, offset + 288, 32),
+    originationDate: readString(view, offset + 320, 10),
+    originationTime: readString(view, offset + 330, 8),
+    // Samples since midnight, 64-bit
+    timeReference: view.getUint32(offset + 338, true) + view.getUint32(offset + 342, true) * 2 ** 32,
+    version: view.getUint16(offset + 346, true),
+    codingHistory: size > 602 ? readString(view, offset + 602, size - 602) : '',
+  };
+}
+
+/**
+ * Read a NUL-terminated (or field-length) text field.
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} length - Field length in bytes
+ * @returns {string}
+ */
+function readString(view, offset, length) {
+  const end = Math.min(offset + Math.max(0, length), view.byteLength);
+  const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, Math.max(0, end - offset));
+  const nul = bytes.indexOf(0);
+  return new TextDecoder().decode(nul === -1 ? bytes : bytes.subarray(0, nul)).trim();
+}
+
+/**
+ * Read a little-endian unsigned 64-bit integer as a Number.
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {number}
+ */
+function readUint64(view, offset) {
+  return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32;
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number[]} bytes
+ * @returns {boolean}
+ */
+function matchesBytes(view, offset, bytes) {
+  if (offset + bytes.length > view.byteLength) return false;
+  return bytes.every((b, i) => view.getUint8(offset + i) === b);
+}
+
+/**
+ * @param {DataView} view
+ * @returns {boolean} Whether the file starts with the Wave64 riff and wave GUIDs
+ */
+function isWave64(view) {
+  return matchesBytes(view, 0, W64_RIFF_GUID)
+    && matchesBytes(view, 24, [0x77, 0x61, 0x76, 0x65, ...W64_CHUNK_GUID_TAIL]);
 }
 
 /**
@@ -147,5 +347,8 @@ function readSample(view, offset, bitDepth, audioFormat) {
 export function isWav(buffer) {
   if (buffer.byteLength < 12) return false;
   const view = new DataView(buffer);
-  return view.getUint32(0, false) === RIFF_HEADER && view.getUint32(8, false) === WAVE_FORMAT;
+  if (isWave64(view)) return true;
+  const header = view.getUint32(0, false);
+  return (header === RIFF_HEADER || header === RF64_HEADER || header === BW64_HEADER)
+    && view.getUint32(8, false) === WAVE_FORMAT;
 }
@@ -127,6 +127,151 @@ function createFloat32WavBuffer({ sampleRate = 44100, channels = 1, sampleCount
   return buffer;
 }
 
+/**
+ * Helper: concatenate byte arrays into an ArrayBuffer.
+ */
+function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out.buffer;
+}
+
+/**
+ * Helper: a RIFF chunk (id + size + body, padded to an even length).
+ */
+function riffChunk(id, body) {
+  const bytes = new Uint8Array(8 + body.length + (body.length % 2));
+  const view = new DataView(bytes.buffer);
+  writeString(view, 0, id);
+  view.setUint32(4, body.length, true);
+  bytes.set(body, 8);
+  return bytes;
+}
+
+function ascii(str, length = str.length) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < str.length && i < length; i++) bytes[i] = str.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Helper: append RIFF chunks to a WAV buffer from createWavBuffer and fix up the RIFF size.
+ */
+function appendChunks(buffer, ...chunks) {
+  const out = concat(new Uint8Array(buffer), ...chunks);
+  new DataView(out).setUint32(4, out.byteLength - 8, true);
+  return out;
+}
+
+/**
+ * Helper: rewrite a WAV buffer from createWavBuffer as RF64, with the
+ * RIFF and data sizes moved into a ds64 chunk.
+ */
+function toRf64(buffer) {
+  const wav = new Uint8Array(buffer);
+  const dataSize = buffer.byteLength - 44;
+  const ds64 = new Uint8Array(28);
+  const ds = new DataView(ds64.buffer);
+  ds.setUint32(0, buffer.byteLength + 36 - 8, true); // RIFF size (low)
+  ds.setUint32(8, dataSize, true); // data size (low)
+  ds.setUint32(16, dataSize / new DataView(buffer).getUint16(32, true), true); // sample count (low)
+  ds.setUint32(24, 0, true); // table length
+
+  const out = concat(wav.subarray(0, 12), riffChunk('ds64', ds64), wav.subarray(12));
+  const view = new DataView(out);
+  writeString(view, 0, 'RF64');
+  view.setUint32(4, 0xffffffff, true);
+  view.setUint32(36 + 40, 0xffffffff, true); // data chunk size
+  return out;
+}
+
+const W64_GUID_TAIL = [0xf3, 0xac, 0xd3, 0x11, 0x8c, 0xd1, 0x00, 0xc0, 0x4f, 0x8e, 0xdb, 0x8a];
+
+/**
+ * Helper: a Wave64 chunk (GUID + 64-bit size including the header, padded to 8 bytes).
+ */
+function w64Chunk(id, body) {
+  const size = 24 + body.length;
+  const bytes = new Uint8Array(Math.ceil(size / 8) * 8);
+  const view = new DataView(bytes.buffer);
+  writeString(view, 0, id);
+  bytes.set(W64_GUID_TAIL, 4);
+  view.setUint32(16, size, true);
+  bytes.set(body, 24);
+  return bytes;
+}
+
+/**
+ * Helper: rewrite a WAV buffer from createWavBuffer as Sony Wave64,
+ * with extra Wave64 chunks after the data.
+ */
+function toWave64(buffer, ...extra) {
+  const wav = new Uint8Array(buffer);
+  const fmt = w64Chunk('fmt ', wav.subarray(20, 36));
+  const data = w64Chunk('data', wav.subarray(44));
+  const header = new Uint8Array(40);
+  header.set([0x72, 0x69, 0x66, 0x66, 0x2e, 0x91, 0xcf, 0x11, 0xa5, 0xd6, 0x28, 0xdb, 0x04, 0xc1, 0x00, 0x00]);
+  const length = 40 + fmt.length + data.length + extra.reduce((n, c) => n + c.length, 0);
+  new DataView(header.buffer).setUint32(16, length, true);
+  header.set([0x77, 0x61, 0x76, 0x65, ...W64_GUID_TAIL], 24);
+  return concat(header, fmt, data, ...extra);
+}
+
+/**
+ * Helper: a Wave64 marker chunk (Sony marker GUID, cue chunk body) from [id, sampleOffset] pairs.
+ */
+function w64MarkerChunk(points) {
+  const body = cueChunk(points).subarray(8);
+  const size = 24 + body.length;
+  const bytes = new Uint8Array(Math.ceil(size / 8) * 8);
+  bytes.set([0x56, 0x62, 0xf7, 0xab, 0x2d, 0x39, 0xd2, 0x11, 0x86, 0xc7, 0x00, 0xc0, 0x4f, 0x8e, 0xdb, 0x8a]);
+  new DataView(bytes.buffer).setUint32(16, size, true);
+  bytes.set(body, 24);
+  return bytes;
+}
+
+/**
+ * Helper: a cue chunk from [id, sampleOffset] pairs.
+ */
+function cueChunk(points) {
+  const body = new Uint8Array(4 + points.length * 24);
+  const view = new DataView(body.buffer);
+  view.setUint32(0, points.length, true);
+  points.forEach(([id, position], i) => {
+    const p = 4 + i * 24;
+    view.setUint32(p, id, true);
+    view.setUint32(p + 4, position, true);
+    writeString(view, p + 8, 'data');
+    view.setUint32(p + 20, position, true);
+  });
+  return riffChunk('cue ', body);
+}
+
+/**
+ * Helper: a labl or note sub-chunk of an adtl list.
+ */
+function adtlText(id, cueId, text) {
+  const body = concat(new Uint8Array(4), ascii(text + '\0'));
+  new DataView(body).setUint32(0, cueId, true);
+  return riffChunk(id, new Uint8Array(body));
+}
+
+/**
+ * Helper: an ltxt sub-chunk marking a region of sampleLength frames.
+ */
+function adtlRegion(cueId, sampleLength) {
+  const body = new Uint8Array(20);
+  const view = new DataView(body.buffer);
+  view.setUint32(0, cueId, true);
+  view.setUint32(4, sampleLength, true);
+  writeString(view, 8, 'rgn ');
+  return riffChunk('ltxt', body);
+}
+
 // --- Tests ---
 
 describe('isWav', () => {
@@ -265,6 +410,112 @@ describe('decodeWav', () => {
     }
   });
 
+  describe('RF64 / BW64', () => {
+    it('reads the data size from the ds64 chunk', () => {
+      const buffer = toRf64(createWavBuffer({ sampleRate: 48000, bitDepth: 24, channels: 2, sampleCount: 100 }));
+      const result = decodeWav(buffer);
+
+      expect(result.sampleRate).toBe(48000);
+      expect(result.channels).toBe(2);
+      expect(result.sampleCount).toBe(100);
+      expect(result.samples[0][0]).toBeCloseTo(-1, 4);
+      expect(result.samples[1][99]).toBeCloseTo(1, 4);
+    });
+
+    it('accepts the BW64 header', () => {
+      const buffer = toRf64(createWavBuffer({ sampleCount: 100 }));
+      writeString(new DataView(buffer), 0, 'BW64');
+
+      expect(isWav(buffer)).toBe(true);
+      expect(decodeWav(buffer).sampleCount).toBe(100);
+    });
+  });
+
+  describe('Wave64', () => {
+    it('decodes GUID-based chunks', () => {
+      const buffer = toWave64(createWavBuffer({ sampleRate: 96000, bitDepth: 16, channels: 2, sampleCount: 101 }));
+
+      expect(isWav(buffer)).toBe(true);
+      const result = decodeWav(buffer);
+      expect(result.sampleRate).toBe(96000);
+      expect(result.channels).toBe(2);
+      expect(result.sampleCount).toBe(101);
+      expect(result.samples[0][0]).toBeCloseTo(-1, 2);
+      expect(result.samples[1][100]).toBeCloseTo(1, 2);
+    });
+
+    it('reads markers from the Sony marker chunk', () => {
+      const buffer = toWave64(createWavBuffer({ sampleCount: 100 }), w64MarkerChunk([[2, 70], [1, 30]]));
+
+      expect(decodeWav(buffer).markers).toEqual([
+        { id: 1, position: 30, length: 0, label: null, note: null },
+        { id: 2, position: 70, length: 0, label: null, note: null },
+      ]);
+    });
+  });
+
+  describe('Broadcast Wave metadata', () => {
+    it('reads the bext chunk', () => {
+      const body = new Uint8Array(602 + 20);
+      const view = new DataView(body.buffer);
+      body.set(ascii('Take 3'), 0);
+      body.set(ascii('Recorder'), 256);
+      body.set(ascii('REF-001'), 288);
+      body.set(ascii('2026-03-01'), 320);
+      body.set(ascii('12:34:56'), 330);
+      view.setUint32(338, 1, true); // timeReference low
+      view.setUint32(342, 1, true); // timeReference high
+      view.setUint16(346, 2, true);
+      body.set(ascii('A=PCM,F=48000\r\n'), 602);
+      const buffer = appendChunks(createWavBuffer(), riffChunk('bext', body));
+
+      const { bext } = decodeWav(buffer);
+      expect(bext).toEqual({
+        description: 'Take 3',
+        originator: 'Recorder',
+        originatorReference: 'REF-001',
+        originationDate: '2026-03-01',
+        originationTime: '12:34:56',
+        timeReference: 2 ** 32 + 1,
+        version: 2,
+        codingHistory: 'A=PCM,F=48000',
+      });
+    });
+
+    it('returns null bext and no markers for plain WAV', () => {
+      const result = decodeWav(createWavBuffer());
+      expect(result.bext).toBeNull();
+      expect(result.markers).toEqual([]);
+    });
+  });
+
+  describe('cue markers', () => {
+    it('reads cue points with adtl labels, notes and regions', () => {
+      const adtl = riffChunk('LIST', new Uint8Array(concat(
+        ascii('adtl'),
+        adtlText('labl', 2, 'Chorus'),
+        adtlText('note', 2, 'Loud part'),
+        adtlRegion(2, 20),
+        adtlText('labl', 1, 'Intro'),
+      )));
+      const buffer = appendChunks(createWavBuffer({ sampleCount: 100 }), cueChunk([[2, 60], [1, 10]]), adtl);
+
+      expect(decodeWav(buffer).markers).toEqual([
+        { id: 1, position: 10, length: 0, label: 'Intro', note: null },
+        { id: 2, position: 60, length: 20, label: 'Chorus', note: 'Loud part' },
+      ]);
+    });
+
+    it('reads markers from RF64 files', () => {
+      const buffer = appendChunks(toRf64(createWavBuffer({ sampleCount: 100 })), cueChunk([[1, 42]]));
+      new DataView(buffer).setUint32(4, 0xffffffff, true);
+
+      expect(decodeWav(buffer).markers).toEqual([
+        { id: 1, position: 42, length: 0, label: null, note: null },
+      ]);
+    });
+  });
+
   describe('error handling', () => {
     it('throws for non-WAV data', () => {
       const buffer = new ArrayBuffer(100);
@@ -289,6 +540,20 @@ describe('decodeWav', () => {
 
       expect(() => decodeWav(buffer)).toThrow('no data chunk');
     });
+
+    it('throws for WAV with no fmt chunk', () => {
+      const header = concat(ascii('RIFF'), new Uint8Array(4), ascii('WAVE'));
+      const buffer = appendChunks(header, riffChunk('data', new Uint8Array(4)));
+
+      expect(() => decodeWav(buffer)).toThrow('missing fmt chunk');
+    });
+
+    it('throws for WAV with data before fmt', () => {
+      const wav = new Uint8Array(createWavBuffer({ sampleCount: 4 }));
+      const swapped = concat(wav.subarray(0, 12), wav.subarray(36), wav.subarray(12, 36));
+
+      expect(() => decodeWav(swapped)).toThrow('data chunk before fmt chunk');
+    });
   });
 
   describe('stereo deinterleaving', () => {
@@ -0,0 +1,29 @@
+/**
+ * Decode worker — decodes files and measures loudness off the main thread,
+ * one job per message.
+ *
+ * In:  { id, type: 'decode', url, buffer } with buffer transferred
+ *      { id, type: 'measure', audio, mode, width } with audio copied
+ * Out: { id, result } — decoded audio with its channel buffers transferred,
+ *      or a LoudnessMeasurement — or { id, error }
+ */
+
+import { decodeAudio } from './decode';
+import { applyChannelMode } from './channelMode';
+import { measureLoudness } from './loudness';
+
+self.onmessage = async ({ data }) => {
+  const { id, type } = data;
+  try {
+    if (type === 'measure') {
+      self.postMessage({ id, result: measureLoudness(applyChannelMode(data.audio, data.mode, data.width)) });
+      return;
+    }
+    const decoded = await decodeAudio(data.buffer, data.url);
+    // Channels may share one buffer — each buffer can be transferred once
+    const transfer = [...new Set(decoded.samples.map((ch) => ch.buffer))];
+    self.postMessage({ id, result: decoded }, transfer);
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
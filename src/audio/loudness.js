@@ -0,0 +1,311 @@
+/**
+ * Loudness measurement — ITU-R BS.1770 integrated loudness (LUFS) and true peak (dBTP).
+ *
+ * Runs on decoded Float32 samples after loading, on the decode pool's workers
+ * (measureTestLevels). Used to flag level mismatches between the options of a
+ * test and, with `levelMatch: lufs`, to compute the per-option gain that
+ * brings every option down to the quietest one.
+ */
+
+import { applyChannelMode } from './channelMode';
+
+/**
+ * @typedef {import('./audioLoader').DecodedAudio} DecodedAudio
+ * @typedef {{ integratedLufs: number, truePeakDbtp: number }} LoudnessMeasurement
+ */
+
+/** Gating block length and hop, in seconds (400ms blocks, 75% overlap) */
+const BLOCK_SECONDS = 0.4;
+const HOP_SECONDS = 0.1;
+
+/** Absolute gate, in LUFS */
+const ABSOLUTE_GATE = -70;
+/** Relative gate, in LU below the absolute-gated loudness */
+const RELATIVE_GATE = -10;
+
+/** Taps per phase of the true-peak interpolation filter */
+const TRUE_PEAK_TAPS = 12;
+
+/**
+ * Channel weights. Mono/stereo and anything unrecognized weigh every channel 1.0;
+ * 5.0 and 5.1 weigh the surrounds 1.41 and drop the LFE.
+ * @param {number} channels
+ * @returns {number[]}
+ */
+function channelWeights(channels) {
+  if (channels === 5) return [1, 1, 1, 1.41, 1.41];
+  if (channels === 6) return [1, 1, 1, 0, 1.41, 1.41];
+  return new Array(channels).fill(1);
+}
+
+/**
+ * K-weighting filter coefficients (high-shelf pre-filter + RLB high-pass) for any sample rate.
+ * @param {number} sampleRate
+ * @returns {{ b: number[], a: number[] }[]}
+ */
+function kWeightingCoefficients(sampleRate) {
+  // Stage 1: high shelf, +4dB above ~1.7kHz
+  let f0 = 1681.974450955533;
+  let q = 0.7071752369554196;
+  let k = Math.tan((Math.PI * f0) / sampleRate);
+  const vh = Math.pow(10, 3.999843853973347 / 20);
+  const vb = Math.pow(vh, 0.4996667741545416);
+  let a0 = 1 + k / q + k * k;
+  const shelf = {
+    b: [(vh + (vb * k) / q + k * k) / a0, (2 * (k * k - vh)) / a0, (vh - (vb * k) / q + k * k) / a0],
+    a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0],
+  };
+
+  // Stage 2: RLB high-pass at ~38Hz
+  f0 = 38.13547087602444;
+  q = 0.5003270373238773;
+  k = Math.tan((Math.PI * f0) / sampleRate);
+  a0 = 1 + k / q + k * k;
+  const highpass = {
+    b: [1, -2, 1],
+    a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0],
+  };
+
+  return [shelf, highpass];
+}
+
+/**
+ * Sum of squared K-weighted samples per 100ms hop, for one channel.
+ * @param {Float32Array} samples
+ * @param {{ b: number[], a: number[] }[]} stages
+ * @param {number} hop - Samples per hop
+ * @returns {Float64Array}
+ */
+function hopEnergies(samples, stages, hop) {
+  const nHops = Math.floor(samples.length / hop);
+  const energies = new Float64Array(nHops);
+  const [s1, s2] = stages;
+  let x1 = 0, x2 = 0, m1 = 0, m2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < nHops * hop; i++) {
+    const x = samples[i];
+    const m = s1.b[0] * x + s1.b[1] * x1 + s1.b[2] * x2 - s1.a[0] * m1 - s1.a[1] * m2;
+    const y = s2.b[0] * m + s2.b[1] * m1 + s2.b[2] * m2 - s2.a[0] * y1 - s2.a[1] * y2;
+    x2 = x1; x1 = x;
+    m2 = m1; m1 = m;
+    y2 = y1; y1 = y;
+    energies[Math.floor(i / hop)] += y * y;
+  }
+  return energies;
+}
+
+/**
+ * @param {number} power - Weighted mean square
+ * @returns {number} LUFS
+ */
+function toLufs(power) {
+  return -0.691 + 10 * Math.log10(power);
+}
+
+/**
+ * Gated integrated loudness.
+ * @param {DecodedAudio} decoded
+ * @returns {number} LUFS, -Infinity for silence or audio shorter than one block
+ */
+export function integratedLoudness(decoded) {
+  const { sampleRate, samples, channels } = decoded;
+  const stages = kWeightingCoefficients(sampleRate);
+  const weights = channelWeights(channels);
+  const hop = Math.round(sampleRate * HOP_SECONDS);
+  const hopsPerBlock = Math.round(BLOCK_SECONDS / HOP_SECONDS);
+  const blockLength = hop * hopsPerBlock;
+
+  const perChannel = samples.map((ch) => hopEnergies(ch, stages, hop));
+  const nBlocks = perChannel[0].length - hopsPerBlock + 1;
+  if (nBlocks < 1) return -Infinity;
+
+  // Weighted mean square of each block
+  const blocks = new Float64Array(nBlocks);
+  for (let c = 0; c < channels; c++) {
+    if (weights[c] === 0) continue;
+    const hops = perChannel[c];
+    for (let j = 0; j < nBlocks; j++) {
+      let sum = 0;
+      for (let h = 0; h < hopsPerBlock; h++) sum += hops[j + h];
+      blocks[j] += (weights[c] * sum) / blockLength;
+    }
+  }
+
+  const gatedMean = (threshold) => {
+    let sum = 0;
+    let n = 0;
+    for (const p of blocks) {
+      if (p > 0 && toLufs(p) > threshold) { sum += p; n++; }
+    }
+    return n > 0 ? sum / n : 0;
+  };
+
+  const absoluteGated = gatedMean(ABSOLUTE_GATE);
+  if (absoluteGated === 0) return -Infinity;
+  const relativeGated = gatedMean(Math.max(ABSOLUTE_GATE, toLufs(absoluteGated) + RELATIVE_GATE));
+  return relativeGated > 0 ? toLufs(relativeGated) : -Infinity;
+}
+
+/**
+ * Windowed-sinc interpolation coefficients, one row per fractional phase.
+ * @param {number} factor - Oversampling factor
+ * @returns {Float64Array[]}
+ */
+function interpolationPhases(factor) {
+  const half = TRUE_PEAK_TAPS / 2;
+  const phases = [];
+  for (let p = 1; p < factor; p++) {
+    const frac = p / factor;
+    const row = new Float64Array(TRUE_PEAK_TAPS);
+    for (let t = 0; t < TRUE_PEAK_TAPS; t++) {
+      const x = frac - (t - half + 1);
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+      const window = 0.5 + 0.5 * Math.cos((Math.PI * x) / half);
+      row[t] = sinc * window;
+    }
+    phases.push(row);
+  }
+  return phases;
+}
+
+/**
+ * True peak: maximum absolute value of the signal oversampled to at least 192kHz
+ * (4× at 48kHz and below).
+ * @param {DecodedAudio} decoded
+ * @returns {number} dBTP, -Infinity for digital silence
+ */
+export function truePeak(decoded) {
+  const factor = Math.min(4, Math.max(1, Math.ceil(192000 / decoded.sampleRate)));
+  const phases = interpolationPhases(factor);
+  const half = TRUE_PEAK_TAPS / 2;
+  let peak = 0;
+
+  for (const ch of decoded.samples) {
+    for (let n = 0; n < ch.length; n++) {
+      const s = Math.abs(ch[n]);
+      if (s > peak) peak = s;
+      for (const row of phases) {
+        let y = 0;
+        for (let t = 0; t < TRUE_PEAK_TAPS; t++) {
+          const idx = n + t - half + 1;
+          if (idx >= 0 && idx < ch.length) y += ch[idx] * row[t];
+        }
+        if (Math.abs(y) > peak) peak = Math.abs(y);
+      }
+    }
+  }
+  return 20 * Math.log10(peak);
+}
+
+/**
+ * Measure integrated loudness and true peak.
+ * @param {DecodedAudio} decoded
+ * @returns {LoudnessMeasurement}
+ */
+export function measureLoudness(decoded) {
+  return {
+    integratedLufs: integratedLoudness(decoded),
+    truePeakDbtp: truePeak(decoded),
+  };
+}
+
+/**
+ * Key identifying what an option sounds like at playback: the file plus its trim.
+ * Polarity doesn't change loudness, so it isn't part of the key.
+ * @param {{ audioUrl: string, gainDb?: number }} option
+ * @returns {string}
+ */
+export function levelKey(option) {
+  return `${option.audioUrl}|${option.gainDb ?? 0}`;
+}
+
+/**
+ * Memo key for a measurement: a file as a test plays it.
+ * @param {string} url
+ * @param {string} mode - Channel mode
+ * @param {number} width - Channels the test plays
+ * @returns {string}
+ */
+function layoutKey(url, mode, width) {
+  return `${url}|${mode}|${width}`;
+}
+
+/**
+ * A test's channel mode, playback width and the options that have audio.
+ * @param {object} test - Normalized test config
+ * @param {Map<string, DecodedAudio>} cache
+ * @returns {{ mode: string, width: number, present: object[] }}
+ */
+function testLayout(test, cache) {
+  const mode = test.channelMode ?? 'stereo';
+  const present = test.options.filter((opt) => cache.has(opt.audioUrl));
+  const width = Math.max(0, ...present.map((opt) => cache.get(opt.audioUrl).channels));
+  return { mode, width, present };
+}
+
+/**
+ * Measure every option of every test as it plays, on a pool's workers. Each
+ * file is measured once per playback layout, however many tests use it.
+ * @param {object[]} tests - Normalized test configs
+ * @param {Map<string, DecodedAudio>} cache - Decoded audio by URL
+ * @param {import('./decodePool').DecodePool} pool
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting rejects with AbortError and stops the workers
+ * @returns {Promise<Map<string, LoudnessMeasurement>>} Memo to pass to analyzeTestLevels
+ */
+export async function measureTestLevels(tests, cache, pool, { signal } = {}) {
+  const layouts = new Map();
+  for (const test of tests) {
+    const { mode, width, present } = testLayout(test, cache);
+    for (const opt of present) layouts.set(layoutKey(opt.audioUrl, mode, width), { url: opt.audioUrl, mode, width });
+  }
+  const measured = await Promise.all([...layouts].map(async ([key, { url, mode, width }]) =>
+    [key, await pool.measure(cache.get(url), mode, width, { signal })]));
+  return new Map(measured);
+}
+
+/**
+ * Measure a test's options and work out level-matching gains.
+ * Options are measured as the test plays them (channelMode, mono upmix) and
+ * include each option's configured gainDb.
+ * Matching only ever attenuates: every option is brought down to the quietest one.
+ * Options that measure as silence are left at 0dB and excluded from the spread.
+ * @param {object} test - Normalized test config (options, levelMatch, levelTolerance, channelMode)
+ * @param {Map<string, DecodedAudio>} cache - Decoded audio by URL
+ * @param {Map<string, LoudnessMeasurement>} [measured] - Memo of measurements by URL and playback layout, shared across
+ *   tests (from measureTestLevels); options missing from it are measured here, on the calling thread
+ * @returns {{ levelMatch: string|null, tolerance: number, spread: number, mismatch: boolean, options: object[], gains: Map<string, number> }} gains keyed by levelKey
+ */
+export function analyzeTestLevels(test, cache, measured = new Map()) {
+  const { mode, width, present } = testLayout(test, cache);
+  const options = [];
+  for (const opt of present) {
+    const memoKey = layoutKey(opt.audioUrl, mode, width);
+    if (!measured.has(memoKey)) {
+      measured.set(memoKey, measureLoudness(applyChannelMode(cache.get(opt.audioUrl), mode, width)));
+    }
+    const { integratedLufs, truePeakDbtp } = measured.get(memoKey);
+    const trim = opt.gainDb ?? 0;
+    options.push({ name: opt.name, key: levelKey(opt), integratedLufs: integratedLufs + trim, truePeakDbtp: truePeakDbtp + trim });
+  }
+
+  const audible = options.filter((o) => Number.isFinite(o.integratedLufs));
+  const loudest = audible.length ? Math.max(...audible.map((o) => o.integratedLufs)) : 0;
+  const quietest = audible.length ? Math.min(...audible.map((o) => o.integratedLufs)) : 0;
+  const spread = loudest - quietest;
+  const matched = test.levelMatch === 'lufs';
+
+  const gains = new Map();
+  for (const o of options) {
+    o.matchGainDb = matched && Number.isFinite(o.integratedLufs) ? quietest - o.integratedLufs : 0;
+    if (o.matchGainDb !== 0) gains.set(o.key, o.matchGainDb);
+  }
+
+  return {
+    levelMatch: test.levelMatch,
+    tolerance: test.levelTolerance,
+    spread,
+    mismatch: spread > test.levelTolerance,
+    options: options.map(({ key, ...o }) => o),
+    gains,
+  };
+}
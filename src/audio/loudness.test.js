@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { integratedLoudness, truePeak, measureTestLevels, analyzeTestLevels } from './loudness';
+import { DecodePool } from './decodePool';
+
+/**
+ * Helper: decoded sine on every channel.
+ */
+function sine({ frequency, dbfs, channels, seconds = 5, sampleRate = 48000 }) {
+  const sampleCount = seconds * sampleRate;
+  const amplitude = Math.pow(10, dbfs / 20);
+  const ch = new Float32Array(sampleCount);
+  for (let i = 0; i < sampleCount; i++) ch[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+  return { sampleRate, bitDepth: 32, channels, sampleCount, samples: new Array(channels).fill(ch) };
+}
+
+describe('integratedLoudness', () => {
+  it('measures a 997Hz 0dBFS stereo sine at 0 LUFS', () => {
+    expect(integratedLoudness(sine({ frequency: 997, dbfs: 0, channels: 2 }))).toBeCloseTo(0, 1);
+  });
+
+  it('measures a -20dBFS mono 1kHz sine at -23 LUFS', () => {
+    expect(integratedLoudness(sine({ frequency: 1000, dbfs: -20, channels: 1 }))).toBeCloseTo(-23, 1);
+  });
+
+  it('returns -Infinity for silence', () => {
+    expect(integratedLoudness(sine({ frequency: 1000, dbfs: -Infinity, channels: 1 }))).toBe(-Infinity);
+  });
+});
+
+describe('truePeak', () => {
+  it('measures a 0dBFS sine at 0 dBTP', () => {
+    expect(truePeak(sine({ frequency: 997, dbfs: 0, channels: 1, seconds: 1 }))).toBeCloseTo(0, 1);
+  });
+});
+
+describe('measureTestLevels', () => {
+  it('measures each file once per playback layout, matching analyzeTestLevels', async () => {
+    const cache = new Map([
+      ['a.wav', sine({ frequency: 1000, dbfs: -20, channels: 1, seconds: 1 })],
+      ['b.wav', sine({ frequency: 1000, dbfs: -26, channels: 1, seconds: 1 })],
+    ]);
+    const options = [{ name: 'A', audioUrl: 'a.wav' }, { name: 'B', audioUrl: 'b.wav' }];
+    const tests = [
+      { options, channelMode: 'stereo', levelMatch: 'lufs', levelTolerance: 1 },
+      { options, channelMode: 'stereo', levelMatch: null, levelTolerance: 1 },
+    ];
+    const pool = new DecodePool();
+    const measured = await measureTestLevels(tests, cache, pool);
+    pool.destroy();
+
+    expect(measured.size).toBe(2);
+    const report = analyzeTestLevels(tests[0], cache, measured);
+    expect(report).toEqual(analyzeTestLevels(tests[0], cache));
+    expect(report.spread).toBeCloseTo(6, 1);
+    expect(report.options[0].matchGainDb).toBeCloseTo(-6, 1);
+  });
+});
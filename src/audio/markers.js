@@ -0,0 +1,87 @@
+/**
+ * Marker bookkeeping — keeps cue markers read from files (see decodeWav.js)
+ * in step with the decoded samples when they are resampled or trimmed.
+ */
+
+/**
+ * @typedef {{ id: number, position: number, length: number, label: string|null, note: string|null }} Marker
+ *   position and length in sample frames; length 0 for a point marker
+ */
+
+/**
+ * Markers for a slice [from, to) of the samples. Markers starting outside
+ * the slice are dropped; regions running past its end are shortened.
+ * @param {Marker[]|undefined} markers
+ * @param {number} from
+ * @param {number} to
+ * @returns {Marker[]|undefined}
+ */
+export function sliceMarkers(markers, from, to) {
+  if (!markers) return markers;
+  return markers
+    .filter((m) => m.position >= from && m.position < to)
+    .map((m) => ({
+      ...m,
+      position: m.position - from,
+      length: Math.min(m.length, to - m.position),
+    }));
+}
+
+/**
+ * Markers for samples converted to another rate.
+ * @param {Marker[]|undefined} markers
+ * @param {number} ratio - Target rate / source rate
+ * @returns {Marker[]|undefined}
+ */
+export function scaleMarkers(markers, ratio) {
+  if (!markers) return markers;
+  return markers.map((m) => ({
+    ...m,
+    position: Math.round(m.position * ratio),
+    length: Math.round(m.length * ratio),
+  }));
+}
+
+/**
+ * Loop presets from cue markers, in position order. A region marker spans its
+ * own length; a point marker runs to the nearest later marker, or to the end
+ * of the file. Cue chunks needn't list markers in order, so don't rely on it.
+ * @param {Marker[]|undefined} markers
+ * @param {number} sampleRate
+ * @param {number} sampleCount
+ * @returns {{ name: string, start: number, end: number }[]} start and end in seconds
+ */
+export function markerSegments(markers, sampleRate, sampleCount) {
+  if (!markers) return [];
+  const sorted = [...markers].sort((a, b) => a.position - b.position);
+  return sorted
+    .map((m) => {
+      const next = sorted.find((n) => n.position > m.position);
+      const end = m.length > 0 ? m.position + m.length : (next?.position ?? sampleCount);
+      return {
+        name: m.label || `Marker ${m.id}`,
+        start: m.position / sampleRate,
+        end: Math.min(end, sampleCount) / sampleRate,
+      };
+    })
+    .filter((s) => s.end > s.start);
+}
+
+/**
+ * A test's loop presets: its configured segments, then the cue markers of
+ * the first option file that has any, limited to the audio's duration.
+ * @param {{ options: { audioUrl: string }[], segments: { name: string, start: number, end: number }[] }} test
+ * @param {Map<string, import('./audioLoader').DecodedAudio>} decodedByUrl
+ * @returns {{ name: string, start: number, end: number }[]} start and end in seconds
+ */
+export function segmentPresets(test, decodedByUrl) {
+  const decoded = test.options.map((o) => decodedByUrl.get(o.audioUrl)).filter(Boolean);
+  if (decoded.length === 0) return [];
+  // Every option shares the timeline, so one file's markers serve the whole test
+  const marked = decoded.find((d) => d.markers?.length > 0);
+  const markers = marked ? markerSegments(marked.markers, marked.sampleRate, marked.sampleCount) : [];
+  const duration = decoded[0].sampleCount / decoded[0].sampleRate;
+  return [...test.segments, ...markers]
+    .filter((s) => s.start < duration)
+    .map((s) => ({ ...s, end: Math.min(s.end, duration) }));
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { markerSegments, segmentPresets } from './markers';
+
+/**
+ * Helper: decoded mono audio of `seconds` at 1kHz with the given markers.
+ */
+function decoded(seconds, markers) {
+  const sampleCount = seconds * 1000;
+  return { sampleRate: 1000, bitDepth: 16, channels: 1, sampleCount, samples: [new Float32Array(sampleCount)], markers };
+}
+
+function marker(id, position, length = 0, label = null) {
+  return { id, position, length, label, note: null };
+}
+
+describe('markerSegments', () => {
+  it('ends a point marker at the nearest later marker, whatever the cue order', () => {
+    const markers = [marker(1, 100, 0, 'A'), marker(3, 300, 0, 'C'), marker(2, 200, 0, 'B')];
+
+    expect(markerSegments(markers, 1000, 500)).toEqual([
+      { name: 'A', start: 0.1, end: 0.2 },
+      { name: 'B', start: 0.2, end: 0.3 },
+      { name: 'C', start: 0.3, end: 0.5 },
+    ]);
+  });
+
+  it('spans a region marker by its length, capped at the end of the file', () => {
+    const markers = [marker(1, 100, 50), marker(2, 400, 500)];
+
+    expect(markerSegments(markers, 1000, 500)).toEqual([
+      { name: 'Marker 1', start: 0.1, end: 0.15 },
+      { name: 'Marker 2', start: 0.4, end: 0.5 },
+    ]);
+  });
+
+  it('drops a marker at the very end of the file', () => {
+    const markers = [marker(1, 500), marker(2, 100)];
+
+    expect(markerSegments(markers, 1000, 500)).toEqual([{ name: 'Marker 2', start: 0.1, end: 0.5 }]);
+  });
+});
+
+describe('segmentPresets', () => {
+  it('lists configured segments, then the markers of the first marked file', () => {
+    const test = {
+      options: [{ audioUrl: 'a.wav' }, { audioUrl: 'b.wav' }],
+      segments: [{ name: 'Intro', start: 0, end: 2 }],
+    };
+    const cache = new Map([
+      ['a.wav', decoded(10, [])],
+      ['b.wav', decoded(10, [marker(1, 3000, 0, 'Verse'), marker(2, 6000)])],
+    ]);
+
+    expect(segmentPresets(test, cache)).toEqual([
+      { name: 'Intro', start: 0, end: 2 },
+      { name: 'Verse', start: 3, end: 6 },
+      { name: 'Marker 2', start: 6, end: 10 },
+    ]);
+  });
+
+  it('drops presets past the end and shortens those running over it', () => {
+    const test = {
+      options: [{ audioUrl: 'a.wav' }],
+      segments: [{ name: 'Late', start: 12, end: 14 }, { name: 'Tail', start: 8, end: 20 }],
+    };
+    const cache = new Map([['a.wav', decoded(10)]]);
+
+    expect(segmentPresets(test, cache)).toEqual([{ name: 'Tail', start: 8, end: 10 }]);
+  });
+
+  it('is empty before the audio is decoded', () => {
+    const test = { options: [{ audioUrl: 'a.wav' }], segments: [{ name: 'Intro', start: 0, end: 2 }] };
+    expect(segmentPresets(test, new Map())).toEqual([]);
+  });
+});
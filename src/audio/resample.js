@@ -0,0 +1,125 @@
+/**
+ * Resampler — converts decoded audio to another sample rate in the app,
+ * not in the browser, so every option of a test goes through the same
+ * known filter regardless of browser or platform.
+ *
+ * Polyphase Kaiser-windowed sinc. The rate ratio is reduced to an exact
+ * fraction L/M, so each output sample uses one of L precomputed phases and
+ * the result is deterministic. Each phase is normalized to unity DC gain.
+ */
+
+import { scaleMarkers } from './markers';
+
+/**
+ * @typedef {import('./audioLoader').DecodedAudio} DecodedAudio
+ */
+
+/** Sinc zero crossings on each side of the kernel center */
+const ZERO_CROSSINGS = 32;
+/** Kaiser window shape (~100dB stopband attenuation) */
+const KAISER_BETA = 10;
+/** Passband edge as a fraction of the lower of the two Nyquist frequencies */
+const CUTOFF = 0.95;
+
+/** Human-readable description of the filter, for the sample rate banner */
+export const RESAMPLER_FILTER = `Kaiser-windowed sinc (β ${KAISER_BETA}, ${ZERO_CROSSINGS} zero crossings), `
+  + `low-pass at ${CUTOFF * 100}% of the lower Nyquist frequency`;
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+/**
+ * Zeroth-order modified Bessel function of the first kind (series expansion).
+ * @param {number} x
+ * @returns {number}
+ */
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50; k++) {
+    term *= (x / (2 * k)) * (x / (2 * k));
+    sum += term;
+    if (term < sum * 1e-16) break;
+  }
+  return sum;
+}
+
+/**
+ * Precompute the polyphase filter bank.
+ * @param {number} up - L (interpolation factor)
+ * @param {number} down - M (decimation factor)
+ * @returns {{ phases: Float64Array[], half: number }} One row of 2·half taps per phase
+ */
+function filterBank(up, down) {
+  // Cutoff in cycles per input sample, relative to the input Nyquist
+  const fc = CUTOFF * Math.min(1, up / down);
+  const half = Math.ceil(ZERO_CROSSINGS / fc);
+  const norm = besselI0(KAISER_BETA);
+  const phases = [];
+  for (let p = 0; p < up; p++) {
+    const frac = p / up;
+    const row = new Float64Array(2 * half);
+    let sum = 0;
+    for (let j = 0; j < 2 * half; j++) {
+      // Distance from the output instant to input sample (i - half + 1 + j)
+      const u = frac + half - 1 - j;
+      const x = fc * u;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+      const r = u / half;
+      const window = Math.abs(r) >= 1 ? 0 : besselI0(KAISER_BETA * Math.sqrt(1 - r * r)) / norm;
+      row[j] = sinc * window;
+      sum += row[j];
+    }
+    for (let j = 0; j < row.length; j++) row[j] /= sum;
+    phases.push(row);
+  }
+  return { phases, half };
+}
+
+/**
+ * Resample decoded audio to a target rate.
+ * Returns the input unchanged if it is already at the target rate.
+ * @param {DecodedAudio} decoded
+ * @param {number} targetRate
+ * @returns {DecodedAudio}
+ */
+export function resample(decoded, targetRate) {
+  const { sampleRate, sampleCount } = decoded;
+  if (sampleRate === targetRate) return decoded;
+
+  const g = gcd(sampleRate, targetRate);
+  const up = targetRate / g;
+  const down = sampleRate / g;
+  const { phases, half } = filterBank(up, down);
+  const outCount = Math.floor((sampleCount * up) / down);
+
+  const samples = decoded.samples.map((input) => {
+    const out = new Float32Array(outCount);
+    for (let n = 0; n < outCount; n++) {
+      const i = Math.floor((n * down) / up);
+      const row = phases[(n * down) % up];
+      const first = i - half + 1;
+      let y = 0;
+      for (let j = Math.max(0, -first); j < row.length && first + j < sampleCount; j++) {
+        y += input[first + j] * row[j];
+      }
+      out[n] = y;
+    }
+    return out;
+  });
+
+  return {
+    ...decoded,
+    sampleRate: targetRate,
+    sampleCount: outCount,
+    samples,
+    markers: scaleMarkers(decoded.markers, up / down),
+  };
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { resample } from './resample';
+
+/**
+ * Helper: decoded mono audio from one channel.
+ */
+function decoded(channel, sampleRate, markers) {
+  return { sampleRate, bitDepth: 16, channels: 1, sampleCount: channel.length, samples: [channel], markers };
+}
+
+/**
+ * Helper: `seconds` of a sine at `freq` Hz and the given peak amplitude.
+ */
+function sine(freq, amplitude, sampleRate, seconds) {
+  return Float32Array.from({ length: sampleRate * seconds }, (_, n) =>
+    amplitude * Math.sin((2 * Math.PI * freq * n) / sampleRate));
+}
+
+/**
+ * Helper: RMS of the middle half of a channel, away from the edge transients.
+ */
+function middleRms(channel) {
+  const from = Math.floor(channel.length / 4);
+  const to = Math.floor((channel.length * 3) / 4);
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += channel[i] * channel[i];
+  return Math.sqrt(sum / (to - from));
+}
+
+describe('resample', () => {
+  it('keeps the amplitude and phase of a 1 kHz tone from 44.1 kHz to 48 kHz', () => {
+    const out = resample(decoded(sine(1000, 0.5, 44100, 1), 44100), 48000);
+    const expected = sine(1000, 0.5, 48000, 1);
+
+    expect(out.sampleRate).toBe(48000);
+    expect(out.sampleCount).toBe(48000);
+    expect(middleRms(out.samples[0])).toBeCloseTo(0.5 / Math.SQRT2, 4);
+    let maxError = 0;
+    for (let n = 12000; n < 36000; n++) maxError = Math.max(maxError, Math.abs(out.samples[0][n] - expected[n]));
+    expect(maxError).toBeLessThan(1e-3);
+  });
+
+  it('keeps the amplitude of a 1 kHz tone from 48 kHz to 44.1 kHz', () => {
+    const out = resample(decoded(sine(1000, 0.5, 48000, 1), 48000), 44100);
+
+    expect(out.sampleCount).toBe(44100);
+    expect(middleRms(out.samples[0])).toBeCloseTo(0.5 / Math.SQRT2, 4);
+  });
+
+  it('keeps DC at unity gain', () => {
+    const out = resample(decoded(new Float32Array(44100).fill(0.25), 44100), 48000);
+    expect(out.samples[0][24000]).toBeCloseTo(0.25, 6);
+  });
+
+  it('filters out content above the new Nyquist frequency', () => {
+    // 23 kHz would alias to 21.1 kHz at 44.1 kHz
+    const out = resample(decoded(sine(23000, 0.5, 48000, 1), 48000), 44100);
+    expect(20 * Math.log10(middleRms(out.samples[0]) / (0.5 / Math.SQRT2))).toBeLessThan(-60);
+  });
+
+  it('scales marker positions with the rate', () => {
+    const markers = [{ id: 1, position: 22050, length: 4410, label: 'Verse', note: null }];
+    const out = resample(decoded(new Float32Array(44100), 44100, markers), 48000);
+    expect(out.markers).toEqual([{ id: 1, position: 24000, length: 4800, label: 'Verse', note: null }]);
+  });
+
+  it('returns audio already at the target rate unchanged', () => {
+    const input = decoded(sine(1000, 0.5, 48000, 1), 48000);
+    expect(resample(input, 48000)).toBe(input);
+  });
+});
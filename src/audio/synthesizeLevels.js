@@ -0,0 +1,241 @@
+/**
+ * Synthesized staircase levels — renders quality levels from a decoded
+ * reference in the browser instead of fetching one file per level.
+ *
+ * Each generated option carries a `synth` descriptor (from config.js) naming
+ * the source URL, the manipulation and its value. The rendered DecodedAudio
+ * is added to the decoded cache under the option's synthetic audioUrl, so it
+ * flows through createAudioBufferMap exactly like a fetched file.
+ *
+ * Noise and dither use a fixed-seed PRNG so every load renders identical buffers.
+ */
+
+/**
+ * @typedef {import('./audioLoader').DecodedAudio} DecodedAudio
+ * @typedef {{ source: string, type: 'gain'|'noise'|'lowpass'|'bitdepth', value: number, noise: 'white'|'pink'|null }} SynthSpec
+ */
+
+/** Fixed seed for noise and dither generation */
+const SYNTH_SEED = 0x5eed;
+
+/** Butterworth Q for each of the two cascaded low-pass sections (4th order overall) */
+const LOWPASS_Q = [0.5412, 1.3066];
+
+/**
+ * Seeded PRNG (mulberry32), uniform in [0, 1).
+ * @param {number} seed
+ * @returns {() => number}
+ */
+function mulberry32(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal samples via Box-Muller.
+ * @param {() => number} rng
+ * @returns {() => number}
+ */
+function gaussian(rng) {
+  return () => {
+    const u = 1 - rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+  };
+}
+
+/**
+ * RMS across all channels.
+ * @param {Float32Array[]} samples
+ * @returns {number}
+ */
+function rms(samples) {
+  let sum = 0;
+  let n = 0;
+  for (const ch of samples) {
+    for (let i = 0; i < ch.length; i++) sum += ch[i] * ch[i];
+    n += ch.length;
+  }
+  return n > 0 ? Math.sqrt(sum / n) : 0;
+}
+
+/**
+ * Generate one channel of noise.
+ * Pink noise uses Paul Kellet's refined filter on white Gaussian noise.
+ * @param {number} length
+ * @param {'white'|'pink'} color
+ * @param {() => number} randn
+ * @returns {Float32Array}
+ */
+function generateNoise(length, color, randn) {
+  const out = new Float32Array(length);
+  if (color !== 'pink') {
+    for (let i = 0; i < length; i++) out[i] = randn();
+    return out;
+  }
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  for (let i = 0; i < length; i++) {
+    const w = randn();
+    b0 = 0.99886 * b0 + w * 0.0555179;
+    b1 = 0.99332 * b1 + w * 0.0750759;
+    b2 = 0.96900 * b2 + w * 0.1538520;
+    b3 = 0.86650 * b3 + w * 0.3104856;
+    b4 = 0.55000 * b4 + w * 0.5329522;
+    b5 = -0.7616 * b5 - w * 0.0168980;
+    out[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + w * 0.5362;
+    b6 = w * 0.115926;
+  }
+  return out;
+}
+
+/**
+ * Add noise at a given SNR, relative to the RMS of the whole reference.
+ * Each channel gets independent noise.
+ * @param {Float32Array[]} samples
+ * @param {number} snrDb
+ * @param {'white'|'pink'} color
+ * @returns {Float32Array[]}
+ */
+function addNoise(samples, snrDb, color) {
+  const randn = gaussian(mulberry32(SYNTH_SEED));
+  const noise = samples.map((ch) => generateNoise(ch.length, color, randn));
+  const noiseRms = rms(noise);
+  const scale = noiseRms > 0 ? rms(samples) / Math.pow(10, snrDb / 20) / noiseRms : 0;
+  return samples.map((ch, c) => {
+    const out = new Float32Array(ch.length);
+    for (let i = 0; i < ch.length; i++) out[i] = ch[i] + noise[c][i] * scale;
+    return out;
+  });
+}
+
+/**
+ * Low-pass filter: two cascaded biquads (RBJ cookbook) forming a 4th-order Butterworth.
+ * @param {Float32Array[]} samples
+ * @param {number} cutoff - Hz
+ * @param {number} sampleRate
+ * @returns {Float32Array[]}
+ */
+function lowpass(samples, cutoff, sampleRate) {
+  if (cutoff >= sampleRate / 2) {
+    throw new Error(
+      `Synthesized low-pass cutoff ${cutoff}Hz must be below the Nyquist frequency (${sampleRate / 2}Hz)`
+    );
+  }
+  const w0 = (2 * Math.PI * cutoff) / sampleRate;
+  const cos = Math.cos(w0);
+  const sections = LOWPASS_Q.map((q) => {
+    const alpha = Math.sin(w0) / (2 * q);
+    const a0 = 1 + alpha;
+    return {
+      b0: (1 - cos) / 2 / a0,
+      b1: (1 - cos) / a0,
+      b2: (1 - cos) / 2 / a0,
+      a1: (-2 * cos) / a0,
+      a2: (1 - alpha) / a0,
+    };
+  });
+
+  return samples.map((ch) => {
+    let out = ch;
+    for (const { b0, b1, b2, a1, a2 } of sections) {
+      const input = out;
+      out = new Float32Array(input.length);
+      let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+      for (let i = 0; i < input.length; i++) {
+        const x = input[i];
+        const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        out[i] = y;
+        x2 = x1; x1 = x;
+        y2 = y1; y1 = y;
+      }
+    }
+    return out;
+  });
+}
+
+/**
+ * Requantize to a lower bit depth with TPDF dither.
+ * @param {Float32Array[]} samples
+ * @param {number} bits
+ * @returns {Float32Array[]}
+ */
+function reduceBitDepth(samples, bits) {
+  const rng = mulberry32(SYNTH_SEED);
+  const levels = Math.pow(2, bits - 1);
+  return samples.map((ch) => {
+    const out = new Float32Array(ch.length);
+    for (let i = 0; i < ch.length; i++) {
+      const dither = rng() - rng();
+      const q = Math.round(ch[i] * levels + dither);
+      out[i] = Math.max(-levels, Math.min(levels - 1, q)) / levels;
+    }
+    return out;
+  });
+}
+
+/**
+ * Render one synthesized level from its decoded reference. A gain level that
+ * would take the reference's peak above 0 dBFS throws rather than clip.
+ * @param {DecodedAudio} reference
+ * @param {SynthSpec} synth
+ * @returns {DecodedAudio}
+ */
+export function synthesizeLevel(reference, synth) {
+  const { samples, sampleRate } = reference;
+  let rendered;
+  switch (synth.type) {
+    case 'gain': {
+      const gain = Math.pow(10, synth.value / 20);
+      const peak = samples.reduce((max, ch) => ch.reduce((m, s) => Math.max(m, Math.abs(s)), max), 0);
+      if (peak * gain > 1) {
+        const dbfs = (v) => {
+          const db = 20 * Math.log10(v);
+          return `${db >= 0 ? '+' : ''}${db.toFixed(1)} dBFS`;
+        };
+        throw new Error(
+          `Synthesized gain +${synth.value} dB would clip: "${synth.source}" peaks at ${dbfs(peak)}, `
+          + `so the level would peak at ${dbfs(peak * gain)}. Lower the level or leave headroom in the reference.`
+        );
+      }
+      rendered = samples.map((ch) => ch.map((s) => s * gain));
+      break;
+    }
+    case 'noise':
+      rendered = addNoise(samples, synth.value, synth.noise);
+      break;
+    case 'lowpass':
+      rendered = lowpass(samples, synth.value, sampleRate);
+      break;
+    case 'bitdepth':
+      rendered = reduceBitDepth(samples, synth.value);
+      break;
+    default:
+      throw new Error(`Unknown synth type "${synth.type}"`);
+  }
+  return {
+    ...reference,
+    bitDepth: synth.type === 'bitdepth' ? Math.min(reference.bitDepth, synth.value) : reference.bitDepth,
+    samples: rendered,
+  };
+}
+
+/**
+ * Render every synthesized option into the decoded cache.
+ * References must already be decoded into the cache.
+ * @param {Map<string, DecodedAudio>} cache - Map<url, DecodedAudio>, mutated in place
+ * @param {object[]} options - Config options; those with a `synth` descriptor are rendered
+ */
+export function addSynthesizedLevels(cache, options) {
+  for (const opt of options) {
+    if (!opt.synth || cache.has(opt.audioUrl)) continue;
+    const reference = cache.get(opt.synth.source);
+    if (!reference) {
+      throw new Error(`Synthesized level "${opt.name}" has no decoded reference`);
+    }
+    cache.set(opt.audioUrl, synthesizeLevel(reference, opt.synth));
+  }
+}
@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import { synthesizeLevel, addSynthesizedLevels } from './synthesizeLevels';
+
+const RATE = 48000;
+
+/**
+ * Helper: decoded audio at 48kHz from channel arrays.
+ */
+function decoded(samples, bitDepth = 24) {
+  return { sampleRate: RATE, bitDepth, channels: samples.length, sampleCount: samples[0].length, samples };
+}
+
+/**
+ * Helper: one second of a sine at `freq` Hz and the given peak amplitude.
+ */
+function sine(freq, amplitude = 0.5) {
+  return Float32Array.from({ length: RATE }, (_, n) => amplitude * Math.sin((2 * Math.PI * freq * n) / RATE));
+}
+
+/**
+ * Helper: RMS over channels, skipping the first `skip` samples of each.
+ */
+function rms(channels, skip = 0) {
+  let sum = 0;
+  let n = 0;
+  for (const ch of channels) {
+    for (let i = skip; i < ch.length; i++) sum += ch[i] * ch[i];
+    n += ch.length - skip;
+  }
+  return Math.sqrt(sum / n);
+}
+
+/** Helper: sample-by-sample difference of two sets of channels. */
+function difference(a, b) {
+  return a.map((ch, c) => ch.map((v, i) => v - b[c][i]));
+}
+
+/** Helper: gain in dB of a low-passed sine, after the filter settles. */
+function lowpassGainDb(freq, cutoff) {
+  const out = synthesizeLevel(decoded([sine(freq)]), { source: 'ref.wav', type: 'lowpass', value: cutoff, noise: null });
+  return 20 * Math.log10(rms(out.samples, RATE / 2) / (0.5 / Math.SQRT2));
+}
+
+describe('synthesizeLevel', () => {
+  it('scales by a gain in dB', () => {
+    const reference = decoded([sine(1000)]);
+    const out = synthesizeLevel(reference, { source: 'ref.wav', type: 'gain', value: -6, noise: null });
+
+    expect(out.samples[0][12]).toBeCloseTo(reference.samples[0][12] * 10 ** (-6 / 20), 6);
+    expect(out.sampleCount).toBe(reference.sampleCount);
+  });
+
+  it('rejects a positive gain that would clip', () => {
+    // Peak 0.5 (−6.0 dBFS): +6 dB reaches 0.998, +7 dB would reach +1.0 dBFS
+    const reference = decoded([sine(1000)]);
+    expect(synthesizeLevel(reference, { source: 'ref.wav', type: 'gain', value: 6, noise: null }).samples[0][12])
+      .toBeCloseTo(reference.samples[0][12] * 10 ** (6 / 20), 6);
+    expect(() => synthesizeLevel(reference, { source: 'ref.wav', type: 'gain', value: 7, noise: null }))
+      .toThrow('Synthesized gain +7 dB would clip: "ref.wav" peaks at -6.0 dBFS, so the level would peak at +1.0 dBFS');
+  });
+
+  it('adds white noise at the requested SNR, independent per channel', () => {
+    const reference = decoded([sine(1000), sine(500, 0.25)]);
+    const out = synthesizeLevel(reference, { source: 'ref.wav', type: 'noise', value: 20, noise: 'white' });
+    const noise = difference(out.samples, reference.samples);
+
+    expect(20 * Math.log10(rms(reference.samples) / rms(noise))).toBeCloseTo(20, 2);
+    expect(noise[0].slice(0, 100)).not.toEqual(noise[1].slice(0, 100));
+  });
+
+  it('adds pink noise, correlated from sample to sample unlike white', () => {
+    const reference = decoded([sine(1000)]);
+    const lag1 = (color) => {
+      const out = synthesizeLevel(reference, { source: 'ref.wav', type: 'noise', value: 10, noise: color });
+      const [n] = difference(out.samples, reference.samples);
+      let cross = 0;
+      let power = 0;
+      for (let i = 1; i < n.length; i++) {
+        cross += n[i] * n[i - 1];
+        power += n[i] * n[i];
+      }
+      return cross / power;
+    };
+
+    expect(lag1('pink')).toBeGreaterThan(0.5);
+    expect(Math.abs(lag1('white'))).toBeLessThan(0.05);
+  });
+
+  it('low-passes with a 4th-order Butterworth response', () => {
+    // |H(f)| = 1 / √(1 + (f / fc)^8): −3 dB at the cutoff, −48 dB two octaves up
+    expect(lowpassGainDb(250, 1000)).toBeCloseTo(0, 1);
+    expect(lowpassGainDb(1000, 1000)).toBeCloseTo(-3.01, 1);
+    expect(Math.abs(lowpassGainDb(4000, 1000) + 48.2)).toBeLessThan(1);
+  });
+
+  it('rejects a low-pass cutoff at or above Nyquist', () => {
+    expect(() => synthesizeLevel(decoded([sine(1000)]), { source: 'ref.wav', type: 'lowpass', value: 24000, noise: null }))
+      .toThrow('Synthesized low-pass cutoff 24000Hz must be below the Nyquist frequency (24000Hz)');
+  });
+
+  it('requantizes with TPDF dither', () => {
+    const reference = decoded([sine(1000)]);
+    const out = synthesizeLevel(reference, { source: 'ref.wav', type: 'bitdepth', value: 8, noise: null });
+    const lsb = 1 / 128;
+
+    expect(out.bitDepth).toBe(8);
+    expect(out.samples[0].every((v) => Number.isInteger(v / lsb))).toBe(true);
+    // Rounding (LSB²/12) plus triangular dither (LSB²/6): error RMS of half an LSB
+    expect(rms(difference(out.samples, reference.samples)) / lsb).toBeCloseTo(0.5, 1);
+  });
+
+  it('keeps the lower of the reference and requantized bit depth', () => {
+    const out = synthesizeLevel(decoded([sine(1000)], 8), { source: 'ref.wav', type: 'bitdepth', value: 12, noise: null });
+    expect(out.bitDepth).toBe(8);
+  });
+
+  it('renders the same buffers every time', () => {
+    const reference = decoded([sine(1000)]);
+    const spec = { source: 'ref.wav', type: 'noise', value: 30, noise: 'pink' };
+    expect(synthesizeLevel(reference, spec).samples).toEqual(synthesizeLevel(reference, spec).samples);
+  });
+
+  it('rejects an unknown type', () => {
+    expect(() => synthesizeLevel(decoded([sine(1000)]), { source: 'ref.wav', type: 'reverb', value: 1, noise: null }))
+      .toThrow('Unknown synth type "reverb"');
+  });
+});
+
+describe('addSynthesizedLevels', () => {
+  it('renders each synthesized option under its own URL', () => {
+    const reference = decoded([sine(1000)]);
+    const cache = new Map([['ref.wav', reference]]);
+    const options = [
+      { name: 'Reference', audioUrl: 'ref.wav' },
+      { name: 'Level 1', audioUrl: 'synth:gain::-1:ref.wav', synth: { source: 'ref.wav', type: 'gain', value: -1, noise: null } },
+      { name: 'Level 2', audioUrl: 'synth:gain::-2:ref.wav', synth: { source: 'ref.wav', type: 'gain', value: -2, noise: null } },
+    ];
+
+    addSynthesizedLevels(cache, options);
+
+    expect([...cache.keys()]).toEqual(['ref.wav', 'synth:gain::-1:ref.wav', 'synth:gain::-2:ref.wav']);
+    expect(cache.get('ref.wav')).toBe(reference);
+    expect(cache.get('synth:gain::-2:ref.wav').samples[0][12]).toBeCloseTo(reference.samples[0][12] * 10 ** (-2 / 20), 6);
+  });
+
+  it('keeps a level that is already rendered', () => {
+    const rendered = decoded([sine(1000)]);
+    const cache = new Map([['ref.wav', decoded([sine(500)])], ['synth:gain::-1:ref.wav', rendered]]);
+    addSynthesizedLevels(cache, [
+      { name: 'Level 1', audioUrl: 'synth:gain::-1:ref.wav', synth: { source: 'ref.wav', type: 'gain', value: -1, noise: null } },
+    ]);
+    expect(cache.get('synth:gain::-1:ref.wav')).toBe(rendered);
+  });
+
+  it('fails when the reference is not decoded', () => {
+    expect(() => addSynthesizedLevels(new Map(), [
+      { name: 'Level 1', audioUrl: 'synth:gain::-1:ref.wav', synth: { source: 'ref.wav', type: 'gain', value: -1, noise: null } },
+    ])).toThrow('Synthesized level "Level 1" has no decoded reference');
+  });
+});
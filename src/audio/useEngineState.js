@@ -52,3 +52,17 @@ export function useCrossfadeEnabled(engine) {
   const snap = useMemo(() => engine ? engine.getCrossfadeEnabled.bind(engine) : () => false, [engine]);
   return useSyncExternalStore(sub, snap);
 }
+
+/** @param {import('./audioEngine').AudioEngine|null} engine */
+export function useSequenced(engine) {
+  const sub = useMemo(() => engine ? engine.subscribe.bind(engine) : noop, [engine]);
+  const snap = useMemo(() => engine ? engine.getSequenced.bind(engine) : () => false, [engine]);
+  return useSyncExternalStore(sub, snap);
+}
+
+/** @param {import('./audioEngine').AudioEngine|null} engine */
+export function useSequenceInterval(engine) {
+  const sub = useMemo(() => engine ? engine.subscribe.bind(engine) : noop, [engine]);
+  const snap = useMemo(() => engine ? engine.getSequenceInterval.bind(engine) : () => -1, [engine]);
+  return useSyncExternalStore(sub, snap);
+}
@@ -5,6 +5,8 @@
  * A, B, C, ...: select corresponding track
  * X: select X track (ABX/ABXY)
  * Y: select Y track (ABXY)
+ * R: select open reference track (MUSHRA)
+ * 1, 2, 3, ...: pick an interval (N-AFC)
  * Left Arrow: jump back 2 seconds
  * Enter: submit answer
  */
@@ -19,14 +21,19 @@ const MYSTERY_LABELS = 'XYZ';
  * @param {import('./audioEngine').AudioEngine|null} params.engine
  * @param {number} params.trackCount - Total number of tracks
  * @param {number|number[]|null} [params.xTrackIndex] - Index(es) of mystery tracks, null otherwise
+ * @param {number|null} [params.referenceIndex] - Index of an open reference track (last track), null otherwise
  * @param {(index: number) => void} params.onTrackSelect
  * @param {() => void} params.onSubmit
+ * @param {number} [params.answerCount] - Number of digit-keyed answers (N-AFC intervals), 0 otherwise
+ * @param {(index: number) => void} [params.onAnswer] - Called with the 0-based answer for digit keys
  */
-export function useHotkeys({ engine, trackCount, xTrackIndex = null, onTrackSelect, onSubmit }) {
+export function useHotkeys({ engine, trackCount, xTrackIndex = null, referenceIndex = null, onTrackSelect, onSubmit, answerCount = 0, onAnswer }) {
   const onTrackSelectRef = useRef(onTrackSelect);
   const onSubmitRef = useRef(onSubmit);
+  const onAnswerRef = useRef(onAnswer);
   onTrackSelectRef.current = onTrackSelect;
   onSubmitRef.current = onSubmit;
+  onAnswerRef.current = onAnswer;
 
   useEffect(() => {
     if (!engine) return;
@@ -74,6 +81,16 @@ export function useHotkeys({ engine, trackCount, xTrackIndex = null, onTrackSele
         return;
       }
 
+      // Digit keys — interval answers
+      if (key.length === 1 && key >= '1' && key <= '9') {
+        const index = key.charCodeAt(0) - 49;
+        if (index < answerCount) {
+          e.preventDefault();
+          onAnswerRef.current?.(index);
+        }
+        return;
+      }
+
       // Letter keys — track selection
       const upper = key.toUpperCase();
       if (upper.length === 1 && upper >= 'A' && upper <= 'Z') {
@@ -84,9 +101,15 @@ export function useHotkeys({ engine, trackCount, xTrackIndex = null, onTrackSele
           onTrackSelectRef.current(mysteryIndices[mysteryPos]);
           return;
         }
+        // Reference key (R)
+        if (upper === 'R' && referenceIndex !== null) {
+          e.preventDefault();
+          onTrackSelectRef.current(referenceIndex);
+          return;
+        }
         // Regular letter keys (A, B, C, ...)
         const index = upper.charCodeAt(0) - 65;
-        const maxLetterIndex = trackCount - mysteryIndices.length;
+        const maxLetterIndex = trackCount - mysteryIndices.length - (referenceIndex !== null ? 1 : 0);
         if (index >= 0 && index < maxLetterIndex) {
           e.preventDefault();
           onTrackSelectRef.current(index);
@@ -96,5 +119,5 @@ export function useHotkeys({ engine, trackCount, xTrackIndex = null, onTrackSele
 
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [engine, trackCount, xTrackIndex]);
+  }, [engine, trackCount, xTrackIndex, referenceIndex, answerCount]);
 }
@@ -1,6 +1,8 @@
 /**
  * ABStats — table displaying AB test results.
  * Shows sample name, selection count with percentage, and p-value.
+ * For AB-Pairs results it also shows the fitted Bradley-Terry worth scale
+ * and the consistency of the listener's preferences.
  */
 
 import React from 'react';
@@ -12,14 +14,18 @@ import Label from './Label';
 
 /**
  * @param {object} props
- * @param {object} props.stats - AB stats object from computeAbStats
+ * @param {object} props.stats - AB stats object from computeAbStats or computeAbPairsStats
  */
 export default function ABStats({ stats }) {
+  // AB-Pairs stats carry per-pair win counts and a fitted worth scale
+  const paired = !!stats.pairs;
+  const maxWorth = paired ? Math.max(1, ...stats.options.map((o) => o.worthUpper ?? o.worth ?? 0)) : 1;
+
   return (
     <Box mb={2}>
       <Typography variant="h6" gutterBottom>
         {stats.name}
-        <Typography component="span" variant="body2" color="text.secondary" ml={1}>AB</Typography>
+        <Typography component="span" variant="body2" color="text.secondary" ml={1}>{paired ? 'AB-Pairs' : 'AB'}</Typography>
       </Typography>
       <TableContainer component={Paper} variant="outlined">
         <Table size="small">
@@ -27,32 +33,109 @@ export default function ABStats({ stats }) {
             <TableRow>
               <TableCell sx={{ fontWeight: 'bold' }}>Sample</TableCell>
               <TableCell sx={{ fontWeight: 'bold' }}>Selected</TableCell>
+              {paired && (
+                <>
+                  <TableCell sx={{ fontWeight: 'bold' }}>
+                    <Box display="inline" mr={1}>Worth</Box>
+                    <Tooltip title="Bradley-Terry preference scale, relative to the average option (1). An option with worth 2 is preferred 2:1 over one with worth 1. 95% confidence interval in brackets.">
+                      <Box display="inline">
+                        <Label color="primary">?</Label>
+                      </Box>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '30%' }}>Scale</TableCell>
+                </>
+              )}
             </TableRow>
           </TableHead>
           <TableBody>
             {stats.options.map((opt) => (
               <TableRow key={opt.name}>
                 <TableCell>{opt.name}</TableCell>
-                <TableCell>{opt.count} ({opt.percentage}%)</TableCell>
+                <TableCell>
+                  {paired ? `${opt.count}/${opt.comparisons}` : opt.count} ({opt.percentage}%)
+                </TableCell>
+                {paired && (
+                  <>
+                    <TableCell>
+                      {opt.worth != null ? opt.worth.toFixed(2) : (
+                        <Tooltip title="Never compared with another option, so it has no place on the scale.">
+                          <Box component="span" color="text.secondary">not estimable</Box>
+                        </Tooltip>
+                      )}
+                      {opt.worthLower != null && ` [${opt.worthLower.toFixed(2)}, ${opt.worthUpper.toFixed(2)}]`}
+                    </TableCell>
+                    <TableCell>
+                      {/* Worth bar with CI whiskers, linear scale from 0 to the largest upper bound */}
+                      {opt.worth != null && (
+                        <Box sx={{ position: 'relative', height: 12 }}>
+                          <Box
+                            sx={{
+                              position: 'absolute', left: 0, top: 2, height: 8, borderRadius: 1,
+                              width: `${(opt.worth / maxWorth) * 100}%`, bgcolor: 'primary.main',
+                            }}
+                          />
+                          {opt.worthLower != null && (
+                            <Box
+                              sx={{
+                                position: 'absolute', top: 5, height: 2, bgcolor: 'text.secondary',
+                                left: `${(opt.worthLower / maxWorth) * 100}%`,
+                                width: `${((opt.worthUpper - opt.worthLower) / maxWorth) * 100}%`,
+                              }}
+                            />
+                          )}
+                        </Box>
+                      )}
+                    </TableCell>
+                  </>
+                )}
               </TableRow>
             ))}
             <TableRow>
               <TableCell sx={{ fontWeight: 'bold' }}>
                 <Box display="inline" mr={1}>p-value</Box>
-                <Tooltip title="Probability of seeing this result or more extreme under the null hypothesis (all options equally likely). Lower values suggest a real preference.">
+                <Tooltip title={paired
+                  ? 'Likelihood-ratio test of the fitted scale against all options being equally preferred. Lower values suggest a real preference.'
+                  : 'Probability of seeing this result or more extreme under the null hypothesis (all options equally likely). Lower values suggest a real preference.'}
+                >
                   <Box display="inline">
                     <Label color="primary">?</Label>
                   </Box>
                 </Tooltip>
               </TableCell>
-              <TableCell sx={{ fontWeight: 'bold' }}>
+              <TableCell sx={{ fontWeight: 'bold' }} colSpan={paired ? 3 : 1}>
                 {stats.pValue.toPrecision(3)}
               </TableCell>
             </TableRow>
+            {paired && stats.circularTriads != null && (
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold' }}>
+                  <Box display="inline" mr={1}>Consistency</Box>
+                  <Tooltip title="Kendall's coefficient of consistency ζ: 1 = preferences are fully transitive, 0 = as many circular triads (A over B, B over C, C over A) as possible. Each pair is decided by majority, and only triads whose three pairs were all compared are counted.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ fontWeight: 'bold' }} colSpan={3}>
+                  {stats.consistency != null
+                    ? `${stats.consistency.toFixed(2)} (${stats.circularTriads} of ${stats.maxCircularTriads} possible circular triads)`
+                    : `${stats.circularTriads} circular of ${stats.comparedTriads} fully compared triads`}
+                </TableCell>
+              </TableRow>
+            )}
           </TableBody>
         </Table>
       </TableContainer>
 
+      {paired && stats.corrected && (
+        <Typography variant="body2" color="text.secondary" mt={0.5}>
+          Some options were never beaten by (or never beat) the rest — e.g. one option won every
+          comparison — so half a win was added to each side of every pair to keep the scale
+          finite. Worths are shrunk slightly toward 1.
+        </Typography>
+      )}
+
       {/* Response time */}
       {stats.timing && (
         <Box mt={1}>
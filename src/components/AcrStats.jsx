@@ -0,0 +1,147 @@
+/**
+ * AcrStats — displays ACR (ITU-T P.800) rating results.
+ * Shows the Mean Opinion Score per option with a 95% confidence interval
+ * and the distribution of category ratings.
+ */
+
+import React from 'react';
+import {
+  Box, Paper, Table, TableBody, TableCell, TableContainer,
+  TableHead, TableRow, Tooltip, Typography, useTheme,
+} from '@mui/material';
+import Label from './Label';
+
+/**
+ * Inline bar chart of rating counts, 1 (Bad) on the left to 5 (Excellent) on the right.
+ * @param {object} props
+ * @param {number[]} props.histogram - Counts per category, index 0 = rating 1
+ */
+function RatingHistogram({ histogram }) {
+  const theme = useTheme();
+  const width = 110;
+  const height = 32;
+  const labelH = 10;
+  const barW = width / histogram.length;
+  const maxCount = Math.max(1, ...histogram);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} width={width} height={height}>
+      {histogram.map((count, i) => {
+        const barH = (count / maxCount) * (height - labelH - 2);
+        return (
+          <g key={i}>
+            <rect
+              x={i * barW + 2} y={height - labelH - barH}
+              width={barW - 4} height={barH}
+              fill={theme.palette.chart.line}
+            >
+              <title>{`${i + 1}: ${count}`}</title>
+            </rect>
+            <text
+              x={i * barW + barW / 2} y={height - 1}
+              textAnchor="middle" fontSize={8} fill={theme.palette.chart.label}
+            >
+              {i + 1}
+            </text>
+          </g>
+        );
+      })}
+      <line
+        x1={0} y1={height - labelH}
+        x2={width} y2={height - labelH}
+        stroke={theme.palette.chart.axis} strokeWidth={1}
+      />
+    </svg>
+  );
+}
+
+/**
+ * @param {object} props
+ * @param {object} props.stats - Stats from computeAcrStats (or aggregated tag stats)
+ * @param {string} [props.firstColumn] - Header of the first column
+ */
+export default function AcrStats({ stats, firstColumn = 'Option' }) {
+  return (
+    <Box mb={2}>
+      <Typography variant="h6" gutterBottom>
+        {stats.name}
+        <Typography component="span" variant="body2" color="text.secondary" ml={1}>ACR</Typography>
+      </Typography>
+
+      {/* MOS per option */}
+      <Box mt={1}>
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small" sx={{ tableLayout: 'fixed' }}>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold', width: '28%' }}>{firstColumn}</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '15%' }}>
+                  <Box display="inline" mr={1}>MOS</Box>
+                  <Tooltip title="Mean Opinion Score: average category rating, 5 = Excellent, 4 = Good, 3 = Fair, 2 = Poor, 1 = Bad.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '22%' }}>
+                  <Box display="inline" mr={1}>95% CI</Box>
+                  <Tooltip title="95% confidence interval of the MOS (Student's t). Non-overlapping intervals suggest a real quality difference between options.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '10%' }}>N</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Ratings</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {stats.options.map((o) => (
+                <TableRow key={o.name}>
+                  <TableCell>{o.name}</TableCell>
+                  <TableCell>{o.n > 0 ? o.mean.toFixed(2) : '—'}</TableCell>
+                  <TableCell>{o.n > 1 ? `${o.ciLow.toFixed(2)} – ${o.ciHigh.toFixed(2)}` : '—'}</TableCell>
+                  <TableCell>{o.n}</TableCell>
+                  <TableCell sx={{ py: 0.5 }}>
+                    <RatingHistogram histogram={o.histogram} />
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Box>
+
+      {/* Response time */}
+      {stats.timing && (
+        <Box mt={1}>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small" sx={{ tableLayout: 'fixed' }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 'bold', width: '50%' }}>
+                    <Box display="inline" mr={1}>Median</Box>
+                    <Tooltip title="Median response time per trial. More robust than average — not skewed by outliers from pauses or distractions.">
+                      <Box display="inline">
+                        <Label color="primary">?</Label>
+                      </Box>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Fastest</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Slowest</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                <TableRow>
+                  <TableCell>{stats.timing.median.toFixed(1)}s</TableCell>
+                  <TableCell>{stats.timing.fastest.toFixed(1)}s</TableCell>
+                  <TableCell>{stats.timing.slowest.toFixed(1)}s</TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,23 @@
+/**
+ * AcrTagStats — renders ACR MOS pooled across options that share a tag.
+ */
+
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import AcrStats from './AcrStats';
+
+/**
+ * @param {object} props
+ * @param {object[]} props.stats - Array of aggregated ACR tag stats
+ */
+export default function AcrTagStats({ stats }) {
+  const pooled = (stats || []).filter((s) => s.sourceCount >= 2);
+  if (pooled.length === 0) return null;
+
+  return (
+    <Box mt={3}>
+      <Typography variant="h5" gutterBottom>Aggregated Results</Typography>
+      <AcrStats stats={{ name: 'MOS by tag', options: pooled }} firstColumn="Tag" />
+    </Box>
+  );
+}
@@ -0,0 +1,106 @@
+/**
+ * AcrTest — ITU-T P.800 Absolute Category Rating screen.
+ * A single stimulus per trial, rated on the five-point category scale.
+ * No reference, no correct answer, no confidence.
+ */
+
+import { useState, useEffect } from 'react';
+import { Box, Button, Typography } from '@mui/material';
+import TestHeader from './TestHeader';
+import TrackSelector from './TrackSelector';
+import { useSelectedTrack } from '../audio/useEngineState';
+import { useHotkeys } from '../audio/useHotkeys';
+import { useHeardTracks } from '../audio/useHeardTracks';
+
+/** P.800 listening-quality scale, best first */
+const CATEGORIES = [
+  { value: 5, label: 'Excellent' },
+  { value: 4, label: 'Good' },
+  { value: 3, label: 'Fair' },
+  { value: 2, label: 'Poor' },
+  { value: 1, label: 'Bad' },
+];
+
+/**
+ * @param {object} props
+ * @param {string} props.name - Test name
+ * @param {string} [props.description] - Test instructions
+ * @param {string} props.stepStr - e.g., "3/10"
+ * @param {import('../audio/audioEngine').AudioEngine|null} props.engine
+ * @param {number} props.iterationKey - Counter for state resets between iterations
+ * @param {(answerId: string, confidence: null) => void} props.onSubmit
+ */
+export default function AcrTest({
+  name,
+  description,
+  stepStr,
+  engine,
+  iterationKey,
+  onSubmit,
+}) {
+  const selectedTrack = useSelectedTrack(engine);
+  const [rating, setRating] = useState(null);
+  const { heardTracks, markHeard } = useHeardTracks(iterationKey);
+
+  // Reset state on new iteration
+  useEffect(() => { setRating(null); }, [iterationKey]);
+
+  const handleTrackSelect = (index) => {
+    engine?.selectTrack(index);
+    markHeard(index);
+  };
+
+  const canSubmit = rating !== null && heardTracks.has(0);
+
+  const handleSubmit = () => {
+    if (!canSubmit) return;
+    engine?.stop();
+    onSubmit(String(rating), null);
+  };
+
+  useHotkeys({ engine, trackCount: 1, onTrackSelect: handleTrackSelect, onSubmit: handleSubmit });
+
+  return (
+    <Box p={2.5}>
+      <TestHeader name={name} description={description} />
+
+      <Box display="flex" justifyContent="flex-end" mt={0.5} mr={1}>
+        <Typography color="text.secondary">{stepStr}</Typography>
+      </Box>
+
+      <TrackSelector
+        trackCount={1}
+        selectedTrack={selectedTrack}
+        onSelect={handleTrackSelect}
+      />
+
+      {/* Category scale */}
+      <Box display="flex" justifyContent="center" flexWrap="wrap" gap={1} mt={1}>
+        {CATEGORIES.map((c) => (
+          <Button
+            key={c.value}
+            variant={rating === c.value ? 'contained' : 'outlined'}
+            color="primary"
+            onClick={() => setRating(c.value)}
+            disabled={!heardTracks.has(0)}
+            sx={{ textTransform: 'none', minWidth: 100 }}
+          >
+            {c.value} {c.label}
+          </Button>
+        ))}
+      </Box>
+
+      <Box display="flex" justifyContent="flex-end" mt={2}>
+        <Button
+          variant="outlined"
+          color="primary"
+          onClick={handleSubmit}
+          disabled={!canSubmit}
+          sx={{ textTransform: 'none' }}
+        >
+          Submit rating
+        </Button>
+      </Box>
+    </Box>
+  );
+}
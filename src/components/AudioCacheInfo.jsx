@@ -0,0 +1,62 @@
+/**
+ * AudioCacheInfo — tells participants that audio is kept in this browser
+ * (opt-in `audioCache`), how much is stored, and lets them clear it.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Alert, Button, Typography } from '@mui/material';
+import { clearAudioCache, getAudioCacheUsage } from '../audio/audioCache';
+
+/**
+ * @param {object} props
+ * @param {{ maxBytes: number, maxAgeMs: number, version: string|null }|null} props.cache - Normalized audioCache config; renders nothing when null
+ */
+export default function AudioCacheInfo({ cache }) {
+  const [usage, setUsage] = useState(null);
+  const [status, setStatus] = useState('idle'); // idle | clearing | cleared | failed
+
+  useEffect(() => {
+    if (!cache) return;
+    let cancelled = false;
+    getAudioCacheUsage().then((u) => { if (!cancelled) setUsage(u); });
+    return () => { cancelled = true; };
+  }, [cache]);
+
+  if (!cache) return null;
+
+  const handleClear = () => {
+    setStatus('clearing');
+    clearAudioCache()
+      .then(() => {
+        setUsage({ entries: 0, bytes: 0 });
+        setStatus('cleared');
+      })
+      .catch(() => setStatus('failed'));
+  };
+
+  const mb = (bytes) => (bytes / 1e6).toFixed(0);
+
+  return (
+    <Alert
+      severity="info"
+      sx={{ mb: 2 }}
+      action={
+        <Button
+          color="inherit"
+          size="small"
+          onClick={handleClear}
+          disabled={status === 'clearing' || usage?.entries === 0}
+        >
+          Clear
+        </Button>
+      }
+    >
+      <Typography variant="body2">
+        Test audio is saved in your browser so it doesn't download again next time
+        {usage && usage.entries > 0 && ` (${mb(usage.bytes)} of ${mb(cache.maxBytes)} MB used)`}.
+        {status === 'cleared' && ' Saved audio cleared.'}
+        {status === 'failed' && ' Saved audio could not be cleared.'}
+      </Typography>
+    </Alert>
+  );
+}
@@ -1,10 +1,11 @@
 /**
  * AudioControls — combined component assembling waveform display, transport controls,
- * zoom controls, volume slider, and crossfade toggle into a single audio control panel.
+ * zoom controls, volume slider, crossfade toggle and segment presets into a single
+ * audio control panel.
  *
  * Layout: three flex children in a wrapping row.
  * - Transport (left-anchored, no grow)
- * - Middle group: crossfade + volume (grows to fill, items spaced evenly)
+ * - Middle group: segments + crossfade + volume (grows to fill, items spaced evenly)
  * - Zoom (right-anchored, no grow)
  * On narrow viewports the middle group wraps to a second line at full width.
  */
@@ -15,22 +16,28 @@ import Waveform from '../waveform/Waveform';
 import TransportControls from './TransportControls';
 import VolumeSlider from './VolumeSlider';
 import CrossfadeToggle from './CrossfadeToggle';
+import SegmentSelect from './SegmentSelect';
 import ReplayIcon from '@mui/icons-material/Replay';
 import ZoomInIcon from '@mui/icons-material/ZoomIn';
 import ZoomOutIcon from '@mui/icons-material/ZoomOut';
 import ZoomOutMapIcon from '@mui/icons-material/ZoomOutMap';
-import { useDuration, useLoopRegion, useTransportState } from '../audio/useEngineState';
+import { useDuration, useLoopRegion, useTransportState, useSequenced } from '../audio/useEngineState';
+
+const NO_SEGMENTS = [];
 
 /**
  * @param {object} props
  * @param {import('../audio/audioEngine').AudioEngine|null} props.engine
  * @param {Float32Array[]} props.channelData - Channel 0 data from each track
  * @param {boolean} props.crossfadeForced
+ * @param {{ name: string, start: number, end: number }[]} [props.segments] - Loop presets, times in seconds
+ * @param {string|null} [props.lockSegment] - Segment playback is locked to
  */
-export default function AudioControls({ engine, channelData, crossfadeForced }) {
+export default function AudioControls({ engine, channelData, crossfadeForced, segments = NO_SEGMENTS, lockSegment = null }) {
   const duration = useDuration(engine);
   const loopRegion = useLoopRegion(engine);
   const transportState = useTransportState(engine);
+  const sequenced = useSequenced(engine);
   const waveformRef = useRef(null);
   const [zoomState, setZoomState] = useState({ isZoomed: false, isMaxZoom: false });
 
@@ -68,6 +75,7 @@ export default function AudioControls({ engine, channelData, crossfadeForced })
           duration={duration}
           currentTimeRef={engine?.currentTimeRef}
           loopRegion={loopRegion}
+          segments={segments}
           onSeek={onSeek}
           onLoopRegionChange={onLoopRegionChange}
           onZoomChange={setZoomState}
@@ -89,7 +97,7 @@ export default function AudioControls({ engine, channelData, crossfadeForced })
             <span>
               <IconButton
                 onClick={handleJumpBack}
-                disabled={transportState === 'stopped'}
+                disabled={transportState === 'stopped' || sequenced}
                 size="medium"
               >
                 <ReplayIcon />
@@ -122,7 +130,7 @@ export default function AudioControls({ engine, channelData, crossfadeForced })
           </Tooltip>
         </Box>
 
-        {/* Middle: Crossfade + Volume — grows to fill, wraps to row 2 on narrow viewports */}
+        {/* Middle: Segments + Crossfade + Volume — grows to fill, wraps to row 2 on narrow viewports */}
         <Box
           display="flex"
           alignItems="center"
@@ -138,6 +146,9 @@ export default function AudioControls({ engine, channelData, crossfadeForced })
             },
           }}
         >
+          {segments.length > 0 && (
+            <SegmentSelect engine={engine} segments={segments} lockSegment={lockSegment} />
+          )}
           <CrossfadeToggle engine={engine} forced={crossfadeForced} />
           <Box sx={{ minWidth: 140, maxWidth: 200 }}>
             <VolumeSlider engine={engine} />
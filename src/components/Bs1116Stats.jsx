@@ -0,0 +1,153 @@
+/**
+ * Bs1116Stats — displays BS.1116 triple-stimulus results.
+ * Shows mean difference grades per condition and pooled for the listener,
+ * each with a 95% confidence interval and a t-test against zero.
+ */
+
+import React from 'react';
+import {
+  Box, Paper, Table, TableBody, TableCell, TableContainer,
+  TableHead, TableRow, Tooltip, Typography,
+} from '@mui/material';
+import Label from './Label';
+
+/**
+ * One row of the difference-grade table.
+ * @param {object} props
+ * @param {string} props.label - Row label
+ * @param {object} props.row - { n, mean, ciLow, ciHigh, pValue }
+ * @param {boolean} [props.bold]
+ */
+function DiffGradeRow({ label, row, bold = false }) {
+  const sx = bold ? { fontWeight: 'bold' } : undefined;
+  return (
+    <TableRow>
+      <TableCell sx={sx}>{label}</TableCell>
+      <TableCell sx={sx}>{row.n > 0 ? row.mean.toFixed(2) : '—'}</TableCell>
+      <TableCell sx={sx}>{row.n > 1 ? `${row.ciLow.toFixed(2)} – ${row.ciHigh.toFixed(2)}` : '—'}</TableCell>
+      <TableCell sx={sx}>{row.n > 1 ? row.pValue.toPrecision(3) : '—'}</TableCell>
+      <TableCell sx={sx}>{row.n}</TableCell>
+    </TableRow>
+  );
+}
+
+/**
+ * @param {object} props
+ * @param {object} props.stats - Stats from computeBs1116Stats
+ */
+export default function Bs1116Stats({ stats }) {
+  return (
+    <Box mb={2}>
+      <Typography variant="h6" gutterBottom>
+        {stats.name}
+        <Typography component="span" variant="body2" color="text.secondary" ml={1}>BS.1116</Typography>
+      </Typography>
+
+      {/* Reference name */}
+      {stats.optionNames && (
+        <Box mb={1}>
+          <Typography variant="body2" color="text.secondary">
+            Reference: {stats.optionNames[0]}
+          </Typography>
+        </Box>
+      )}
+
+      {/* Difference grades */}
+      <Box mt={1}>
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small" sx={{ tableLayout: 'fixed' }}>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold', width: '30%' }}>Condition</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '17%' }}>
+                  <Box display="inline" mr={1}>Diff</Box>
+                  <Tooltip title="Mean difference grade: grade given to the condition minus grade given to the hidden reference. 0 means no perceived impairment; negative values mean the impairment was detected.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '23%' }}>95% CI</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '18%' }}>
+                  <Box display="inline" mr={1}>p-value</Box>
+                  <Tooltip title="Two-tailed one-sample t-test of the difference grades against zero. Lower values suggest the impairment is reliably perceived.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '12%' }}>N</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {stats.conditions.map((c) => (
+                <DiffGradeRow key={c.name} label={c.name} row={c} />
+              ))}
+              {stats.conditions.length > 1 && (
+                <DiffGradeRow label="All conditions" row={stats.listener} bold />
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Box>
+
+      {/* Hidden reference identification */}
+      <Box mt={1}>
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small" sx={{ tableLayout: 'fixed' }}>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold', width: '50%' }}>
+                  <Box display="inline" mr={1}>Reference identified</Box>
+                  <Tooltip title="Trials where the condition was graded below the hidden reference.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '50%' }}>Accuracy</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              <TableRow>
+                <TableCell>{stats.totalCorrect} / {stats.total}</TableCell>
+                <TableCell>{stats.total > 0 ? ((stats.totalCorrect / stats.total) * 100).toFixed(0) : 0}%</TableCell>
+              </TableRow>
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Box>
+
+      {/* Response time */}
+      {stats.timing && (
+        <Box mt={1}>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small" sx={{ tableLayout: 'fixed' }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 'bold', width: '50%' }}>
+                    <Box display="inline" mr={1}>Median</Box>
+                    <Tooltip title="Median response time per trial. More robust than average — not skewed by outliers from pauses or distractions.">
+                      <Box display="inline">
+                        <Label color="primary">?</Label>
+                      </Box>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Fastest</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Slowest</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                <TableRow>
+                  <TableCell>{stats.timing.median.toFixed(1)}s</TableCell>
+                  <TableCell>{stats.timing.fastest.toFixed(1)}s</TableCell>
+                  <TableCell>{stats.timing.slowest.toFixed(1)}s</TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+    </Box>
+  );
+}
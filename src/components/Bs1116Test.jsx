@@ -0,0 +1,166 @@
+/**
+ * Bs1116Test — ITU-R BS.1116 double-blind triple-stimulus screen.
+ * An open reference plus two hidden stimuli, A and B. One of them is the
+ * reference, so at least one must be graded 5.0 on the 1.0–5.0 impairment scale.
+ */
+
+import { useState, useEffect } from 'react';
+import { Box, Button, Slider, Typography } from '@mui/material';
+import TestHeader from './TestHeader';
+import FixedProgress from './FixedProgress';
+import { useSelectedTrack } from '../audio/useEngineState';
+import { useHotkeys } from '../audio/useHotkeys';
+import { useHeardTracks } from '../audio/useHeardTracks';
+
+const SLIDER_HEIGHT = 240;
+const STIMULUS_COUNT = 2;
+const REFERENCE_INDEX = 2;
+
+/** BS.1116 five-grade impairment scale anchors, top to bottom */
+const SCALE_MARKS = [
+  { value: 5, label: '5.0 Imperceptible' },
+  { value: 4, label: '4.0 Perceptible, but not annoying' },
+  { value: 3, label: '3.0 Slightly annoying' },
+  { value: 2, label: '2.0 Annoying' },
+  { value: 1, label: '1.0 Very annoying' },
+];
+
+/**
+ * @param {object} props
+ * @param {string} props.name - Test name
+ * @param {string} [props.description] - Test instructions
+ * @param {string} props.stepStr - e.g., "3/10"
+ * @param {import('../audio/audioEngine').AudioEngine|null} props.engine
+ * @param {number} props.totalIterations - Total number of iterations for this test
+ * @param {object[]} props.progressDots - Array of {isCorrect, confidence} for completed iterations
+ * @param {boolean} [props.showProgress] - Whether to show iteration progress bar
+ * @param {number} props.iterationKey - Counter for state resets between iterations
+ * @param {(answerId: string, confidence: null) => void} props.onSubmit
+ */
+export default function Bs1116Test({
+  name,
+  description,
+  stepStr,
+  engine,
+  totalIterations,
+  progressDots = [],
+  showProgress = false,
+  iterationKey,
+  onSubmit,
+}) {
+  const selectedTrack = useSelectedTrack(engine);
+
+  const [grades, setGrades] = useState([5, 5]);
+  const { heardTracks, markHeard } = useHeardTracks(iterationKey);
+
+  // Reset state on new iteration
+  useEffect(() => { setGrades([5, 5]); }, [iterationKey]);
+
+  const handleTrackSelect = (index) => {
+    engine?.selectTrack(index);
+    markHeard(index);
+  };
+
+  const handleGradeChange = (index, value) => {
+    setGrades((prev) => {
+      const next = [...prev];
+      next[index] = value;
+      return next;
+    });
+  };
+
+  const heardBoth = heardTracks.has(0) && heardTracks.has(1);
+  const hasTopGrade = grades.some((g) => g === 5);
+  const canSubmit = heardBoth && hasTopGrade;
+
+  const handleSubmit = () => {
+    if (!canSubmit) return;
+    engine?.stop();
+    onSubmit(grades.map((g) => g.toFixed(1)).join(','), null);
+  };
+
+  useHotkeys({
+    engine,
+    trackCount: STIMULUS_COUNT + 1,
+    referenceIndex: REFERENCE_INDEX,
+    onTrackSelect: handleTrackSelect,
+    onSubmit: handleSubmit,
+  });
+
+  return (
+    <>
+      <Box p={2.5}>
+        <TestHeader name={name} description={description} />
+
+        <Box display="flex" justifyContent="flex-end" mt={0.5} mr={1}>
+          <Typography color="text.secondary">{stepStr}</Typography>
+        </Box>
+
+        <Box display="flex" justifyContent="center" alignItems="flex-end" gap={3} mt={1}>
+          {/* Open reference */}
+          <Button
+            variant="contained"
+            color={selectedTrack === REFERENCE_INDEX ? 'primary' : 'secondary'}
+            onClick={() => handleTrackSelect(REFERENCE_INDEX)}
+            sx={{ minWidth: 56, textTransform: 'none', fontWeight: 'bold' }}
+          >
+            Ref
+          </Button>
+
+          {/* Hidden stimuli A and B */}
+          {grades.map((value, i) => (
+            <Box key={i} display="flex" flexDirection="column" alignItems="center">
+              <Box sx={{ height: SLIDER_HEIGHT }}>
+                <Slider
+                  orientation="vertical"
+                  min={1}
+                  max={5}
+                  step={0.1}
+                  value={value}
+                  marks={i === 0 ? SCALE_MARKS.map((m) => ({ value: m.value })) : SCALE_MARKS}
+                  onChange={(e, v) => handleGradeChange(i, v)}
+                  valueLabelDisplay="auto"
+                  aria-label={`Grade ${String.fromCharCode(65 + i)}`}
+                  sx={{ '& .MuiSlider-markLabel': { fontSize: '0.75rem', color: 'text.secondary' } }}
+                />
+              </Box>
+              <Typography variant="body2" color="text.secondary" sx={{ my: 0.5 }}>{value.toFixed(1)}</Typography>
+              <Button
+                variant="contained"
+                color={selectedTrack === i ? 'primary' : 'secondary'}
+                onClick={() => handleTrackSelect(i)}
+                sx={{ minWidth: 44, px: 1, fontWeight: 'bold' }}
+              >
+                {String.fromCharCode(65 + i)}
+              </Button>
+            </Box>
+          ))}
+
+          {/* Room for the scale labels on the right of slider B */}
+          <Box sx={{ width: 170 }} />
+        </Box>
+
+        <Box display="flex" justifyContent="flex-end" alignItems="center" gap={2} mt={2}>
+          {heardBoth && !hasTopGrade && (
+            <Typography variant="body2" color="text.secondary">
+              Grade the stimulus you think is the reference 5.0
+            </Typography>
+          )}
+          <Button
+            variant="outlined"
+            color="primary"
+            onClick={handleSubmit}
+            disabled={!canSubmit}
+            sx={{ textTransform: 'none' }}
+          >
+            Submit grades
+          </Button>
+        </Box>
+      </Box>
+
+      {showProgress && (
+        <FixedProgress progressDots={progressDots} totalIterations={totalIterations} />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,119 @@
+/**
+ * CcrStats — displays CCR (ITU-T P.800 Annex E) comparison results.
+ * Shows the Comparison Mean Opinion Score per option pair with a 95%
+ * confidence interval and a sign test of the preference direction.
+ */
+
+import React from 'react';
+import {
+  Box, Paper, Table, TableBody, TableCell, TableContainer,
+  TableHead, TableRow, Tooltip, Typography,
+} from '@mui/material';
+import Label from './Label';
+
+/**
+ * Format a signed score with an explicit plus sign.
+ * @param {number} value
+ * @returns {string}
+ */
+function signed(value) {
+  const s = value.toFixed(2);
+  return value > 0 ? `+${s}` : s;
+}
+
+/**
+ * @param {object} props
+ * @param {object} props.stats - Stats from computeCcrStats
+ */
+export default function CcrStats({ stats }) {
+  return (
+    <Box mb={2}>
+      <Typography variant="h6" gutterBottom>
+        {stats.name}
+        <Typography component="span" variant="body2" color="text.secondary" ml={1}>CCR</Typography>
+      </Typography>
+
+      {/* CMOS per pair */}
+      <Box mt={1}>
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small" sx={{ tableLayout: 'fixed' }}>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold', width: '30%' }}>Pair</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '13%' }}>
+                  <Box display="inline" mr={1}>CMOS</Box>
+                  <Tooltip title="Comparison Mean Opinion Score on the −3..+3 scale. Positive values mean the second option was rated better than the first; 0 means no preference.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '20%' }}>95% CI</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '15%' }}>
+                  <Box display="inline" mr={1}>+ / = / −</Box>
+                  <Tooltip title="Number of trials where the second option was rated better, the same, or worse.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '14%' }}>
+                  <Box display="inline" mr={1}>p-value</Box>
+                  <Tooltip title="Two-tailed sign test on the better/worse counts (ties dropped). Lower values suggest a consistent preference.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '8%' }}>N</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {stats.pairs.map((p) => (
+                <TableRow key={`${p.first}|${p.second}`}>
+                  <TableCell>{p.second} vs {p.first}</TableCell>
+                  <TableCell>{p.n > 0 ? signed(p.mean) : '—'}</TableCell>
+                  <TableCell>{p.n > 1 ? `${signed(p.ciLow)} – ${signed(p.ciHigh)}` : '—'}</TableCell>
+                  <TableCell>{p.positive} / {p.ties} / {p.negative}</TableCell>
+                  <TableCell>{p.pValue.toPrecision(3)}</TableCell>
+                  <TableCell>{p.n}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Box>
+
+      {/* Response time */}
+      {stats.timing && (
+        <Box mt={1}>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small" sx={{ tableLayout: 'fixed' }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 'bold', width: '50%' }}>
+                    <Box display="inline" mr={1}>Median</Box>
+                    <Tooltip title="Median response time per trial. More robust than average — not skewed by outliers from pauses or distractions.">
+                      <Box display="inline">
+                        <Label color="primary">?</Label>
+                      </Box>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Fastest</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Slowest</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                <TableRow>
+                  <TableCell>{stats.timing.median.toFixed(1)}s</TableCell>
+                  <TableCell>{stats.timing.fastest.toFixed(1)}s</TableCell>
+                  <TableCell>{stats.timing.slowest.toFixed(1)}s</TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,112 @@
+/**
+ * CcrTest — ITU-T P.800 Annex E Comparison Category Rating screen.
+ * Two samples, A then B. The listener rates the quality of B compared
+ * to A on the seven-point −3..+3 scale. No correct answer, no confidence.
+ */
+
+import { useState, useEffect } from 'react';
+import { Box, Button, Typography } from '@mui/material';
+import TestHeader from './TestHeader';
+import TrackSelector from './TrackSelector';
+import { useSelectedTrack } from '../audio/useEngineState';
+import { useHotkeys } from '../audio/useHotkeys';
+import { useHeardTracks } from '../audio/useHeardTracks';
+
+/** P.800 comparison scale, best first */
+const CATEGORIES = [
+  { value: 3, label: 'Much better' },
+  { value: 2, label: 'Better' },
+  { value: 1, label: 'Slightly better' },
+  { value: 0, label: 'About the same' },
+  { value: -1, label: 'Slightly worse' },
+  { value: -2, label: 'Worse' },
+  { value: -3, label: 'Much worse' },
+];
+
+/**
+ * @param {object} props
+ * @param {string} props.name - Test name
+ * @param {string} [props.description] - Test instructions
+ * @param {string} props.stepStr - e.g., "3/10"
+ * @param {import('../audio/audioEngine').AudioEngine|null} props.engine
+ * @param {number} props.iterationKey - Counter for state resets between iterations
+ * @param {(answerId: string, confidence: null) => void} props.onSubmit
+ */
+export default function CcrTest({
+  name,
+  description,
+  stepStr,
+  engine,
+  iterationKey,
+  onSubmit,
+}) {
+  const selectedTrack = useSelectedTrack(engine);
+  const [rating, setRating] = useState(null);
+  const { heardTracks, markHeard } = useHeardTracks(iterationKey);
+
+  // Reset state on new iteration
+  useEffect(() => { setRating(null); }, [iterationKey]);
+
+  const handleTrackSelect = (index) => {
+    engine?.selectTrack(index);
+    markHeard(index);
+  };
+
+  const heardBoth = heardTracks.has(0) && heardTracks.has(1);
+  const canSubmit = rating !== null && heardBoth;
+
+  const handleSubmit = () => {
+    if (!canSubmit) return;
+    engine?.stop();
+    onSubmit(String(rating), null);
+  };
+
+  useHotkeys({ engine, trackCount: 2, onTrackSelect: handleTrackSelect, onSubmit: handleSubmit });
+
+  return (
+    <Box p={2.5}>
+      <TestHeader name={name} description={description} />
+
+      <Box display="flex" justifyContent="flex-end" mt={0.5} mr={1}>
+        <Typography color="text.secondary">{stepStr}</Typography>
+      </Box>
+
+      <TrackSelector
+        trackCount={2}
+        selectedTrack={selectedTrack}
+        onSelect={handleTrackSelect}
+      />
+
+      {/* Comparison scale */}
+      <Typography variant="body2" color="text.secondary" textAlign="center" mt={1}>
+        The quality of B compared to A is:
+      </Typography>
+      <Box display="flex" justifyContent="center" flexWrap="wrap" gap={1} mt={1}>
+        {CATEGORIES.map((c) => (
+          <Button
+            key={c.value}
+            variant={rating === c.value ? 'contained' : 'outlined'}
+            color="primary"
+            onClick={() => setRating(c.value)}
+            disabled={!heardBoth}
+            sx={{ textTransform: 'none', minWidth: 80 }}
+          >
+            {c.value > 0 ? `+${c.value}` : c.value} {c.label}
+          </Button>
+        ))}
+      </Box>
+
+      <Box display="flex" justifyContent="flex-end" mt={2}>
+        <Button
+          variant="outlined"
+          color="primary"
+          onClick={handleSubmit}
+          disabled={!canSubmit}
+          sx={{ textTransform: 'none' }}
+        >
+          Submit rating
+        </Button>
+      </Box>
+    </Box>
+  );
+}
@@ -0,0 +1,358 @@
+/**
+ * ConstantStimuliStats — displays 2AFC method-of-constant-stimuli results.
+ * Shows threshold and slope of the fitted psychometric function with
+ * bootstrap CIs, a trial summary, and proportion correct per level with
+ * the fitted curve.
+ */
+
+import React from 'react';
+import {
+  Box, Paper, Table, TableBody, TableCell, TableContainer,
+  TableHead, TableRow, Tooltip, Typography, useTheme,
+} from '@mui/material';
+import Label from './Label';
+import { psychometricValue } from '../stats/psychometric';
+
+/**
+ * Generate interpretation text from constant stimuli results.
+ * @param {object} stats - Stats from computeConstantStimuliStats
+ * @returns {string}
+ */
+function interpretConstant(stats) {
+  const nLevels = stats.levels.length;
+  if (stats.threshold == null) {
+    return 'No trials completed.';
+  }
+  if (stats.threshold < 1) {
+    return 'Threshold below the finest level: listener detected all differences. Consider adding finer quality levels.';
+  }
+  if (stats.threshold > nLevels) {
+    return 'Threshold above the coarsest level: listener could not reliably detect the differences. The options may be too similar.';
+  }
+  if (stats.thresholdCI && stats.thresholdCI[1] - stats.thresholdCI[0] > nLevels / 2) {
+    return 'Wide confidence interval on the threshold. The estimate may be unreliable — consider more trials per level.';
+  }
+  return `Threshold estimated at level ${stats.threshold.toFixed(1)} (${stats.thresholdOptionName}).`;
+}
+
+/**
+ * SVG psychometric plot — proportion correct vs level with the fitted curve.
+ * @param {object} props
+ * @param {object} props.stats - Stats from computeConstantStimuliStats
+ */
+function PsychometricPlot({ stats }) {
+  const theme = useTheme();
+  const { levels, guessRate } = stats;
+  if (levels.length === 0 || stats.totalTrials === 0) return null;
+
+  const width = 500;
+  const height = 200;
+  const padding = { top: 20, right: 30, bottom: 30, left: 45 };
+  const plotW = width - padding.left - padding.right;
+  const plotH = height - padding.top - padding.bottom;
+
+  const nLevels = levels.length;
+  const xMin = 0.5;
+  const xMax = nLevels + 0.5;
+  const yMin = Math.max(0, Math.floor((guessRate - 0.1) * 10) / 10);
+  const xScale = (x) => padding.left + ((x - xMin) / (xMax - xMin)) * plotW;
+  const yScale = (p) => padding.top + ((1 - p) / (1 - yMin)) * plotH;
+
+  const maxTotal = Math.max(...levels.map((l) => l.total), 1);
+
+  // Fitted curve, sampled across the plot width
+  const model = { fn: stats.fn, guessRate: stats.guessRate, lapseRate: stats.lapseRate };
+  const curve = [];
+  if (stats.alpha != null) {
+    for (let s = 0; s <= 100; s++) {
+      const x = xMin + ((xMax - xMin) * s) / 100;
+      const p = psychometricValue(x, { alpha: stats.alpha, beta: stats.beta }, model);
+      curve.push(`${xScale(x)},${yScale(p)}`);
+    }
+  }
+
+  const clampX = (x) => Math.min(xMax, Math.max(xMin, x));
+  const thresholdInRange = stats.threshold != null && stats.threshold >= xMin && stats.threshold <= xMax;
+
+  // Y-axis ticks every 10%
+  const yTicks = [];
+  for (let p = yMin; p <= 1.0001; p += 0.1) yTicks.push(Math.round(p * 10) / 10);
+
+  const xStep = nLevels <= 10 ? 1 : Math.ceil(nLevels / 8);
+  const xTicks = [];
+  for (let l = 1; l <= nLevels; l += xStep) xTicks.push(l);
+
+  return (
+    <Box sx={{ overflowX: 'auto' }}>
+      <svg viewBox={`0 0 ${width} ${height}`} width="100%" style={{ maxWidth: width }}>
+        {/* Grid lines */}
+        {yTicks.map((p) => (
+          <line
+            key={`grid-${p}`}
+            x1={padding.left} y1={yScale(p)}
+            x2={width - padding.right} y2={yScale(p)}
+            stroke={theme.palette.chart.grid} strokeWidth={1}
+          />
+        ))}
+
+        {/* Threshold CI band */}
+        {stats.thresholdCI && (
+          <rect
+            x={xScale(clampX(stats.thresholdCI[0]))} y={padding.top}
+            width={Math.max(0, xScale(clampX(stats.thresholdCI[1])) - xScale(clampX(stats.thresholdCI[0])))}
+            height={plotH}
+            fill={theme.palette.primary.main} opacity={0.08}
+          />
+        )}
+
+        {/* Guess rate reference line */}
+        <line
+          x1={padding.left} y1={yScale(guessRate)}
+          x2={width - padding.right} y2={yScale(guessRate)}
+          stroke={theme.palette.chart.axis} strokeWidth={1} strokeDasharray="2,3"
+        />
+        <text
+          x={width - padding.right + 3} y={yScale(guessRate) + 3}
+          fontSize={9} fill={theme.palette.chart.label}
+        >
+          Chance
+        </text>
+
+        {/* Threshold line */}
+        {thresholdInRange && (
+          <>
+            <line
+              x1={xScale(stats.threshold)} y1={padding.top}
+              x2={xScale(stats.threshold)} y2={height - padding.bottom}
+              stroke={theme.palette.primary.main} strokeWidth={1} strokeDasharray="4,3"
+            />
+            <text
+              x={xScale(stats.threshold)} y={padding.top - 6}
+              textAnchor="middle" fontSize={9} fill={theme.palette.primary.main}
+            >
+              Threshold
+            </text>
+          </>
+        )}
+
+        {/* Fitted curve */}
+        {curve.length > 0 && (
+          <polyline
+            points={curve.join(' ')}
+            fill="none"
+            stroke={theme.palette.chart.line}
+            strokeWidth={1.5}
+          />
+        )}
+
+        {/* Observed proportions, area scaled by trial count */}
+        {levels.filter((l) => l.total > 0).map((l) => (
+          <circle
+            key={l.level}
+            cx={xScale(l.level)} cy={yScale(l.correct / l.total)}
+            r={2 + 4 * Math.sqrt(l.total / maxTotal)}
+            fill={theme.palette.primary.main}
+          />
+        ))}
+
+        {/* Y-axis */}
+        <line
+          x1={padding.left} y1={padding.top}
+          x2={padding.left} y2={height - padding.bottom}
+          stroke={theme.palette.chart.axis} strokeWidth={1}
+        />
+        {yTicks.map((p) => (
+          <text
+            key={`y-${p}`}
+            x={padding.left - 6} y={yScale(p) + 3}
+            textAnchor="end" fontSize={10} fill={theme.palette.chart.label}
+          >
+            {Math.round(p * 100)}%
+          </text>
+        ))}
+        <text
+          x={12} y={height / 2}
+          textAnchor="middle" fontSize={10} fill={theme.palette.chart.label}
+          transform={`rotate(-90, 12, ${height / 2})`}
+        >
+          Correct
+        </text>
+
+        {/* X-axis */}
+        <line
+          x1={padding.left} y1={height - padding.bottom}
+          x2={width - padding.right} y2={height - padding.bottom}
+          stroke={theme.palette.chart.axis} strokeWidth={1}
+        />
+        {xTicks.map((l) => (
+          <text
+            key={`x-${l}`}
+            x={xScale(l)} y={height - padding.bottom + 14}
+            textAnchor="middle" fontSize={10} fill={theme.palette.chart.label}
+          >
+            {l}
+          </text>
+        ))}
+        <text
+          x={(padding.left + width - padding.right) / 2}
+          y={height - 4}
+          textAnchor="middle" fontSize={10} fill={theme.palette.chart.label}
+        >
+          Level
+        </text>
+      </svg>
+    </Box>
+  );
+}
+
+/**
+ * @param {object} props
+ * @param {object} props.stats - Stats from computeConstantStimuliStats
+ */
+export default function ConstantStimuliStats({ stats }) {
+  const ciText = (ci, digits) => (ci ? `${ci[0].toFixed(digits)} – ${ci[1].toFixed(digits)}` : '—');
+
+  return (
+    <Box mb={2}>
+      <Typography variant="h6" gutterBottom>
+        {stats.name}
+        <Typography component="span" variant="body2" color="text.secondary" ml={1}>2AFC-Constant</Typography>
+      </Typography>
+
+      {/* Option names */}
+      {stats.optionNames && (
+        <Box mb={1}>
+          <Typography variant="body2" color="text.secondary">
+            {stats.levels.length} levels: {stats.optionNames[1]} → {stats.optionNames[stats.optionNames.length - 1]}
+            {' '}· {stats.fn === 'weibull' ? 'Weibull' : 'Logistic'} fit
+          </Typography>
+        </Box>
+      )}
+
+      {/* Threshold / slope table */}
+      <Box mt={1}>
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small" sx={{ tableLayout: 'fixed' }}>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold', width: '20%' }} />
+                <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Estimate</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '30%' }}>
+                  <Box display="inline" mr={1}>95% CI</Box>
+                  <Tooltip title="Parametric bootstrap: trials are re-simulated from the fitted function and refitted; the interval spans the middle 95% of the refitted values.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Level</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold' }}>
+                  <Box display="inline" mr={1}>Threshold</Box>
+                  <Tooltip title={`Level where the fitted function is halfway between chance and its maximum (${Math.round((stats.guessRate + (1 - stats.guessRate - stats.lapseRate) / 2) * 100)}% correct). Lower is better (finer discrimination).`}>
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell>{stats.threshold != null ? stats.threshold.toFixed(2) : '—'}</TableCell>
+                <TableCell>{ciText(stats.thresholdCI, 2)}</TableCell>
+                <TableCell>{stats.thresholdOptionName}</TableCell>
+              </TableRow>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold' }}>
+                  <Box display="inline" mr={1}>Slope</Box>
+                  <Tooltip title="Steepness of the fitted function at the threshold, in proportion correct per level. Steeper means a sharper transition from inaudible to audible.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell>{stats.slope != null ? stats.slope.toFixed(3) : '—'}</TableCell>
+                <TableCell>{ciText(stats.slopeCI, 3)}</TableCell>
+                <TableCell>per level</TableCell>
+              </TableRow>
+              <TableRow>
+                <TableCell colSpan={4} sx={{ fontStyle: 'italic', color: 'text.secondary' }}>
+                  {interpretConstant(stats)}
+                </TableCell>
+              </TableRow>
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Box>
+
+      {/* Trial summary table */}
+      <Box mt={1}>
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small" sx={{ tableLayout: 'fixed' }}>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Trials</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Correct</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Chance</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>
+                  <Box display="inline" mr={1}>Lapse</Box>
+                  <Tooltip title="Fixed lapse rate: the share of trials assumed to be answered wrongly through inattention even at clearly audible levels.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              <TableRow>
+                <TableCell>{stats.totalTrials}</TableCell>
+                <TableCell>{stats.totalCorrect} / {stats.totalTrials}</TableCell>
+                <TableCell>{Math.round(stats.guessRate * 100)}%</TableCell>
+                <TableCell>{(stats.lapseRate * 100).toFixed(1)}%</TableCell>
+              </TableRow>
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Box>
+
+      {/* Psychometric plot */}
+      <Box mt={1}>
+        <Paper variant="outlined" sx={{ p: 1 }}>
+          <PsychometricPlot stats={stats} />
+        </Paper>
+      </Box>
+
+      {/* Response time */}
+      {stats.timing && (
+        <Box mt={1}>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small" sx={{ tableLayout: 'fixed' }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 'bold', width: '50%' }}>
+                    <Box display="inline" mr={1}>Median</Box>
+                    <Tooltip title="Median response time per trial. More robust than average — not skewed by outliers from pauses or distractions.">
+                      <Box display="inline">
+                        <Label color="primary">?</Label>
+                      </Box>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Fastest</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Slowest</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                <TableRow>
+                  <TableCell>{stats.timing.median.toFixed(1)}s</TableCell>
+                  <TableCell>{stats.timing.fastest.toFixed(1)}s</TableCell>
+                  <TableCell>{stats.timing.slowest.toFixed(1)}s</TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+    </Box>
+  );
+}
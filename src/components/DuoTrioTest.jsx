@@ -0,0 +1,158 @@
+/**
+ * DuoTrioTest — duo-trio identification test screen.
+ * An open reference plus two blind samples, A and B.
+ * User identifies which sample matches the reference.
+ *
+ * When showConfidence is true (Duo-Trio+C), clicking the submit button
+ * transforms into a vertical stack of confidence buttons.
+ * When false (plain Duo-Trio), clicking submits immediately.
+ */
+
+import { useState, useEffect } from 'react';
+import { Box, Button, Typography } from '@mui/material';
+import TestHeader from './TestHeader';
+import TrackSelector from './TrackSelector';
+import ConfidenceButtons from './ConfidenceButtons';
+import FixedProgress from './FixedProgress';
+import { useSelectedTrack } from '../audio/useEngineState';
+import { useHotkeys } from '../audio/useHotkeys';
+import { useHeardTracks } from '../audio/useHeardTracks';
+
+const SAMPLE_COUNT = 2;
+const REFERENCE_INDEX = 2;
+
+/**
+ * @param {object} props
+ * @param {string} props.name - Test name
+ * @param {string} [props.description] - Test instructions
+ * @param {string} props.stepStr - e.g., "3/10"
+ * @param {import('../audio/audioEngine').AudioEngine|null} props.engine
+ * @param {number} props.totalIterations - Total number of iterations for this test
+ * @param {object[]} props.progressDots - Array of {isCorrect, confidence} for completed iterations
+ * @param {boolean} [props.showConfidence] - Whether to show confidence selection (Duo-Trio+C)
+ * @param {boolean} [props.showProgress] - Whether to show iteration progress bar
+ * @param {number} props.iterationKey - Counter for state resets between iterations
+ * @param {(answerId: string, confidence: string|null) => void} props.onSubmit
+ */
+export default function DuoTrioTest({
+  name,
+  description,
+  stepStr,
+  engine,
+  totalIterations,
+  progressDots = [],
+  showConfidence = false,
+  showProgress = false,
+  iterationKey,
+  onSubmit,
+}) {
+  const selectedTrack = useSelectedTrack(engine);
+
+  const [answer, setAnswer] = useState(null);
+  const [pendingSubmit, setPendingSubmit] = useState(false);
+  const { heardTracks, markHeard } = useHeardTracks(iterationKey);
+
+  // Reset state on new iteration
+  useEffect(() => { setAnswer(null); setPendingSubmit(false); }, [iterationKey]);
+
+  const handleTrackSelect = (index) => {
+    engine?.selectTrack(index);
+    markHeard(index);
+    if (index !== REFERENCE_INDEX) {
+      setAnswer(index);
+      setPendingSubmit(false);
+    }
+  };
+
+  const canSubmit = answer !== null && heardTracks.size >= SAMPLE_COUNT + 1;
+
+  const getAnswerLabel = () => {
+    if (answer === null) return '?';
+    return String.fromCharCode(65 + answer);
+  };
+
+  const handleSubmitClick = () => {
+    if (!canSubmit) return;
+    if (showConfidence) {
+      setPendingSubmit(true);
+    } else {
+      engine?.stop();
+      onSubmit(String(answer), null);
+    }
+  };
+
+  const handleConfidenceClick = (confidence) => {
+    engine?.stop();
+    onSubmit(String(answer), confidence);
+  };
+
+  useHotkeys({
+    engine,
+    trackCount: SAMPLE_COUNT + 1,
+    referenceIndex: REFERENCE_INDEX,
+    onTrackSelect: handleTrackSelect,
+    onSubmit: handleSubmitClick,
+  });
+
+  return (
+    <>
+      <Box p={2.5}>
+        <TestHeader name={name} description={description} />
+
+        <Box display="flex" justifyContent="flex-end" mt={0.5} mr={1}>
+          <Typography color="text.secondary">{stepStr}</Typography>
+        </Box>
+
+        {/* Open reference */}
+        <Box display="flex" justifyContent="center" mt={1}>
+          <Button
+            variant="contained"
+            color={selectedTrack === REFERENCE_INDEX ? 'primary' : 'secondary'}
+            onClick={() => handleTrackSelect(REFERENCE_INDEX)}
+            sx={{ minWidth: 56, textTransform: 'none', fontWeight: 'bold' }}
+          >
+            Ref
+          </Button>
+        </Box>
+
+        {/* Track selector — 2 blind samples */}
+        <TrackSelector
+          trackCount={SAMPLE_COUNT}
+          selectedTrack={selectedTrack}
+          onSelect={handleTrackSelect}
+          xTrackIndex={null}
+        />
+
+        {/* Submit / Confidence area */}
+        <Box
+          display="flex"
+          justifyContent="flex-end"
+          mt={1}
+          sx={{ position: 'relative', height: 36.5 }}
+        >
+          {!pendingSubmit && (
+            <Box sx={{ position: 'absolute', bottom: 0, right: 0 }}>
+              <Button
+                variant="outlined"
+                color="primary"
+                onClick={handleSubmitClick}
+                disabled={!canSubmit}
+                sx={{ textTransform: 'none' }}
+              >
+                {getAnswerLabel()} matches the reference
+              </Button>
+            </Box>
+          )}
+
+          {pendingSubmit && (
+            <ConfidenceButtons onSelect={handleConfidenceClick} />
+          )}
+        </Box>
+      </Box>
+
+      {showProgress && (
+        <FixedProgress progressDots={progressDots} totalIterations={totalIterations} />
+      )}
+    </>
+  );
+}
@@ -21,8 +21,9 @@ export default function LandingPage() {
         <Box mt={4} mb={4}>
           <Typography variant="body1" paragraph>
             acidtest.io is a tool for creating and conducting double-blind listening tests
-            — AB, ABX(Y), Triangle, Same/Different, and adaptive staircase. It runs
-            entirely in your browser with a focus on audio integrity — custom WAV/FLAC
+            — AB, AB-Pairs, ABX(Y), Triangle, Duo-Trio, Tetrad, 3AFC/4AFC oddity, Same/Different, adaptive staircase,
+            constant stimuli, MUSHRA, BS.1116, ACR, CCR, and ranking. It runs
+            entirely in your browser with a focus on audio integrity — custom WAV/FLAC/AIFF
             decoding, sample rate matching, and a clean playback pipeline.
           </Typography>
           <Typography variant="body1" paragraph>
@@ -0,0 +1,35 @@
+/**
+ * LengthMismatchInfo — notes tests whose files were trimmed or padded to a
+ * common length by their lengthMismatch policy.
+ */
+
+import React from 'react';
+import { Alert, AlertTitle, Typography } from '@mui/material';
+
+/**
+ * @param {object} props
+ * @param {(object|null)[]|null} props.reports - Per-test length adjustments (null where nothing changed)
+ * @param {object[]} props.tests - Normalized test configs (for names)
+ */
+export default function LengthMismatchInfo({ reports, tests }) {
+  if (!reports) return null;
+
+  return reports.map((report, i) => {
+    if (!report) return null;
+    const counts = report.options.map((o) => o.originalSampleCount);
+    const difference = Math.max(...counts) - Math.min(...counts);
+    const trimmed = report.policy === 'trimToShortest';
+
+    return (
+      <Alert key={i} severity="info" sx={{ mb: 2 }}>
+        <AlertTitle>Lengths Adjusted — {tests[i].name}</AlertTitle>
+        <Typography variant="body2">
+          The files differ in length by up to {difference} sample{difference === 1 ? '' : 's'}.{' '}
+          {trimmed
+            ? `Longer files are trimmed at the end to the shortest (${report.sampleCount} samples).`
+            : `Shorter files are padded with silence at the end to the longest (${report.sampleCount} samples).`}
+        </Typography>
+      </Alert>
+    );
+  });
+}
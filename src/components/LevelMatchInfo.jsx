@@ -0,0 +1,45 @@
+/**
+ * LevelMatchInfo — flags tests whose options differ in loudness.
+ * Shows one alert per mismatched test: a warning when the levels are left
+ * as they are, an info note when levelMatch is compensating.
+ */
+
+import React from 'react';
+import { Alert, AlertTitle, Typography } from '@mui/material';
+
+/**
+ * @param {object} props
+ * @param {object[]|null} props.reports - Per-test level reports from analyzeTestLevels
+ * @param {object[]} props.tests - Normalized test configs (for names)
+ */
+export default function LevelMatchInfo({ reports, tests }) {
+  if (!reports) return null;
+
+  return reports.map((report, i) => {
+    if (!report.mismatch) return null;
+    const spread = report.spread.toFixed(1);
+    const tolerance = report.tolerance.toFixed(1);
+
+    if (report.levelMatch) {
+      return (
+        <Alert key={i} severity="info" sx={{ mb: 2 }}>
+          <AlertTitle>Levels Matched — {tests[i].name}</AlertTitle>
+          <Typography variant="body2">
+            The options differ by {spread} LU. Louder options are attenuated to
+            match the quietest one.
+          </Typography>
+        </Alert>
+      );
+    }
+
+    return (
+      <Alert key={i} severity="warning" sx={{ mb: 2 }}>
+        <AlertTitle>Level Mismatch — {tests[i].name}</AlertTitle>
+        <Typography variant="body2">
+          The options differ by {spread} LU in integrated loudness (tolerance {tolerance} LU).
+          Level differences are easy to hear and can give away which option is playing.
+        </Typography>
+      </Alert>
+    );
+  });
+}
@@ -0,0 +1,220 @@
+/**
+ * MushraStats — displays MUSHRA (BS.1534) rating results.
+ * Shows per-condition mean scores with 95% confidence intervals,
+ * a mean/CI chart on the 0–100 quality scale, and the post-screening flag.
+ */
+
+import React from 'react';
+import {
+  Alert, Box, Paper, Table, TableBody, TableCell, TableContainer,
+  TableHead, TableRow, Tooltip, Typography, useTheme,
+} from '@mui/material';
+import Label from './Label';
+
+const ROLE_LABELS = {
+  reference: 'Hidden reference',
+  lowAnchor: 'Low anchor',
+  midAnchor: 'Mid anchor',
+  condition: 'Condition',
+};
+
+/**
+ * SVG chart — mean score per condition with 95% CI whiskers.
+ * @param {object} props
+ * @param {object[]} props.conditions - Per-condition stats from computeMushraStats
+ */
+function MushraPlot({ conditions }) {
+  const theme = useTheme();
+  if (conditions.length === 0) return null;
+
+  const width = 500;
+  const height = 220;
+  const padding = { top: 15, right: 15, bottom: 45, left: 40 };
+  const plotW = width - padding.left - padding.right;
+  const plotH = height - padding.top - padding.bottom;
+  const slotW = plotW / conditions.length;
+
+  const xCenter = (i) => padding.left + slotW * (i + 0.5);
+  const yScale = (score) => padding.top + ((100 - Math.max(0, Math.min(100, score))) / 100) * plotH;
+  const yTicks = [0, 20, 40, 60, 80, 100];
+
+  return (
+    <Box sx={{ overflowX: 'auto' }}>
+      <svg viewBox={`0 0 ${width} ${height}`} width="100%" style={{ maxWidth: width }}>
+        {/* Grid lines */}
+        {yTicks.map((s) => (
+          <line
+            key={`grid-${s}`}
+            x1={padding.left} y1={yScale(s)}
+            x2={width - padding.right} y2={yScale(s)}
+            stroke={theme.palette.chart.grid} strokeWidth={1}
+          />
+        ))}
+
+        {conditions.map((c, i) => (
+          <g key={c.name}>
+            {/* CI whisker */}
+            <line
+              x1={xCenter(i)} y1={yScale(c.ciHigh)}
+              x2={xCenter(i)} y2={yScale(c.ciLow)}
+              stroke={theme.palette.chart.line} strokeWidth={1.5}
+            />
+            <line
+              x1={xCenter(i) - 6} y1={yScale(c.ciHigh)}
+              x2={xCenter(i) + 6} y2={yScale(c.ciHigh)}
+              stroke={theme.palette.chart.line} strokeWidth={1.5}
+            />
+            <line
+              x1={xCenter(i) - 6} y1={yScale(c.ciLow)}
+              x2={xCenter(i) + 6} y2={yScale(c.ciLow)}
+              stroke={theme.palette.chart.line} strokeWidth={1.5}
+            />
+            {/* Mean */}
+            <circle
+              cx={xCenter(i)} cy={yScale(c.mean)} r={4}
+              fill={c.role === 'reference' ? theme.palette.primary.main : theme.palette.chart.line}
+            />
+            <text
+              x={xCenter(i)} y={height - padding.bottom + 14}
+              textAnchor="middle" fontSize={10} fill={theme.palette.chart.label}
+            >
+              {c.name.length > 12 ? `${c.name.slice(0, 11)}…` : c.name}
+            </text>
+          </g>
+        ))}
+
+        {/* Y-axis */}
+        <line
+          x1={padding.left} y1={padding.top}
+          x2={padding.left} y2={height - padding.bottom}
+          stroke={theme.palette.chart.axis} strokeWidth={1}
+        />
+        {yTicks.map((s) => (
+          <text
+            key={`y-${s}`}
+            x={padding.left - 6} y={yScale(s) + 3}
+            textAnchor="end" fontSize={10} fill={theme.palette.chart.label}
+          >
+            {s}
+          </text>
+        ))}
+        <text
+          x={12} y={(padding.top + height - padding.bottom) / 2}
+          textAnchor="middle" fontSize={10} fill={theme.palette.chart.label}
+          transform={`rotate(-90, 12, ${(padding.top + height - padding.bottom) / 2})`}
+        >
+          Score
+        </text>
+
+        {/* X-axis */}
+        <line
+          x1={padding.left} y1={height - padding.bottom}
+          x2={width - padding.right} y2={height - padding.bottom}
+          stroke={theme.palette.chart.axis} strokeWidth={1}
+        />
+      </svg>
+    </Box>
+  );
+}
+
+/**
+ * @param {object} props
+ * @param {object} props.stats - Stats from computeMushraStats
+ */
+export default function MushraStats({ stats }) {
+  return (
+    <Box mb={2}>
+      <Typography variant="h6" gutterBottom>
+        {stats.name}
+        <Typography component="span" variant="body2" color="text.secondary" ml={1}>MUSHRA</Typography>
+      </Typography>
+
+      {/* Post-screening */}
+      {stats.postScreening.excluded && (
+        <Alert severity="warning" sx={{ mb: 1 }}>
+          Hidden reference rated below 90 in {stats.postScreening.hiddenRefLow} of {stats.totalTrials} trials
+          ({(stats.postScreening.fraction * 100).toFixed(0)}%). Per the BS.1534 post-screening rule,
+          this listener&apos;s ratings should be excluded.
+        </Alert>
+      )}
+
+      {/* Per-condition scores */}
+      <Box mt={1}>
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small" sx={{ tableLayout: 'fixed' }}>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold', width: '35%' }}>Condition</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '20%' }}>Mean</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '30%' }}>
+                  <Box display="inline" mr={1}>95% CI</Box>
+                  <Tooltip title="95% confidence interval of the mean score (Student's t). Non-overlapping intervals suggest a real quality difference between conditions.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '15%' }}>N</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {stats.conditions.map((c) => (
+                <TableRow key={c.name}>
+                  <TableCell>
+                    {c.name}
+                    {c.role && c.role !== 'condition' && (
+                      <Typography component="span" variant="body2" color="text.secondary" ml={1}>
+                        {ROLE_LABELS[c.role]}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{c.mean.toFixed(1)}</TableCell>
+                  <TableCell>{c.ciLow.toFixed(1)} – {c.ciHigh.toFixed(1)}</TableCell>
+                  <TableCell>{c.n}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Box>
+
+      {/* Mean / CI chart */}
+      <Box mt={1}>
+        <Paper variant="outlined" sx={{ p: 1 }}>
+          <MushraPlot conditions={stats.conditions} />
+        </Paper>
+      </Box>
+
+      {/* Response time */}
+      {stats.timing && (
+        <Box mt={1}>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small" sx={{ tableLayout: 'fixed' }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 'bold', width: '50%' }}>
+                    <Box display="inline" mr={1}>Median</Box>
+                    <Tooltip title="Median response time per trial. More robust than average — not skewed by outliers from pauses or distractions.">
+                      <Box display="inline">
+                        <Label color="primary">?</Label>
+                      </Box>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Fastest</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Slowest</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                <TableRow>
+                  <TableCell>{stats.timing.median.toFixed(1)}s</TableCell>
+                  <TableCell>{stats.timing.fastest.toFixed(1)}s</TableCell>
+                  <TableCell>{stats.timing.slowest.toFixed(1)}s</TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+    </Box>
+  );
+}
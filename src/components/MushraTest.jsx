@@ -0,0 +1,155 @@
+/**
+ * MushraTest — ITU-R BS.1534 multi-stimulus rating screen.
+ * An open reference plus one column per blind stimulus, each with a
+ * vertical 0–100 quality slider. One stimulus is a hidden copy of the
+ * reference, so at least one rating must reach 100 before submitting.
+ */
+
+import { useState, useEffect } from 'react';
+import { Box, Button, Slider, Typography } from '@mui/material';
+import TestHeader from './TestHeader';
+import { useSelectedTrack } from '../audio/useEngineState';
+import { useHotkeys } from '../audio/useHotkeys';
+import { useHeardTracks } from '../audio/useHeardTracks';
+
+const SLIDER_HEIGHT = 240;
+
+/** BS.1534 continuous quality scale intervals, top to bottom */
+const SCALE_LABELS = ['Excellent', 'Good', 'Fair', 'Poor', 'Bad'];
+
+/**
+ * @param {object} props
+ * @param {string} props.name - Test name
+ * @param {string} [props.description] - Test instructions
+ * @param {string} props.stepStr - e.g., "3/10"
+ * @param {import('../audio/audioEngine').AudioEngine|null} props.engine
+ * @param {number} props.stimulusCount - Number of blind stimuli (open reference excluded)
+ * @param {number} props.iterationKey - Counter for state resets between iterations
+ * @param {(answerId: string, confidence: null) => void} props.onSubmit
+ */
+export default function MushraTest({
+  name,
+  description,
+  stepStr,
+  engine,
+  stimulusCount,
+  iterationKey,
+  onSubmit,
+}) {
+  const referenceIndex = stimulusCount;
+  const trackCount = stimulusCount + 1;
+  const selectedTrack = useSelectedTrack(engine);
+
+  const [ratings, setRatings] = useState(() => Array(stimulusCount).fill(0));
+  const { heardTracks, markHeard } = useHeardTracks(iterationKey);
+
+  // Reset state on new iteration
+  useEffect(() => { setRatings(Array(stimulusCount).fill(0)); }, [iterationKey, stimulusCount]);
+
+  const handleTrackSelect = (index) => {
+    engine?.selectTrack(index);
+    markHeard(index);
+  };
+
+  const handleRatingChange = (index, value) => {
+    setRatings((prev) => {
+      const next = [...prev];
+      next[index] = value;
+      return next;
+    });
+  };
+
+  const heardAllStimuli = Array.from({ length: stimulusCount }, (_, i) => i).every((i) => heardTracks.has(i));
+  const hasTopRating = ratings.some((r) => r === 100);
+  const canSubmit = heardAllStimuli && hasTopRating;
+
+  const handleSubmit = () => {
+    if (!canSubmit) return;
+    engine?.stop();
+    onSubmit(ratings.join(','), null);
+  };
+
+  useHotkeys({ engine, trackCount, referenceIndex, onTrackSelect: handleTrackSelect, onSubmit: handleSubmit });
+
+  return (
+    <Box p={2.5}>
+      <TestHeader name={name} description={description} />
+
+      <Box display="flex" justifyContent="flex-end" mt={0.5} mr={1}>
+        <Typography color="text.secondary">{stepStr}</Typography>
+      </Box>
+
+      <Box display="flex" justifyContent="center" alignItems="flex-end" gap={1.5} mt={1} sx={{ overflowX: 'auto' }}>
+        {/* Open reference */}
+        <Box display="flex" flexDirection="column" alignItems="center" mr={1}>
+          <Button
+            variant="contained"
+            color={selectedTrack === referenceIndex ? 'primary' : 'secondary'}
+            onClick={() => handleTrackSelect(referenceIndex)}
+            sx={{ minWidth: 56, textTransform: 'none', fontWeight: 'bold' }}
+          >
+            Ref
+          </Button>
+        </Box>
+
+        {/* Quality scale labels */}
+        <Box
+          display="flex"
+          flexDirection="column"
+          justifyContent="space-around"
+          sx={{ height: SLIDER_HEIGHT, mb: '64px' }}
+        >
+          {SCALE_LABELS.map((label) => (
+            <Typography key={label} variant="caption" color="text.secondary" textAlign="right">
+              {label}
+            </Typography>
+          ))}
+        </Box>
+
+        {/* Blind stimuli */}
+        {ratings.map((value, i) => (
+          <Box key={i} display="flex" flexDirection="column" alignItems="center">
+            <Box sx={{ height: SLIDER_HEIGHT }}>
+              <Slider
+                orientation="vertical"
+                min={0}
+                max={100}
+                step={1}
+                value={value}
+                onChange={(e, v) => handleRatingChange(i, v)}
+                valueLabelDisplay="auto"
+                aria-label={`Rating ${String.fromCharCode(65 + i)}`}
+              />
+            </Box>
+            <Typography variant="body2" color="text.secondary" sx={{ my: 0.5 }}>{value}</Typography>
+            <Button
+              variant="contained"
+              color={selectedTrack === i ? 'primary' : 'secondary'}
+              onClick={() => handleTrackSelect(i)}
+              sx={{ minWidth: 44, px: 1, fontWeight: 'bold' }}
+            >
+              {String.fromCharCode(65 + i)}
+            </Button>
+          </Box>
+        ))}
+      </Box>
+
+      <Box display="flex" justifyContent="flex-end" alignItems="center" gap={2} mt={2}>
+        {heardAllStimuli && !hasTopRating && (
+          <Typography variant="body2" color="text.secondary">
+            Rate at least one stimulus 100
+          </Typography>
+        )}
+        <Button
+          variant="outlined"
+          color="primary"
+          onClick={handleSubmit}
+          disabled={!canSubmit}
+          sx={{ textTransform: 'none' }}
+        >
+          Submit ratings
+        </Button>
+      </Box>
+    </Box>
+  );
+}
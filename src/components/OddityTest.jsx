@@ -0,0 +1,179 @@
+/**
+ * OddityTest — N-interval forced-choice (3AFC/4AFC) oddity test screen.
+ * The engine plays intervals 1..N in order with a fixed inter-stimulus
+ * interval; the currently sounding interval is highlighted. Free switching
+ * is disabled. User picks the interval that differs from the others.
+ *
+ * When showConfidence is true (+C), picking an interval transforms the
+ * answer area into a vertical stack of confidence buttons.
+ * When false, picking an interval submits immediately.
+ */
+
+import { useState, useEffect } from 'react';
+import { Box, Button, Typography } from '@mui/material';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import StopIcon from '@mui/icons-material/Stop';
+import TestHeader from './TestHeader';
+import ConfidenceButtons from './ConfidenceButtons';
+import FixedProgress from './FixedProgress';
+import { useSequenceInterval, useTransportState } from '../audio/useEngineState';
+import { useHotkeys } from '../audio/useHotkeys';
+import { useHeardTracks } from '../audio/useHeardTracks';
+
+const LAMP_DIAMETER = 64;
+
+/**
+ * @param {object} props
+ * @param {string} props.name - Test name
+ * @param {string} [props.description] - Test instructions
+ * @param {string} props.stepStr - e.g., "3/10"
+ * @param {import('../audio/audioEngine').AudioEngine|null} props.engine
+ * @param {number} props.intervalCount - Number of intervals (3 or 4)
+ * @param {number} props.totalIterations - Total number of iterations for this test
+ * @param {object[]} props.progressDots - Array of {isCorrect, confidence} for completed iterations
+ * @param {boolean} [props.showConfidence] - Whether to show confidence selection (+C)
+ * @param {boolean} [props.showProgress] - Whether to show iteration progress bar
+ * @param {number} props.iterationKey - Counter for state resets between iterations
+ * @param {(answerId: string, confidence: string|null) => void} props.onSubmit
+ */
+export default function OddityTest({
+  name,
+  description,
+  stepStr,
+  engine,
+  intervalCount,
+  totalIterations,
+  progressDots = [],
+  showConfidence = false,
+  showProgress = false,
+  iterationKey,
+  onSubmit,
+}) {
+  const transportState = useTransportState(engine);
+  const soundingInterval = useSequenceInterval(engine);
+
+  const [answer, setAnswer] = useState(null);
+  const [pendingSubmit, setPendingSubmit] = useState(false);
+  const { heardTracks, markHeard } = useHeardTracks(iterationKey);
+
+  // Reset state on new iteration
+  useEffect(() => { setAnswer(null); setPendingSubmit(false); }, [iterationKey]);
+
+  // An interval counts as heard once the sequence has reached it
+  useEffect(() => {
+    if (soundingInterval >= 0) markHeard(soundingInterval);
+  }, [soundingInterval, markHeard]);
+
+  const playing = transportState === 'playing';
+  const canAnswer = heardTracks.size >= intervalCount;
+
+  const handlePlayClick = () => {
+    if (playing) engine?.stop();
+    else engine?.play();
+  };
+
+  const handleIntervalClick = (index) => {
+    if (!canAnswer || pendingSubmit) return;
+    setAnswer(index);
+    if (showConfidence) {
+      setPendingSubmit(true);
+    } else {
+      engine?.stop();
+      onSubmit(String(index), null);
+    }
+  };
+
+  const handleConfidenceClick = (confidence) => {
+    engine?.stop();
+    onSubmit(String(answer), confidence);
+  };
+
+  useHotkeys({
+    engine,
+    trackCount: 0,
+    onTrackSelect: () => {},
+    onSubmit: () => {},
+    answerCount: intervalCount,
+    onAnswer: handleIntervalClick,
+  });
+
+  return (
+    <>
+      <Box p={2.5}>
+        <TestHeader name={name} description={description} />
+
+        <Box display="flex" justifyContent="flex-end" mt={0.5} mr={1}>
+          <Typography color="text.secondary">{stepStr}</Typography>
+        </Box>
+
+        {/* Interval lamps — highlight follows the sequence, not clickable */}
+        <Box display="flex" justifyContent="center" alignItems="center" gap={3} sx={{ minHeight: 160 }}>
+          {Array.from({ length: intervalCount }, (_, i) => (
+            <Box
+              key={i}
+              display="flex"
+              alignItems="center"
+              justifyContent="center"
+              sx={{
+                width: LAMP_DIAMETER,
+                height: LAMP_DIAMETER,
+                borderRadius: '50%',
+                fontSize: '1.2rem',
+                fontWeight: 'bold',
+                bgcolor: i === soundingInterval ? 'primary.main' : 'secondary.main',
+                color: i === soundingInterval ? 'primary.contrastText' : 'secondary.contrastText',
+                transition: 'background-color 50ms',
+              }}
+            >
+              {i + 1}
+            </Box>
+          ))}
+        </Box>
+
+        {/* Play + answer / confidence area */}
+        <Box
+          display="flex"
+          justifyContent="space-between"
+          alignItems="flex-end"
+          mt={1}
+          sx={{ position: 'relative', minHeight: 36.5 }}
+        >
+          <Button
+            variant="outlined"
+            color="primary"
+            onClick={handlePlayClick}
+            startIcon={playing ? <StopIcon /> : <PlayArrowIcon />}
+            sx={{ textTransform: 'none' }}
+          >
+            {playing ? 'Stop' : canAnswer ? 'Play again' : 'Play intervals'}
+          </Button>
+
+          {!pendingSubmit && (
+            <Box display="flex" gap={1}>
+              {Array.from({ length: intervalCount }, (_, i) => (
+                <Button
+                  key={i}
+                  variant="outlined"
+                  color="primary"
+                  onClick={() => handleIntervalClick(i)}
+                  disabled={!canAnswer}
+                  sx={{ textTransform: 'none' }}
+                >
+                  {i + 1} is different
+                </Button>
+              ))}
+            </Box>
+          )}
+
+          {pendingSubmit && (
+            <ConfidenceButtons onSelect={handleConfidenceClick} />
+          )}
+        </Box>
+      </Box>
+
+      {showProgress && (
+        <FixedProgress progressDots={progressDots} totalIterations={totalIterations} />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,119 @@
+/**
+ * OptionPreview — non-blind author preview shown on the welcome screen with ?preview.
+ * Lists every test's options by name with their gain/polarity trim, measured
+ * loudness, level-matching gain and detected alignment offset, and plays any option on its own through
+ * the same engine path the test uses.
+ */
+
+import React, { useState } from 'react';
+import {
+  Box, IconButton, Paper, Table, TableBody, TableCell, TableContainer,
+  TableHead, TableRow, Typography,
+} from '@mui/material';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import StopIcon from '@mui/icons-material/Stop';
+import { useTransportState } from '../audio/useEngineState';
+
+/**
+ * @param {number|null|undefined} db
+ * @param {string} unit
+ * @returns {string}
+ */
+function formatDb(db, unit) {
+  if (db == null || !Number.isFinite(db)) return '—';
+  return `${db > 0 ? '+' : ''}${db.toFixed(1)} ${unit}`;
+}
+
+/**
+ * @param {object} props
+ * @param {object[]} props.tests - Normalized test configs
+ * @param {object[]|null} props.reports - Per-test level reports from analyzeTestLevels
+ * @param {(object|null)[]|null} props.alignments - Per-test alignment offsets (null for tests without align)
+ * @param {(testIndex: number, option: object) => void} props.onAudition - Load one option for playback
+ * @param {object|null} props.engine - Engine facade
+ */
+export default function OptionPreview({ tests, reports, alignments, onAudition, engine }) {
+  // Which option was last started, as `${testIndex}:${optionName}`
+  const [started, setStarted] = useState(null);
+  // It only counts as playing while the engine plays — stopping elsewhere or
+  // reaching the end clears it
+  const transportState = useTransportState(engine);
+  const playing = transportState === 'playing' ? started : null;
+
+  const handlePlay = (testIndex, option) => {
+    const id = `${testIndex}:${option.name}`;
+    if (playing === id) {
+      engine.stop();
+      setStarted(null);
+      return;
+    }
+    onAudition(testIndex, option);
+    engine.selectTrack(0);
+    setStarted(id);
+  };
+
+  return (
+    <Paper sx={{ mb: 2 }}>
+      <Box p={3}>
+        <Typography variant="h6">Author Preview</Typography>
+        <Typography variant="body2" color="text.secondary" mb={2}>
+          Not blind — option names and settings are visible. Share the link without{' '}
+          <code>preview</code> for listeners.
+        </Typography>
+
+        {tests.map((test, t) => {
+          const measured = new Map((reports?.[t]?.options || []).map((o) => [o.name, o]));
+          const offsets = new Map((alignments?.[t]?.options || []).map((o) => [o.name, o.offsetMs]));
+          return (
+            <Box key={t} mb={2}>
+              <Typography variant="subtitle2" gutterBottom>{test.name}</Typography>
+              <TableContainer component={Paper} variant="outlined">
+                <Table size="small" sx={{ tableLayout: 'fixed' }}>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell sx={{ fontWeight: 'bold', width: '8%' }} />
+                      <TableCell sx={{ fontWeight: 'bold', width: '22%' }}>Option</TableCell>
+                      <TableCell sx={{ fontWeight: 'bold', width: '10%' }}>Gain</TableCell>
+                      <TableCell sx={{ fontWeight: 'bold', width: '12%' }}>Polarity</TableCell>
+                      <TableCell sx={{ fontWeight: 'bold', width: '12%' }}>Loudness</TableCell>
+                      <TableCell sx={{ fontWeight: 'bold', width: '12%' }}>True Peak</TableCell>
+                      <TableCell sx={{ fontWeight: 'bold', width: '12%' }}>Match</TableCell>
+                      <TableCell sx={{ fontWeight: 'bold', width: '12%' }}>Offset</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {test.options.map((o) => {
+                      const m = measured.get(o.name);
+                      const isPlaying = playing === `${t}:${o.name}`;
+                      return (
+                        <TableRow key={o.name}>
+                          <TableCell sx={{ py: 0 }}>
+                            <IconButton
+                              size="small"
+                              disabled={!engine}
+                              onClick={() => handlePlay(t, o)}
+                              aria-label={isPlaying ? `Stop ${o.name}` : `Play ${o.name}`}
+                            >
+                              {isPlaying ? <StopIcon fontSize="small" /> : <PlayArrowIcon fontSize="small" />}
+                            </IconButton>
+                          </TableCell>
+                          <TableCell>{o.name}</TableCell>
+                          <TableCell>{formatDb(o.gainDb, 'dB')}</TableCell>
+                          <TableCell>{o.invertPolarity ? 'Inverted' : 'Normal'}</TableCell>
+                          <TableCell>{formatDb(m?.integratedLufs, 'LUFS')}</TableCell>
+                          <TableCell>{formatDb(m?.truePeakDbtp, 'dBTP')}</TableCell>
+                          <TableCell>{m && test.levelMatch ? formatDb(m.matchGainDb, 'dB') : '—'}</TableCell>
+                          <TableCell>{offsets.has(o.name) ? `${offsets.get(o.name).toFixed(2)} ms` : '—'}</TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </Box>
+          );
+        })}
+      </Box>
+    </Paper>
+  );
+}
@@ -0,0 +1,184 @@
+/**
+ * RankingStats — displays ranking test results.
+ * Shows mean rank per option, the Friedman test with Kendall's W, and
+ * pairwise Wilcoxon signed-rank / Nemenyi post-hoc comparisons.
+ */
+
+import React from 'react';
+import {
+  Box, Paper, Table, TableBody, TableCell, TableContainer,
+  TableHead, TableRow, Tooltip, Typography,
+} from '@mui/material';
+import Label from './Label';
+
+/**
+ * @param {object} props
+ * @param {object} props.stats - Stats from computeRankingStats (or aggregated tag stats)
+ * @param {string} [props.firstColumn] - Header of the first column
+ */
+export default function RankingStats({ stats, firstColumn = 'Option' }) {
+  return (
+    <Box mb={2}>
+      <Typography variant="h6" gutterBottom>
+        {stats.name}
+        <Typography component="span" variant="body2" color="text.secondary" ml={1}>Ranking</Typography>
+      </Typography>
+
+      {/* Mean rank per option, best first */}
+      <TableContainer component={Paper} variant="outlined">
+        <Table size="small" sx={{ tableLayout: 'fixed' }}>
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ fontWeight: 'bold', width: '50%' }}>{firstColumn}</TableCell>
+              <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>
+                <Box display="inline" mr={1}>Mean rank</Box>
+                <Tooltip title="Average position in the listener's rankings, 1 = best.">
+                  <Box display="inline">
+                    <Label color="primary">?</Label>
+                  </Box>
+                </Tooltip>
+              </TableCell>
+              <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>
+                {stats.options[0]?.firsts !== undefined ? 'Ranked first' : 'N'}
+              </TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {stats.options.map((o) => (
+              <TableRow key={o.name}>
+                <TableCell>{o.name}</TableCell>
+                <TableCell>{o.meanRank != null ? o.meanRank.toFixed(2) : '—'}</TableCell>
+                <TableCell>{o.firsts !== undefined ? o.firsts : o.n}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Friedman / Kendall's W */}
+      <Box mt={1}>
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small" sx={{ tableLayout: 'fixed' }}>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold', width: '30%' }}>
+                  <Box display="inline" mr={1}>Friedman χ²</Box>
+                  <Tooltip title="Friedman test statistic for the hypothesis that all options are ranked alike.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>
+                  <Box display="inline" mr={1}>p-value</Box>
+                  <Tooltip title="Probability of rank differences this large if the listener had no consistent order. Lower values suggest a real ranking.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>
+                  <Box display="inline" mr={1}>Kendall&apos;s W</Box>
+                  <Tooltip title="Coefficient of concordance: 0 = rankings don't agree at all, 1 = every ranking is identical.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '20%' }}>Rankings</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              <TableRow>
+                <TableCell>{stats.chiSq != null ? stats.chiSq.toFixed(2) : '—'}</TableCell>
+                <TableCell>{stats.pValue != null ? stats.pValue.toPrecision(3) : '—'}</TableCell>
+                <TableCell>{stats.kendallW != null ? stats.kendallW.toFixed(3) : '—'}</TableCell>
+                <TableCell>{stats.total}</TableCell>
+              </TableRow>
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Box>
+
+      {/* Pairwise post-hoc */}
+      {stats.pairs && stats.pairs.length > 0 && (
+        <Box mt={1}>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small" sx={{ tableLayout: 'fixed' }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 'bold', width: '40%' }}>Pair</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '20%' }}>
+                    <Box display="inline" mr={1}>Δ rank</Box>
+                    <Tooltip title="Mean rank of the first option minus the second. Negative values mean the first option was ranked better.">
+                      <Box display="inline">
+                        <Label color="primary">?</Label>
+                      </Box>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '20%' }}>
+                    <Box display="inline" mr={1}>Wilcoxon</Box>
+                    <Tooltip title="Exact Wilcoxon signed-rank test on the paired ranks. Not corrected for multiple comparisons.">
+                      <Box display="inline">
+                        <Label color="primary">?</Label>
+                      </Box>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '20%' }}>
+                    <Box display="inline" mr={1}>Nemenyi</Box>
+                    <Tooltip title="Nemenyi post-hoc test on the mean rank difference. Controls the error rate across all pairs, so it is more conservative.">
+                      <Box display="inline">
+                        <Label color="primary">?</Label>
+                      </Box>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {stats.pairs.map((p) => (
+                  <TableRow key={`${p.first}|${p.second}`}>
+                    <TableCell>{p.first} vs {p.second}</TableCell>
+                    <TableCell>{p.meanRankDiff.toFixed(2)}</TableCell>
+                    <TableCell>{p.wilcoxonP.toPrecision(3)}</TableCell>
+                    <TableCell>{p.nemenyiP.toPrecision(3)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+
+      {/* Response time */}
+      {stats.timing && (
+        <Box mt={1}>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small" sx={{ tableLayout: 'fixed' }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 'bold', width: '50%' }}>
+                    <Box display="inline" mr={1}>Median</Box>
+                    <Tooltip title="Median response time per ranking. More robust than average — not skewed by outliers from pauses or distractions.">
+                      <Box display="inline">
+                        <Label color="primary">?</Label>
+                      </Box>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Fastest</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Slowest</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                <TableRow>
+                  <TableCell>{stats.timing.median.toFixed(1)}s</TableCell>
+                  <TableCell>{stats.timing.fastest.toFixed(1)}s</TableCell>
+                  <TableCell>{stats.timing.slowest.toFixed(1)}s</TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+    </Box>
+  );
+}
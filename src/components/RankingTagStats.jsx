@@ -0,0 +1,25 @@
+/**
+ * RankingTagStats — renders aggregated ranking stats grouped by tags.
+ */
+
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import RankingStats from './RankingStats';
+
+/**
+ * @param {object} props
+ * @param {object[]} props.stats - Array of aggregated ranking tag stats
+ */
+export default function RankingTagStats({ stats }) {
+  const multi = (stats || []).filter((s) => s.testCount >= 2);
+  if (multi.length === 0) return null;
+
+  return (
+    <Box mt={3}>
+      <Typography variant="h5" gutterBottom>Aggregated Results</Typography>
+      {multi.map((s, i) => (
+        <RankingStats key={i} stats={s} firstColumn="Tag" />
+      ))}
+    </Box>
+  );
+}
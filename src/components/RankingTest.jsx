@@ -0,0 +1,168 @@
+/**
+ * RankingTest — rank all options from best to worst.
+ * Tracks are presented blind as A, B, C, ... The user drags the labels
+ * into order (or moves them with the arrow buttons on touch screens).
+ * Clicking a label plays that track. No correct answer, no confidence.
+ */
+
+import { useState, useEffect } from 'react';
+import { Box, Button, IconButton, Paper, Typography } from '@mui/material';
+import DragIndicatorIcon from '@mui/icons-material/DragIndicator';
+import KeyboardArrowUpIcon from '@mui/icons-material/KeyboardArrowUp';
+import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
+import TestHeader from './TestHeader';
+import TrackSelector from './TrackSelector';
+import { useSelectedTrack } from '../audio/useEngineState';
+import { useHotkeys } from '../audio/useHotkeys';
+import { useHeardTracks } from '../audio/useHeardTracks';
+
+/**
+ * Move one element of an array to a new position.
+ * @param {number[]} list
+ * @param {number} from
+ * @param {number} to
+ * @returns {number[]}
+ */
+function moveItem(list, from, to) {
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+/**
+ * @param {object} props
+ * @param {string} props.name - Test name
+ * @param {string} [props.description] - Test instructions
+ * @param {string} props.stepStr - e.g., "3/10"
+ * @param {import('../audio/audioEngine').AudioEngine|null} props.engine
+ * @param {number} props.trackCount - Number of options to rank
+ * @param {number} props.iterationKey - Counter for state resets between iterations
+ * @param {(answerId: string, confidence: null) => void} props.onSubmit
+ */
+export default function RankingTest({
+  name,
+  description,
+  stepStr,
+  engine,
+  trackCount,
+  iterationKey,
+  onSubmit,
+}) {
+  const selectedTrack = useSelectedTrack(engine);
+  const [order, setOrder] = useState(() => Array.from({ length: trackCount }, (_, i) => i));
+  const [dragPos, setDragPos] = useState(null);
+  const { heardTracks, markHeard } = useHeardTracks(iterationKey);
+
+  // Reset state on new iteration
+  useEffect(() => {
+    setOrder(Array.from({ length: trackCount }, (_, i) => i));
+    setDragPos(null);
+  }, [iterationKey, trackCount]);
+
+  const handleTrackSelect = (index) => {
+    engine?.selectTrack(index);
+    markHeard(index);
+  };
+
+  const canSubmit = heardTracks.size >= trackCount;
+
+  const handleSubmit = () => {
+    if (!canSubmit) return;
+    engine?.stop();
+    onSubmit(order.join(','), null);
+  };
+
+  // Native drag and drop: the dragged item follows the pointer through the list
+  const handleDragOver = (e, pos) => {
+    e.preventDefault();
+    if (dragPos === null || dragPos === pos) return;
+    setOrder((prev) => moveItem(prev, dragPos, pos));
+    setDragPos(pos);
+  };
+
+  useHotkeys({ engine, trackCount, onTrackSelect: handleTrackSelect, onSubmit: handleSubmit });
+
+  return (
+    <Box p={2.5}>
+      <TestHeader name={name} description={description} />
+
+      <Box display="flex" justifyContent="flex-end" mt={0.5} mr={1}>
+        <Typography color="text.secondary">{stepStr}</Typography>
+      </Box>
+
+      <TrackSelector
+        trackCount={trackCount}
+        selectedTrack={selectedTrack}
+        onSelect={handleTrackSelect}
+      />
+
+      {/* Ranking list, best first */}
+      <Box display="flex" flexDirection="column" alignItems="center" mt={1}>
+        <Typography variant="body2" color="text.secondary">Best</Typography>
+        <Box display="flex" flexDirection="column" gap={0.5} my={0.5} sx={{ width: '100%', maxWidth: 280 }}>
+          {order.map((track, pos) => (
+            <Paper
+              key={track}
+              variant="outlined"
+              draggable
+              onDragStart={(e) => { e.dataTransfer.effectAllowed = 'move'; setDragPos(pos); }}
+              onDragOver={(e) => handleDragOver(e, pos)}
+              onDragEnd={() => setDragPos(null)}
+              sx={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 1,
+                pl: 1,
+                cursor: 'grab',
+                opacity: dragPos === pos ? 0.5 : 1,
+                borderColor: track === selectedTrack ? 'primary.main' : undefined,
+              }}
+            >
+              <DragIndicatorIcon fontSize="small" color="action" />
+              <Typography color="text.secondary" sx={{ width: 20 }}>{pos + 1}.</Typography>
+              <Button
+                size="small"
+                color={track === selectedTrack ? 'primary' : 'secondary'}
+                onClick={() => handleTrackSelect(track)}
+                sx={{ fontWeight: 'bold', minWidth: 40 }}
+              >
+                {String.fromCharCode(65 + track)}
+              </Button>
+              <Box flexGrow={1} />
+              <IconButton
+                size="small"
+                onClick={() => setOrder((prev) => moveItem(prev, pos, pos - 1))}
+                disabled={pos === 0}
+                aria-label="Move up"
+              >
+                <KeyboardArrowUpIcon fontSize="small" />
+              </IconButton>
+              <IconButton
+                size="small"
+                onClick={() => setOrder((prev) => moveItem(prev, pos, pos + 1))}
+                disabled={pos === order.length - 1}
+                aria-label="Move down"
+              >
+                <KeyboardArrowDownIcon fontSize="small" />
+              </IconButton>
+            </Paper>
+          ))}
+        </Box>
+        <Typography variant="body2" color="text.secondary">Worst</Typography>
+      </Box>
+
+      <Box display="flex" justifyContent="flex-end" mt={2}>
+        <Button
+          variant="outlined"
+          color="primary"
+          onClick={handleSubmit}
+          disabled={!canSubmit}
+          sx={{ textTransform: 'none' }}
+        >
+          Submit ranking
+        </Button>
+      </Box>
+    </Box>
+  );
+}
@@ -11,10 +11,18 @@ import ReplayIcon from '@mui/icons-material/Replay';
 import ReactMarkdown from 'react-markdown';
 import ABTagStats from './ABTagStats';
 import ABXTagStats from './ABXTagStats';
-import { computeAbTagStats, computeAbxTagStats } from '../stats/statistics';
+import AcrTagStats from './AcrTagStats';
+import RankingTagStats from './RankingTagStats';
+import {
+  computeAbTagStats, computeAbxTagStats, computeAcrTagStats, computeRankingTagStats,
+} from '../stats/statistics';
 import { getTestType, parseTestType, TEST_TYPES } from '../utils/testTypeRegistry';
 import { createShareUrl } from '../utils/share';
 
+/** Shown for 4AFC in place of d' */
+const FOUR_AFC_D_PRIME_NOTE = 'Not estimated: the 4-interval oddity task has no closed-form Thurstonian model, '
+  + 'so its proportion correct can\'t be converted to d\'. Compare 4AFC results by the proportion correct and p-value.';
+
 /**
  * @param {object} props
  * @param {string} [props.description] - Results page markdown
@@ -26,7 +34,7 @@ import { createShareUrl } from '../utils/share';
 export default function Results({ description, results, config, precomputedStats, onRestart, configUrl }) {
   const [copied, setCopied] = useState(false);
 
-  const { abStats, abxStats, abxyStats, triangleStats, sdStats, staircaseStats, abTagStats, abxTagStats, shareUrl } = useMemo(() => {
+  const { abStats, abxStats, abxyStats, triangleStats, duoTrioStats, tetradStats, threeAfcStats, fourAfcStats, sdStats, staircaseStats, constantStats, mushraStats, bs1116Stats, acrStats, ccrStats, rankingStats, abPairsStats, abTagStats, abxTagStats, acrTagStats, rankingTagStats, shareUrl } = useMemo(() => {
     if (precomputedStats) {
       // Precomputed stats have _baseType from share.js decoding;
       // fall back to config lookup for older share URLs without it
@@ -42,17 +50,41 @@ export default function Results({ description, results, config, precomputedStats
       const abx = precomputedStats.filter((s) => getBase(s) === 'abx');
       const abxy = precomputedStats.filter((s) => getBase(s) === 'abxy');
       const tri = precomputedStats.filter((s) => getBase(s) === 'triangle');
+      const dt = precomputedStats.filter((s) => getBase(s) === 'duo-trio');
+      const tet = precomputedStats.filter((s) => getBase(s) === 'tetrad');
+      const afc3 = precomputedStats.filter((s) => getBase(s) === '3afc');
+      const afc4 = precomputedStats.filter((s) => getBase(s) === '4afc');
       const sd = precomputedStats.filter((s) => getBase(s) === '2afc-sd');
       const sc = precomputedStats.filter((s) => getBase(s) === '2afc-staircase');
+      const cs = precomputedStats.filter((s) => getBase(s) === '2afc-constant');
+      const mu = precomputedStats.filter((s) => getBase(s) === 'mushra');
+      const bs = precomputedStats.filter((s) => getBase(s) === 'bs1116');
+      const acr = precomputedStats.filter((s) => getBase(s) === 'acr');
+      const ccr = precomputedStats.filter((s) => getBase(s) === 'ccr');
+      const rk = precomputedStats.filter((s) => getBase(s) === 'ranking');
+      const abp = precomputedStats.filter((s) => getBase(s) === 'ab-pairs');
       return {
         abStats: ab,
         abxStats: abx,
         abxyStats: abxy,
         triangleStats: tri,
+        duoTrioStats: dt,
+        tetradStats: tet,
+        threeAfcStats: afc3,
+        fourAfcStats: afc4,
         sdStats: sd,
         staircaseStats: sc,
+        constantStats: cs,
+        mushraStats: mu,
+        bs1116Stats: bs,
+        acrStats: acr,
+        ccrStats: ccr,
+        rankingStats: rk,
+        abPairsStats: abp,
         abTagStats: computeAbTagStats(ab, config),
-        abxTagStats: computeAbxTagStats([...abx, ...abxy, ...tri, ...sd], config),
+        abxTagStats: computeAbxTagStats([...abx, ...abxy, ...tri, ...dt, ...tet, ...afc3, ...afc4, ...sd], config),
+        acrTagStats: computeAcrTagStats(acr, config),
+        rankingTagStats: computeRankingTagStats(rk, config),
         shareUrl: null,
       };
     }
@@ -61,8 +93,19 @@ export default function Results({ description, results, config, precomputedStats
     const abx = [];
     const abxy = [];
     const tri = [];
+    const dt = [];
+    const tet = [];
+    const afc3 = [];
+    const afc4 = [];
     const sd = [];
     const sc = [];
+    const cs = [];
+    const mu = [];
+    const bs = [];
+    const acr = [];
+    const ccr = [];
+    const rk = [];
+    const abp = [];
 
     for (const result of results) {
       const { entry, baseType } = getTestType(result.testType);
@@ -73,22 +116,48 @@ export default function Results({ description, results, config, precomputedStats
       else if (baseType === 'abx') abx.push(stats);
       else if (baseType === 'abxy') abxy.push(stats);
       else if (baseType === 'triangle') tri.push(stats);
+      else if (baseType === 'duo-trio') dt.push(stats);
+      else if (baseType === 'tetrad') tet.push(stats);
+      else if (baseType === '3afc') afc3.push(stats);
+      else if (baseType === '4afc') afc4.push(stats);
       else if (baseType === '2afc-sd') sd.push(stats);
       else if (baseType === '2afc-staircase') sc.push(stats);
+      else if (baseType === '2afc-constant') cs.push(stats);
+      else if (baseType === 'mushra') mu.push(stats);
+      else if (baseType === 'bs1116') bs.push(stats);
+      else if (baseType === 'acr') acr.push(stats);
+      else if (baseType === 'ccr') ccr.push(stats);
+      else if (baseType === 'ranking') rk.push(stats);
+      else if (baseType === 'ab-pairs') abp.push(stats);
     }
 
-    // Staircase included in allStats for share URL, but excluded from tag aggregation
-    // (measures JND, not preference/discrimination — can't be aggregated by tag)
-    const allStats = [...ab, ...abx, ...abxy, ...tri, ...sd, ...sc];
+    // Staircase, constant stimuli, MUSHRA, BS.1116, CCR and AB-Pairs included in allStats for share URL, but excluded
+    // from tag aggregation (they measure thresholds / quality grades / fitted scales, not plain
+    // preference/discrimination counts).
+    // ACR MOS and ranking mean ranks are pooled separately by tag.
+    const allStats = [...ab, ...abx, ...abxy, ...tri, ...dt, ...tet, ...afc3, ...afc4, ...sd, ...sc, ...cs, ...mu, ...bs, ...acr, ...ccr, ...rk, ...abp];
     return {
       abStats: ab,
       abxStats: abx,
       abxyStats: abxy,
       triangleStats: tri,
+      duoTrioStats: dt,
+      tetradStats: tet,
+      threeAfcStats: afc3,
+      fourAfcStats: afc4,
       sdStats: sd,
       staircaseStats: sc,
+      constantStats: cs,
+      mushraStats: mu,
+      bs1116Stats: bs,
+      acrStats: acr,
+      ccrStats: ccr,
+      rankingStats: rk,
+      abPairsStats: abp,
       abTagStats: computeAbTagStats(ab, config),
-      abxTagStats: computeAbxTagStats([...abx, ...abxy, ...tri, ...sd], config),
+      abxTagStats: computeAbxTagStats([...abx, ...abxy, ...tri, ...dt, ...tet, ...afc3, ...afc4, ...sd], config),
+      acrTagStats: computeAcrTagStats(acr, config),
+      rankingTagStats: computeRankingTagStats(rk, config),
       shareUrl: createShareUrl(allStats, config, configUrl),
     };
   }, [results, config, precomputedStats]);
@@ -138,6 +207,38 @@ export default function Results({ description, results, config, precomputedStats
           return <StatsComp key={`tri-${i}`} stats={s} />;
         })}
 
+        {/* Duo-trio test results */}
+        {duoTrioStats.map((s, i) => {
+          const StatsComp = TEST_TYPES['duo-trio'].statsComponent;
+          return <StatsComp key={`dt-${i}`} stats={s} typeLabel="Duo-Trio" chanceLabel="1/2" />;
+        })}
+
+        {/* Tetrad test results */}
+        {tetradStats.map((s, i) => {
+          const StatsComp = TEST_TYPES.tetrad.statsComponent;
+          return <StatsComp key={`tet-${i}`} stats={s} typeLabel="Tetrad" chanceLabel="1/3" />;
+        })}
+
+        {/* 3AFC oddity test results */}
+        {threeAfcStats.map((s, i) => {
+          const StatsComp = TEST_TYPES['3afc'].statsComponent;
+          return <StatsComp key={`afc3-${i}`} stats={s} typeLabel="3AFC" chanceLabel="1/3" />;
+        })}
+
+        {/* 4AFC oddity test results */}
+        {fourAfcStats.map((s, i) => {
+          const StatsComp = TEST_TYPES['4afc'].statsComponent;
+          return (
+            <StatsComp
+              key={`afc4-${i}`}
+              stats={s}
+              typeLabel="4AFC"
+              chanceLabel="1/4"
+              dPrimeNote={FOUR_AFC_D_PRIME_NOTE}
+            />
+          );
+        })}
+
         {/* Same-different test results */}
         {sdStats.map((s, i) => {
           const StatsComp = TEST_TYPES['2afc-sd'].statsComponent;
@@ -150,9 +251,53 @@ export default function Results({ description, results, config, precomputedStats
           return <StatsComp key={`sc-${i}`} stats={s} />;
         })}
 
+        {/* Constant stimuli test results */}
+        {constantStats.map((s, i) => {
+          const StatsComp = TEST_TYPES['2afc-constant'].statsComponent;
+          return <StatsComp key={`cs-${i}`} stats={s} />;
+        })}
+
+        {/* MUSHRA test results */}
+        {mushraStats.map((s, i) => {
+          const StatsComp = TEST_TYPES.mushra.statsComponent;
+          return <StatsComp key={`mushra-${i}`} stats={s} />;
+        })}
+
+        {/* BS.1116 test results */}
+        {bs1116Stats.map((s, i) => {
+          const StatsComp = TEST_TYPES.bs1116.statsComponent;
+          return <StatsComp key={`bs1116-${i}`} stats={s} />;
+        })}
+
+        {/* ACR test results */}
+        {acrStats.map((s, i) => {
+          const StatsComp = TEST_TYPES.acr.statsComponent;
+          return <StatsComp key={`acr-${i}`} stats={s} />;
+        })}
+
+        {/* CCR test results */}
+        {ccrStats.map((s, i) => {
+          const StatsComp = TEST_TYPES.ccr.statsComponent;
+          return <StatsComp key={`ccr-${i}`} stats={s} />;
+        })}
+
+        {/* Ranking test results */}
+        {rankingStats.map((s, i) => {
+          const StatsComp = TEST_TYPES.ranking.statsComponent;
+          return <StatsComp key={`ranking-${i}`} stats={s} />;
+        })}
+
+        {/* AB-Pairs test results */}
+        {abPairsStats.map((s, i) => {
+          const StatsComp = TEST_TYPES['ab-pairs'].statsComponent;
+          return <StatsComp key={`ab-pairs-${i}`} stats={s} />;
+        })}
+
         {/* Tag aggregated stats */}
         <ABTagStats stats={abTagStats} />
         <ABXTagStats stats={abxTagStats} />
+        <AcrTagStats stats={acrTagStats} />
+        <RankingTagStats stats={rankingTagStats} />
 
         {/* Share URL + Restart */}
         <Box mt={3} display="flex" justifyContent="center" gap={2}>
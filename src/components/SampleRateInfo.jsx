@@ -1,6 +1,7 @@
 /**
  * SampleRateInfo — displays audio sample rate status.
- * Shows source rate, context rate, hardware rate, and any mismatches.
+ * Shows source rate, context rate, hardware rate, and any mismatches,
+ * plus which files the in-app resampler converted (resampleTo).
  */
 
 import React from 'react';
@@ -14,8 +15,9 @@ import { Alert, AlertTitle, Typography, Box } from '@mui/material';
  * @param {number} props.info.hardwareRate
  * @param {boolean} props.info.rateMatch - contextRate === sourceRate
  * @param {boolean} props.info.hardwareMatch - hardwareRate === sourceRate
+ * @param {{ rate: number, filter: string, files: { url: string, fromRate: number }[] }|null} [props.resampled]
  */
-export default function SampleRateInfo({ info }) {
+export default function SampleRateInfo({ info, resampled }) {
   if (!info) return null;
 
   const formatRate = (rate) => {
@@ -23,6 +25,56 @@ export default function SampleRateInfo({ info }) {
     return kHz % 1 === 0 ? `${kHz}kHz` : `${kHz.toFixed(1)}kHz`;
   };
 
+  const resampledAlert = resampled && (
+    <Alert severity="info" sx={{ mb: 2 }}>
+      <AlertTitle>Resampled In App</AlertTitle>
+      <Typography variant="body2">
+        These files were converted to {formatRate(resampled.rate)} before playback:
+      </Typography>
+      <Box component="ul" sx={{ my: 0.5, pl: 3 }}>
+        {resampled.files.map((f) => (
+          <Typography key={f.url} component="li" variant="body2">
+            {fileName(f.url)} ({formatRate(f.fromRate)})
+          </Typography>
+        ))}
+      </Box>
+      <Typography variant="caption" color="text.secondary">
+        Filter: {resampled.filter}. Files already at {formatRate(resampled.rate)} play unchanged.
+      </Typography>
+    </Alert>
+  );
+
+  const rateAlert = browserRateAlert(info, formatRate);
+  if (!resampledAlert) return rateAlert;
+  return (
+    <>
+      {resampledAlert}
+      {rateAlert}
+    </>
+  );
+}
+
+/**
+ * File name from a URL, for display.
+ * @param {string} url
+ * @returns {string}
+ */
+function fileName(url) {
+  const path = url.split(/[?#]/)[0];
+  try {
+    return decodeURIComponent(path.slice(path.lastIndexOf('/') + 1)) || url;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Alert for a browser or system output rate that differs from the source rate.
+ * @param {object} info - SampleRateInfo from AudioEngine
+ * @param {(rate: number) => string} formatRate
+ * @returns {React.ReactElement|null}
+ */
+function browserRateAlert(info, formatRate) {
   // Everything matches — no need to show anything
   if (info.rateMatch && info.hardwareMatch) {
     return null;
@@ -0,0 +1,62 @@
+/**
+ * Segment select — loop presets from the test config and file cue markers.
+ * Choosing one sets the loop region to it. Shows locked state when playback
+ * is restricted to a segment via config.
+ * Subscribes to loopRegion only.
+ */
+
+import React from 'react';
+import { Box, MenuItem, Select, Tooltip, Typography } from '@mui/material';
+import { useLoopRegion } from '../audio/useEngineState';
+
+/** Loop boundaries within this many seconds of a preset count as that preset */
+const MATCH_TOLERANCE = 0.001;
+
+/**
+ * @param {object} props
+ * @param {import('../audio/audioEngine').AudioEngine|null} props.engine
+ * @param {{ name: string, start: number, end: number }[]} props.segments - Presets within the duration, times in seconds
+ * @param {string|null} props.lockSegment - Name of the segment playback is locked to, or null
+ */
+export default function SegmentSelect({ engine, segments, lockSegment }) {
+  const loopRegion = useLoopRegion(engine);
+
+  if (lockSegment) {
+    return (
+      <Tooltip title="Playback has been limited to this segment by the test administrator">
+        <Box display="flex" alignItems="center">
+          <Typography variant="caption" color="text.secondary">
+            Segment: {lockSegment}
+          </Typography>
+        </Box>
+      </Tooltip>
+    );
+  }
+
+  const selected = segments.findIndex((s) =>
+    Math.abs(s.start - loopRegion[0]) < MATCH_TOLERANCE && Math.abs(s.end - loopRegion[1]) < MATCH_TOLERANCE
+  );
+
+  return (
+    <Select
+      value={selected === -1 ? '' : selected}
+      onChange={(e) => {
+        const { start, end } = segments[e.target.value];
+        engine?.setLoopRegion(start, end);
+      }}
+      displayEmpty
+      size="small"
+      variant="standard"
+      sx={{ minWidth: 120, maxWidth: 200, typography: 'caption', color: 'text.secondary' }}
+    >
+      <MenuItem value="" disabled>
+        <Typography variant="caption">Segment</Typography>
+      </MenuItem>
+      {segments.map((s, i) => (
+        <MenuItem key={i} value={i}>
+          <Typography variant="caption">{s.name}</Typography>
+        </MenuItem>
+      ))}
+    </Select>
+  );
+}
@@ -1,6 +1,8 @@
 /**
  * StaircaseStats — displays 2AFC adaptive staircase test results.
  * Shows JND estimate, trial summary, interpretation, and staircase plot.
+ * QUEST runs also show the 95% credible interval and the threshold posterior.
+ * Interleaved runs add a per-track table and one plot per track.
  */
 
 import React from 'react';
@@ -10,6 +12,9 @@ import {
 } from '@mui/material';
 import Label from './Label';
 
+/** Display names of the staircase trial tasks */
+const TASK_LABELS = { '2afc': '2AFC', abx: 'ABX', triangle: 'Triangle' };
+
 /**
  * Generate interpretation text from staircase results.
  * @param {object} stats - Stats from computeStaircaseStats
@@ -22,7 +27,12 @@ function interpretStaircase(stats) {
   if (stats.floorCeiling === 'ceiling') {
     return 'Ceiling effect: listener could not detect differences, even the largest. The options may be too similar.';
   }
-  if (stats.jndSD > stats.jnd * 0.5 && stats.jnd > 1) {
+  if (stats.method === 'quest') {
+    const [lo, hi] = stats.credibleInterval;
+    if (hi - lo > (stats.optionNames.length - 1) / 2) {
+      return 'Wide credible interval. The threshold estimate may be unreliable — consider more trials.';
+    }
+  } else if (stats.jndSD > stats.jnd * 0.5 && stats.jnd > 1) {
     return 'High variability in reversal levels. The JND estimate may be unreliable — consider more reversals.';
   }
   if (stats.jndLevel <= 1) {
@@ -192,16 +202,120 @@ function StaircasePlot({ trials, reversalLevels, nLevels, jnd }) {
   );
 }
 
+/**
+ * SVG posterior plot — QUEST threshold posterior with its credible interval.
+ * @param {object} props
+ * @param {{ grid: number[], posterior: number[] }} props.posterior
+ * @param {number[]} props.credibleInterval - [lower, upper]
+ * @param {number} props.jnd - Posterior mean
+ */
+function PosteriorPlot({ posterior, credibleInterval, jnd }) {
+  const theme = useTheme();
+  const { grid } = posterior;
+  const density = posterior.posterior;
+  if (grid.length === 0) return null;
+
+  const width = 500;
+  const height = 160;
+  const padding = { top: 20, right: 30, bottom: 30, left: 45 };
+  const plotW = width - padding.left - padding.right;
+  const plotH = height - padding.top - padding.bottom;
+
+  const xMin = grid[0];
+  const xMax = grid[grid.length - 1];
+  const yMax = Math.max(...density) || 1;
+  const xScale = (t) => padding.left + ((t - xMin) / (xMax - xMin)) * plotW;
+  const yScale = (p) => padding.top + (1 - p / yMax) * plotH;
+
+  const curve = grid.map((t, i) => `${xScale(t)},${yScale(density[i])}`);
+  const area = [`${xScale(xMin)},${yScale(0)}`, ...curve, `${xScale(xMax)},${yScale(0)}`].join(' ');
+
+  const xTicks = [];
+  const step = xMax <= 11 ? 1 : Math.ceil(xMax / 8);
+  for (let l = 1; l < xMax; l += step) xTicks.push(l);
+
+  return (
+    <Box sx={{ overflowX: 'auto' }}>
+      <svg viewBox={`0 0 ${width} ${height}`} width="100%" style={{ maxWidth: width }}>
+        {/* Credible interval band */}
+        <rect
+          x={xScale(credibleInterval[0])} y={padding.top}
+          width={Math.max(0, xScale(credibleInterval[1]) - xScale(credibleInterval[0]))}
+          height={plotH}
+          fill={theme.palette.primary.main} opacity={0.08}
+        />
+
+        {/* Posterior density */}
+        <polygon points={area} fill={theme.palette.chart.grid} />
+        <polyline
+          points={curve.join(' ')}
+          fill="none"
+          stroke={theme.palette.chart.line}
+          strokeWidth={1.5}
+        />
+
+        {/* Posterior mean */}
+        <line
+          x1={xScale(jnd)} y1={padding.top}
+          x2={xScale(jnd)} y2={height - padding.bottom}
+          stroke={theme.palette.primary.main} strokeWidth={1} strokeDasharray="4,3"
+        />
+        <text
+          x={xScale(jnd)} y={padding.top - 6}
+          textAnchor="middle" fontSize={9} fill={theme.palette.primary.main}
+        >
+          JND
+        </text>
+
+        <text
+          x={12} y={height / 2}
+          textAnchor="middle" fontSize={10} fill={theme.palette.chart.label}
+          transform={`rotate(-90, 12, ${height / 2})`}
+        >
+          Posterior
+        </text>
+
+        {/* X-axis */}
+        <line
+          x1={padding.left} y1={height - padding.bottom}
+          x2={width - padding.right} y2={height - padding.bottom}
+          stroke={theme.palette.chart.axis} strokeWidth={1}
+        />
+        {xTicks.map((l) => (
+          <text
+            key={`x-${l}`}
+            x={xScale(l)} y={height - padding.bottom + 14}
+            textAnchor="middle" fontSize={10} fill={theme.palette.chart.label}
+          >
+            {l}
+          </text>
+        ))}
+        <text
+          x={(padding.left + width - padding.right) / 2}
+          y={height - 4}
+          textAnchor="middle" fontSize={10} fill={theme.palette.chart.label}
+        >
+          Threshold level
+        </text>
+      </svg>
+    </Box>
+  );
+}
+
 /**
  * @param {object} props
  * @param {object} props.stats - Stats from computeStaircaseStats
  */
 export default function StaircaseStats({ stats }) {
+  const isQuest = stats.method === 'quest';
+
   return (
     <Box mb={2}>
       <Typography variant="h6" gutterBottom>
         {stats.name}
-        <Typography component="span" variant="body2" color="text.secondary" ml={1}>2AFC-Staircase</Typography>
+        <Typography component="span" variant="body2" color="text.secondary" ml={1}>
+          2AFC-Staircase{isQuest && ' (QUEST)'}{stats.task && stats.task !== '2afc' && ` · ${TASK_LABELS[stats.task]} trials`}
+        </Typography>
       </Typography>
 
       {/* Option names */}
@@ -228,21 +342,36 @@ export default function StaircaseStats({ stats }) {
                   </Tooltip>
                 </TableCell>
                 <TableCell sx={{ fontWeight: 'bold', width: '30%' }}>Level</TableCell>
-                <TableCell sx={{ fontWeight: 'bold', width: '35%' }}>
-                  <Box display="inline" mr={1}>SD</Box>
-                  <Tooltip title="Standard deviation of reversal levels used to compute JND. Lower SD indicates more stable convergence.">
-                    <Box display="inline">
-                      <Label color="primary">?</Label>
-                    </Box>
-                  </Tooltip>
-                </TableCell>
+                {isQuest ? (
+                  <TableCell sx={{ fontWeight: 'bold', width: '35%' }}>
+                    <Box display="inline" mr={1}>95% CrI</Box>
+                    <Tooltip title="Bayesian credible interval: given the responses, the threshold lies in this range with 95% probability. The JND is the posterior mean.">
+                      <Box display="inline">
+                        <Label color="primary">?</Label>
+                      </Box>
+                    </Tooltip>
+                  </TableCell>
+                ) : (
+                  <TableCell sx={{ fontWeight: 'bold', width: '35%' }}>
+                    <Box display="inline" mr={1}>SD</Box>
+                    <Tooltip title="Standard deviation of reversal levels used to compute JND. Lower SD indicates more stable convergence.">
+                      <Box display="inline">
+                        <Label color="primary">?</Label>
+                      </Box>
+                    </Tooltip>
+                  </TableCell>
+                )}
               </TableRow>
             </TableHead>
             <TableBody>
               <TableRow>
                 <TableCell>{stats.jnd.toFixed(1)}</TableCell>
                 <TableCell>{stats.jndOptionName}</TableCell>
-                <TableCell>{stats.jndSD.toFixed(2)}</TableCell>
+                <TableCell>
+                  {isQuest
+                    ? `${stats.credibleInterval[0].toFixed(1)} – ${stats.credibleInterval[1].toFixed(1)}`
+                    : stats.jndSD.toFixed(2)}
+                </TableCell>
               </TableRow>
               <TableRow>
                 <TableCell colSpan={3} sx={{ fontStyle: 'italic', color: 'text.secondary' }}>
@@ -262,40 +391,121 @@ export default function StaircaseStats({ stats }) {
               <TableRow>
                 <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Trials</TableCell>
                 <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Correct</TableCell>
-                <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Reversals</TableCell>
-                <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>
-                  <Box display="inline" mr={1}>Used</Box>
-                  <Tooltip title="Number of reversal values used to compute the JND (after discarding coarse-phase reversals).">
-                    <Box display="inline">
-                      <Label color="primary">?</Label>
-                    </Box>
-                  </Tooltip>
-                </TableCell>
+                {isQuest ? (
+                  <>
+                    <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Posterior SD</TableCell>
+                    <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>
+                      <Box display="inline" mr={1}>Slope</Box>
+                      <Tooltip title="Slope of the psychometric function QUEST assumed when updating the posterior and choosing levels.">
+                        <Box display="inline">
+                          <Label color="primary">?</Label>
+                        </Box>
+                      </Tooltip>
+                    </TableCell>
+                  </>
+                ) : (
+                  <>
+                    <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Reversals</TableCell>
+                    <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>
+                      <Box display="inline" mr={1}>Used</Box>
+                      <Tooltip title="Number of reversal values used to compute the JND (after discarding coarse-phase reversals).">
+                        <Box display="inline">
+                          <Label color="primary">?</Label>
+                        </Box>
+                      </Tooltip>
+                    </TableCell>
+                  </>
+                )}
               </TableRow>
             </TableHead>
             <TableBody>
               <TableRow>
                 <TableCell>{stats.totalTrials}</TableCell>
                 <TableCell>{stats.totalCorrect} / {stats.totalTrials}</TableCell>
-                <TableCell>{stats.reversalCount}</TableCell>
-                <TableCell>{stats.reversalsUsed.length}</TableCell>
+                <TableCell>{isQuest ? stats.jndSD.toFixed(2) : stats.reversalCount}</TableCell>
+                <TableCell>{isQuest ? stats.slope.toFixed(1) : stats.reversalsUsed.length}</TableCell>
               </TableRow>
             </TableBody>
           </Table>
         </TableContainer>
       </Box>
 
-      {/* Staircase plot */}
-      <Box mt={1}>
-        <Paper variant="outlined" sx={{ p: 1 }}>
-          <StaircasePlot
-            trials={stats.trials}
-            reversalLevels={stats.reversalsUsed}
-            nLevels={stats.optionNames.length}
-            jnd={stats.jnd}
-          />
-        </Paper>
-      </Box>
+      {/* Per-track results (interleaved) */}
+      {stats.trackStats && (
+        <Box mt={1}>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small" sx={{ tableLayout: 'fixed' }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 'bold', width: '15%' }}>Track</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Rule</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '15%' }}>Start</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '15%' }}>JND</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '15%' }}>{isQuest ? '95% CrI' : 'SD'}</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', width: '15%' }}>{isQuest ? 'Trials' : 'Reversals'}</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {stats.trackStats.map((t, k) => (
+                  <TableRow key={k}>
+                    <TableCell>{k + 1}</TableCell>
+                    <TableCell>{t.rule}</TableCell>
+                    <TableCell>{t.startLevel}</TableCell>
+                    <TableCell>{t.jnd.toFixed(1)}</TableCell>
+                    <TableCell>
+                      {isQuest
+                        ? `${t.credibleInterval[0].toFixed(1)} – ${t.credibleInterval[1].toFixed(1)}`
+                        : t.sd.toFixed(2)}
+                    </TableCell>
+                    <TableCell>{isQuest ? t.trials.length : t.reversalCount}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+
+      {/* Staircase plot — one per track when interleaved */}
+      {stats.trackStats ? stats.trackStats.map((t, k) => (
+        <Box mt={1} key={k}>
+          <Paper variant="outlined" sx={{ p: 1 }}>
+            <Typography variant="body2" color="text.secondary" ml={1}>
+              Track {k + 1} · {t.rule}
+            </Typography>
+            <StaircasePlot
+              trials={t.trials}
+              reversalLevels={t.reversalsUsed}
+              nLevels={stats.optionNames.length}
+              jnd={t.jnd}
+            />
+          </Paper>
+        </Box>
+      )) : (
+        <Box mt={1}>
+          <Paper variant="outlined" sx={{ p: 1 }}>
+            <StaircasePlot
+              trials={stats.trials}
+              reversalLevels={stats.reversalsUsed}
+              nLevels={stats.optionNames.length}
+              jnd={stats.jnd}
+            />
+          </Paper>
+        </Box>
+      )}
+
+      {/* QUEST posterior plot */}
+      {isQuest && stats.posterior && (
+        <Box mt={1}>
+          <Paper variant="outlined" sx={{ p: 1 }}>
+            <PosteriorPlot
+              posterior={stats.posterior}
+              credibleInterval={stats.credibleInterval}
+              jnd={stats.jnd}
+            />
+          </Paper>
+        </Box>
+      )}
 
       {/* Response time */}
       {stats.timing && (
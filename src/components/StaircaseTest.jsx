@@ -6,12 +6,21 @@
  *
  * Has a familiarization phase with custom header (not TestHeader) and pair name labels.
  * Follows the standard UI pattern: select a track, then click one submit button.
+ *
+ * With staircase.task the trial is presented as ABX (A/B plus mystery X, user
+ * picks the track X matches) or triangle (three tracks, user picks the odd one)
+ * instead; familiarization is always the plain pair.
+ *
+ * Also used for 2AFC-Constant (method of constant stimuli): when totalIterations
+ * is given the trial count is fixed, so the reversal counter is hidden and the
+ * fixed-length progress bar replaces the adaptive one.
  */
 
 import { useState, useEffect } from 'react';
 import { Box, Button, Divider, Typography } from '@mui/material';
 import TrackSelector from './TrackSelector';
 import AdaptiveProgress from './AdaptiveProgress';
+import FixedProgress from './FixedProgress';
 import { useSelectedTrack } from '../audio/useEngineState';
 import { useHotkeys } from '../audio/useHotkeys';
 import { useHeardTracks } from '../audio/useHeardTracks';
@@ -22,11 +31,14 @@ import { useHeardTracks } from '../audio/useHeardTracks';
  * @param {string} [props.description] - Test instructions
  * @param {string} props.stepStr - e.g., "Trial 5"
  * @param {number} props.reversalCount - Current reversal count
- * @param {number} props.targetReversals - Target reversal count
+ * @param {number|null} props.targetReversals - Target reversal count (null for QUEST, which has no reversals)
  * @param {object[]} props.progressDots - Array of {isCorrect, confidence} for progress bar
  * @param {number} [props.minRemaining=1] - Best-case minimum remaining trials (from staircase algorithm)
  * @param {boolean} [props.familiarizing=false] - True during free-listen familiarization phase
  * @param {string[]} [props.pairNames] - Option names for A and B during familiarization
+ * @param {number} [props.totalIterations] - Fixed trial count (2AFC-Constant); omit for adaptive
+ * @param {boolean} [props.showProgress] - Whether to show the fixed-length progress bar
+ * @param {string} [props.task='2afc'] - Trial task: '2afc', 'abx' or 'triangle'
  * @param {import('../audio/audioEngine').AudioEngine|null} props.engine
  * @param {number} props.iterationKey - Counter for state resets between iterations
  * @param {(answerId: string|null, confidence: null) => void} props.onSubmit
@@ -41,11 +53,16 @@ export default function StaircaseTest({
   minRemaining = 1,
   familiarizing = false,
   pairNames,
+  totalIterations,
+  showProgress = false,
+  task = '2afc',
   engine,
   iterationKey,
   onSubmit,
 }) {
-  const trackCount = 2;
+  const trackCount = familiarizing || task === '2afc' ? 2 : 3;
+  const xTrackIndex = !familiarizing && task === 'abx' ? 2 : null;
+  const fixedLength = totalIterations != null;
   const selectedTrack = useSelectedTrack(engine);
   const [answer, setAnswer] = useState(null);
   const { heardTracks, markHeard } = useHeardTracks(iterationKey);
@@ -56,7 +73,8 @@ export default function StaircaseTest({
   const handleTrackSelect = (index) => {
     engine?.selectTrack(index);
     markHeard(index);
-    setAnswer(index);
+    // Selecting X is just for listening — not an answer
+    setAnswer(index === xTrackIndex ? null : index);
   };
 
   const getAnswerLabel = () => {
@@ -64,7 +82,16 @@ export default function StaircaseTest({
     return String.fromCharCode(65 + answer);
   };
 
-  const canSubmit = familiarizing || (answer !== null && heardTracks.size >= trackCount);
+  const canSubmit = familiarizing || (answer !== null && (
+    xTrackIndex !== null ? heardTracks.has(xTrackIndex) : heardTracks.size >= trackCount
+  ));
+
+  const getSubmitLabel = () => {
+    if (familiarizing) return 'Start Test';
+    if (task === 'abx') return `X is ${getAnswerLabel()}`;
+    if (task === 'triangle') return `${getAnswerLabel()} is different`;
+    return `${getAnswerLabel()} is the reference`;
+  };
 
   const handleSubmit = () => {
     if (!canSubmit) return;
@@ -72,7 +99,7 @@ export default function StaircaseTest({
     onSubmit(familiarizing ? null : String(answer), null);
   };
 
-  useHotkeys({ engine, trackCount, onTrackSelect: handleTrackSelect, onSubmit: handleSubmit });
+  useHotkeys({ engine, trackCount, xTrackIndex, onTrackSelect: handleTrackSelect, onSubmit: handleSubmit });
 
   return (
     <>
@@ -101,7 +128,7 @@ export default function StaircaseTest({
         {!familiarizing && (
           <Box display="flex" justifyContent="space-between" mt={0.5} mx={1}>
             <Typography color="text.secondary" variant="body2">
-              Reversals: {reversalCount}/{targetReversals}
+              {!fixedLength && targetReversals != null && `Reversals: ${reversalCount}/${targetReversals}`}
             </Typography>
             <Typography color="text.secondary">{stepStr}</Typography>
           </Box>
@@ -112,7 +139,7 @@ export default function StaircaseTest({
           trackCount={trackCount}
           selectedTrack={selectedTrack}
           onSelect={handleTrackSelect}
-          xTrackIndex={null}
+          xTrackIndex={xTrackIndex}
         />
 
         {/* Option name labels below buttons during familiarization */}
@@ -136,15 +163,18 @@ export default function StaircaseTest({
             disabled={!canSubmit}
             sx={{ textTransform: 'none' }}
           >
-            {familiarizing ? 'Start Test' : `${getAnswerLabel()} is the reference`}
+            {getSubmitLabel()}
           </Button>
         </Box>
       </Box>
 
       {/* Progress bar: adaptive length, shown only during real trials */}
-      {!familiarizing && (
+      {!familiarizing && !fixedLength && (
         <AdaptiveProgress progressDots={progressDots} minRemaining={minRemaining} />
       )}
+      {!familiarizing && fixedLength && showProgress && (
+        <FixedProgress progressDots={progressDots} totalIterations={totalIterations} />
+      )}
     </>
   );
 }
@@ -8,7 +8,7 @@
 import { Box, Paper } from '@mui/material';
 import AudioControls from './AudioControls';
 
-export default function TestPanel({ engine, channelData, crossfadeForced, children }) {
+export default function TestPanel({ engine, channelData, crossfadeForced, segments, lockSegment, children }) {
   return (
     <Box display="flex" flexDirection="column" gap={1.5}>
       <Paper>
@@ -18,6 +18,8 @@ export default function TestPanel({ engine, channelData, crossfadeForced, childr
         engine={engine}
         channelData={channelData}
         crossfadeForced={crossfadeForced}
+        segments={segments}
+        lockSegment={lockSegment}
       />
     </Box>
   );
@@ -15,9 +15,24 @@ import { useTestFlow } from '../hooks/useTestFlow';
 import Welcome from './Welcome';
 import Results from './Results';
 import SampleRateInfo from './SampleRateInfo';
+import LevelMatchInfo from './LevelMatchInfo';
+import LengthMismatchInfo from './LengthMismatchInfo';
+import AudioCacheInfo from './AudioCacheInfo';
+import OptionPreview from './OptionPreview';
 import TestPanel from './TestPanel';
 
-export default function TestSession({ config, configUrl, postResults = true, skipWelcome = false, skipResults = false, onScreen, onTestEvent }) {
+/**
+ * Downloaded size for the loading line, e.g. "45.3 of 120.0 MB".
+ * @param {{ bytesLoaded?: number, bytesTotal?: number|null }} progress
+ * @returns {string|null}
+ */
+function formatLoadedBytes({ bytesLoaded, bytesTotal }) {
+  if (!bytesLoaded) return null;
+  const mb = (bytes) => (bytes / 1e6).toFixed(1);
+  return bytesTotal ? `${mb(bytesLoaded)} of ${mb(bytesTotal)} MB` : `${mb(bytesLoaded)} MB`;
+}
+
+export default function TestSession({ config, configUrl, postResults = true, skipWelcome = false, skipResults = false, preview = false, onScreen, onTestEvent }) {
   // Audio data produced by useTestFlow's fetch, consumed by useAudioEngine
   const [audioData, setAudioData] = useState({ decodedCache: null, sampleRate: null });
   const onAudioLoaded = useCallback((data) => setAudioData(data), []);
@@ -31,6 +46,11 @@ export default function TestSession({ config, configUrl, postResults = true, ski
     welcomeProps,
     resultsProps,
     sampleRateInfo,
+    resampleInfo,
+    levelReports,
+    alignReports,
+    lengthReports,
+    auditionOption,
     loadProgress,
     audioError,
   } = useTestFlow({
@@ -65,7 +85,8 @@ export default function TestSession({ config, configUrl, postResults = true, ski
           <CircularProgress />
           {loadProgress.total > 0 && (
             <Typography variant="body2" color="text.secondary">
-              Loading audio ({loadProgress.loaded}/{loadProgress.total})
+              Loading audio ({loadProgress.loaded}/{loadProgress.total}
+              {formatLoadedBytes(loadProgress) && ` · ${formatLoadedBytes(loadProgress)}`})
             </Typography>
           )}
         </Box>
@@ -78,7 +99,19 @@ export default function TestSession({ config, configUrl, postResults = true, ski
     return (
       <>
         {sampleRateInfo && (
-          <SampleRateInfo info={sampleRateInfo} />
+          <SampleRateInfo info={sampleRateInfo} resampled={resampleInfo} />
+        )}
+        <LevelMatchInfo reports={levelReports} tests={config.tests} />
+        <LengthMismatchInfo reports={lengthReports} tests={config.tests} />
+        <AudioCacheInfo cache={config.audioCache} />
+        {preview && (
+          <OptionPreview
+            tests={config.tests}
+            reports={levelReports}
+            alignments={alignReports}
+            onAudition={auditionOption}
+            engine={audioEngine.engineFacade}
+          />
         )}
         <Welcome {...welcomeProps} />
       </>
@@ -98,9 +131,15 @@ export default function TestSession({ config, configUrl, postResults = true, ski
 
   // Test screen
   if (TestComponent && testProps) {
-    const { channelData, crossfadeForced, ...typeProps } = testProps;
+    const { channelData, crossfadeForced, segments, lockSegment, ...typeProps } = testProps;
     return (
-      <TestPanel engine={audioEngine.engineFacade} channelData={channelData} crossfadeForced={crossfadeForced}>
+      <TestPanel
+        engine={audioEngine.engineFacade}
+        channelData={channelData}
+        crossfadeForced={crossfadeForced}
+        segments={segments}
+        lockSegment={lockSegment}
+      >
         <TestComponent {...typeProps} engine={audioEngine.engineFacade} />
       </TestPanel>
     );
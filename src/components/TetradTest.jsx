@@ -0,0 +1,147 @@
+/**
+ * TetradTest — tetrad grouping test screen.
+ * Four samples are presented: two copies of each option.
+ * User groups them into two pairs of alike samples.
+ *
+ * When showConfidence is true (Tetrad+C), choosing a grouping
+ * transforms the answer area into a vertical stack of confidence buttons.
+ * When false (plain Tetrad), choosing a grouping submits immediately.
+ */
+
+import { useState, useEffect } from 'react';
+import { Box, Button, Typography } from '@mui/material';
+import TestHeader from './TestHeader';
+import TrackSelector from './TrackSelector';
+import ConfidenceButtons from './ConfidenceButtons';
+import FixedProgress from './FixedProgress';
+import { useSelectedTrack } from '../audio/useEngineState';
+import { useHotkeys } from '../audio/useHotkeys';
+import { useHeardTracks } from '../audio/useHeardTracks';
+
+/** Possible groupings, keyed by the position of A's partner */
+const GROUPINGS = [
+  { partner: 1, label: 'AB | CD' },
+  { partner: 2, label: 'AC | BD' },
+  { partner: 3, label: 'AD | BC' },
+];
+
+/**
+ * @param {object} props
+ * @param {string} props.name - Test name
+ * @param {string} [props.description] - Test instructions
+ * @param {string} props.stepStr - e.g., "3/10"
+ * @param {import('../audio/audioEngine').AudioEngine|null} props.engine
+ * @param {number} props.totalIterations - Total number of iterations for this test
+ * @param {object[]} props.progressDots - Array of {isCorrect, confidence} for completed iterations
+ * @param {boolean} [props.showConfidence] - Whether to show confidence selection (Tetrad+C)
+ * @param {boolean} [props.showProgress] - Whether to show iteration progress bar
+ * @param {number} props.iterationKey - Counter for state resets between iterations
+ * @param {(answerId: string, confidence: string|null) => void} props.onSubmit
+ */
+export default function TetradTest({
+  name,
+  description,
+  stepStr,
+  engine,
+  totalIterations,
+  progressDots = [],
+  showConfidence = false,
+  showProgress = false,
+  iterationKey,
+  onSubmit,
+}) {
+  const trackCount = 4;
+  const selectedTrack = useSelectedTrack(engine);
+
+  const [answer, setAnswer] = useState(null);
+  const [pendingSubmit, setPendingSubmit] = useState(false);
+  const { heardTracks, markHeard } = useHeardTracks(iterationKey);
+
+  // Reset state on new iteration
+  useEffect(() => { setAnswer(null); setPendingSubmit(false); }, [iterationKey]);
+
+  const handleTrackSelect = (index) => {
+    engine?.selectTrack(index);
+    markHeard(index);
+  };
+
+  const canAnswer = heardTracks.size >= trackCount;
+
+  const handleGroupingClick = (partner) => {
+    setAnswer(partner);
+    if (showConfidence) {
+      setPendingSubmit(true);
+    } else {
+      engine?.stop();
+      onSubmit(String(partner), null);
+    }
+  };
+
+  const handleConfidenceClick = (confidence) => {
+    engine?.stop();
+    onSubmit(String(answer), confidence);
+  };
+
+  useHotkeys({ engine, trackCount, onTrackSelect: handleTrackSelect, onSubmit: () => {} });
+
+  return (
+    <>
+      <Box p={2.5}>
+        <TestHeader name={name} description={description} />
+
+        <Box display="flex" justifyContent="flex-end" mt={0.5} mr={1}>
+          <Typography color="text.secondary">{stepStr}</Typography>
+        </Box>
+
+        {/* Track selector — 4 buttons, no X */}
+        <TrackSelector
+          trackCount={trackCount}
+          selectedTrack={selectedTrack}
+          onSelect={handleTrackSelect}
+          xTrackIndex={null}
+        />
+
+        {/* Grouping / Confidence area */}
+        <Box
+          display="flex"
+          justifyContent="flex-end"
+          mt={1}
+          sx={{ position: 'relative', height: 36.5 }}
+        >
+          {!pendingSubmit && (
+            <Box
+              sx={{
+                position: 'absolute',
+                bottom: 0,
+                right: 0,
+                display: 'flex',
+                gap: 1,
+              }}
+            >
+              {GROUPINGS.map((g) => (
+                <Button
+                  key={g.partner}
+                  variant="outlined"
+                  color="primary"
+                  onClick={() => handleGroupingClick(g.partner)}
+                  disabled={!canAnswer}
+                  sx={{ textTransform: 'none', minWidth: 100 }}
+                >
+                  {g.label}
+                </Button>
+              ))}
+            </Box>
+          )}
+
+          {pendingSubmit && (
+            <ConfidenceButtons onSelect={handleConfidenceClick} />
+          )}
+        </Box>
+      </Box>
+
+      {showProgress && (
+        <FixedProgress progressDots={progressDots} totalIterations={totalIterations} />
+      )}
+    </>
+  );
+}
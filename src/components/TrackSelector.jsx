@@ -24,6 +24,9 @@ const MYSTERY_LABELS = 'XYZ';
  * @returns {{ top: string, left: string }}
  */
 function circlePosition(i, n, diameter, spacing, minRadius = 0) {
+  // Single track (ACR): centered
+  if (n === 1) return { top: '50%', left: '50%' };
+
   let alpha0;
   switch (n) {
     case 2:
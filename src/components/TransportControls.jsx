@@ -8,7 +8,7 @@ import { Box, IconButton, Tooltip } from '@mui/material';
 import PlayArrowIcon from '@mui/icons-material/PlayArrow';
 import PauseIcon from '@mui/icons-material/Pause';
 import StopIcon from '@mui/icons-material/Stop';
-import { useTransportState, useSelectedTrack } from '../audio/useEngineState';
+import { useTransportState, useSelectedTrack, useSequenced } from '../audio/useEngineState';
 
 /**
  * @param {object} props
@@ -18,7 +18,9 @@ import { useTransportState, useSelectedTrack } from '../audio/useEngineState';
 export default function TransportControls({ engine, disabled = false }) {
   const transportState = useTransportState(engine);
   const selectedTrack = useSelectedTrack(engine);
-  const noTrack = selectedTrack < 0;
+  const sequenced = useSequenced(engine);
+  // A sequence plays every track in turn — no selection needed
+  const noTrack = selectedTrack < 0 && !sequenced;
 
   return (
     <Box display="flex" flexDirection="row" alignItems="center" gap={0.5}>
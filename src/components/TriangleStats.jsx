@@ -1,7 +1,8 @@
 /**
  * TriangleStats — table displaying Triangle test results.
- * Shows the two compared options, then p-value / correct / incorrect summary.
+ * Shows the two compared options, then p-value / d' / correct / incorrect summary.
  * No confusion matrix (not meaningful for triangle tests).
+ * Also used for Duo-Trio, Tetrad and 3AFC/4AFC oddity, which share the same stats structure.
  */
 
 import React from 'react';
@@ -13,14 +14,18 @@ import Label from './Label';
 
 /**
  * @param {object} props
- * @param {object} props.stats - Triangle stats object from computeTriangleStats
+ * @param {object} props.stats - Stats object from computeTriangleStats, computeDuoTrioStats, computeTetradStats,
+ *   computeThreeAfcStats or computeFourAfcStats
+ * @param {string} [props.typeLabel] - Label shown next to test name
+ * @param {string} [props.chanceLabel] - Guessing rate shown in the p-value tooltip
+ * @param {string} [props.dPrimeNote] - Why the method has no d', shown with "n/a" in place of the estimate
  */
-export default function TriangleStats({ stats }) {
+export default function TriangleStats({ stats, typeLabel = 'Triangle', chanceLabel = '1/3', dPrimeNote = null }) {
   return (
     <Box mb={2}>
       <Typography variant="h6" gutterBottom>
         {stats.name}
-        <Typography component="span" variant="body2" color="text.secondary" ml={1}>Triangle</Typography>
+        <Typography component="span" variant="body2" color="text.secondary" ml={1}>{typeLabel}</Typography>
       </Typography>
 
       {/* Option names */}
@@ -38,21 +43,41 @@ export default function TriangleStats({ stats }) {
           <Table size="small" sx={{ tableLayout: 'fixed' }}>
             <TableHead>
               <TableRow>
-                <TableCell sx={{ fontWeight: 'bold', width: '50%' }}>
+                <TableCell sx={{ fontWeight: 'bold', width: '34%' }}>
                   <Box display="inline" mr={1}>p-value</Box>
-                  <Tooltip title="Probability of getting this many or more correct identifications by chance (1/3). Lower values suggest the listener can reliably distinguish the options.">
+                  <Tooltip title={`Probability of getting this many or more correct identifications by chance (${chanceLabel}). Lower values suggest the listener can reliably distinguish the options.`}>
                     <Box display="inline">
                       <Label color="primary">?</Label>
                     </Box>
                   </Tooltip>
                 </TableCell>
-                <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Correct</TableCell>
-                <TableCell sx={{ fontWeight: 'bold', width: '25%' }}>Incorrect</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '22%' }}>
+                  <Box display="inline" mr={1}>d&apos;</Box>
+                  <Tooltip title="Thurstonian sensitivity estimate. Unlike the proportion correct, d' does not depend on the test method, so results from Triangle, Duo-Trio, Tetrad and 3AFC tests can be compared directly. 0 = no perceived difference.">
+                    <Box display="inline">
+                      <Label color="primary">?</Label>
+                    </Box>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '22%' }}>Correct</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', width: '22%' }}>Incorrect</TableCell>
               </TableRow>
             </TableHead>
             <TableBody>
               <TableRow>
                 <TableCell>{stats.pValue.toPrecision(3)}</TableCell>
+                <TableCell>
+                  {stats.dPrime != null ? stats.dPrime.toFixed(2) : dPrimeNote ? (
+                    <>
+                      <Box display="inline" mr={1}>n/a</Box>
+                      <Tooltip title={dPrimeNote}>
+                        <Box display="inline">
+                          <Label color="primary">?</Label>
+                        </Box>
+                      </Tooltip>
+                    </>
+                  ) : '—'}
+                </TableCell>
                 <TableCell>{stats.totalCorrect}</TableCell>
                 <TableCell>{stats.totalIncorrect}</TableCell>
               </TableRow>
@@ -11,6 +11,9 @@
  *   sampleRateInfo: object|null,
  *   loadBuffers: (bufferSources: object[]) => void,
  *   setCrossfadeConfig: (test: object|null) => void,
+ *   setSequenceConfig: (test: object|null) => void,
+ *   setChannelConfig: (test: object|null) => void,
+ *   setSegmentConfig: (test: object|null, segments: object[]) => void,
  * }}
  */
 
@@ -18,6 +21,17 @@ import { useMemo, useEffect, useCallback, useRef } from 'react';
 import { AudioEngine } from '../audio/audioEngine';
 import { createAudioBufferMap } from '../audio/audioLoader';
 
+/**
+ * Linear track gain for a buffer source: option trim plus level-matching gain,
+ * negated for inverted polarity.
+ * @param {{ gainDb?: number, matchGainDb?: number, invertPolarity?: boolean }} source
+ * @returns {number}
+ */
+function sourceTrackGain(source) {
+  const db = (source.gainDb ?? 0) + (source.matchGainDb ?? 0);
+  return (source.invertPolarity ? -1 : 1) * Math.pow(10, db / 20);
+}
+
 export function useAudioEngine(decodedCache, sampleRate) {
   const engineRef = useRef(null);
   const audioBufferMapRef = useRef(null);
@@ -52,6 +66,8 @@ export function useAudioEngine(decodedCache, sampleRate) {
       getVolume: () => engine.getVolume(),
       getLoopRegion: () => engine.getLoopRegion(),
       getCrossfadeEnabled: () => engine.getCrossfadeEnabled(),
+      getSequenced: () => engine.getSequenced(),
+      getSequenceInterval: () => engine.getSequenceInterval(),
       getSampleRateInfo: () => engine.getSampleRateInfo(),
       get currentTimeRef() { return engine.currentTimeRef; },
       get currentTime() { return engine.currentTime; },
@@ -77,15 +93,16 @@ export function useAudioEngine(decodedCache, sampleRate) {
   }, []);
 
   /**
-   * Look up pre-built AudioBuffers by URL and load into engine.
-   * @param {object[]} bufferSources - Array of { audioUrl } objects
+   * Look up pre-built AudioBuffers by URL and load into engine, with each
+   * source's gain and polarity applied by the engine's per-track gain stage.
+   * @param {object[]} bufferSources - Array of { audioUrl, gainDb?, invertPolarity?, matchGainDb? } objects
    */
   const loadBuffers = useCallback((bufferSources) => {
     if (!engineRef.current) return;
     const buffers = bufferSources.map((opt) =>
       audioBufferMapRef.current.get(opt.audioUrl)
     );
-    engineRef.current.loadBuffers(buffers);
+    engineRef.current.loadBuffers(buffers, bufferSources.map(sourceTrackGain));
   }, []);
 
   /**
@@ -100,11 +117,47 @@ export function useAudioEngine(decodedCache, sampleRate) {
     }
   }, []);
 
+  /**
+   * Apply sequenced presentation settings from test config to the engine.
+   * @param {object|null} test - Test config object (null clears settings)
+   */
+  const setSequenceConfig = useCallback((test) => {
+    if (!engineRef.current) return;
+    const sequence = test?.sequence ?? null;
+    engineRef.current.setSequenceConfig(sequence
+      ? { isi: sequence.isi / 1000, restrictToLoop: sequence.restrictToLoop }
+      : null);
+  }, []);
+
+  /**
+   * Apply the test's channel mode to the engine.
+   * @param {object|null} test - Test config object (null restores stereo)
+   */
+  const setChannelConfig = useCallback((test) => {
+    if (!engineRef.current) return;
+    engineRef.current.setChannelMode(test?.channelMode ?? 'stereo');
+  }, []);
+
+  /**
+   * Lock the engine's loop region to the test's `lockSegment`, if it has one.
+   * @param {object|null} test - Test config object (null unlocks)
+   * @param {{ name: string, start: number, end: number }[]} segments - The test's presets,
+   *   configured segments and file markers (from segmentPresets)
+   */
+  const setSegmentConfig = useCallback((test, segments) => {
+    if (!engineRef.current) return;
+    const locked = test?.lockSegment ? segments.find((s) => s.name === test.lockSegment) : null;
+    engineRef.current.setLoopLock(locked ? [locked.start, locked.end] : null);
+  }, []);
+
   return {
     engineFacade,
     initialized: !!engine,
     sampleRateInfo: engine ? engine.getSampleRateInfo() : null,
     loadBuffers,
     setCrossfadeConfig,
+    setSequenceConfig,
+    setChannelConfig,
+    setSegmentConfig,
   };
 }
@@ -18,6 +18,11 @@
 
 import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { loadAndValidate } from '../audio/audioLoader';
+import { addSynthesizedLevels } from '../audio/synthesizeLevels';
+import { RESAMPLER_FILTER } from '../audio/resample';
+import { DecodePool } from '../audio/decodePool';
+import { analyzeTestLevels, levelKey, measureTestLevels } from '../audio/loudness';
+import { segmentPresets } from '../audio/markers';
 import { getTestType } from '../utils/testTypeRegistry';
 import { createShareUrl } from '../utils/share';
 import { formatResultsForEmit } from '../utils/formatResults';
@@ -29,11 +34,23 @@ import { formatResultsForEmit } from '../utils/formatResults';
  */
 let _iterationMeta = null;
 
+/**
+ * Attach a test's level-matching gains to its buffer sources.
+ * The engine applies them together with each option's own gain and polarity.
+ * @param {object|undefined} report - The test's level report (from analyzeTestLevels)
+ * @param {object[]} bufferSources
+ * @returns {object[]}
+ */
+function withMatchGains(report, bufferSources) {
+  if (!report || report.gains.size === 0) return bufferSources;
+  return bufferSources.map((src) => ({ ...src, matchGainDb: report.gains.get(levelKey(src)) ?? 0 }));
+}
+
 /**
  * @param {object} params
  * @param {object} params.config - Parsed config object
  * @param {string} [params.configUrl] - URL for share URL construction
- * @param {object} params.audioEngine - { initialized, loadBuffers, setCrossfadeConfig, engineFacade, sampleRateInfo }
+ * @param {object} params.audioEngine - { initialized, loadBuffers, setCrossfadeConfig, setSequenceConfig, setChannelConfig, setSegmentConfig, engineFacade, sampleRateInfo }
  * @param {(type: string, data: object) => void} params.onEvent - Lifecycle callback
  * @param {({ decodedCache: Map, sampleRate: number }) => void} params.onAudioLoaded - Called when audio fetch/decode completes
  * @param {boolean} params.skipWelcome
@@ -41,7 +58,9 @@ let _iterationMeta = null;
  * @param {boolean} params.postResults
  */
 export function useTestFlow({ config, configUrl, audioEngine, onEvent, onAudioLoaded, skipWelcome, skipResults, postResults }) {
-  const { initialized: audioInitialized, loadBuffers, setCrossfadeConfig } = audioEngine;
+  const {
+    initialized: audioInitialized, loadBuffers, setCrossfadeConfig, setSequenceConfig, setChannelConfig, setSegmentConfig,
+  } = audioEngine;
 
   // Test flow state
   const [form, setForm] = useState({});
@@ -81,36 +100,150 @@ export function useTestFlow({ config, configUrl, audioEngine, onEvent, onAudioLo
   const [loadProgress, setLoadProgress] = useState({ loaded: 0, total: 0 });
   const [audioError, setAudioError] = useState(null);
   const decodedCacheRef = useRef(new Map());
-
-  // Extract unique audio URLs from config
+  // Per-test loudness measurements and level-matching gains, by test index
+  const [levelReports, setLevelReports] = useState(null);
+  const levelReportsRef = useRef(null);
+  // Files converted by the in-app resampler (null when nothing was resampled)
+  const [resampleInfo, setResampleInfo] = useState(null);
+  // Per-test time-alignment offsets, by test index (null for tests without align)
+  const [alignReports, setAlignReports] = useState(null);
+  const alignReportsRef = useRef(null);
+  // Per-test length mismatch adjustments, by test index (null where nothing was trimmed or padded)
+  const [lengthReports, setLengthReports] = useState(null);
+  const lengthReportsRef = useRef(null);
+
+  // Extract unique audio URLs from config (synthesized levels are rendered, not fetched)
   const audioUrls = useMemo(() => {
     if (!config) return [];
     const urls = new Set();
     for (const opt of config.options) {
-      urls.add(opt.audioUrl);
+      if (!opt.synth) urls.add(opt.audioUrl);
     }
     return Array.from(urls);
   }, [config]);
 
+  // Files of tests with resampleTo, and the (shared) target rate
+  const resampleSpec = useMemo(() => {
+    const tests = config ? config.tests.filter((t) => t.resampleTo) : [];
+    if (tests.length === 0) return null;
+    return {
+      rate: tests[0].resampleTo,
+      urls: Array.from(new Set(tests.flatMap((t) => t.options.map((o) => o.audioUrl)))),
+    };
+  }, [config]);
+
+  // Tests with align: each cross-correlates its files against its first option's file
+  const alignTests = useMemo(() => {
+    if (!config) return [];
+    return config.tests.flatMap((test, testIndex) => (test.align ? [{
+      testIndex,
+      urls: Array.from(new Set(test.options.map((o) => o.audioUrl))),
+      maxOffset: test.align.maxOffsetMs / 1000,
+    }] : []));
+  }, [config]);
+
+  // Tests with a trimToShortest/padWithSilence lengthMismatch policy
+  const lengthTests = useMemo(() => {
+    if (!config) return [];
+    return config.tests.flatMap((test, testIndex) => (test.lengthMismatch !== 'error' ? [{
+      testIndex,
+      name: test.name,
+      urls: Array.from(new Set(test.options.filter((o) => !o.synth).map((o) => o.audioUrl))),
+      policy: test.lengthMismatch,
+      maxDifference: test.maxLengthDifferenceMs / 1000,
+    }] : []));
+  }, [config]);
+
+  // Tests that mix left and right (any channelMode but stereo)
+  const channelModeTests = useMemo(() => {
+    if (!config) return [];
+    return config.tests.filter((test) => test.channelMode !== 'stereo').map((test) => ({
+      name: test.name,
+      mode: test.channelMode,
+      urls: Array.from(new Set(test.options.filter((o) => !o.synth).map((o) => o.audioUrl))),
+    }));
+  }, [config]);
+
   // Fetch and decode all audio files
   useEffect(() => {
     if (audioUrls.length === 0) return;
     const controller = new AbortController();
 
-    loadAndValidate(audioUrls, (loaded, total) => {
+    loadAndValidate(audioUrls, (loaded, total, bytes) => {
       if (!controller.signal.aborted) {
         // Emit loading event synchronously — bypasses React state/effect cycle
-        onEvent('loading', { loaded, total });
-        setLoadProgress({ loaded, total });
+        onEvent('loading', { loaded, total, ...bytes });
+        setLoadProgress({ loaded, total, ...bytes });
       }
-    }, { signal: controller.signal })
-      .then((data) => {
+    }, {
+      signal: controller.signal,
+      concurrency: config.fetchConcurrency,
+      cache: config.audioCache,
+      resample: resampleSpec,
+      align: alignTests,
+      lengths: lengthTests,
+      channelModes: channelModeTests,
+    })
+      .then(async (data) => {
         if (controller.signal.aborted) return;
         const cache = new Map();
         for (let i = 0; i < audioUrls.length; i++) {
           cache.set(audioUrls[i], data.decoded[i]);
         }
+        addSynthesizedLevels(cache, config.options);
+        // lockSegment may name a file marker, so it can only be checked once decoded
+        for (const test of config.tests) {
+          if (test.lockSegment && !segmentPresets(test, cache).some((s) => s.name === test.lockSegment)) {
+            throw new Error(
+              `Test "${test.name}" has lockSegment "${test.lockSegment}", which is not one of its segments or file markers`
+            );
+          }
+        }
+        // Loudness takes seconds per minute of audio — measure on workers
+        const pool = new DecodePool();
+        let measured;
+        try {
+          measured = await measureTestLevels(config.tests, cache, pool, { signal: controller.signal });
+        } finally {
+          pool.destroy();
+        }
+        if (controller.signal.aborted) return;
+        setResampleInfo(data.resampled.length > 0
+          ? { rate: data.sampleRate, filter: RESAMPLER_FILTER, files: data.resampled }
+          : null);
         decodedCacheRef.current = cache;
+        const reports = config.tests.map((test) => analyzeTestLevels(test, cache, measured));
+        levelReportsRef.current = reports;
+        setLevelReports(reports);
+        const alignments = config.tests.map(() => null);
+        alignTests.forEach(({ testIndex }, g) => {
+          const offsets = data.offsets[g];
+          alignments[testIndex] = {
+            maxOffsetMs: config.tests[testIndex].align.maxOffsetMs,
+            options: config.tests[testIndex].options.map((o) => ({
+              name: o.name,
+              offsetSamples: offsets.get(o.audioUrl),
+              offsetMs: (offsets.get(o.audioUrl) / data.sampleRate) * 1000,
+            })),
+          };
+        });
+        alignReportsRef.current = alignments;
+        setAlignReports(alignments);
+        const lengthAdjustments = config.tests.map(() => null);
+        lengthTests.forEach(({ testIndex, policy }, g) => {
+          const adjustment = data.lengthAdjustments[g];
+          if (!adjustment) return;
+          lengthAdjustments[testIndex] = {
+            policy,
+            maxDifferenceMs: config.tests[testIndex].maxLengthDifferenceMs,
+            sampleCount: adjustment.sampleCount,
+            options: config.tests[testIndex].options
+              .filter((o) => adjustment.originalCounts.has(o.audioUrl))
+              .map((o) => ({ name: o.name, originalSampleCount: adjustment.originalCounts.get(o.audioUrl) })),
+          };
+        });
+        lengthReportsRef.current = lengthAdjustments;
+        setLengthReports(lengthAdjustments);
         onAudioLoaded({ decodedCache: cache, sampleRate: data.sampleRate });
       })
       .catch((err) => {
@@ -121,7 +254,7 @@ export function useTestFlow({ config, configUrl, audioEngine, onEvent, onAudioLo
         }
       });
     return () => { controller.abort(); };
-  }, [audioUrls, onEvent, onAudioLoaded]);
+  }, [audioUrls, resampleSpec, alignTests, lengthTests, channelModeTests, config, onEvent, onAudioLoaded]);
 
   /**
    * Get channel 0 data for each option + extra waveform tracks.
@@ -155,7 +288,7 @@ export function useTestFlow({ config, configUrl, audioEngine, onEvent, onAudioLo
     }
   }, [config, testStep]);
 
-  // Get current test config (for crossfade settings)
+  // Get current test config (for crossfade, sequence and channel settings)
   const currentTest = config && testStep >= 0 && testStep < config.tests.length
     ? config.tests[testStep]
     : null;
@@ -165,6 +298,16 @@ export function useTestFlow({ config, configUrl, audioEngine, onEvent, onAudioLo
     setCrossfadeConfig(currentTest);
   }, [currentTest, setCrossfadeConfig]);
 
+  // Update sequenced presentation when test changes
+  useEffect(() => {
+    setSequenceConfig(currentTest);
+  }, [currentTest, setSequenceConfig]);
+
+  // Update channel mode when test changes
+  useEffect(() => {
+    setChannelConfig(currentTest);
+  }, [currentTest, setChannelConfig]);
+
   /** Initialize results array when config is loaded. */
   const initResults = useCallback((cfg) => {
     setResults(
@@ -230,7 +373,8 @@ export function useTestFlow({ config, configUrl, audioEngine, onEvent, onAudioLo
     iterationStartRef.current = Date.now();
     setIterationKey((k) => k + 1);
     setIterationVersion((v) => v + 1);
-    return { bufferSources: result.bufferSources };
+
+    return { bufferSources: withMatchGains(levelReportsRef.current?.[testIndex], result.bufferSources) };
   }, []);
 
   /**
@@ -249,6 +393,22 @@ export function useTestFlow({ config, configUrl, audioEngine, onEvent, onAudioLo
     );
     Object.assign(newResults[testIndex], merged);
 
+    newResults[testIndex].optionSettings = test.options
+      .filter((o) => o.gainDb !== 0 || o.invertPolarity)
+      .map((o) => ({ name: o.name, gainDb: o.gainDb, invertPolarity: o.invertPolarity }));
+
+    const report = levelReportsRef.current?.[testIndex];
+    if (report) {
+      const { gains, ...loudness } = report;
+      newResults[testIndex].loudness = loudness;
+    }
+
+    const alignment = alignReportsRef.current?.[testIndex];
+    if (alignment) newResults[testIndex].alignment = alignment;
+
+    const lengthAdjustment = lengthReportsRef.current?.[testIndex];
+    if (lengthAdjustment) newResults[testIndex].lengthAdjustment = lengthAdjustment;
+
     return newResults;
   }, [config]);
 
@@ -339,6 +499,17 @@ export function useTestFlow({ config, configUrl, audioEngine, onEvent, onAudioLo
     advanceStep(result.isCorrect);
   };
 
+  /**
+   * Load a single option for non-blind playback (author preview), with the
+   * same gain, polarity, level matching and channel mode it gets in the test.
+   * @param {number} testIndex
+   * @param {object} option
+   */
+  const auditionOption = useCallback((testIndex, option) => {
+    setChannelConfig(config.tests[testIndex]);
+    loadBuffers(withMatchGains(levelReportsRef.current?.[testIndex], [{ ...option }]));
+  }, [config, loadBuffers, setChannelConfig]);
+
   // Start test
   const handleStart = useCallback(async (formData) => {
     setForm(formData);
@@ -416,6 +587,17 @@ export function useTestFlow({ config, configUrl, audioEngine, onEvent, onAudioLo
     return getChannelData(config.tests[testStep]);
   }, [config, testStep, getChannelData]);
 
+  // --- Derive loop presets for current test: configured segments, then file cue markers ---
+  const testSegments = useMemo(() => {
+    if (!config || testStep < 0 || testStep >= config.tests.length) return [];
+    return segmentPresets(config.tests[testStep], decodedCacheRef.current);
+  }, [config, testStep]);
+
+  // Update the segment lock when test changes
+  useEffect(() => {
+    setSegmentConfig(currentTest, testSegments);
+  }, [currentTest, testSegments, setSegmentConfig]);
+
   // --- Build props for each screen ---
 
   const welcomeProps = config ? {
@@ -446,6 +628,8 @@ export function useTestFlow({ config, configUrl, audioEngine, onEvent, onAudioLo
       stepStr,
       channelData: testChannelData,
       crossfadeForced,
+      segments: testSegments,
+      lockSegment: test.lockSegment,
       onSubmit: handleSubmit,
       iterationKey,
       progressDots,
@@ -468,6 +652,11 @@ export function useTestFlow({ config, configUrl, audioEngine, onEvent, onAudioLo
     welcomeProps,
     resultsProps,
     sampleRateInfo: audioEngine.sampleRateInfo,
+    resampleInfo,
+    levelReports,
+    alignReports,
+    lengthReports,
+    auditionOption,
     loadProgress,
     audioError,
     skipWelcome,
@@ -0,0 +1,286 @@
+/**
+ * Psychometric function fitting for the method of constant stimuli.
+ *
+ * Pure functions — no React dependencies. Fits
+ *   p(x) = γ + (1 − γ − λ) · F(x; α, β)
+ * by maximum likelihood, where γ is the guess rate of the task, λ a fixed
+ * lapse rate and F a logistic or Weibull sigmoid over the level index x.
+ * Confidence intervals come from a parametric bootstrap.
+ *
+ * Threshold is the level where F = 0.5 (75% correct in 2AFC with λ = 0);
+ * slope is dp/dx at the threshold, in proportion correct per level.
+ */
+
+/**
+ * Default configuration values (single source of truth).
+ * Imported by config.js for YAML parsing defaults.
+ */
+export const CONSTANT_STIMULI_DEFAULTS = {
+  trialsPerLevel: 10,
+  function: 'logistic',
+  lapseRate: 0,
+};
+
+/** Supported sigmoid shapes (order is used by share encoding) */
+export const PSYCHOMETRIC_FUNCTIONS = ['logistic', 'weibull'];
+
+/** Bootstrap resamples for confidence intervals */
+const BOOTSTRAP_SAMPLES = 500;
+
+/** Fixed bootstrap seed so results and share links show the same intervals */
+const BOOTSTRAP_SEED = 0x5eed;
+
+/** Log-slope search bounds — keeps degenerate (step-like) fits finite */
+const LOG_BETA_MIN = Math.log(0.05);
+const LOG_BETA_MAX = Math.log(50);
+
+/**
+ * Seeded PRNG (mulberry32).
+ * @param {number} seed
+ * @returns {() => number} Uniform [0, 1) generator
+ */
+function mulberry32(seed) {
+  return function () {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Unscaled sigmoid F(x) in [0, 1].
+ * @param {number} x - Level
+ * @param {number} alpha - Location (logistic: midpoint; Weibull: scale)
+ * @param {number} beta - Slope / shape parameter
+ * @param {string} fn - 'logistic' or 'weibull'
+ * @returns {number}
+ */
+function sigmoid(x, alpha, beta, fn) {
+  if (fn === 'weibull') return x <= 0 ? 0 : 1 - Math.exp(-((x / alpha) ** beta));
+  return 1 / (1 + Math.exp(-beta * (x - alpha)));
+}
+
+/**
+ * Psychometric function value: probability of a correct response at a level.
+ * @param {number} x - Level
+ * @param {{ alpha: number, beta: number }} params - Fitted parameters
+ * @param {{ fn: string, guessRate: number, lapseRate: number }} model
+ * @returns {number} P(correct)
+ */
+export function psychometricValue(x, params, model) {
+  const { fn, guessRate, lapseRate } = model;
+  return guessRate + (1 - guessRate - lapseRate) * sigmoid(x, params.alpha, params.beta, fn);
+}
+
+/**
+ * Threshold (F = 0.5) and slope at threshold for a parameter set.
+ * @param {number} alpha
+ * @param {number} beta
+ * @param {{ fn: string, guessRate: number, lapseRate: number }} model
+ * @returns {{ threshold: number, slope: number }}
+ */
+function thresholdAndSlope(alpha, beta, model) {
+  const scale = 1 - model.guessRate - model.lapseRate;
+  if (model.fn === 'weibull') {
+    const threshold = alpha * Math.LN2 ** (1 / beta);
+    return { threshold, slope: (scale * beta * Math.LN2) / (2 * threshold) };
+  }
+  return { threshold: alpha, slope: (scale * beta) / 4 };
+}
+
+/**
+ * Nelder-Mead simplex minimization.
+ * @param {(x: number[]) => number} f - Objective
+ * @param {number[]} x0 - Starting point
+ * @param {number[]} steps - Initial simplex step per dimension
+ * @returns {number[]} Minimizer
+ */
+function nelderMead(f, x0, steps) {
+  const MAX_ITER = 400;
+  const TOL = 1e-9;
+  const n = x0.length;
+  let simplex = [x0, ...steps.map((s, i) => x0.map((v, j) => (j === i ? v + s : v)))]
+    .map((x) => ({ x, fx: f(x) }));
+
+  for (let iter = 0; iter < MAX_ITER; iter++) {
+    simplex.sort((a, b) => a.fx - b.fx);
+    if (Math.abs(simplex[n].fx - simplex[0].fx) < TOL) break;
+
+    const centroid = Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) centroid[j] += simplex[i].x[j] / n;
+    }
+    const worst = simplex[n];
+    const along = (t) => centroid.map((c, j) => c + t * (worst.x[j] - c));
+
+    const reflected = along(-1);
+    const fr = f(reflected);
+    if (fr < simplex[0].fx) {
+      const expanded = along(-2);
+      const fe = f(expanded);
+      simplex[n] = fe < fr ? { x: expanded, fx: fe } : { x: reflected, fx: fr };
+    } else if (fr < simplex[n - 1].fx) {
+      simplex[n] = { x: reflected, fx: fr };
+    } else {
+      const contracted = fr < worst.fx ? along(-0.5) : along(0.5);
+      const fc = f(contracted);
+      if (fc < Math.min(fr, worst.fx)) {
+        simplex[n] = { x: contracted, fx: fc };
+      } else {
+        // Shrink toward the best vertex
+        const best = simplex[0].x;
+        simplex = simplex.map((v, i) => {
+          if (i === 0) return v;
+          const x = best.map((b, j) => b + 0.5 * (v.x[j] - b));
+          return { x, fx: f(x) };
+        });
+      }
+    }
+  }
+
+  simplex.sort((a, b) => a.fx - b.fx);
+  return simplex[0].x;
+}
+
+/**
+ * Map search coordinates to parameters. Logistic searches α directly,
+ * Weibull searches log α; both search log β.
+ */
+function toParams(u, fn) {
+  return { alpha: fn === 'weibull' ? Math.exp(u[0]) : u[0], beta: Math.exp(u[1]) };
+}
+
+/**
+ * Negative log-likelihood of binomial counts under the model.
+ * @param {object[]} points - Array of { x, correct, total }
+ * @param {{ alpha: number, beta: number }} params
+ * @param {object} model
+ * @returns {number}
+ */
+function negLogLik(points, params, model) {
+  let nll = 0;
+  for (const { x, correct, total } of points) {
+    const p = Math.min(1 - 1e-9, Math.max(1e-9, psychometricValue(x, params, model)));
+    nll -= correct * Math.log(p) + (total - correct) * Math.log(1 - p);
+  }
+  return nll;
+}
+
+/**
+ * Maximum-likelihood search from a starting point, with bounds on both
+ * parameters so flat or step-like data can't drive them to infinity.
+ */
+function searchFrom(points, model, start, bounds) {
+  const objective = (u) => {
+    if (u[0] < bounds.lo || u[0] > bounds.hi || u[1] < LOG_BETA_MIN || u[1] > LOG_BETA_MAX) return Infinity;
+    return negLogLik(points, toParams(u, model.fn), model);
+  };
+  const u = nelderMead(objective, start, [bounds.step, 0.5]);
+  return { u, nll: objective(u) };
+}
+
+/**
+ * Fit a psychometric function to per-level counts.
+ * @param {object[]} points - Array of { x, correct, total } (x = level, > 0)
+ * @param {{ fn: string, guessRate: number, lapseRate: number }} model
+ * @returns {{ alpha: number, beta: number, threshold: number, slope: number, bounds: object, u: number[] }|null}
+ *   Fitted parameters plus the search state reused by bootstrapPsychometric; null if there are no trials
+ */
+export function fitPsychometric(points, model) {
+  const used = points.filter((p) => p.total > 0);
+  if (used.length === 0) return null;
+
+  const xs = used.map((p) => p.x);
+  const xMin = Math.min(...xs);
+  const xMax = Math.max(...xs);
+  const span = Math.max(xMax - xMin, 1);
+  const bounds = model.fn === 'weibull'
+    ? { lo: Math.log(xMin / 4), hi: Math.log(xMax * 4), step: 0.3 }
+    : { lo: xMin - span, hi: xMax + span, step: span / 4 };
+
+  // Coarse grid of starting points, then refine the best
+  let best = null;
+  for (let i = 0; i <= 4; i++) {
+    const alpha = xMin + (span * i) / 4;
+    for (const beta of [0.5, 1, 2, 4]) {
+      const start = [model.fn === 'weibull' ? Math.log(alpha) : alpha, Math.log(beta)];
+      const nll = negLogLik(used, toParams(start, model.fn), model);
+      if (!best || nll < best.nll) best = { start, nll };
+    }
+  }
+  const { u } = searchFrom(used, model, best.start, bounds);
+  const { alpha, beta } = toParams(u, model.fn);
+
+  return { alpha, beta, ...thresholdAndSlope(alpha, beta, model), bounds, u };
+}
+
+/**
+ * Per-level counts of constant-stimuli trials.
+ * @param {object[]} trials - Array of { level, isCorrect }
+ * @param {number} nLevels
+ * @returns {object[]} Array of { x, correct, total } for levels 1..nLevels
+ */
+export function levelCounts(trials, nLevels) {
+  return Array.from({ length: nLevels }, (_, i) => {
+    const atLevel = trials.filter((t) => t.level === i + 1);
+    return { x: i + 1, correct: atLevel.filter((t) => t.isCorrect).length, total: atLevel.length };
+  });
+}
+
+/**
+ * Bootstrap CIs for a finished run. Computed once when the test completes and
+ * kept with its results — the refits are too slow to repeat on every render
+ * or share-link decode.
+ * @param {object[]} trials - Array of { level, isCorrect }
+ * @param {number} nLevels
+ * @param {{ fn: string, guessRate: number, lapseRate: number }} model
+ * @returns {{ thresholdCI: number[], slopeCI: number[] }|null} null if there are no trials
+ */
+export function psychometricCI(trials, nLevels, model) {
+  const points = levelCounts(trials, nLevels);
+  const fit = fitPsychometric(points, model);
+  return fit ? bootstrapPsychometric(points, fit, model) : null;
+}
+
+/**
+ * Parametric bootstrap: simulate counts from the fitted function,
+ * refit, and take the 2.5th and 97.5th percentiles.
+ * @param {object[]} points - Array of { x, correct, total }
+ * @param {object} fit - Result of fitPsychometric
+ * @param {object} model
+ * @returns {{ thresholdCI: number[], slopeCI: number[] }}
+ */
+export function bootstrapPsychometric(points, fit, model) {
+  const rng = mulberry32(BOOTSTRAP_SEED);
+  const used = points.filter((p) => p.total > 0);
+  const thresholds = [];
+  const slopes = [];
+
+  for (let s = 0; s < BOOTSTRAP_SAMPLES; s++) {
+    const sample = used.map(({ x, total }) => {
+      const p = psychometricValue(x, fit, model);
+      let correct = 0;
+      for (let t = 0; t < total; t++) if (rng() < p) correct++;
+      return { x, correct, total };
+    });
+    const { u } = searchFrom(sample, model, fit.u, fit.bounds);
+    const { alpha, beta } = toParams(u, model.fn);
+    const ts = thresholdAndSlope(alpha, beta, model);
+    thresholds.push(ts.threshold);
+    slopes.push(ts.slope);
+  }
+
+  const percentile = (values, q) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const pos = q * (sorted.length - 1);
+    const lo = Math.floor(pos);
+    return sorted[lo] + (sorted[Math.min(lo + 1, sorted.length - 1)] - sorted[lo]) * (pos - lo);
+  };
+
+  return {
+    thresholdCI: [percentile(thresholds, 0.025), percentile(thresholds, 0.975)],
+    slopeCI: [percentile(slopes, 0.025), percentile(slopes, 0.975)],
+  };
+}
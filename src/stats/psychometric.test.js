@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import {
+  fitPsychometric, bootstrapPsychometric, psychometricCI, psychometricValue, levelCounts,
+} from './psychometric';
+
+/**
+ * Helper: seeded PRNG (mulberry32), for a reproducible simulated observer.
+ */
+function mulberry32(seed) {
+  return function () {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Helper: trials of an observer following the given psychometric function,
+ * `perLevel` at each of levels 1..nLevels.
+ */
+function simulateTrials(params, model, nLevels, perLevel, seed) {
+  const rng = mulberry32(seed);
+  const trials = [];
+  for (let level = 1; level <= nLevels; level++) {
+    const p = psychometricValue(level, params, model);
+    for (let t = 0; t < perLevel; t++) trials.push({ level, isCorrect: rng() < p });
+  }
+  return trials;
+}
+
+describe('fitPsychometric', () => {
+  it('recovers the threshold and slope of a simulated 2AFC logistic observer', () => {
+    // α = 4, β = 1.5: threshold 4, slope (1 − 0.5) · 1.5 / 4 = 0.1875 per level
+    const model = { fn: 'logistic', guessRate: 0.5, lapseRate: 0 };
+    const points = levelCounts(simulateTrials({ alpha: 4, beta: 1.5 }, model, 8, 200, 42), 8);
+    const fit = fitPsychometric(points, model);
+
+    expect(Math.abs(fit.threshold - 4)).toBeLessThan(0.25);
+    expect(Math.abs(fit.slope - 0.1875)).toBeLessThan(0.03);
+  });
+
+  it('recovers a Weibull threshold, α · ln(2)^(1/β)', () => {
+    const model = { fn: 'weibull', guessRate: 0.5, lapseRate: 0.02 };
+    const points = levelCounts(simulateTrials({ alpha: 5, beta: 3 }, model, 10, 200, 7), 10);
+    const fit = fitPsychometric(points, model);
+
+    expect(Math.abs(fit.threshold - 5 * Math.LN2 ** (1 / 3))).toBeLessThan(0.25);
+  });
+
+  it('fits counts that lie exactly on the curve to its parameters', () => {
+    const model = { fn: 'logistic', guessRate: 0.5, lapseRate: 0 };
+    const points = Array.from({ length: 8 }, (_, i) => {
+      const x = i + 1;
+      return { x, correct: psychometricValue(x, { alpha: 3.5, beta: 2 }, model) * 1e6, total: 1e6 };
+    });
+    const fit = fitPsychometric(points, model);
+
+    expect(fit.alpha).toBeCloseTo(3.5, 3);
+    expect(fit.beta).toBeCloseTo(2, 3);
+    expect(fit.slope).toBeCloseTo(0.25, 3);
+  });
+
+  it('returns null without trials', () => {
+    expect(fitPsychometric(levelCounts([], 5), { fn: 'logistic', guessRate: 0.5, lapseRate: 0 })).toBeNull();
+  });
+});
+
+describe('psychometricCI', () => {
+  const model = { fn: 'logistic', guessRate: 0.5, lapseRate: 0 };
+  const trials = simulateTrials({ alpha: 4, beta: 1.5 }, model, 8, 30, 1234);
+
+  it('brackets the fitted threshold and slope', () => {
+    const ci = psychometricCI(trials, 8, model);
+    const fit = fitPsychometric(levelCounts(trials, 8), model);
+
+    expect(ci.thresholdCI[0]).toBeLessThan(fit.threshold);
+    expect(ci.thresholdCI[1]).toBeGreaterThan(fit.threshold);
+    expect(ci.slopeCI[0]).toBeLessThan(fit.slope);
+    expect(ci.slopeCI[1]).toBeGreaterThan(fit.slope);
+  });
+
+  it('is reproducible — the bootstrap is seeded', () => {
+    const points = levelCounts(trials, 8);
+    const fit = fitPsychometric(points, model);
+
+    expect(bootstrapPsychometric(points, fit, model)).toEqual(psychometricCI(trials, 8, model));
+  });
+
+  it('is null without trials', () => {
+    expect(psychometricCI([], 8, model)).toBeNull();
+  });
+});
@@ -6,18 +6,37 @@
  *   - 1u1d: 1 incorrect → step up, 1 correct → step down (50% threshold)
  *   - 1u2d: 1 incorrect → step up, 2 consecutive correct → step down (70.7%)
  *   - 1u3d: 1 incorrect → step up, 3 consecutive correct → step down (79.4%)
+ * and the weighted up-down method (Kaernbach 1991):
+ *   - weighted: every answer moves the level, with the up step stepUp/stepDown
+ *     times the down step. Converges where p · stepDown = (1 − p) · stepUp,
+ *     i.e. stepUp/stepDown = p / (1 − p) for a target p (3 for 75%).
+ *     Steps may be fractional: the track keeps a continuous position and
+ *     presents the nearest level.
  *
  * Two-phase step sizes: coarse (initialStep) for fast convergence,
  * fine (finalStep) after stepReductionAfter reversals.
  *
- * Optional interleaving: 2 independent tracks run concurrently to reduce bias.
+ * Alternatively a Bayesian procedure (method: 'quest', after Watson & Pelli
+ * 1983): a posterior over threshold is kept on a grid spanning the levels,
+ * and each trial uses the level that maximizes the expected information
+ * about the threshold. Runs for exactly maxTrials trials.
+ *
+ * Optional interleaving: 2 or more independent tracks run concurrently to reduce
+ * bias, each with its own start level and optionally its own rule.
+ *
+ * The level drives 2AFC, ABX or triangle trials (staircase.task); only QUEST
+ * needs to know which, for the task's guess rate.
  */
 
+import { psychometricValue } from './psychometric';
+
 /**
  * Default configuration values (single source of truth).
  * Imported by config.js for YAML parsing defaults.
  */
 export const STAIRCASE_DEFAULTS = {
+  method: 'updown',
+  task: '2afc',
   rule: '1u1d',
   reversals: 6,
   maxTrials: 30,
@@ -26,14 +45,37 @@ export const STAIRCASE_DEFAULTS = {
   stepReductionAfter: 2,
   startLevel: null, // null = auto (nLevels = most different)
   interleave: false,
+  slope: 1.5, // QUEST only: logistic slope of the assumed psychometric function, per level
+  targetPercent: 75, // Weighted rule only, unless stepUp/stepDown are given
 };
 
+/** Valid staircase methods */
+export const STAIRCASE_METHODS = ['updown', 'quest'];
+
+/**
+ * Trial tasks the staircase level can drive, with the chance of a correct
+ * answer when guessing (order is used by share encoding).
+ */
+export const STAIRCASE_TASK_GUESS_RATES = {
+  '2afc': 1 / 2,
+  abx: 1 / 2,
+  triangle: 1 / 3,
+};
+export const STAIRCASE_TASKS = Object.keys(STAIRCASE_TASK_GUESS_RATES);
+
+/** QUEST: assumed lapse rate, keeps one careless miss from ruling out low thresholds */
+const QUEST_LAPSE_RATE = 0.02;
+
+/** QUEST: threshold grid resolution, in levels */
+const QUEST_GRID_STEP = 0.1;
+
 /**
  * Parse rule string into correctsNeeded.
- * @param {string} rule - e.g. '1u1d', '1u2d', '1u3d'
+ * @param {string} rule - e.g. '1u1d', '1u2d', '1u3d', 'weighted'
  * @returns {number} Number of consecutive correct answers needed to step down
  */
 function parseRule(rule) {
+  if (rule === 'weighted') return 1;
   const match = rule.match(/^1u(\d)d$/);
   if (!match) throw new Error(`Invalid staircase rule: "${rule}"`);
   return parseInt(match[1], 10);
@@ -42,6 +84,7 @@ function parseRule(rule) {
 /**
  * Create initial staircase state.
  * @param {object} config - Staircase config from normalized test
+ * @param {string} [config.method] - 'updown' (default) or 'quest'
  * @param {number} config.nLevels - Number of quality levels (= options.length)
  * @param {string} config.rule - Transformed up-down rule
  * @param {number} config.reversals - Target number of reversals
@@ -50,9 +93,13 @@ function parseRule(rule) {
  * @param {number} config.finalStep - Step size during fine phase
  * @param {number} config.stepReductionAfter - Switch to fine step after this many reversals
  * @param {number|null} config.startLevel - Starting level (1-based), null for auto
+ * @param {number} [config.upRatio] - Weighted rule only: up step / down step
+ * @param {number} [config.slope] - QUEST only: assumed psychometric slope
  * @returns {object} Initial staircase state
  */
 export function createStaircaseState(config) {
+  if (config.method === 'quest') return createQuestState(config);
+
   const nLevels = config.nLevels;
   const correctsNeeded = parseRule(config.rule);
   const startLevel = config.startLevel != null
@@ -68,9 +115,12 @@ export function createStaircaseState(config) {
     initialStep: config.initialStep,
     finalStep: config.finalStep,
     stepReductionAfter: config.stepReductionAfter,
+    weighted: config.rule === 'weighted',
+    upRatio: config.rule === 'weighted' ? config.upRatio : 1,
 
     // Mutable state
     level: startLevel,          // Current level (1-based: 1=closest to reference, nLevels=most different)
+    position: startLevel,       // Unrounded level; differs from level only with fractional weighted steps
     direction: null,            // 'up' | 'down' | null (no direction yet)
     consecutiveCorrect: 0,      // Streak counter for transformed rules
     reversals: [],              // Array of level values at each reversal
@@ -89,6 +139,16 @@ export function getCurrentLevel(state) {
   return state.level;
 }
 
+/**
+ * Move the track by a (possibly fractional) number of levels, clamped to the range.
+ * @param {object} state - Staircase state (will be mutated)
+ * @param {number} delta - Positive = toward more different levels
+ */
+function moveLevel(state, delta) {
+  state.position = Math.min(Math.max(state.position + delta, 1), state.nLevels);
+  state.level = Math.round(state.position);
+}
+
 /**
  * Record a response and advance the staircase.
  * Mutates and returns the state object.
@@ -99,6 +159,7 @@ export function getCurrentLevel(state) {
  */
 export function recordResponse(state, isCorrect) {
   if (state.complete) return state;
+  if (state.method === 'quest') return recordQuestResponse(state, isCorrect);
 
   // Record trial
   state.trials.push({ level: state.level, isCorrect });
@@ -119,7 +180,7 @@ export function recordResponse(state, isCorrect) {
       state.reversals.push(state.level);
     }
     state.direction = newDirection;
-    state.level = Math.min(state.level + stepSize, state.nLevels);
+    moveLevel(state, stepSize * state.upRatio);
   } else {
     // Correct: increment streak
     state.consecutiveCorrect++;
@@ -132,7 +193,7 @@ export function recordResponse(state, isCorrect) {
         state.reversals.push(state.level);
       }
       state.direction = newDirection;
-      state.level = Math.max(state.level - stepSize, 1);
+      moveLevel(state, -stepSize);
     }
     // If streak not yet met, no direction change, no level change
   }
@@ -150,12 +211,19 @@ export function recordResponse(state, isCorrect) {
  * Discards first `stepReductionAfter` reversals (coarse phase),
  * computes mean and SD of remaining reversal levels.
  *
+ * With the weighted rule, peaks sit further from the target than valleys
+ * (the up step is larger), so an odd count would bias the mean. The oldest
+ * usable reversal is dropped to keep peaks and valleys paired.
+ *
  * @param {object} state - Completed staircase state
  * @returns {{ jnd: number, sd: number, reversalsUsed: number[] }}
  */
 export function computeJND(state) {
+  if (state.method === 'quest') return computeQuestJND(state);
+
   const discard = state.stepReductionAfter;
-  const usable = state.reversals.slice(discard);
+  let usable = state.reversals.slice(discard);
+  if (state.weighted && usable.length % 2 === 1 && usable.length > 1) usable = usable.slice(1);
 
   if (usable.length === 0) {
     // Not enough reversals — use all of them
@@ -180,19 +248,28 @@ export function computeJND(state) {
 
 /**
  * Check if staircase is stuck at floor or ceiling.
+ *
+ * Symmetric rules flag it when the last 3 trials sit at the boundary.
+ * A weighted track can't stay put: at the ceiling every correct guess steps
+ * down, and at the floor every lapse jumps up by the large up step. So it is
+ * judged over one up/down cycle (the up step plus 2 trials) and flagged when
+ * at least two thirds of those trials were at the boundary.
+ *
  * @param {object} state - Staircase state
  * @returns {'floor'|'ceiling'|null}
  */
 export function checkFloorCeiling(state) {
   if (state.trials.length === 0) return null;
 
-  // Check last few trials — if all at boundary, flag it
-  const recent = state.trials.slice(-3);
-  const allAtFloor = recent.every((t) => t.level === 1);
-  const allAtCeiling = recent.every((t) => t.level === state.nLevels);
+  // Check last few trials — if (nearly) all at boundary, flag it
+  const window = state.weighted ? Math.ceil(state.upRatio) + 2 : 3;
+  const recent = state.trials.slice(-window);
+  const needed = state.weighted ? Math.ceil((recent.length * 2) / 3) : recent.length;
+  const atFloor = recent.filter((t) => t.level === 1).length;
+  const atCeiling = recent.filter((t) => t.level === state.nLevels).length;
 
-  if (allAtFloor) return 'floor';
-  if (allAtCeiling) return 'ceiling';
+  if (atFloor >= needed) return 'floor';
+  if (atCeiling >= needed) return 'ceiling';
   return null;
 }
 
@@ -204,22 +281,197 @@ export function checkFloorCeiling(state) {
  */
 export function minRemainingTrials(state) {
   if (state.complete) return 0;
+  if (state.method === 'quest') return state.maxTrials - state.trials.length;
   return Math.max(0, state.targetReversals - state.reversals.length);
 }
 
-// --- Interleaving ---
+// --- QUEST ---
+
+/**
+ * Threshold grid for QUEST: one level beyond each end of the tested range,
+ * so floor and ceiling thresholds pile up at the edges instead of being clipped.
+ * @param {number} nLevels
+ * @returns {number[]}
+ */
+function questGrid(nLevels) {
+  const n = Math.round((nLevels + 1) / QUEST_GRID_STEP);
+  return Array.from({ length: n + 1 }, (_, i) => Math.round(i * QUEST_GRID_STEP * 10) / 10);
+}
+
+/**
+ * P(correct) at a level if the threshold were t.
+ * Threshold is the midpoint of the logistic, halfway between chance and
+ * 1 − lapse (about 75% correct in 2AFC and ABX, 66% in triangle).
+ * @param {number} level
+ * @param {number} t - Candidate threshold
+ * @param {{ slope: number, guessRate: number }} model
+ */
+function questPCorrect(level, t, model) {
+  return psychometricValue(
+    level,
+    { alpha: t, beta: model.slope },
+    { fn: 'logistic', guessRate: model.guessRate, lapseRate: QUEST_LAPSE_RATE },
+  );
+}
+
+/**
+ * Multiply a posterior by the likelihood of one response and renormalize.
+ * @param {number[]} posterior
+ * @param {number[]} grid
+ * @param {number} level
+ * @param {boolean} isCorrect
+ * @param {{ slope: number, guessRate: number }} model
+ * @returns {number[]} New posterior
+ */
+function updatePosterior(posterior, grid, level, isCorrect, model) {
+  const next = posterior.map((p, i) => {
+    const pc = questPCorrect(level, grid[i], model);
+    return p * (isCorrect ? pc : 1 - pc);
+  });
+  const sum = next.reduce((a, b) => a + b, 0);
+  return next.map((p) => p / sum);
+}
+
+/**
+ * Shannon entropy of a distribution (nats).
+ */
+function entropy(dist) {
+  let h = 0;
+  for (const p of dist) if (p > 0) h -= p * Math.log(p);
+  return h;
+}
+
+/**
+ * Pick the level whose outcome is expected to shrink the posterior entropy most.
+ * @param {object} state - QUEST state
+ * @returns {number} Level (1-based)
+ */
+function nextQuestLevel(state) {
+  let best = 1;
+  let bestEntropy = Infinity;
+  for (let level = 1; level <= state.nLevels; level++) {
+    let pCorrect = 0;
+    for (let i = 0; i < state.grid.length; i++) {
+      pCorrect += state.posterior[i] * questPCorrect(level, state.grid[i], state);
+    }
+    const expected = pCorrect * entropy(updatePosterior(state.posterior, state.grid, level, true, state))
+      + (1 - pCorrect) * entropy(updatePosterior(state.posterior, state.grid, level, false, state));
+    if (expected < bestEntropy) {
+      bestEntropy = expected;
+      best = level;
+    }
+  }
+  return best;
+}
 
 /**
- * Create an interleaved staircase state (2 independent tracks).
+ * Create initial QUEST state with a uniform prior over the threshold grid.
  * @param {object} config - Same config as createStaircaseState
+ * @returns {object} Initial QUEST state
+ */
+function createQuestState(config) {
+  const grid = questGrid(config.nLevels);
+  const state = {
+    // Config (immutable after init)
+    method: 'quest',
+    nLevels: config.nLevels,
+    maxTrials: config.maxTrials,
+    slope: config.slope,
+    guessRate: STAIRCASE_TASK_GUESS_RATES[config.task || '2afc'],
+    grid,
+
+    // Mutable state
+    posterior: grid.map(() => 1 / grid.length),
+    level: null,
+    reversals: [],              // Not used by QUEST; kept so shared code can count them
+    trials: [],
+    complete: false,
+  };
+  state.level = config.startLevel != null ? config.startLevel : nextQuestLevel(state);
+  return state;
+}
+
+/**
+ * Record a response on a QUEST track: update the posterior, pick the next level.
+ * @param {object} state - QUEST state (will be mutated)
+ * @param {boolean} isCorrect
+ * @returns {object} The same state object (mutated)
+ */
+function recordQuestResponse(state, isCorrect) {
+  state.trials.push({ level: state.level, isCorrect });
+  state.posterior = updatePosterior(state.posterior, state.grid, state.level, isCorrect, state);
+
+  if (state.trials.length >= state.maxTrials) {
+    state.complete = true;
+  } else {
+    state.level = nextQuestLevel(state);
+  }
+  return state;
+}
+
+/**
+ * Posterior over threshold from a list of trials (uniform prior).
+ * Trial order doesn't matter, so this also pools interleaved tracks and
+ * rebuilds the posterior from shared results.
+ * @param {number} nLevels
+ * @param {object[]} trials - Array of { level, isCorrect }
+ * @param {number} slope
+ * @param {number} [guessRate=0.5] - Chance rate of the trial task
+ * @returns {{ grid: number[], posterior: number[] }}
+ */
+export function computeQuestPosterior(nLevels, trials, slope, guessRate = 0.5) {
+  const grid = questGrid(nLevels);
+  const model = { slope, guessRate };
+  let posterior = grid.map(() => 1 / grid.length);
+  for (const t of trials) {
+    posterior = updatePosterior(posterior, grid, t.level, t.isCorrect, model);
+  }
+  return { grid, posterior };
+}
+
+/**
+ * Summarize a threshold posterior: mean, SD and 95% equal-tailed credible interval.
+ * @param {number[]} grid
+ * @param {number[]} posterior
+ * @returns {{ jnd: number, sd: number, credibleInterval: number[] }}
+ */
+export function summarizeQuestPosterior(grid, posterior) {
+  const mean = grid.reduce((a, t, i) => a + t * posterior[i], 0);
+  const variance = grid.reduce((a, t, i) => a + (t - mean) ** 2 * posterior[i], 0);
+
+  const quantile = (q) => {
+    let cdf = 0;
+    for (let i = 0; i < grid.length; i++) {
+      cdf += posterior[i];
+      if (cdf >= q) return grid[i];
+    }
+    return grid[grid.length - 1];
+  };
+
+  return { jnd: mean, sd: Math.sqrt(variance), credibleInterval: [quantile(0.025), quantile(0.975)] };
+}
+
+/**
+ * Threshold estimate from a QUEST track.
+ * @param {object} state - QUEST state
+ * @returns {{ jnd: number, sd: number, reversalsUsed: number[], credibleInterval: number[] }}
+ */
+function computeQuestJND(state) {
+  return { ...summarizeQuestPosterior(state.grid, state.posterior), reversalsUsed: [] };
+}
+
+// --- Interleaving ---
+
+/**
+ * Create an interleaved staircase state.
+ * Uses config.tracks (one config per track) when given, otherwise 2 identical tracks.
+ * @param {object} config - Same config as createStaircaseState, plus optional tracks
  * @returns {object} Interleaved state
  */
 export function createInterleavedState(config) {
+  const trackConfigs = config.tracks || [config, config];
   return {
-    tracks: [
-      createStaircaseState(config),
-      createStaircaseState(config),
-    ],
+    tracks: trackConfigs.map((c) => createStaircaseState(c)),
     currentTrack: null,  // Set by pickInterleavedTrack
   };
 }
@@ -228,7 +480,7 @@ export function createInterleavedState(config) {
  * Pick the next track for an interleaved trial.
  * Random selection among non-complete tracks.
  * @param {object} interleaved - Interleaved state
- * @returns {number} Track index (0 or 1), or -1 if both complete
+ * @returns {number} Track index, or -1 if all complete
  */
 export function pickInterleavedTrack(interleaved) {
   const available = interleaved.tracks
@@ -244,7 +496,7 @@ export function pickInterleavedTrack(interleaved) {
 /**
  * Record a response on a specific interleaved track.
  * @param {object} interleaved - Interleaved state
- * @param {number} trackIndex - Which track (0 or 1)
+ * @param {number} trackIndex - Which track
  * @param {boolean} isCorrect - Whether the listener answered correctly
  * @returns {object} The interleaved state
  */
@@ -263,12 +515,23 @@ export function isInterleavedComplete(interleaved) {
 }
 
 /**
- * Compute JND from interleaved staircase (average of both tracks).
+ * Compute JND from interleaved staircase (average of all tracks).
+ * QUEST tracks are combined into a single posterior instead.
  * @param {object} interleaved - Completed interleaved state
- * @returns {{ jnd: number, sd: number, tracks: object[] }}
+ * @returns {{ jnd: number, sd: number, tracks: object[], credibleInterval?: number[] }}
  */
 export function computeInterleavedJND(interleaved) {
   const trackResults = interleaved.tracks.map((t) => computeJND(t));
+
+  // QUEST: pool the evidence of all tracks into one posterior
+  if (interleaved.tracks[0].method === 'quest') {
+    const { nLevels, slope, guessRate } = interleaved.tracks[0];
+    const { grid, posterior } = computeQuestPosterior(
+      nLevels, interleaved.tracks.flatMap((t) => t.trials), slope, guessRate,
+    );
+    return { ...summarizeQuestPosterior(grid, posterior), tracks: trackResults };
+  }
+
   const jnd = trackResults.reduce((a, r) => a + r.jnd, 0) / trackResults.length;
   // Pooled SD: sqrt of average of variances
   const avgVariance = trackResults.reduce((a, r) => a + r.sd ** 2, 0) / trackResults.length;
@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createStaircaseState, recordResponse, computeJND, computeQuestPosterior, summarizeQuestPosterior,
+  createInterleavedState, recordInterleavedResponse, computeInterleavedJND, checkFloorCeiling,
+} from './staircase';
+import { psychometricValue } from './psychometric';
+
+/**
+ * Helper: seeded PRNG (mulberry32), for a reproducible simulated listener.
+ */
+function mulberry32(seed) {
+  return function () {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Helper: a simulated listener whose P(correct) follows a logistic
+ * psychometric function with the given threshold and slope.
+ */
+function observer(threshold, slope, guessRate, seed) {
+  const rng = mulberry32(seed);
+  const model = { fn: 'logistic', guessRate, lapseRate: 0 };
+  return (level) => rng() < psychometricValue(level, { alpha: threshold, beta: slope }, model);
+}
+
+/** Helper: answer trials on a track until it completes. */
+function run(state, answer) {
+  while (!state.complete) recordResponse(state, answer(state.level));
+  return state;
+}
+
+const QUEST = { method: 'quest', nLevels: 10, maxTrials: 60, slope: 1.5, task: '2afc', startLevel: null };
+
+describe('QUEST', () => {
+  it('converges on the threshold of a simulated listener', () => {
+    for (const seed of [1, 2, 3, 4, 5]) {
+      const state = run(createStaircaseState(QUEST), observer(6, 1.5, 0.5, seed));
+      const { jnd, credibleInterval } = computeJND(state);
+
+      expect(state.trials).toHaveLength(60);
+      expect(Math.abs(jnd - 6)).toBeLessThan(1);
+      expect(credibleInterval[0]).toBeLessThan(6);
+      expect(credibleInterval[1]).toBeGreaterThan(6);
+    }
+  });
+
+  it('uses the triangle guess rate', () => {
+    const state = run(createStaircaseState({ ...QUEST, task: 'triangle' }), observer(3, 1.5, 1 / 3, 9));
+    expect(Math.abs(computeJND(state).jnd - 3)).toBeLessThan(1);
+  });
+
+  it('places trials near the threshold once it has evidence', () => {
+    const state = run(createStaircaseState(QUEST), observer(6, 1.5, 0.5, 11));
+    const late = state.trials.slice(30).map((t) => t.level);
+    const mean = late.reduce((a, b) => a + b, 0) / late.length;
+    expect(Math.abs(mean - 6)).toBeLessThan(2);
+  });
+
+  it('rebuilds the same posterior from the trials in any order', () => {
+    const state = run(createStaircaseState(QUEST), observer(6, 1.5, 0.5, 21));
+    const { grid, posterior } = computeQuestPosterior(10, [...state.trials].reverse(), 1.5, 0.5);
+    const rebuilt = summarizeQuestPosterior(grid, posterior);
+    const direct = computeJND(state);
+
+    expect(rebuilt.jnd).toBeCloseTo(direct.jnd, 10);
+    expect(rebuilt.credibleInterval).toEqual(direct.credibleInterval);
+  });
+
+  it('pools interleaved tracks into one posterior', () => {
+    const track = { ...QUEST, maxTrials: 30 };
+    const interleaved = createInterleavedState({ ...track, tracks: [track, { ...track, startLevel: 1 }] });
+    const answer = observer(6, 1.5, 0.5, 33);
+    for (let k = 0; interleaved.tracks.some((t) => !t.complete); k++) {
+      const { level, complete } = interleaved.tracks[k % 2];
+      if (!complete) recordInterleavedResponse(interleaved, k % 2, answer(level));
+    }
+    const pooled = computeInterleavedJND(interleaved);
+    const all = computeQuestPosterior(10, interleaved.tracks.flatMap((t) => t.trials), 1.5, 0.5);
+
+    expect(pooled.jnd).toBeCloseTo(summarizeQuestPosterior(all.grid, all.posterior).jnd, 10);
+    expect(Math.abs(pooled.jnd - 6)).toBeLessThan(1);
+  });
+});
+
+const WEIGHTED = {
+  nLevels: 10, rule: 'weighted', upRatio: 3, reversals: 100, maxTrials: 100,
+  initialStep: 1, finalStep: 1, stepReductionAfter: 0, startLevel: 5,
+};
+
+/** Helper: feed a fixed sequence of answers, returning the levels presented. */
+function answer(state, responses) {
+  return responses.map((isCorrect) => {
+    const { level } = state;
+    recordResponse(state, isCorrect);
+    return level;
+  });
+}
+
+describe('weighted up-down', () => {
+  it('steps down once per correct answer and up by upRatio steps per miss', () => {
+    const state = createStaircaseState(WEIGHTED);
+    const levels = answer(state, [true, true, false, true, false]);
+
+    expect(levels).toEqual([5, 4, 3, 6, 5]);
+    expect(state.level).toBe(8);
+    expect(state.reversals).toEqual([3, 6, 5]);
+  });
+
+  it('keeps a fractional position and presents the nearest level', () => {
+    // 70% target: up / down = 0.7 / 0.3
+    const state = createStaircaseState({ ...WEIGHTED, upRatio: 7 / 3 });
+    const levels = answer(state, [false, true, true, false]);
+
+    expect(levels).toEqual([5, 7, 6, 5]);
+    expect(state.position).toBeCloseTo(5 + 2 * (7 / 3) - 2, 10);
+    expect(state.level).toBe(8);
+  });
+
+  it('drops the oldest reversal to pair peaks with valleys', () => {
+    const state = createStaircaseState(WEIGHTED);
+    answer(state, [true, true, false, true, false]);
+
+    expect(computeJND(state)).toEqual({ jnd: 5.5, sd: Math.sqrt(0.5), reversalsUsed: [6, 5] });
+  });
+
+  it('converges on the 75% point of a simulated listener', () => {
+    // In 2AFC the logistic midpoint is the 75%-correct level
+    const config = {
+      ...WEIGHTED, nLevels: 12, reversals: 16, maxTrials: 300, initialStep: 2, stepReductionAfter: 2, startLevel: 12,
+    };
+    for (const seed of [1, 2, 3, 4, 5]) {
+      const state = run(createStaircaseState(config), observer(6, 1.5, 0.5, seed));
+      expect(state.reversals).toHaveLength(16);
+      expect(Math.abs(computeJND(state).jnd - 6)).toBeLessThan(1);
+    }
+  });
+
+  it('flags the ceiling from one up/down cycle of trials', () => {
+    const state = createStaircaseState({ ...WEIGHTED, startLevel: 10 });
+    // Stuck at the ceiling: the one lucky guess steps down, the next miss jumps back
+    expect(answer(state, [false, false, true, false, false])).toEqual([10, 10, 10, 9, 10]);
+
+    expect(checkFloorCeiling(state)).toBe('ceiling');
+    expect(checkFloorCeiling(createStaircaseState(WEIGHTED))).toBeNull();
+  });
+});
@@ -5,7 +5,8 @@
  * ABX identification statistics, and tag-based aggregation.
  */
 
-import { computeJND, checkFloorCeiling, computeInterleavedJND } from './staircase';
+import { computeJND, checkFloorCeiling, computeInterleavedJND, computeQuestPosterior } from './staircase';
+import { fitPsychometric } from './psychometric';
 
 // --- Gamma function and CDF for chi-squared p-values ---
 
@@ -285,19 +286,33 @@ export function computeAbxStats(name, optionNames, userSelectionsAndCorrects) {
   };
 }
 
-// --- Triangle Test Statistics ---
+// --- Triangle / Duo-Trio / Tetrad / N-AFC Oddity Statistics ---
 
 /**
- * Compute Triangle test statistics from user selections and correct answers.
- * Same confusion matrix structure as ABX, but chance probability is 1/3
- * (3 tracks presented, 1 correct answer).
+ * Guessing rate of each unspecified forced-choice discrimination method.
+ * Triangle: 1 of 3 samples. Duo-trio: 1 of 2 samples. Tetrad: 1 of 3 groupings.
+ * N-AFC oddity: 1 of N intervals.
+ */
+export const FORCED_CHOICE_CHANCE = {
+  triangle: 1 / 3,
+  'duo-trio': 1 / 2,
+  tetrad: 1 / 3,
+  '3afc': 1 / 3,
+  '4afc': 1 / 4,
+};
+
+/**
+ * Shared statistics for forced-choice discrimination methods. Same record
+ * structure as ABX; the chance probability and Thurstonian model depend on
+ * the method.
  *
  * @param {string} name - Test name
  * @param {string[]} optionNames - Option names (the 2 original options)
  * @param {object[]} userSelectionsAndCorrects - Array of { selectedOption, correctOption }
- * @returns {object} Triangle stats
+ * @param {'triangle'|'duo-trio'|'tetrad'|'3afc'|'4afc'} method
+ * @returns {object} Discrimination stats
  */
-export function computeTriangleStats(name, optionNames, userSelectionsAndCorrects) {
+function computeDiscriminationStats(name, optionNames, userSelectionsAndCorrects, method) {
   let totalCorrect = 0;
   let totalIncorrect = 0;
 
@@ -321,10 +336,9 @@ export function computeTriangleStats(name, optionNames, userSelectionsAndCorrect
 
   const total = userSelectionsAndCorrects.length;
 
-  // p-value: one-tailed binomial test with chance = 1/3
-  // Triangle always has 3 presented tracks, so random guessing = 1/3
+  // p-value: one-tailed binomial test against the method's guessing rate
   const pValue = total > 0
-    ? binomialPValue(totalCorrect, total, 1 / 3)
+    ? binomialPValue(totalCorrect, total, FORCED_CHOICE_CHANCE[method])
     : 1;
 
   // Build confidence breakdown (only for +C variants)
@@ -345,11 +359,76 @@ export function computeTriangleStats(name, optionNames, userSelectionsAndCorrect
     totalIncorrect,
     total,
     pValue,
+    dPrime: thurstonianDPrime(method, totalCorrect, total),
     confidenceBreakdown,
     timing: computeTimingStats(userSelectionsAndCorrects),
   };
 }
 
+/**
+ * Compute Triangle test statistics from user selections and correct answers.
+ * Same confusion matrix structure as ABX, but chance probability is 1/3
+ * (3 tracks presented, 1 correct answer).
+ *
+ * @param {string} name - Test name
+ * @param {string[]} optionNames - Option names (the 2 original options)
+ * @param {object[]} userSelectionsAndCorrects - Array of { selectedOption, correctOption }
+ * @returns {object} Triangle stats
+ */
+export function computeTriangleStats(name, optionNames, userSelectionsAndCorrects) {
+  return computeDiscriminationStats(name, optionNames, userSelectionsAndCorrects, 'triangle');
+}
+
+/**
+ * Compute duo-trio test statistics. Chance probability is 1/2
+ * (2 samples presented, 1 matches the reference).
+ *
+ * @param {string} name - Test name
+ * @param {string[]} optionNames - Option names (the 2 original options)
+ * @param {object[]} userSelectionsAndCorrects - Array of { selectedOption, correctOption }
+ * @returns {object} Duo-trio stats
+ */
+export function computeDuoTrioStats(name, optionNames, userSelectionsAndCorrects) {
+  return computeDiscriminationStats(name, optionNames, userSelectionsAndCorrects, 'duo-trio');
+}
+
+/**
+ * Compute tetrad test statistics. Chance probability is 1/3
+ * (3 possible groupings of 4 samples into 2 pairs).
+ *
+ * @param {string} name - Test name
+ * @param {string[]} optionNames - Option names (the 2 original options)
+ * @param {object[]} userSelectionsAndCorrects - Array of { selectedOption, correctOption }
+ * @returns {object} Tetrad stats
+ */
+export function computeTetradStats(name, optionNames, userSelectionsAndCorrects) {
+  return computeDiscriminationStats(name, optionNames, userSelectionsAndCorrects, 'tetrad');
+}
+
+/**
+ * Compute 3-interval oddity (3AFC) statistics. Chance probability is 1/3.
+ *
+ * @param {string} name - Test name
+ * @param {string[]} optionNames - Option names (the 2 original options)
+ * @param {object[]} userSelectionsAndCorrects - Array of { selectedOption, correctOption }
+ * @returns {object} 3AFC stats
+ */
+export function computeThreeAfcStats(name, optionNames, userSelectionsAndCorrects) {
+  return computeDiscriminationStats(name, optionNames, userSelectionsAndCorrects, '3afc');
+}
+
+/**
+ * Compute 4-interval oddity (4AFC) statistics. Chance probability is 1/4.
+ *
+ * @param {string} name - Test name
+ * @param {string[]} optionNames - Option names (the 2 original options)
+ * @param {object[]} userSelectionsAndCorrects - Array of { selectedOption, correctOption }
+ * @returns {object} 4AFC stats
+ */
+export function computeFourAfcStats(name, optionNames, userSelectionsAndCorrects) {
+  return computeDiscriminationStats(name, optionNames, userSelectionsAndCorrects, '4afc');
+}
+
 // --- Inverse Normal CDF (Probit) ---
 
 /**
@@ -371,6 +450,204 @@ export function zScore(p) {
   return t - (c0 + c1 * t + c2 * t * t) / (1 + d1 * t + d2 * t * t + d3 * t * t * t);
 }
 
+// --- Normal CDF ---
+
+/**
+ * Standard normal CDF via the error function.
+ * Abramowitz and Stegun formula 7.1.26. Accurate to ~1.5e-7.
+ * @param {number} x
+ * @returns {number} P(Z <= x)
+ */
+export function normalCdf(x) {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-z * z);
+  return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+// --- Thurstonian d' ---
+
+/** Standard normal density */
+function normalPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Simpson's rule integration.
+ * @param {(x: number) => number} f
+ * @param {number} a
+ * @param {number} b
+ * @param {number} [steps] - Even number of intervals
+ * @returns {number}
+ */
+function integrate(f, a, b, steps = 200) {
+  const h = (b - a) / steps;
+  let sum = f(a) + f(b);
+  for (let i = 1; i < steps; i++) {
+    sum += f(a + i * h) * (i % 2 === 0 ? 2 : 4);
+  }
+  return (sum * h) / 3;
+}
+
+/** Triangle psychometric function; also the model of the 3-interval oddity task */
+function trianglePc(d) {
+  return 2 * integrate(
+    (z) => (normalCdf(-z * Math.sqrt(3) + d * Math.sqrt(2 / 3)) + normalCdf(-z * Math.sqrt(3) - d * Math.sqrt(2 / 3))) * normalPdf(z),
+    0, 8,
+  );
+}
+
+/**
+ * Psychometric functions of the Thurstonian models: proportion correct
+ * expected for a given d' (Ennis, 1993). The 4-interval oddity task has
+ * no closed-form model and is left out.
+ */
+const THURSTONIAN_PC = {
+  triangle: trianglePc,
+  '3afc': trianglePc,
+  'duo-trio': (d) => {
+    const a = normalCdf(d / Math.SQRT2);
+    const b = normalCdf(d / Math.sqrt(6));
+    return 1 - a - b + 2 * a * b;
+  },
+  tetrad: (d) => 1 - 2 * integrate(
+    (z) => normalPdf(z) * (2 * normalCdf(z) * normalCdf(z - d) - normalCdf(z - d) ** 2),
+    -8, 8 + d,
+  ),
+};
+
+/** Upper bound of the d' search range */
+const MAX_D_PRIME = 10;
+
+/**
+ * Thurstonian d' estimate for a forced-choice discrimination method,
+ * found by inverting the method's psychometric function with bisection.
+ * Proportions at or below chance give d' = 0. A perfect score is replaced
+ * by (n − 0.5) / n so the estimate stays finite.
+ *
+ * @param {'triangle'|'duo-trio'|'tetrad'|'3afc'|'4afc'} method
+ * @param {number} correct - Number of correct answers
+ * @param {number} total - Number of trials
+ * @returns {number|null} d', or null when there are no trials or no model for the method
+ */
+export function thurstonianDPrime(method, correct, total) {
+  const pcOf = THURSTONIAN_PC[method];
+  if (total === 0 || !pcOf) return null;
+  const pc = correct === total ? (total - 0.5) / total : correct / total;
+  if (pc <= pcOf(0)) return 0;
+  if (pc >= pcOf(MAX_D_PRIME)) return MAX_D_PRIME;
+
+  let lo = 0;
+  let hi = MAX_D_PRIME;
+  for (let iter = 0; iter < 50; iter++) {
+    const mid = (lo + hi) / 2;
+    if (pcOf(mid) < pc) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// --- Student's t Distribution ---
+
+/**
+ * Continued fraction for the incomplete beta function (Lentz's method).
+ */
+function betacf(a, b, x) {
+  const ITMAX = 200;
+  const EPS = 3.0e-7;
+  const FPMIN = 1.0e-30;
+  const qab = a + b;
+  const qap = a + 1;
+  const qam = a - 1;
+  let c = 1;
+  let d = 1 - (qab * x) / qap;
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= ITMAX; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((qam + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (qab + m) * x) / ((a + m2) * (qap + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < EPS) break;
+  }
+  return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b).
+ */
+function betaIncomplete(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const bt = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  if (x < (a + 1) / (a + b + 2)) return (bt * betacf(a, b, x)) / a;
+  return 1 - (bt * betacf(b, a, 1 - x)) / b;
+}
+
+/**
+ * Two-tailed p-value for a Student's t statistic.
+ * P(|T| >= |t|) = I_{df/(df+t²)}(df/2, 1/2)
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} p-value
+ */
+export function tTestPValue(t, df) {
+  if (df < 1 || Number.isNaN(t)) return 1;
+  if (!Number.isFinite(t)) return 0;
+  return betaIncomplete(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Two-tailed critical value of Student's t distribution, found by bisection.
+ * e.g. tCritical(9) ≈ 2.262 for a 95% interval with 10 samples.
+ * @param {number} df - Degrees of freedom
+ * @param {number} [alpha=0.05] - Two-tailed significance level
+ * @returns {number} Critical t value
+ */
+export function tCritical(df, alpha = 0.05) {
+  if (df < 1) return NaN;
+  let lo = 0;
+  let hi = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (tTestPValue(mid, df) > alpha) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Mean, sample standard deviation and 95% confidence interval (Student's t).
+ * The interval collapses to the mean when fewer than 2 values are available.
+ * @param {number[]} values
+ * @returns {{ n: number, mean: number, sd: number, ciLow: number, ciHigh: number }}
+ */
+export function computeMeanCI(values) {
+  const n = values.length;
+  if (n === 0) return { n: 0, mean: 0, sd: 0, ciLow: 0, ciHigh: 0 };
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  if (n < 2) return { n, mean, sd: 0, ciLow: mean, ciHigh: mean };
+  const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1));
+  const halfWidth = tCritical(n - 1) * (sd / Math.sqrt(n));
+  return { n, mean, sd, ciLow: mean - halfWidth, ciHigh: mean + halfWidth };
+}
+
 // --- 2AFC Same-Different Statistics ---
 
 /**
@@ -472,6 +749,17 @@ export function computeSameDiffStats(name, optionNames, userSelectionsAndCorrect
 
 // --- 2AFC Staircase Statistics ---
 
+/**
+ * Short label for the rule a staircase track ran, e.g. '1u2d', 'weighted 75%', 'QUEST'.
+ * @param {object} track - Staircase state
+ * @returns {string}
+ */
+function describeStaircaseRule(track) {
+  if (track.method === 'quest') return 'QUEST';
+  if (track.weighted) return `weighted ${Math.round((100 * track.upRatio) / (1 + track.upRatio))}%`;
+  return `1u${track.correctsNeeded}d`;
+}
+
 /**
  * Compute staircase test statistics from trial data + final state.
  *
@@ -479,10 +767,17 @@ export function computeSameDiffStats(name, optionNames, userSelectionsAndCorrect
  *   - trials: array of { level, isCorrect } per trial
  *   - finalState: completed staircase state (or interleaved state)
  *   - interleaved: boolean
+ *   - task: '2afc' | 'abx' | 'triangle'
+ *
+ * Interleaved runs also return trackStats: rule, start level, JND, reversals
+ * and trials of every track, next to the combined estimate.
+ *
+ * For QUEST the JND is the posterior mean and jndSD the posterior SD; the
+ * pooled posterior and its 95% credible interval are returned as well.
  *
  * @param {string} name - Test name
  * @param {string[]} optionNames - Option names (quality levels, ordered)
- * @param {object} staircaseData - { trials, finalState, interleaved }
+ * @param {object} staircaseData - { trials, finalState, interleaved, task }
  * @returns {object} Staircase stats
  */
 export function computeStaircaseStats(name, optionNames, staircaseData) {
@@ -502,12 +797,17 @@ export function computeStaircaseStats(name, optionNames, staircaseData) {
       reversalCount: 0,
       floorCeiling: null,
       interleaved: false,
+      trackStats: null,
+      method: 'updown',
+      task: '2afc',
       trials: [],
       timing: null,
     };
   }
 
   const { finalState, interleaved } = staircaseData;
+  const firstTrack = interleaved ? finalState.tracks[0] : finalState;
+  const method = firstTrack.method || 'updown';
 
   let jndResult;
   let floorCeiling;
@@ -516,17 +816,29 @@ export function computeStaircaseStats(name, optionNames, staircaseData) {
   let reversalCount;
   let allTrials;
 
+  let trackStats = null;
+
   if (interleaved) {
     jndResult = computeInterleavedJND(finalState);
-    // Aggregate trials from both tracks
+    // Aggregate trials from all tracks
     allTrials = finalState.tracks.flatMap((t) => t.trials);
     totalTrials = allTrials.length;
     totalCorrect = allTrials.filter((t) => t.isCorrect).length;
     reversalCount = finalState.tracks.reduce((sum, t) => sum + t.reversals.length, 0);
     // Check floor/ceiling on each track
-    const fc0 = checkFloorCeiling(finalState.tracks[0]);
-    const fc1 = checkFloorCeiling(finalState.tracks[1]);
-    floorCeiling = fc0 || fc1 || null;
+    const trackFloorCeiling = finalState.tracks.map((t) => checkFloorCeiling(t));
+    floorCeiling = trackFloorCeiling.find((fc) => fc) || null;
+    trackStats = finalState.tracks.map((t, k) => ({
+      rule: describeStaircaseRule(t),
+      startLevel: t.trials.length > 0 ? t.trials[0].level : t.level,
+      jnd: jndResult.tracks[k].jnd,
+      sd: jndResult.tracks[k].sd,
+      credibleInterval: jndResult.tracks[k].credibleInterval,
+      reversalCount: t.reversals.length,
+      reversalsUsed: jndResult.tracks[k].reversalsUsed,
+      floorCeiling: trackFloorCeiling[k],
+      trials: t.trials,
+    }));
   } else {
     jndResult = computeJND(finalState);
     allTrials = finalState.trials;
@@ -542,6 +854,14 @@ export function computeStaircaseStats(name, optionNames, staircaseData) {
     ? optionNames[jndLevel]
     : `Level ${jndLevel}`;
 
+  const quest = method === 'quest'
+    ? {
+      slope: firstTrack.slope,
+      credibleInterval: jndResult.credibleInterval,
+      posterior: computeQuestPosterior(firstTrack.nLevels, allTrials, firstTrack.slope, firstTrack.guessRate),
+    }
+    : {};
+
   return {
     name,
     optionNames,
@@ -556,11 +876,698 @@ export function computeStaircaseStats(name, optionNames, staircaseData) {
     reversalCount,
     floorCeiling,
     interleaved,
+    trackStats,
+    method,
+    task: staircaseData.task || '2afc',
+    ...quest,
     trials: allTrials,
     timing: computeTimingStats(staircaseData.trials || []),
   };
 }
 
+// --- 2AFC Constant Stimuli Statistics ---
+
+/**
+ * Compute method-of-constant-stimuli statistics.
+ *
+ * constantData contains:
+ *   - trials: array of { level, isCorrect } per trial
+ *   - function: 'logistic' or 'weibull'
+ *   - guessRate: chance rate of the task (0.5 for 2AFC)
+ *   - lapseRate: fixed lapse rate
+ *   - ci: parametric bootstrap 95% CIs, from psychometricCI when the test completed
+ *
+ * Fits the psychometric function by maximum likelihood and reports the
+ * threshold (level where the sigmoid is halfway between guess rate and
+ * 1 − lapse) and the slope there, with the stored CIs (null without them).
+ *
+ * @param {string} name - Test name
+ * @param {string[]} optionNames - Option names (reference first, then levels)
+ * @param {object} constantData - { trials, function, guessRate, lapseRate, ci }
+ * @returns {object} Constant stimuli stats
+ */
+export function computeConstantStimuliStats(name, optionNames, constantData) {
+  const nLevels = optionNames.length - 1;
+  // Guard: results start as an empty array until the test completes
+  const trials = Array.isArray(constantData) ? [] : constantData.trials;
+  const model = Array.isArray(constantData)
+    ? { fn: 'logistic', guessRate: 0.5, lapseRate: 0 }
+    : { fn: constantData.function, guessRate: constantData.guessRate, lapseRate: constantData.lapseRate };
+
+  const levels = Array.from({ length: nLevels }, (_, i) => {
+    const atLevel = trials.filter((t) => t.level === i + 1);
+    return {
+      level: i + 1,
+      name: optionNames[i + 1],
+      correct: atLevel.filter((t) => t.isCorrect).length,
+      total: atLevel.length,
+    };
+  });
+
+  const points = levels.map((l) => ({ x: l.level, correct: l.correct, total: l.total }));
+  const fit = fitPsychometric(points, model);
+  const ci = fit && !Array.isArray(constantData) ? constantData.ci ?? null : null;
+
+  const thresholdLevel = fit ? Math.round(fit.threshold) : 0;
+  const thresholdOptionName = (thresholdLevel >= 1 && thresholdLevel <= nLevels)
+    ? optionNames[thresholdLevel]
+    : 'N/A';
+  const totalCorrect = trials.filter((t) => t.isCorrect).length;
+
+  return {
+    name,
+    optionNames,
+    levels,
+    ...model,
+    alpha: fit ? fit.alpha : null,
+    beta: fit ? fit.beta : null,
+    threshold: fit ? fit.threshold : null,
+    thresholdCI: ci ? ci.thresholdCI : null,
+    slope: fit ? fit.slope : null,
+    slopeCI: ci ? ci.slopeCI : null,
+    thresholdLevel,
+    thresholdOptionName,
+    totalTrials: trials.length,
+    totalCorrect,
+    totalIncorrect: trials.length - totalCorrect,
+    timing: computeTimingStats(trials),
+  };
+}
+
+// --- MUSHRA Statistics ---
+
+/** BS.1534 post-screening: hidden reference rated below this score... */
+const MUSHRA_SCREENING_SCORE = 90;
+/** ...in more than this fraction of trials excludes the listener */
+const MUSHRA_SCREENING_FRACTION = 0.15;
+
+/**
+ * Compute MUSHRA (ITU-R BS.1534) statistics from rating trials.
+ *
+ * Each trial holds one 0–100 rating per stimulus. Per condition we report
+ * the mean score with a 95% confidence interval (Student's t). The listener
+ * is flagged by the post-screening rule when the hidden reference is rated
+ * below 90 in more than 15% of trials.
+ *
+ * @param {string} name - Test name
+ * @param {string[]} optionNames - Option names in config order (reference first)
+ * @param {object[]} trials - Array of { ratings: [{ name, role, score }] }
+ * @returns {object} MUSHRA stats
+ */
+export function computeMushraStats(name, optionNames, trials) {
+  const byName = {};
+  for (const optName of optionNames) {
+    byName[optName] = { name: optName, role: null, scores: [] };
+  }
+
+  let hiddenRefLow = 0;
+  for (const trial of trials) {
+    for (const { name: optName, role, score } of trial.ratings) {
+      if (!byName[optName]) continue;
+      byName[optName].role = role;
+      byName[optName].scores.push(score);
+      if (role === 'reference' && score < MUSHRA_SCREENING_SCORE) hiddenRefLow++;
+    }
+  }
+
+  const conditions = optionNames.map((optName) => {
+    const { role, scores } = byName[optName];
+    return { name: optName, role, scores, ...computeMeanCI(scores) };
+  });
+
+  const totalTrials = trials.length;
+  const lowFraction = totalTrials > 0 ? hiddenRefLow / totalTrials : 0;
+
+  return {
+    name,
+    optionNames,
+    conditions,
+    totalTrials,
+    postScreening: {
+      hiddenRefLow,
+      fraction: lowFraction,
+      excluded: lowFraction > MUSHRA_SCREENING_FRACTION,
+    },
+    timing: computeTimingStats(trials),
+  };
+}
+
+// --- BS.1116 Statistics ---
+
+/**
+ * Mean/CI of difference grades plus a two-tailed one-sample t-test against zero.
+ * @param {number[]} diffs - Difference grades
+ * @returns {{ n: number, mean: number, sd: number, ciLow: number, ciHigh: number, t: number, pValue: number }}
+ */
+function summarizeDiffGrades(diffs) {
+  const summary = computeMeanCI(diffs);
+  if (summary.n < 2) return { ...summary, t: 0, pValue: 1 };
+  const se = summary.sd / Math.sqrt(summary.n);
+  const t = se > 0 ? summary.mean / se : (summary.mean === 0 ? 0 : Math.sign(summary.mean) * Infinity);
+  return { ...summary, t, pValue: tTestPValue(t, summary.n - 1) };
+}
+
+/**
+ * Compute ITU-R BS.1116 statistics from graded triple-stimulus trials.
+ *
+ * The difference grade is the grade given to the condition minus the grade
+ * given to the hidden reference (0 = no perceived impairment, negative =
+ * impairment detected). Reported per condition and pooled over all
+ * conditions for the listener, each with a 95% CI and a t-test against zero.
+ *
+ * @param {string} name - Test name
+ * @param {string[]} optionNames - Option names (reference first, then conditions)
+ * @param {object[]} gradedTrials - Array of { condition: { name }, gradeReference, gradeCondition, diffGrade }
+ * @returns {object} BS.1116 stats
+ */
+export function computeBs1116Stats(name, optionNames, gradedTrials) {
+  const conditions = optionNames.slice(1).map((condName) => {
+    const diffs = gradedTrials
+      .filter((t) => t.condition.name === condName)
+      .map((t) => t.diffGrade);
+    return { name: condName, ...summarizeDiffGrades(diffs) };
+  });
+
+  const allDiffs = gradedTrials.map((t) => t.diffGrade);
+  const totalCorrect = gradedTrials.filter((t) => t.diffGrade < 0).length;
+
+  return {
+    name,
+    optionNames,
+    conditions,
+    listener: summarizeDiffGrades(allDiffs),
+    totalCorrect,
+    total: gradedTrials.length,
+    trials: gradedTrials,
+    timing: computeTimingStats(gradedTrials),
+  };
+}
+
+// --- ACR Statistics ---
+
+/** Points on the P.800 absolute category rating scale (1 = Bad … 5 = Excellent) */
+const ACR_SCALE_POINTS = 5;
+
+/**
+ * MOS summary of a rating histogram.
+ * @param {number[]} histogram - Counts per category, index 0 = rating 1
+ * @returns {{ n: number, mean: number, sd: number, ciLow: number, ciHigh: number }}
+ */
+function summarizeHistogram(histogram) {
+  const values = histogram.flatMap((count, i) => Array(count).fill(i + 1));
+  return computeMeanCI(values);
+}
+
+/**
+ * Compute ITU-T P.800 Absolute Category Rating statistics.
+ *
+ * Per option we report the Mean Opinion Score (MOS) with a 95% confidence
+ * interval (Student's t) and the histogram of category ratings.
+ *
+ * @param {string} name - Test name
+ * @param {string[]} optionNames - Option names in config order
+ * @param {object[]} acrRatings - Array of { option: { name }, rating }
+ * @returns {object} ACR stats
+ */
+export function computeAcrStats(name, optionNames, acrRatings) {
+  const options = optionNames.map((optName) => {
+    const histogram = Array(ACR_SCALE_POINTS).fill(0);
+    for (const r of acrRatings) {
+      if (r.option.name === optName) histogram[r.rating - 1]++;
+    }
+    return { name: optName, histogram, ...summarizeHistogram(histogram) };
+  });
+
+  return {
+    name,
+    optionNames,
+    options,
+    total: acrRatings.length,
+    timing: computeTimingStats(acrRatings),
+  };
+}
+
+// --- CCR Statistics ---
+
+/** Points on the P.800 comparison category scale (−3 … +3) */
+const CCR_SCALE_POINTS = 7;
+
+/**
+ * Two-tailed sign test: probability of a split at least this uneven between
+ * positive and negative scores under the null of no preference. Ties are dropped.
+ * @param {number} positive
+ * @param {number} negative
+ * @returns {number} p-value
+ */
+function signTestPValue(positive, negative) {
+  const n = positive + negative;
+  if (n === 0) return 1;
+  return Math.min(1, 2 * binomialPValue(Math.max(positive, negative), n, 0.5));
+}
+
+/**
+ * Compute ITU-T P.800 Comparison Category Rating statistics.
+ *
+ * Scores are sign-corrected to config order: a positive score means the
+ * second option of the pair was rated better than the first. Per pair we
+ * report the Comparison Mean Opinion Score (CMOS) with a 95% confidence
+ * interval, the score histogram and a two-tailed sign test.
+ *
+ * @param {string} name - Test name
+ * @param {string[]} optionNames - Option names in config order
+ * @param {object[]} ccrRatings - Array of { pair: [first, second], score }
+ * @returns {object} CCR stats
+ */
+export function computeCcrStats(name, optionNames, ccrRatings) {
+  const pairs = [];
+  for (let i = 0; i < optionNames.length; i++) {
+    for (let j = i + 1; j < optionNames.length; j++) {
+      const scores = ccrRatings
+        .filter((r) => r.pair[0] === optionNames[i] && r.pair[1] === optionNames[j])
+        .map((r) => r.score);
+      const histogram = Array(CCR_SCALE_POINTS).fill(0);
+      for (const score of scores) histogram[score + 3]++;
+      const positive = scores.filter((v) => v > 0).length;
+      const negative = scores.filter((v) => v < 0).length;
+      pairs.push({
+        first: optionNames[i],
+        second: optionNames[j],
+        histogram,
+        positive,
+        negative,
+        ties: scores.length - positive - negative,
+        ...computeMeanCI(scores),
+        pValue: signTestPValue(positive, negative),
+      });
+    }
+  }
+
+  return {
+    name,
+    optionNames,
+    pairs,
+    total: ccrRatings.length,
+    timing: computeTimingStats(ccrRatings),
+  };
+}
+
+// --- Ranking Statistics ---
+
+/**
+ * Exact two-tailed Wilcoxon signed-rank test. Zero differences are dropped;
+ * tied |differences| get mid-ranks, and the null distribution is enumerated
+ * for that tie pattern. Ranks are doubled so mid-ranks stay integers.
+ * @param {number[]} diffs - Paired differences
+ * @returns {number} p-value
+ */
+function wilcoxonSignedRankPValue(diffs) {
+  const nonZero = diffs.filter((d) => d !== 0);
+  if (nonZero.length === 0) return 1;
+
+  // Doubled mid-ranks of |d|
+  const order = nonZero.map((d, i) => ({ abs: Math.abs(d), i })).sort((a, b) => a.abs - b.abs);
+  const ranks2 = new Array(nonZero.length);
+  for (let lo = 0; lo < order.length;) {
+    let hi = lo;
+    while (hi + 1 < order.length && order[hi + 1].abs === order[lo].abs) hi++;
+    for (let m = lo; m <= hi; m++) ranks2[order[m].i] = lo + hi + 2;
+    lo = hi + 1;
+  }
+
+  // Null distribution of the doubled positive rank sum
+  const total = ranks2.reduce((a, b) => a + b, 0);
+  let dist = new Float64Array(total + 1);
+  dist[0] = 1;
+  for (const r of ranks2) {
+    const next = new Float64Array(total + 1);
+    for (let v = 0; v + r <= total; v++) {
+      if (dist[v] === 0) continue;
+      next[v] += dist[v] / 2;
+      next[v + r] += dist[v] / 2;
+    }
+    dist = next;
+  }
+
+  const wPlus = nonZero.reduce((sum, d, i) => sum + (d > 0 ? ranks2[i] : 0), 0);
+  const tail = Math.min(wPlus, total - wPlus);
+  let p = 0;
+  for (let v = 0; v <= tail; v++) p += dist[v];
+  return Math.min(1, 2 * p);
+}
+
+/**
+ * CDF of the studentized range for k groups and infinite degrees of freedom:
+ * P(Q ≤ q) = k ∫ φ(z) [Φ(z) − Φ(z − q)]^(k−1) dz.
+ * @param {number} q
+ * @param {number} k
+ * @returns {number}
+ */
+function studentizedRangeCdf(q, k) {
+  if (q <= 0) return 0;
+  return k * integrate(
+    (z) => normalPdf(z) * (normalCdf(z) - normalCdf(z - q)) ** (k - 1),
+    -8, 8,
+  );
+}
+
+/**
+ * Friedman test and Kendall's W from per-option rank sums.
+ * Rankings are complete and tie-free, so no tie correction is needed.
+ * @param {number[]} rankSums - Sum of ranks per option
+ * @param {number} n - Number of rankings (blocks)
+ * @returns {{ chiSq: number, pValue: number, kendallW: number|null }}
+ */
+function friedmanTest(rankSums, n) {
+  const k = rankSums.length;
+  if (n === 0 || k < 2) return { chiSq: 0, pValue: 1, kendallW: null };
+  const chiSq = (12 / (n * k * (k + 1))) * rankSums.reduce((sum, r) => sum + r * r, 0)
+    - 3 * n * (k + 1);
+  return {
+    chiSq,
+    pValue: chiSquaredPValue(chiSq, k - 1),
+    kendallW: chiSq / (n * (k - 1)),
+  };
+}
+
+/**
+ * Compute ranking test statistics.
+ *
+ * Each ranking orders all options, best first (rank 1). Reports mean rank
+ * per option, the Friedman test of "all options ranked alike", Kendall's
+ * coefficient of concordance W (0 = no agreement between rankings,
+ * 1 = identical rankings), and per pair an exact Wilcoxon signed-rank test
+ * (uncorrected) and the Nemenyi test (family-wise, via the studentized range).
+ *
+ * @param {string} name - Test name
+ * @param {string[]} optionNames - Option names in config order
+ * @param {object[]} rankings - Array of { ranking: string[] } (option names, best first)
+ * @returns {object} Ranking stats
+ */
+export function computeRankingStats(name, optionNames, rankings) {
+  const k = optionNames.length;
+  const n = rankings.length;
+  const rankRows = rankings.map(({ ranking }) => optionNames.map((o) => ranking.indexOf(o) + 1));
+  const rankSums = optionNames.map((_, j) => rankRows.reduce((sum, row) => sum + row[j], 0));
+  const meanRanks = rankSums.map((r) => (n > 0 ? r / n : null));
+
+  const options = optionNames
+    .map((optName, j) => ({
+      name: optName,
+      rankSum: rankSums[j],
+      meanRank: meanRanks[j],
+      firsts: rankRows.filter((row) => row[j] === 1).length,
+      n,
+    }))
+    .sort((a, b) => a.meanRank - b.meanRank);
+
+  // Nemenyi: mean rank difference in studentized-range units
+  const nemenyiSE = n > 0 ? Math.sqrt((k * (k + 1)) / (12 * n)) : 0;
+  const pairs = [];
+  for (let i = 0; i < k; i++) {
+    for (let j = i + 1; j < k; j++) {
+      const diff = n > 0 ? meanRanks[i] - meanRanks[j] : 0;
+      pairs.push({
+        first: optionNames[i],
+        second: optionNames[j],
+        meanRankDiff: diff,
+        wilcoxonP: wilcoxonSignedRankPValue(rankRows.map((row) => row[i] - row[j])),
+        nemenyiP: n > 0 ? 1 - studentizedRangeCdf(Math.abs(diff) / nemenyiSE, k) : 1,
+      });
+    }
+  }
+
+  return {
+    name,
+    optionNames,
+    options,
+    total: n,
+    ...friedmanTest(rankSums, n),
+    pairs,
+    // Rank of each option (optionNames order) per ranking, for share encoding
+    rankRows,
+    timing: computeTimingStats(rankings),
+  };
+}
+
+// --- Paired Comparison (Bradley-Terry) Statistics ---
+
+/** Two-sided 95% standard normal quantile */
+const Z_95 = 1.959963984540054;
+
+/** MM iterations for the Bradley-Terry fit */
+const BT_MAX_ITER = 1000;
+const BT_TOLERANCE = 1e-10;
+
+/**
+ * Invert a small symmetric positive-definite matrix (Gauss-Jordan).
+ * @param {number[][]} m
+ * @returns {number[][]|null} Inverse, or null if singular
+ */
+function invertMatrix(m) {
+  const n = m.length;
+  const a = m.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    const p = a[col][col];
+    for (let j = 0; j < 2 * n; j++) a[col][j] /= p;
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = a[r][col];
+      for (let j = 0; j < 2 * n; j++) a[r][j] -= f * a[col][j];
+    }
+  }
+  return a.map((row) => row.slice(n));
+}
+
+/**
+ * Whether every option can be reached from every other by following
+ * "beat" edges. Without this the Bradley-Terry MLE does not exist
+ * (some worth runs off to 0 or infinity).
+ * @param {number[][]} wins - wins[i][j] = times i beat j
+ * @returns {boolean}
+ */
+function winsStronglyConnected(wins) {
+  const k = wins.length;
+  const reach = (forward) => {
+    const seen = new Set([0]);
+    const stack = [0];
+    while (stack.length > 0) {
+      const i = stack.pop();
+      for (let j = 0; j < k; j++) {
+        const edge = forward ? wins[i][j] : wins[j][i];
+        if (edge > 0 && !seen.has(j)) { seen.add(j); stack.push(j); }
+      }
+    }
+    return seen.size === k;
+  };
+  return reach(true) && reach(false);
+}
+
+/**
+ * Fit a Bradley-Terry model by the MM algorithm (Hunter, 2004).
+ * @param {number[][]} wins - wins[i][j] = times i beat j
+ * @returns {{ logWorth: number[], se: number[]|null }}
+ *   Log-worths centred to sum 0, with standard errors from the observed information
+ */
+function fitBradleyTerry(wins) {
+  const k = wins.length;
+  const totals = wins.map((row) => row.reduce((a, b) => a + b, 0));
+  let worth = Array(k).fill(1);
+
+  for (let iter = 0; iter < BT_MAX_ITER; iter++) {
+    const next = worth.map((w, i) => {
+      let denom = 0;
+      for (let j = 0; j < k; j++) {
+        const n = wins[i][j] + wins[j][i];
+        if (j !== i && n > 0) denom += n / (w + worth[j]);
+      }
+      return denom > 0 ? totals[i] / denom : w;
+    });
+    const sum = next.reduce((a, b) => a + b, 0);
+    const normalized = next.map((w) => (w * k) / sum);
+    const change = Math.max(...normalized.map((w, i) => Math.abs(w - worth[i])));
+    worth = normalized;
+    if (change < BT_TOLERANCE) break;
+  }
+
+  const logs = worth.map((w) => Math.log(w));
+  const meanLog = logs.reduce((a, b) => a + b, 0) / k;
+  const logWorth = logs.map((l) => l - meanLog);
+
+  // Observed information on the log scale. It is singular along (1, …, 1);
+  // the covariance under the sum-to-zero constraint is its pseudo-inverse,
+  // (H + J/k)⁻¹ − J/k.
+  const info = Array.from({ length: k }, () => Array(k).fill(0));
+  for (let i = 0; i < k; i++) {
+    for (let j = i + 1; j < k; j++) {
+      const n = wins[i][j] + wins[j][i];
+      if (n === 0) continue;
+      const p = worth[i] / (worth[i] + worth[j]);
+      const v = n * p * (1 - p);
+      info[i][i] += v;
+      info[j][j] += v;
+      info[i][j] -= v;
+      info[j][i] -= v;
+    }
+  }
+  const inv = invertMatrix(info.map((row) => row.map((v) => v + 1 / k)));
+  const se = inv ? inv.map((row, i) => Math.sqrt(Math.max(0, row[i] - 1 / k))) : null;
+
+  return { logWorth, se };
+}
+
+/**
+ * Kendall's circular triads for one set of paired comparisons.
+ * Each pair is decided by majority; a tied pair scores ½ to each option.
+ * Only triples whose three pairs were all compared are counted — a pair
+ * never compared is no evidence either way. Consistency ζ is given only when
+ * every triple was compared, since Kendall's maximum assumes a full design.
+ * @param {number[][]} wins - wins[i][j] = times i beat j
+ * @returns {{ circularTriads: number, comparedTriads: number, maxCircularTriads: number|null,
+ *   consistency: number|null }|null} null when no triple was fully compared
+ */
+function circularTriads(wins) {
+  const k = wins.length;
+  // Score of i against j: 1 for a majority, ½ for a tie, null if never compared
+  const score = (i, j) => {
+    if (wins[i][j] + wins[j][i] === 0) return null;
+    if (wins[i][j] === wins[j][i]) return 0.5;
+    return wins[i][j] > wins[j][i] ? 1 : 0;
+  };
+
+  let d = 0;
+  let compared = 0;
+  for (let a = 0; a < k; a++) {
+    for (let b = a + 1; b < k; b++) {
+      const ab = score(a, b);
+      if (ab === null) continue;
+      for (let c = b + 1; c < k; c++) {
+        const ac = score(a, c);
+        const bc = score(b, c);
+        if (ac === null || bc === null) continue;
+        compared++;
+        // Within a triple: 1 − Σ C(sᵢ, 2) — 1 for a cycle, 0 for a transitive order
+        const scores = [ab + ac, 1 - ab + bc, 2 - ac - bc];
+        d += Math.max(0, 1 - scores.reduce((sum, s) => sum + (s * (s - 1)) / 2, 0));
+      }
+    }
+  }
+  if (compared === 0) return null;
+
+  const complete = compared === (k * (k - 1) * (k - 2)) / 6;
+  const maxD = k % 2 === 1 ? (k ** 3 - k) / 24 : (k ** 3 - 4 * k) / 24;
+  return {
+    circularTriads: d,
+    comparedTriads: compared,
+    maxCircularTriads: complete ? maxD : null,
+    // Half-point ties can push the count past the tournament maximum
+    consistency: complete ? Math.max(0, 1 - d / maxD) : null,
+  };
+}
+
+/**
+ * Compute round-robin paired comparison statistics (AB-Pairs).
+ *
+ * Fits a Bradley-Terry model, P(i preferred over j) = wᵢ / (wᵢ + wⱼ), and
+ * reports each option's worth relative to the geometric mean of all worths
+ * (1 = average) with a 95% Wald confidence interval on the log scale.
+ * A likelihood-ratio test against "all worths equal" gives the p-value,
+ * and Kendall's coefficient of consistency ζ (1 = no circular triads)
+ * flags intransitive preferences.
+ *
+ * Options never compared are not estimable: their worth is null and they sort last.
+ * The rest are fitted on their own comparisons. If their win graph is not
+ * strongly connected (e.g. one option won every comparison) the MLE does
+ * not exist; half a win is then added to each side of every compared pair
+ * and `corrected` is set.
+ *
+ * @param {string} name - Test name
+ * @param {string[]} optionNames - Option names in config order
+ * @param {object[]} pairSelections - Array of { pair: [first, second], winner }
+ * @returns {object} AB-Pairs stats
+ */
+export function computeAbPairsStats(name, optionNames, pairSelections) {
+  const k = optionNames.length;
+  const index = {};
+  optionNames.forEach((n, i) => (index[n] = i));
+  const wins = Array.from({ length: k }, () => Array(k).fill(0));
+  for (const { pair, winner } of pairSelections) {
+    const loser = winner === pair[0] ? pair[1] : pair[0];
+    wins[index[winner]][index[loser]]++;
+  }
+
+  const pairs = [];
+  for (let i = 0; i < k; i++) {
+    for (let j = i + 1; j < k; j++) {
+      pairs.push({ first: optionNames[i], second: optionNames[j], firstWins: wins[i][j], secondWins: wins[j][i] });
+    }
+  }
+
+  // Fit only the options that were compared at least once
+  const estimable = optionNames.map((_, i) => wins[i].some((w, j) => w + wins[j][i] > 0));
+  const fitted = optionNames.map((_, i) => i).filter((i) => estimable[i]);
+  const fitPosition = {};
+  fitted.forEach((i, p) => (fitPosition[i] = p));
+  const subWins = fitted.map((i) => fitted.map((j) => wins[i][j]));
+
+  const total = pairSelections.length;
+  const corrected = total > 0 && !winsStronglyConnected(subWins);
+  const fitWins = corrected
+    ? subWins.map((row, i) => row.map((w, j) => (i !== j && w + subWins[j][i] > 0 ? w + 0.5 : w)))
+    : subWins;
+  const fit = total > 0 ? fitBradleyTerry(fitWins) : null;
+
+  const options = optionNames.map((optName, i) => {
+    const count = wins[i].reduce((a, b) => a + b, 0);
+    const comparisons = count + wins.reduce((sum, row) => sum + row[i], 0);
+    const p = fitPosition[i];
+    const logWorth = fit && p !== undefined ? fit.logWorth[p] : null;
+    const se = fit?.se && p !== undefined ? fit.se[p] : null;
+    return {
+      name: optName,
+      count,
+      comparisons,
+      percentage: comparisons > 0 ? ((count / comparisons) * 100).toFixed(1) : '0.0',
+      estimable: logWorth !== null,
+      worth: logWorth !== null ? Math.exp(logWorth) : null,
+      worthLower: se != null ? Math.exp(logWorth - Z_95 * se) : null,
+      worthUpper: se != null ? Math.exp(logWorth + Z_95 * se) : null,
+    };
+  });
+  options.sort((a, b) => (b.worth ?? -1) - (a.worth ?? -1));
+
+  // Likelihood-ratio test against equal worths (every comparison a coin flip).
+  // Evaluated on the observed wins, so a corrected fit only makes it conservative.
+  let logLik = 0;
+  if (fit) {
+    for (let i = 0; i < fitted.length; i++) {
+      for (let j = 0; j < fitted.length; j++) {
+        if (subWins[i][j] > 0) logLik += subWins[i][j] * Math.log(1 / (1 + Math.exp(fit.logWorth[j] - fit.logWorth[i])));
+      }
+    }
+  }
+  const chiSq = fit ? Math.max(0, 2 * (logLik + total * Math.LN2)) : 0;
+  const pValue = fit ? chiSquaredPValue(chiSq, fitted.length - 1) : 1;
+
+  return {
+    name,
+    optionNames,
+    options,
+    pairs,
+    total,
+    chiSq,
+    pValue,
+    corrected,
+    ...(circularTriads(wins) || { circularTriads: null, comparedTriads: null, maxCircularTriads: null, consistency: null }),
+    timing: computeTimingStats(pairSelections),
+  };
+}
+
 // --- Tag-based Aggregation ---
 
 /**
@@ -680,3 +1687,107 @@ export function computeAbxTagStats(allTestStats, config) {
     };
   });
 }
+
+/**
+ * Aggregate ACR stats across options and tests by option tags.
+ * Rating histograms of all options sharing a tag are pooled into one MOS.
+ * @param {object[]} allTestStats - Array of ACR stats objects
+ * @param {object} config - Full config (for tag lookup)
+ * @returns {object[]} Aggregated tag stats, one per tag
+ */
+export function computeAcrTagStats(allTestStats, config) {
+  if (!config || !config.options) return [];
+
+  const tagMap = {};
+  for (const opt of config.options) {
+    if (opt.tag) tagMap[opt.name] = opt.tag;
+  }
+
+  const groups = {};
+  for (const stats of allTestStats) {
+    for (const opt of stats.options) {
+      const tag = tagMap[opt.name] || opt.name;
+      if (!groups[tag]) {
+        groups[tag] = { name: tag, histogram: Array(ACR_SCALE_POINTS).fill(0), sourceCount: 0 };
+      }
+      groups[tag].sourceCount++;
+      opt.histogram.forEach((count, i) => { groups[tag].histogram[i] += count; });
+    }
+  }
+
+  return Object.values(groups).map((group) => ({
+    ...group,
+    ...summarizeHistogram(group.histogram),
+  }));
+}
+
+/**
+ * Aggregate ranking stats across tests by option tags. Tests are grouped by
+ * their set of tags (as for AB); ranks of options sharing a tag are averaged.
+ * The Friedman test is repeated on the pooled rankings when every tag in the
+ * group maps to exactly one option per test.
+ * @param {object[]} allTestStats - Array of ranking stats objects
+ * @param {object} config - Full config (for tag lookup)
+ * @returns {object[]} Aggregated tag stats
+ */
+export function computeRankingTagStats(allTestStats, config) {
+  if (!config || !config.options) return [];
+
+  const tagMap = {};
+  for (const opt of config.options) {
+    if (opt.tag) tagMap[opt.name] = opt.tag;
+  }
+
+  const groups = {};
+  for (const stats of allTestStats) {
+    const tagList = stats.options.map((opt) => tagMap[opt.name] || opt.name).sort();
+    const key = tagList.join(' vs ');
+
+    if (!groups[key]) {
+      groups[key] = {
+        name: key,
+        tagNames: [...new Set(tagList)],
+        rankSums: {},
+        counts: {},
+        total: 0,
+        testCount: 0,
+        distinct: new Set(tagList).size === tagList.length,
+      };
+      for (const tag of groups[key].tagNames) {
+        groups[key].rankSums[tag] = 0;
+        groups[key].counts[tag] = 0;
+      }
+    }
+
+    const group = groups[key];
+    group.testCount++;
+    group.total += stats.total;
+    for (const opt of stats.options) {
+      const tag = tagMap[opt.name] || opt.name;
+      group.rankSums[tag] += opt.rankSum;
+      group.counts[tag] += opt.n;
+    }
+  }
+
+  return Object.values(groups).map((group) => {
+    const options = group.tagNames
+      .map((tag) => ({
+        name: tag,
+        rankSum: group.rankSums[tag],
+        meanRank: group.counts[tag] > 0 ? group.rankSums[tag] / group.counts[tag] : null,
+        n: group.counts[tag],
+      }))
+      .sort((a, b) => a.meanRank - b.meanRank);
+    const friedman = group.distinct
+      ? friedmanTest(options.map((o) => o.rankSum), group.total)
+      : { chiSq: null, pValue: null, kendallW: null };
+
+    return {
+      name: group.name,
+      options,
+      total: group.total,
+      ...friedman,
+      testCount: group.testCount,
+    };
+  });
+}
@@ -0,0 +1,374 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeAbPairsStats, computeConstantStimuliStats, computeRankingStats,
+  computeMushraStats, computeMeanCI, tCritical, tTestPValue, computeBs1116Stats,
+  computeAcrStats, computeAcrTagStats, computeCcrStats,
+  computeDuoTrioStats, computeTetradStats, thurstonianDPrime, FORCED_CHOICE_CHANCE,
+} from './statistics';
+
+/**
+ * Helper: AB-Pairs selections from [winner, loser, times] entries.
+ */
+function selections(entries) {
+  return entries.flatMap(([winner, loser, times]) =>
+    Array.from({ length: times }, () => ({ pair: [winner, loser], winner })));
+}
+
+/** Helper: ranking entries from strings of option letters, best first. */
+function rankings(rows) {
+  return rows.map((row) => ({ ranking: row.split('') }));
+}
+
+/** Helper: option stats by name. */
+function byName(stats) {
+  return Object.fromEntries(stats.options.map((o) => [o.name, o]));
+}
+
+describe('computeAbPairsStats', () => {
+  it('matches the closed-form fit for two options', () => {
+    // 30:10 → worth ratio 3: log-worths ±ln(3)/2, each with SE ½·√(1 / (40·¾·¼))
+    const stats = computeAbPairsStats('T', ['A', 'B'], selections([['A', 'B', 30], ['B', 'A', 10]]));
+    const { A, B } = byName(stats);
+
+    expect(A.worth).toBeCloseTo(Math.sqrt(3), 8);
+    expect(B.worth).toBeCloseTo(1 / Math.sqrt(3), 8);
+    expect(A.worthLower).toBeCloseTo(1.2110252508, 8);
+    expect(A.worthUpper).toBeCloseTo(2.4772398411, 8);
+    expect(stats.corrected).toBe(false);
+  });
+
+  it('recovers worths whose expected wins the data match exactly', () => {
+    // Worths 4 : 2 : 1 — A beats B ⅔, A beats C ⅘, B beats C ⅔ of the time
+    const stats = computeAbPairsStats('T', ['C', 'B', 'A'], selections([
+      ['A', 'B', 8], ['B', 'A', 4],
+      ['A', 'C', 8], ['C', 'A', 2],
+      ['B', 'C', 8], ['C', 'B', 4],
+    ]));
+    const { A, B, C } = byName(stats);
+
+    expect(stats.options.map((o) => o.name)).toEqual(['A', 'B', 'C']);
+    expect(A.worth).toBeCloseTo(2, 8);
+    expect(B.worth).toBeCloseTo(1, 8);
+    expect(C.worth).toBeCloseTo(0.5, 8);
+    expect(stats.chiSq).toBeCloseTo(6.5732797292, 8);
+    expect(stats.pValue).toBeCloseTo(Math.exp(-6.5732797292 / 2), 8);
+    expect(stats.consistency).toBe(1);
+  });
+
+  it('reports an option that was never compared as not estimable', () => {
+    const stats = computeAbPairsStats('T', ['A', 'B', 'C', 'D'], selections([
+      ['A', 'B', 8], ['B', 'A', 4],
+      ['A', 'C', 8], ['C', 'A', 2],
+      ['B', 'C', 8], ['C', 'B', 4],
+    ]));
+    const { A, B, C, D } = byName(stats);
+
+    expect(D).toMatchObject({ estimable: false, worth: null, worthLower: null, worthUpper: null, comparisons: 0 });
+    expect(stats.options[3].name).toBe('D');
+    expect([A.worth, B.worth, C.worth].map((w) => w.toFixed(6))).toEqual(['2.000000', '1.000000', '0.500000']);
+    expect(A.estimable && B.estimable && C.estimable).toBe(true);
+    expect(B.worthLower).toBeLessThan(1);
+    expect(B.worthUpper).toBeGreaterThan(1);
+    // Same fit as without D, so the same test on 2 degrees of freedom
+    expect(stats.pValue).toBeCloseTo(Math.exp(-6.5732797292 / 2), 8);
+  });
+
+  it('counts a fully compared cycle as one circular triad', () => {
+    const stats = computeAbPairsStats('T', ['A', 'B', 'C'], selections([
+      ['A', 'B', 2], ['B', 'C', 2], ['C', 'A', 2],
+    ]));
+
+    expect(stats).toMatchObject({ circularTriads: 1, comparedTriads: 1, maxCircularTriads: 1, consistency: 0 });
+  });
+
+  it('counts triads only over triples whose pairs were all compared', () => {
+    // A > B > C > A, and D compared with A only: ABD, ACD and BCD are incomplete
+    const stats = computeAbPairsStats('T', ['A', 'B', 'C', 'D'], selections([
+      ['A', 'B', 2], ['B', 'C', 2], ['C', 'A', 2], ['D', 'A', 2],
+    ]));
+
+    expect(stats).toMatchObject({ circularTriads: 1, comparedTriads: 1, maxCircularTriads: null, consistency: null });
+  });
+
+  it('gives Kendall ζ over a full design', () => {
+    // Four options, one cycle (A > B > C > A), D below all: d = 1 of a possible 2
+    const stats = computeAbPairsStats('T', ['A', 'B', 'C', 'D'], selections([
+      ['A', 'B', 1], ['B', 'C', 1], ['C', 'A', 1], ['A', 'D', 1], ['B', 'D', 1], ['C', 'D', 1],
+    ]));
+
+    expect(stats).toMatchObject({ circularTriads: 1, comparedTriads: 4, maxCircularTriads: 2, consistency: 0.5 });
+  });
+});
+
+describe('computeConstantStimuliStats', () => {
+  const trials = [1, 2, 3, 4].flatMap((level) =>
+    Array.from({ length: 10 }, (_, t) => ({ level, isCorrect: t < 4 + level })));
+  const data = { trials, function: 'logistic', guessRate: 0.5, lapseRate: 0 };
+
+  it('reports the CIs stored when the test completed', () => {
+    const ci = { thresholdCI: [1.5, 3.25], slopeCI: [0.05, 0.2] };
+    const stats = computeConstantStimuliStats('T', ['Ref', 'L1', 'L2', 'L3', 'L4'], { ...data, ci });
+
+    expect(stats.thresholdCI).toEqual([1.5, 3.25]);
+    expect(stats.slopeCI).toEqual([0.05, 0.2]);
+    expect(stats.levels.map((l) => l.correct)).toEqual([5, 6, 7, 8]);
+  });
+
+  it('has no CIs when none were stored', () => {
+    const stats = computeConstantStimuliStats('T', ['Ref', 'L1', 'L2', 'L3', 'L4'], data);
+
+    expect(stats.threshold).not.toBeNull();
+    expect(stats.thresholdCI).toBeNull();
+    expect(stats.slopeCI).toBeNull();
+  });
+});
+
+describe('computeRankingStats', () => {
+  // Rank sums 10, 16, 22 over n = 8 rankings of k = 3 options
+  const stats = computeRankingStats('T', ['A', 'B', 'C'], rankings([
+    'ABC', 'ACB', 'ABC', 'BAC', 'ABC', 'ACB', 'BAC', 'ABC',
+  ]));
+
+  /** Helper: the pair row for two options. */
+  const pair = (first, second) => stats.pairs.find((p) => p.first === first && p.second === second);
+
+  it('computes the Friedman statistic and Kendall W', () => {
+    // χ² = 12 / (n·k·(k+1)) · ΣR² − 3n(k+1) = 12/96 · 840 − 96 = 9, W = χ² / (n(k−1))
+    expect(stats.chiSq).toBeCloseTo(9, 10);
+    expect(stats.pValue).toBeCloseTo(Math.exp(-9 / 2), 6);
+    expect(stats.kendallW).toBeCloseTo(0.5625, 10);
+    expect(stats.options.map((o) => [o.name, o.meanRank])).toEqual([['A', 1.25], ['B', 2], ['C', 2.75]]);
+  });
+
+  it('gives W = 1 for identical rankings', () => {
+    expect(computeRankingStats('T', ['A', 'B', 'C'], rankings(['CAB', 'CAB', 'CAB'])).kendallW).toBeCloseTo(1, 10);
+  });
+
+  it('computes exact Wilcoxon signed-rank p-values with tied differences', () => {
+    // A − C: all 8 differences negative → 2 / 2⁸
+    expect(pair('A', 'C').wilcoxonP).toBeCloseTo(2 / 256, 10);
+    // A − B: −1 ×4, −2 ×2, +1 ×2 → mid-ranks 3.5 and 7.5, W⁺ = 7, two-sided p = 44/256
+    expect(pair('A', 'B').wilcoxonP).toBeCloseTo(44 / 256, 10);
+  });
+
+  it('computes Nemenyi p-values from the studentized range', () => {
+    // q = |ΔR̄| / √(k(k+1) / 12n); reference values by direct integration,
+    // which also reproduce the tabled q(0.05; 3, ∞) = 3.314
+    expect(pair('A', 'C').meanRankDiff).toBe(-1.5);
+    expect(pair('A', 'C').nemenyiP).toBeCloseTo(0.0076081, 5);
+    expect(pair('B', 'C').nemenyiP).toBeCloseTo(0.2909050, 5);
+  });
+
+  it('reports nothing to test without rankings', () => {
+    const empty = computeRankingStats('T', ['A', 'B', 'C'], []);
+
+    expect(empty).toMatchObject({ chiSq: 0, pValue: 1, kendallW: null, total: 0 });
+    expect(empty.pairs.every((p) => p.wilcoxonP === 1 && p.nemenyiP === 1)).toBe(true);
+  });
+});
+
+describe('Student\'s t helpers', () => {
+  it('computes two-tailed p-values matching the closed forms for 1 and 2 df', () => {
+    // df = 1 (Cauchy): 1 − (2/π)·atan(t); df = 2: 1 − t / √(2 + t²)
+    expect(tTestPValue(1, 1)).toBeCloseTo(0.5, 6);
+    expect(tTestPValue(3, 1)).toBeCloseTo(1 - (2 / Math.PI) * Math.atan(3), 6);
+    expect(tTestPValue(2, 2)).toBeCloseTo(1 - 2 / Math.sqrt(6), 6);
+    expect(tTestPValue(-2, 2)).toBeCloseTo(tTestPValue(2, 2), 10);
+    expect(tTestPValue(0, 5)).toBeCloseTo(1, 10);
+    expect(tTestPValue(Infinity, 5)).toBe(0);
+  });
+
+  it('matches tabled 95% critical values', () => {
+    expect(tCritical(1)).toBeCloseTo(12.7062, 3);
+    expect(tCritical(4)).toBeCloseTo(2.7764, 3);
+    expect(tCritical(9)).toBeCloseTo(2.2622, 3);
+    expect(tCritical(30)).toBeCloseTo(2.0423, 3);
+  });
+
+  it('computes the mean with a t interval', () => {
+    // sd √2.5, half-width t(4) · √2.5 / √5 = 2.776445 · 0.707107
+    const ci = computeMeanCI([1, 2, 3, 4, 5]);
+    expect(ci.n).toBe(5);
+    expect(ci.mean).toBe(3);
+    expect(ci.sd).toBeCloseTo(Math.sqrt(2.5), 10);
+    expect(ci.ciLow).toBeCloseTo(1.036757, 5);
+    expect(ci.ciHigh).toBeCloseTo(4.963243, 5);
+  });
+
+  it('collapses the interval below two values', () => {
+    expect(computeMeanCI([7])).toEqual({ n: 1, mean: 7, sd: 0, ciLow: 7, ciHigh: 7 });
+    expect(computeMeanCI([])).toEqual({ n: 0, mean: 0, sd: 0, ciLow: 0, ciHigh: 0 });
+  });
+});
+
+describe('computeMushraStats', () => {
+  /** Helper: MUSHRA trials from per-trial [reference, anchor, codec] scores. */
+  const mushraTrials = (rows) => rows.map(([ref, anchor, codec]) => ({
+    ratings: [
+      { name: 'Ref', role: 'reference', score: ref },
+      { name: 'Anchor', role: 'lowAnchor', score: anchor },
+      { name: 'Codec', role: 'condition', score: codec },
+    ],
+  }));
+
+  it('reports each condition\'s mean and 95% CI in config order', () => {
+    const stats = computeMushraStats('T', ['Ref', 'Anchor', 'Codec'], mushraTrials([
+      [100, 20, 70], [100, 30, 75], [95, 40, 80], [100, 50, 85], [100, 60, 90],
+    ]));
+    const [ref, anchor, codec] = stats.conditions;
+
+    expect(stats.totalTrials).toBe(5);
+    expect(ref).toMatchObject({ name: 'Ref', role: 'reference', n: 5, mean: 99 });
+    expect(anchor).toMatchObject({ name: 'Anchor', role: 'lowAnchor', scores: [20, 30, 40, 50, 60], mean: 40 });
+    // Same spread as 1..5 scaled by 10 and 5: half-widths 19.63243 and 9.81622
+    expect(anchor.ciLow).toBeCloseTo(20.36757, 4);
+    expect(anchor.ciHigh).toBeCloseTo(59.63243, 4);
+    expect(codec.mean).toBe(80);
+    expect(codec.ciLow).toBeCloseTo(70.18378, 4);
+    expect(codec.ciHigh).toBeCloseTo(89.81622, 4);
+  });
+
+  it('excludes a listener who rates the hidden reference below 90 in more than 15% of trials', () => {
+    // 3 of 20 low is exactly 15%: kept. 4 of 20 is 20%: excluded. A score of 90 is not low.
+    const rows = (low) => Array.from({ length: 20 }, (_, i) => [i < low ? 85 : 90, 20, 60]);
+
+    expect(computeMushraStats('T', ['Ref', 'Anchor', 'Codec'], mushraTrials(rows(3))).postScreening)
+      .toEqual({ hiddenRefLow: 3, fraction: 0.15, excluded: false });
+    expect(computeMushraStats('T', ['Ref', 'Anchor', 'Codec'], mushraTrials(rows(4))).postScreening)
+      .toEqual({ hiddenRefLow: 4, fraction: 0.2, excluded: true });
+  });
+
+  it('has nothing to screen without trials', () => {
+    const stats = computeMushraStats('T', ['Ref', 'Codec'], []);
+
+    expect(stats.postScreening).toEqual({ hiddenRefLow: 0, fraction: 0, excluded: false });
+    expect(stats.conditions.map((c) => c.n)).toEqual([0, 0]);
+  });
+});
+
+describe('computeBs1116Stats', () => {
+  /** Helper: graded trials from [condition, grade of the reference, grade of the condition] rows. */
+  const graded = (rows) => rows.map(([condition, gradeReference, gradeCondition]) => ({
+    condition: { name: condition }, gradeReference, gradeCondition, diffGrade: gradeCondition - gradeReference,
+  }));
+
+  const stats = computeBs1116Stats('T', ['Ref', 'Codec', 'Lossless'], graded([
+    ['Codec', 5, 4], ['Codec', 5, 3], ['Codec', 4.5, 1.5],
+    ['Lossless', 5, 5], ['Lossless', 4, 4], ['Lossless', 5, 5],
+  ]));
+
+  it('tests each condition\'s difference grades against zero', () => {
+    // Diffs −1, −2, −3: mean −2, sd 1, t = −2√3 on 2 df, p = 1 − |t| / √(2 + t²)
+    const [codec, lossless] = stats.conditions;
+    expect(codec).toMatchObject({ name: 'Codec', n: 3, mean: -2, sd: 1 });
+    expect(codec.t).toBeCloseTo(-2 * Math.sqrt(3), 10);
+    expect(codec.pValue).toBeCloseTo(1 - Math.sqrt(12 / 14), 6);
+    // ± t(2) / √3 = 4.302653 / √3
+    expect(codec.ciLow).toBeCloseTo(-4.484138, 4);
+    expect(codec.ciHigh).toBeCloseTo(0.484138, 4);
+    expect(lossless).toMatchObject({ name: 'Lossless', mean: 0, sd: 0, t: 0, pValue: 1 });
+  });
+
+  it('pools every trial for the listener', () => {
+    // Diffs −1, −2, −3, 0, 0, 0: mean −1, variance 8/5, t = −1 / √(1.6 / 6)
+    expect(stats.listener).toMatchObject({ n: 6, mean: -1 });
+    expect(stats.listener.t).toBeCloseTo(-Math.sqrt(6 / 1.6), 10);
+    expect(stats.totalCorrect).toBe(3);
+    expect(stats.total).toBe(6);
+  });
+
+  it('gives p = 0 for a consistent impairment with no spread', () => {
+    const [codec] = computeBs1116Stats('T', ['Ref', 'Codec'], graded([['Codec', 5, 4], ['Codec', 5, 4]])).conditions;
+    expect(codec).toMatchObject({ mean: -1, t: -Infinity, pValue: 0 });
+  });
+});
+
+describe('computeAcrStats', () => {
+  /** Helper: ACR ratings from an option name and its ratings. */
+  const acr = (name, ratings) => ratings.map((rating) => ({ option: { name }, rating }));
+
+  const stats = computeAcrStats('T', ['A', 'B', 'C'], [...acr('A', [5, 4, 4, 3, 4]), ...acr('B', [1, 2, 3])]);
+
+  it('computes the MOS with a 95% CI and the rating histogram', () => {
+    const [a, b, c] = stats.options;
+
+    // sd √½, half-width t(4) · √½ / √5
+    expect(a).toMatchObject({ name: 'A', histogram: [0, 0, 1, 3, 1], n: 5, mean: 4 });
+    expect(a.sd).toBeCloseTo(Math.SQRT1_2, 10);
+    expect(a.ciLow).toBeCloseTo(3.122011, 5);
+    expect(a.ciHigh).toBeCloseTo(4.877989, 5);
+    // sd 1, half-width t(2) / √3
+    expect(b).toMatchObject({ histogram: [1, 1, 1, 0, 0], mean: 2, sd: 1 });
+    expect(b.ciHigh).toBeCloseTo(4.484138, 4);
+    expect(c).toMatchObject({ histogram: [0, 0, 0, 0, 0], n: 0 });
+    expect(stats.total).toBe(8);
+  });
+
+  it('pools the histograms of options sharing a tag across tests', () => {
+    const config = { options: [{ name: 'A', tag: 'Lossy' }, { name: 'B', tag: 'Lossy' }, { name: 'C' }] };
+    const second = computeAcrStats('T2', ['A', 'C'], [...acr('A', [2]), ...acr('C', [5, 5])]);
+    const tags = Object.fromEntries(computeAcrTagStats([stats, second], config).map((t) => [t.name, t]));
+
+    // Lossy: 5, 4, 4, 3, 4, 1, 2, 3, 2 → mean 28/9
+    expect(Object.keys(tags)).toEqual(['Lossy', 'C']);
+    expect(tags.Lossy).toMatchObject({ histogram: [1, 2, 2, 3, 1], sourceCount: 3, n: 9 });
+    expect(tags.Lossy.mean).toBeCloseTo(28 / 9, 10);
+    expect(tags.C).toMatchObject({ histogram: [0, 0, 0, 0, 2], sourceCount: 2, n: 2, mean: 5 });
+  });
+});
+
+describe('computeCcrStats', () => {
+  /** Helper: CCR ratings of one pair from scores in config order. */
+  const ccr = (pair, scores) => scores.map((score) => ({ pair, score }));
+
+  it('computes the CMOS and a two-tailed sign test, dropping ties', () => {
+    // 1 positive, 7 negative: 2 · P(X ≥ 7 | 8, ½) = 2 · 9/256
+    const stats = computeCcrStats('T', ['A', 'B', 'C'], ccr(['A', 'B'], [1, -1, -2, -1, -3, -1, -2, -1, 0, 0]));
+    const [ab, ac, bc] = stats.pairs;
+
+    expect(ab).toMatchObject({ positive: 1, negative: 7, ties: 2, n: 10, histogram: [1, 2, 4, 2, 1, 0, 0] });
+    expect(ab.mean).toBeCloseTo(-1, 10);
+    expect(ab.pValue).toBeCloseTo(18 / 256, 10);
+    expect([ac, bc].map((p) => [p.first, p.second, p.n, p.pValue])).toEqual([['A', 'C', 0, 1], ['B', 'C', 0, 1]]);
+  });
+
+  it('caps the p-value of an even split at 1', () => {
+    const [pair] = computeCcrStats('T', ['A', 'B'], ccr(['A', 'B'], [2, -2, 1, -1])).pairs;
+    expect(pair.mean).toBe(0);
+    expect(pair.pValue).toBe(1);
+  });
+});
+
+/** Helper: forced-choice records with `correct` of `total` answers right. */
+function discrimination(correct, total) {
+  return Array.from({ length: total }, (_, i) => ({
+    selectedOption: { name: i < correct ? 'A' : 'B' }, correctOption: { name: 'A' }, confidence: null,
+  }));
+}
+
+describe('duo-trio and tetrad statistics', () => {
+  it('test against their guessing rates', () => {
+    expect(FORCED_CHOICE_CHANCE['duo-trio']).toBe(1 / 2);
+    expect(FORCED_CHOICE_CHANCE.tetrad).toBe(1 / 3);
+    // P(X ≥ 15 | 20, ½) = 21700 / 2²⁰; P(X ≥ 12 | 20, ⅓)
+    expect(computeDuoTrioStats('T', ['A', 'B'], discrimination(15, 20)).pValue).toBeCloseTo(21700 / 2 ** 20, 8);
+    expect(computeTetradStats('T', ['A', 'B'], discrimination(12, 20)).pValue).toBeCloseTo(0.0129733, 6);
+  });
+
+  it('invert the Thurstonian models to tabled d\' values', () => {
+    // Ennis (1993) and Ennis, Ennis, Yip & O'Mahony (1998); reproduced by direct integration
+    expect(computeDuoTrioStats('T', ['A', 'B'], discrimination(15, 20)).dPrime).toBeCloseTo(2.020, 2);
+    expect(thurstonianDPrime('duo-trio', 12, 20)).toBeCloseTo(1.115, 2);
+    expect(computeTetradStats('T', ['A', 'B'], discrimination(12, 20)).dPrime).toBeCloseTo(1.363, 2);
+    expect(thurstonianDPrime('tetrad', 10, 20)).toBeCloseTo(1.022, 2);
+    expect(thurstonianDPrime('triangle', 12, 20)).toBeCloseTo(1.976, 2);
+  });
+
+  it('give d\' = 0 at or below chance and a finite d\' for a perfect score', () => {
+    expect(thurstonianDPrime('duo-trio', 10, 20)).toBe(0);
+    expect(thurstonianDPrime('tetrad', 5, 20)).toBe(0);
+    // 20 of 20 counts as 19.5 of 20
+    expect(thurstonianDPrime('duo-trio', 20, 20)).toBeCloseTo(4.814, 2);
+    expect(thurstonianDPrime('tetrad', 0, 0)).toBeNull();
+  });
+});
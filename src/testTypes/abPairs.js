@@ -0,0 +1,111 @@
+/**
+ * AB-Pairs test type — round-robin paired comparison preference test.
+ *
+ * Every unordered pair of options is presented once per round, in a fresh
+ * random order each round. Each pair alternates which option plays as A,
+ * so over two rounds every pair is heard in both orders. The listener picks
+ * the preferred option of the pair; results are scaled with a Bradley-Terry
+ * model. No correct answer, no confidence.
+ */
+
+import { shuffle } from '../utils/shuffle';
+
+/**
+ * All unordered option pairs, in config order.
+ * @param {object[]} options
+ * @returns {string[][]} Array of [firstName, secondName]
+ */
+function allPairs(options) {
+  const pairs = [];
+  for (let i = 0; i < options.length; i++) {
+    for (let j = i + 1; j < options.length; j++) {
+      pairs.push([options[i].name, options[j].name]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * @param {object} params
+ * @param {object[]} params.options - Test options from config (3+)
+ * @param {object} params.testConfig - Full test config object
+ * @param {boolean} params.isNewTest - First iteration of this test
+ * @param {object|null} params.testState - Per-test persistent state ({ pairBag, swapNext })
+ * @returns {{ ui: object, secure: object, bufferSources: object[], shuffledOptions: object[], testState: object }}
+ */
+export async function setup({ options, testConfig, isNewTest, testState }) {
+  const pairs = allPairs(options);
+
+  // swapNext[i]: whether pair i plays second-option-first next time.
+  // Starts random per pair and flips on every presentation.
+  const newState = isNewTest
+    ? { pairBag: [], swapNext: pairs.map(() => Math.random() < 0.5) }
+    : { pairBag: [...testState.pairBag], swapNext: [...testState.swapNext] };
+
+  if (newState.pairBag.length === 0) {
+    newState.pairBag.push(...shuffle(pairs.map((_, i) => i)));
+  }
+  const pairIdx = newState.pairBag.shift();
+  const pair = pairs[pairIdx];
+  const swapped = newState.swapNext[pairIdx];
+  newState.swapNext[pairIdx] = !swapped;
+
+  const presented = (swapped ? [pair[1], pair[0]] : pair)
+    .map((n) => ({ ...options.find((o) => o.name === n) }));
+
+  return {
+    ui: { options: presented },
+    secure: { pair, swapped },
+    bufferSources: presented,
+    // Options keep config order for stats; the presented pair lives in ui/secure
+    shuffledOptions: options,
+    testState: newState,
+  };
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.answerId - Selected track index as string ('0' or '1')
+ * @param {object} params.secure - { pair, swapped }
+ * @param {object|null} params.testState
+ * @param {{ startedAt: number, finishedAt: number }} params.timing
+ * @returns {{ isCorrect: null, trialRecord: object, progressDot: object, testState: object|null }}
+ */
+export function processSubmit({ answerId, secure, testState, timing }) {
+  const { pair, swapped } = secure;
+  const presented = swapped ? [pair[1], pair[0]] : pair;
+
+  const trialRecord = {
+    pair,
+    swapped,
+    winner: presented[parseInt(answerId)],
+    ...timing,
+  };
+
+  return {
+    isCorrect: null,
+    trialRecord,
+    progressDot: { isCorrect: null, confidence: null },
+    testState,
+  };
+}
+
+/**
+ * @param {object|null} testState
+ * @param {number} repeatStep
+ * @param {object} testConfig
+ * @returns {boolean}
+ */
+export function isComplete(testState, repeatStep, testConfig) {
+  return repeatStep + 1 >= testConfig.repeat;
+}
+
+/**
+ * @param {object[]} trialRecords
+ * @param {object|null} testState
+ * @param {object} testConfig
+ * @returns {object}
+ */
+export function mergeResults(trialRecords, testState, testConfig) {
+  return { pairSelections: trialRecords };
+}
@@ -29,7 +29,7 @@ export async function setup({ options, testConfig, isNewTest, testState, hasConf
 
   const randomIndex = Math.floor(Math.random() * ordered.length);
   const randomOption = ordered[randomIndex];
-  const xOpt = { name: 'X', audioUrl: randomOption.audioUrl };
+  const xOpt = { ...randomOption, name: 'X' };
 
   const allAnswerIds = ordered.map((_, i) => String(i));
   const commitment = await createCommitment(String(randomIndex), allAnswerIds);
@@ -38,7 +38,7 @@ export async function setup({ options, testConfig, isNewTest, testState, hasConf
   if (isABXY) {
     const otherIndex = randomIndex === 0 ? 1 : 0;
     const otherOption = ordered[otherIndex];
-    const yOpt = { name: 'Y', audioUrl: otherOption.audioUrl };
+    const yOpt = { ...otherOption, name: 'Y' };
     bufferSources = [...ordered, xOpt, yOpt];
   } else {
     bufferSources = [...ordered, xOpt];
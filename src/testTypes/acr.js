@@ -0,0 +1,101 @@
+/**
+ * ACR test type — ITU-T P.800 Absolute Category Rating.
+ *
+ * Single stimulus: each trial plays one option, drawn from a balanced bag
+ * (each option once per block) or at random. The listener rates it on the
+ * five-point category scale (5 Excellent … 1 Bad). There is no correct
+ * answer; the option name is kept in `secure` so the UI never learns it.
+ */
+
+import { shuffle } from '../utils/shuffle';
+
+/**
+ * Draw the next option from a balanced bag or randomly.
+ * @param {object[]} options - Test options
+ * @param {object} testConfig - Full test config object
+ * @param {boolean} isNewTest
+ * @param {object|null} testState - { optionBag: string[] }
+ * @returns {{ optionName: string, testState: object|null }}
+ */
+function drawOption(options, testConfig, isNewTest, testState) {
+  if (!testConfig.balanced) {
+    return { optionName: options[Math.floor(Math.random() * options.length)].name, testState };
+  }
+
+  const newState = isNewTest
+    ? { optionBag: [] }
+    : { optionBag: [...testState.optionBag] };
+
+  const bag = newState.optionBag;
+  if (bag.length === 0) {
+    bag.push(...shuffle(options.map((o) => o.name)));
+  }
+  const optionName = bag.shift();
+
+  return { optionName, testState: newState };
+}
+
+/**
+ * @param {object} params
+ * @param {object[]} params.options - Test options from config
+ * @param {object} params.testConfig - Full test config object
+ * @param {boolean} params.isNewTest - First iteration of this test
+ * @param {object|null} params.testState - Per-test persistent state ({ optionBag })
+ * @returns {{ ui: object, secure: object, bufferSources: object[], shuffledOptions: object[], testState: object|null }}
+ */
+export async function setup({ options, testConfig, isNewTest, testState }) {
+  const { optionName, testState: newState } = drawOption(options, testConfig, isNewTest, testState);
+  const option = options.find((o) => o.name === optionName);
+
+  return {
+    ui: {},
+    secure: { optionName },
+    bufferSources: [{ ...option }],
+    // Options keep config order so results list them as configured
+    shuffledOptions: options,
+    testState: newState,
+  };
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.answerId - Category rating '1'..'5'
+ * @param {object} params.secure - { optionName }
+ * @param {object|null} params.testState
+ * @param {{ startedAt: number, finishedAt: number }} params.timing
+ * @returns {{ isCorrect: null, trialRecord: object, progressDot: object, testState: object|null }}
+ */
+export function processSubmit({ answerId, secure, testState, timing }) {
+  const trialRecord = {
+    option: { name: secure.optionName },
+    rating: parseInt(answerId),
+    ...timing,
+  };
+
+  return {
+    isCorrect: null,
+    trialRecord,
+    progressDot: { isCorrect: null, confidence: null },
+    testState,
+  };
+}
+
+/**
+ * @param {object|null} testState
+ * @param {number} repeatStep
+ * @param {object} testConfig
+ * @returns {boolean}
+ */
+export function isComplete(testState, repeatStep, testConfig) {
+  return repeatStep + 1 >= testConfig.repeat;
+}
+
+/**
+ * @param {object[]} trialRecords
+ * @param {object|null} testState
+ * @param {object} testConfig
+ * @returns {object}
+ */
+export function mergeResults(trialRecords, testState, testConfig) {
+  return { acrRatings: trialRecords };
+}
@@ -0,0 +1,127 @@
+/**
+ * BS.1116 test type — double-blind triple-stimulus with hidden reference.
+ *
+ * The first option is the known reference, always available as an open track.
+ * Each trial presents two hidden stimuli, A and B: one is the reference, the
+ * other is a condition drawn from a balanced bag. Both are graded on the
+ * 1.0–5.0 continuous impairment scale. Commitment created for the slot
+ * holding the hidden reference ('0' or '1').
+ */
+
+import { shuffle } from '../utils/shuffle';
+import { createCommitment, verifyAnswer, deriveCorrectId } from '../utils/commitment';
+
+/**
+ * Draw the next condition from a balanced bag (each condition once per block).
+ * @param {object[]} conditions - Non-reference options
+ * @param {boolean} isNewTest
+ * @param {object|null} testState - { conditionBag: string[] }
+ * @returns {{ conditionName: string, testState: object }}
+ */
+function drawCondition(conditions, isNewTest, testState) {
+  const newState = isNewTest
+    ? { conditionBag: [] }
+    : { conditionBag: [...testState.conditionBag] };
+
+  const bag = newState.conditionBag;
+  if (bag.length === 0) {
+    bag.push(...shuffle(conditions.map((c) => c.name)));
+  }
+  const conditionName = bag.shift();
+
+  return { conditionName, testState: newState };
+}
+
+/**
+ * @param {object} params
+ * @param {object[]} params.options - Test options (first = reference, rest = conditions)
+ * @param {object} params.testConfig - Full test config object
+ * @param {boolean} params.isNewTest - First iteration of this test
+ * @param {object|null} params.testState - Per-test persistent state ({ conditionBag })
+ * @returns {{ ui: object, secure: object, bufferSources: object[], shuffledOptions: object[], testState: object }}
+ */
+export async function setup({ options, testConfig, isNewTest, testState }) {
+  const reference = options[0];
+  const conditions = options.slice(1);
+
+  const { conditionName, testState: newState } = drawCondition(conditions, isNewTest, testState);
+  const condition = conditions.find((c) => c.name === conditionName);
+
+  const refSlot = Math.floor(Math.random() * 2);
+  const hidden = refSlot === 0
+    ? [{ ...reference }, { ...condition }]
+    : [{ ...condition }, { ...reference }];
+
+  const allAnswerIds = ['0', '1'];
+  const commitment = await createCommitment(String(refSlot), allAnswerIds);
+
+  return {
+    ui: {
+      totalIterations: testConfig.repeat,
+      showProgress: testConfig.showProgress,
+    },
+    secure: { conditionName, commitment },
+    // Open reference goes last so A/B hotkeys map directly onto the hidden stimuli
+    bufferSources: [...hidden, { ...reference, name: 'Reference' }],
+    shuffledOptions: options,
+    testState: newState,
+  };
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.answerId - Comma-separated grades for slots A and B (e.g., "5.0,3.8")
+ * @param {object} params.secure - { conditionName, commitment }
+ * @param {object|null} params.testState
+ * @param {{ startedAt: number, finishedAt: number }} params.timing
+ * @returns {{ isCorrect: boolean, trialRecord: object, progressDot: object, testState: object }}
+ */
+export function processSubmit({ answerId, secure, testState, timing }) {
+  const { conditionName, commitment } = secure;
+  const refSlot = parseInt(deriveCorrectId(commitment.answerHashes, commitment.correctHash));
+  const grades = answerId.split(',').map(Number);
+
+  const gradeReference = grades[refSlot];
+  const gradeCondition = grades[1 - refSlot];
+  const diffGrade = Math.round((gradeCondition - gradeReference) * 10) / 10;
+
+  // Correct identification: the slot graded higher is the hidden reference
+  const higherSlot = grades[0] > grades[1] ? '0' : grades[1] > grades[0] ? '1' : null;
+  const isCorrect = higherSlot !== null && verifyAnswer(commitment.answerHashes, higherSlot, commitment.correctHash);
+
+  const trialRecord = {
+    condition: { name: conditionName },
+    referenceSlot: refSlot,
+    gradeReference,
+    gradeCondition,
+    diffGrade,
+    ...timing,
+  };
+
+  return {
+    isCorrect,
+    trialRecord,
+    progressDot: { isCorrect, confidence: null },
+    testState,
+  };
+}
+
+/**
+ * @param {object|null} testState
+ * @param {number} repeatStep
+ * @param {object} testConfig
+ * @returns {boolean}
+ */
+export function isComplete(testState, repeatStep, testConfig) {
+  return repeatStep + 1 >= testConfig.repeat;
+}
+
+/**
+ * @param {object[]} trialRecords
+ * @param {object|null} testState
+ * @param {object} testConfig
+ * @returns {object}
+ */
+export function mergeResults(trialRecords, testState, testConfig) {
+  return { gradedTrials: trialRecords };
+}
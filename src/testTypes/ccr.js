@@ -0,0 +1,125 @@
+/**
+ * CCR test type — ITU-T P.800 Annex E Comparison Category Rating.
+ *
+ * Each trial presents one pair of options, drawn from a balanced bag of all
+ * unordered pairs (each pair once per block) or at random, in random order.
+ * The listener rates the second sample relative to the first on the
+ * −3..+3 scale. Ratings are sign-corrected so that a positive score always
+ * means the later option in config order was preferred.
+ */
+
+import { shuffle } from '../utils/shuffle';
+
+/**
+ * All unordered option pairs, in config order.
+ * @param {object[]} options
+ * @returns {string[][]} Array of [firstName, secondName]
+ */
+function allPairs(options) {
+  const pairs = [];
+  for (let i = 0; i < options.length; i++) {
+    for (let j = i + 1; j < options.length; j++) {
+      pairs.push([options[i].name, options[j].name]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Draw the next pair from a balanced bag or randomly.
+ * @param {object[]} options - Test options
+ * @param {object} testConfig - Full test config object
+ * @param {boolean} isNewTest
+ * @param {object|null} testState - { pairBag: number[] }
+ * @returns {{ pair: string[], testState: object|null }}
+ */
+function drawPair(options, testConfig, isNewTest, testState) {
+  const pairs = allPairs(options);
+  if (!testConfig.balanced) {
+    return { pair: pairs[Math.floor(Math.random() * pairs.length)], testState };
+  }
+
+  const newState = isNewTest
+    ? { pairBag: [] }
+    : { pairBag: [...testState.pairBag] };
+
+  const bag = newState.pairBag;
+  if (bag.length === 0) {
+    bag.push(...shuffle(pairs.map((_, i) => i)));
+  }
+  const pair = pairs[bag.shift()];
+
+  return { pair, testState: newState };
+}
+
+/**
+ * @param {object} params
+ * @param {object[]} params.options - Test options from config (2+)
+ * @param {object} params.testConfig - Full test config object
+ * @param {boolean} params.isNewTest - First iteration of this test
+ * @param {object|null} params.testState - Per-test persistent state ({ pairBag })
+ * @returns {{ ui: object, secure: object, bufferSources: object[], shuffledOptions: object[], testState: object|null }}
+ */
+export async function setup({ options, testConfig, isNewTest, testState }) {
+  const { pair, testState: newState } = drawPair(options, testConfig, isNewTest, testState);
+  const swapped = Math.random() < 0.5;
+  const presented = swapped ? [pair[1], pair[0]] : pair;
+
+  return {
+    ui: {},
+    secure: { pair, swapped },
+    bufferSources: presented.map((n) => ({ ...options.find((o) => o.name === n) })),
+    // Options keep config order; it defines the sign of every score
+    shuffledOptions: options,
+    testState: newState,
+  };
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.answerId - Rating of the second sample relative to the first, '-3'..'3'
+ * @param {object} params.secure - { pair, swapped }
+ * @param {object|null} params.testState
+ * @param {{ startedAt: number, finishedAt: number }} params.timing
+ * @returns {{ isCorrect: null, trialRecord: object, progressDot: object, testState: object|null }}
+ */
+export function processSubmit({ answerId, secure, testState, timing }) {
+  const { pair, swapped } = secure;
+  const rating = parseInt(answerId);
+
+  const trialRecord = {
+    pair,
+    swapped,
+    rating,
+    // Score of pair[1] relative to pair[0]
+    score: swapped ? -rating : rating,
+    ...timing,
+  };
+
+  return {
+    isCorrect: null,
+    trialRecord,
+    progressDot: { isCorrect: null, confidence: null },
+    testState,
+  };
+}
+
+/**
+ * @param {object|null} testState
+ * @param {number} repeatStep
+ * @param {object} testConfig
+ * @returns {boolean}
+ */
+export function isComplete(testState, repeatStep, testConfig) {
+  return repeatStep + 1 >= testConfig.repeat;
+}
+
+/**
+ * @param {object[]} trialRecords
+ * @param {object|null} testState
+ * @param {object} testConfig
+ * @returns {object}
+ */
+export function mergeResults(trialRecords, testState, testConfig) {
+  return { ccrRatings: trialRecords };
+}
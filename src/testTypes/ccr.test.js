@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { setup, processSubmit } from './ccr';
+import { computeCcrStats } from '../stats/statistics';
+
+const OPTIONS = [{ name: 'A', audioUrl: 'a.wav' }, { name: 'B', audioUrl: 'b.wav' }];
+
+/**
+ * Helper: the trial record of a listener who rates B `preference` points
+ * better than A, answering relative to the presentation order.
+ */
+function rate(swapped, preference) {
+  const answerId = String(swapped ? -preference : preference);
+  return processSubmit({
+    answerId, secure: { pair: ['A', 'B'], swapped }, testState: null, timing: { startedAt: 0, finishedAt: 1000 },
+  }).trialRecord;
+}
+
+describe('CCR trials', () => {
+  it('presents the pair in the swapped order when swapped', async () => {
+    for (let i = 0; i < 20; i++) {
+      const { secure, bufferSources } = await setup({
+        options: OPTIONS, testConfig: { repeat: 4 }, isNewTest: i === 0, testState: null,
+      });
+      const presented = bufferSources.map((s) => s.name);
+      expect(presented).toEqual(secure.swapped ? ['B', 'A'] : ['A', 'B']);
+      expect(secure.pair).toEqual(['A', 'B']);
+    }
+  });
+
+  it('sign-corrects ratings to config order', () => {
+    expect(rate(false, 2)).toMatchObject({ rating: 2, score: 2 });
+    expect(rate(true, 2)).toMatchObject({ rating: -2, score: 2 });
+    expect(rate(true, -3)).toMatchObject({ rating: 3, score: -3 });
+  });
+
+  it('gives the same CMOS whichever order the pair was heard in', () => {
+    // B preferred by 2 in both orders, once by 1, and one tie
+    const records = [rate(false, 2), rate(true, 2), rate(false, 2), rate(true, 2), rate(true, 1), rate(false, 0)];
+    const [pair] = computeCcrStats('T', ['A', 'B'], records).pairs;
+
+    expect(pair).toMatchObject({ first: 'A', second: 'B', positive: 5, negative: 0, ties: 1 });
+    expect(pair.mean).toBeCloseTo(1.5, 10);
+    expect(pair.histogram).toEqual([0, 0, 0, 1, 1, 4, 0]);
+    // 5 of 5 non-tied positive: 2 · (½)⁵
+    expect(pair.pValue).toBeCloseTo(2 / 32, 10);
+  });
+});
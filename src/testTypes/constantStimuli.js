@@ -0,0 +1,150 @@
+/**
+ * 2AFC-Constant test type — method of constant stimuli.
+ *
+ * Same layout as 2AFC-Staircase: option[0] is the reference, the rest are
+ * levels 1..N from smallest to largest difference. Every level is presented
+ * trialsPerLevel times, in randomized blocks that contain each level once.
+ * A familiarization phase (free listen at the largest level) comes first.
+ * Commitment created for reference track position (0 or 1).
+ */
+
+import { shuffle } from '../utils/shuffle';
+import { createCommitment, verifyAnswer } from '../utils/commitment';
+import { psychometricCI } from '../stats/psychometric';
+
+/** Chance of a correct answer when guessing: pick the reference out of two */
+const GUESS_RATE = 0.5;
+
+/**
+ * Build the full trial schedule: trialsPerLevel shuffled blocks of all levels.
+ * @param {number} nLevels
+ * @param {number} trialsPerLevel
+ * @returns {number[]} Levels (1-based) in presentation order
+ */
+function buildSchedule(nLevels, trialsPerLevel) {
+  const levels = Array.from({ length: nLevels }, (_, i) => i + 1);
+  const schedule = [];
+  for (let b = 0; b < trialsPerLevel; b++) schedule.push(...shuffle(levels));
+  return schedule;
+}
+
+/**
+ * @param {object} params
+ * @param {object[]} params.options - Test options from config (option[0] = reference, rest = levels)
+ * @param {object} params.testConfig - Full test config object (includes constant config)
+ * @param {boolean} params.isNewTest - First iteration of this test
+ * @param {object|null} params.testState - { schedule, position, familiarizing }
+ * @returns {{ ui: object, secure: object|null, bufferSources: object[], shuffledOptions: object[], testState: object }}
+ */
+export async function setup({ options, testConfig, isNewTest, testState }) {
+  const cs = testConfig.constant;
+
+  if (isNewTest) {
+    testState = {
+      schedule: buildSchedule(cs.nLevels, cs.trialsPerLevel),
+      position: 0,
+      familiarizing: true,
+    };
+  }
+
+  if (testState.familiarizing) {
+    const reference = options[0];
+    const testStim = options[cs.nLevels];
+
+    return {
+      ui: {
+        familiarizing: true,
+        pairNames: [reference.name, testStim.name],
+        totalIterations: testConfig.repeat,
+        showProgress: testConfig.showProgress,
+      },
+      secure: null,
+      bufferSources: [{ ...reference }, { ...testStim }],
+      shuffledOptions: options,
+      testState,
+    };
+  }
+
+  const level = testState.schedule[testState.position];
+  const referenceIdx = Math.random() < 0.5 ? 0 : 1;
+  const pair = referenceIdx === 0
+    ? [{ ...options[0] }, { ...options[level] }]
+    : [{ ...options[level] }, { ...options[0] }];
+
+  const commitment = await createCommitment(String(referenceIdx), ['0', '1']);
+
+  return {
+    ui: {
+      totalIterations: testConfig.repeat,
+      showProgress: testConfig.showProgress,
+    },
+    secure: { commitment, level },
+    bufferSources: pair,
+    shuffledOptions: options,
+    testState,
+  };
+}
+
+/**
+ * @param {object} params
+ * @param {string|null} params.answerId - Selected track index as string, or null for familiarization
+ * @param {object|null} params.secure - { commitment, level } or null for familiarization
+ * @param {object} params.testState - { schedule, position, familiarizing }
+ * @param {{ startedAt: number, finishedAt: number }} params.timing
+ * @returns {{ isCorrect: boolean|null, trialRecord: object|null, progressDot: object|null, testState: object, isFamiliarization: boolean }}
+ */
+export function processSubmit({ answerId, secure, testState, timing }) {
+  if (testState.familiarizing) {
+    return {
+      isCorrect: null,
+      trialRecord: null,
+      progressDot: null,
+      testState: { ...testState, familiarizing: false },
+      isFamiliarization: true,
+    };
+  }
+
+  const { commitment, level } = secure;
+  const isCorrect = verifyAnswer(commitment.answerHashes, answerId, commitment.correctHash);
+
+  return {
+    isCorrect,
+    trialRecord: { level, isCorrect, ...timing },
+    progressDot: { isCorrect, confidence: null },
+    testState: { ...testState, position: testState.position + 1 },
+    isFamiliarization: false,
+  };
+}
+
+/**
+ * @param {object} testState - { schedule, position, familiarizing }
+ * @param {number} repeatStep
+ * @param {object} testConfig
+ * @returns {boolean}
+ */
+export function isComplete(testState, repeatStep, testConfig) {
+  if (testState.familiarizing) return false;
+  return testState.position >= testState.schedule.length;
+}
+
+/**
+ * Runs once when the test completes, so the bootstrap CIs are computed here
+ * and stored with the results.
+ * @param {object[]} trialRecords
+ * @param {object} testState
+ * @param {object} testConfig
+ * @returns {object}
+ */
+export function mergeResults(trialRecords, testState, testConfig) {
+  const cs = testConfig.constant;
+  const trials = JSON.parse(JSON.stringify(trialRecords));
+  return {
+    constantData: {
+      trials,
+      function: cs.function,
+      guessRate: GUESS_RATE,
+      lapseRate: cs.lapseRate,
+      ci: psychometricCI(trials, cs.nLevels, { fn: cs.function, guessRate: GUESS_RATE, lapseRate: cs.lapseRate }),
+    },
+  };
+}
@@ -0,0 +1,99 @@
+/**
+ * Duo-trio test type — which sample matches the reference?
+ *
+ * The reference (one of the two options, chosen at random per trial) is
+ * always available as an open track. Two blind samples follow: one is the
+ * reference, the other is the second option. User picks the matching one.
+ * Commitment created for the matching sample position ('0' or '1').
+ */
+
+import { shuffle } from '../utils/shuffle';
+import { createCommitment, verifyAnswer, deriveCorrectId } from '../utils/commitment';
+
+/**
+ * @param {object} params
+ * @param {object[]} params.options - Test options from config (2+ options, first 2 used)
+ * @param {object} params.testConfig - Full test config object
+ * @param {boolean} params.isNewTest - First iteration of this test
+ * @param {object|null} params.testState - Per-test persistent state
+ * @param {boolean} params.hasConfidence - Whether +C suffix was used
+ * @param {object[]} params.shuffledOptions - Previously shuffled options
+ * @returns {{ ui: object, secure: object|null, bufferSources: object[], shuffledOptions: object[], testState: object|null }}
+ */
+export async function setup({ options, testConfig, isNewTest, testState, hasConfidence, shuffledOptions }) {
+  const ordered = isNewTest ? shuffle(options) : shuffledOptions;
+
+  const refIdx = Math.floor(Math.random() * 2);
+  const reference = ordered[refIdx];
+  const samples = shuffle([{ ...ordered[0] }, { ...ordered[1] }]);
+  const correctSampleIdx = samples.findIndex((s) => s.name === reference.name);
+
+  const allAnswerIds = ['0', '1'];
+  const commitment = await createCommitment(String(correctSampleIdx), allAnswerIds);
+
+  return {
+    ui: {
+      totalIterations: testConfig.repeat,
+      showConfidence: hasConfidence,
+      showProgress: testConfig.showProgress,
+    },
+    secure: { sampleOptions: samples.map((s) => ({ name: s.name })), commitment },
+    // Open reference goes last so A/B hotkeys map directly onto the samples
+    bufferSources: [...samples, { ...reference, name: 'Reference' }],
+    shuffledOptions: ordered,
+    testState: null,
+  };
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.answerId - Selected sample position as string ('0' or '1')
+ * @param {string|null} params.confidence - Confidence level if +C
+ * @param {object} params.secure - { sampleOptions, commitment }
+ * @param {object[]} params.options - Current shuffled options
+ * @param {object|null} params.testState - Per-test persistent state
+ * @param {{ startedAt: number, finishedAt: number }} params.timing
+ * @returns {{ isCorrect: boolean|null, trialRecord: object, progressDot: object, testState: object|null }}
+ */
+export function processSubmit({ answerId, confidence, secure, options, testState, timing }) {
+  const { sampleOptions, commitment } = secure;
+  const isCorrect = verifyAnswer(commitment.answerHashes, answerId, commitment.correctHash);
+  const correctAnswerId = deriveCorrectId(commitment.answerHashes, commitment.correctHash);
+
+  const selectedOption = { name: sampleOptions[parseInt(answerId)].name };
+  const correctOption = { name: sampleOptions[parseInt(correctAnswerId)].name };
+
+  const trialRecord = {
+    selectedOption,
+    correctOption,
+    confidence: confidence || null,
+    ...timing,
+  };
+
+  return {
+    isCorrect,
+    trialRecord,
+    progressDot: { isCorrect, confidence: confidence || null },
+    testState: null,
+  };
+}
+
+/**
+ * @param {object|null} testState
+ * @param {number} repeatStep
+ * @param {object} testConfig
+ * @returns {boolean}
+ */
+export function isComplete(testState, repeatStep, testConfig) {
+  return repeatStep + 1 >= testConfig.repeat;
+}
+
+/**
+ * @param {object[]} trialRecords
+ * @param {object|null} testState
+ * @param {object} testConfig
+ * @returns {object}
+ */
+export function mergeResults(trialRecords, testState, testConfig) {
+  return { userSelectionsAndCorrects: trialRecords };
+}
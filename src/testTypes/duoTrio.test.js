@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { setup, processSubmit } from './duoTrio';
+import { deriveCorrectId } from '../utils/commitment';
+
+const OPTIONS = [{ name: 'A', audioUrl: 'a.wav' }, { name: 'B', audioUrl: 'b.wav' }];
+const TIMING = { startedAt: 0, finishedAt: 1000 };
+
+describe('duo-trio trials', () => {
+  it('commits to the sample that matches the reference', async () => {
+    for (let i = 0; i < 20; i++) {
+      const { secure, bufferSources } = await setup({
+        options: OPTIONS, testConfig: { repeat: 10 }, isNewTest: true, testState: null, hasConfidence: false,
+      });
+      const [first, second, reference] = bufferSources;
+      const correctId = deriveCorrectId(secure.commitment.answerHashes, secure.commitment.correctHash);
+
+      expect(reference.name).toBe('Reference');
+      expect([first.name, second.name].sort()).toEqual(['A', 'B']);
+      expect(secure.sampleOptions.map((s) => s.name)).toEqual([first.name, second.name]);
+      // The open reference plays the same file as the matching sample
+      expect(bufferSources[Number(correctId)].audioUrl).toBe(reference.audioUrl);
+    }
+  });
+
+  it('records the picked and matching samples', async () => {
+    const { secure } = await setup({
+      options: OPTIONS, testConfig: { repeat: 10 }, isNewTest: true, testState: null, hasConfidence: true,
+    });
+    const correctId = deriveCorrectId(secure.commitment.answerHashes, secure.commitment.correctHash);
+    const wrongId = correctId === '0' ? '1' : '0';
+    const matching = secure.sampleOptions[Number(correctId)].name;
+
+    const right = processSubmit({ answerId: correctId, confidence: 'sure', secure, testState: null, timing: TIMING });
+    expect(right.isCorrect).toBe(true);
+    expect(right.trialRecord).toMatchObject({
+      selectedOption: { name: matching }, correctOption: { name: matching }, confidence: 'sure',
+    });
+
+    const wrong = processSubmit({ answerId: wrongId, confidence: null, secure, testState: null, timing: TIMING });
+    expect(wrong.isCorrect).toBe(false);
+    expect(wrong.trialRecord.selectedOption.name).not.toBe(matching);
+    expect(wrong.trialRecord.correctOption.name).toBe(matching);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * MUSHRA test type — ITU-R BS.1534 multi-stimulus rating with hidden reference and anchors.
+ *
+ * The first option is the open reference. Every option (including a hidden copy
+ * of the reference and any configured anchors) is presented as a blind stimulus
+ * and rated on a 0–100 continuous quality scale. Stimulus order is reshuffled
+ * every trial. There is no correct answer; stimulus roles are kept in `secure`
+ * so the UI never learns which slider belongs to the hidden reference.
+ */
+
+import { shuffle } from '../utils/shuffle';
+
+/**
+ * Resolve the role of an option within a MUSHRA test.
+ * @param {string} name - Option name
+ * @param {object[]} options - Test options (reference first)
+ * @param {object} mushraConfig - { lowAnchor, midAnchor }
+ * @returns {'reference'|'lowAnchor'|'midAnchor'|'condition'}
+ */
+function getRole(name, options, mushraConfig) {
+  if (name === options[0].name) return 'reference';
+  if (name === mushraConfig.lowAnchor) return 'lowAnchor';
+  if (name === mushraConfig.midAnchor) return 'midAnchor';
+  return 'condition';
+}
+
+/**
+ * @param {object} params
+ * @param {object[]} params.options - Test options (first = reference)
+ * @param {object} params.testConfig - Full test config object (with mushra config)
+ * @param {boolean} params.isNewTest - First iteration of this test
+ * @param {object|null} params.testState - Per-test persistent state
+ * @returns {{ ui: object, secure: object, bufferSources: object[], shuffledOptions: object[], testState: null }}
+ */
+export async function setup({ options, testConfig, isNewTest, testState }) {
+  const stimuli = shuffle(options.map((o) => ({ ...o })));
+
+  // Open reference goes last so letter hotkeys map directly onto the stimuli
+  const bufferSources = [...stimuli, { ...options[0], name: 'Reference' }];
+
+  return {
+    ui: {
+      stimulusCount: stimuli.length,
+    },
+    secure: {
+      stimuli: stimuli.map((s) => ({ name: s.name, role: getRole(s.name, options, testConfig.mushra) })),
+    },
+    bufferSources,
+    // Options keep config order so results list the reference first
+    shuffledOptions: options,
+    testState: null,
+  };
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.answerId - Comma-separated ratings (0–100), one per stimulus slot
+ * @param {object} params.secure - { stimuli: [{ name, role }] }
+ * @param {object|null} params.testState
+ * @param {{ startedAt: number, finishedAt: number }} params.timing
+ * @returns {{ isCorrect: null, trialRecord: object, progressDot: object, testState: null }}
+ */
+export function processSubmit({ answerId, secure, testState, timing }) {
+  const scores = answerId.split(',').map(Number);
+  const ratings = secure.stimuli.map((s, i) => ({
+    name: s.name,
+    role: s.role,
+    score: scores[i],
+  }));
+
+  return {
+    isCorrect: null,
+    trialRecord: { ratings, ...timing },
+    progressDot: { isCorrect: null, confidence: null },
+    testState: null,
+  };
+}
+
+/**
+ * @param {object|null} testState
+ * @param {number} repeatStep
+ * @param {object} testConfig
+ * @returns {boolean}
+ */
+export function isComplete(testState, repeatStep, testConfig) {
+  return repeatStep + 1 >= testConfig.repeat;
+}
+
+/**
+ * @param {object[]} trialRecords
+ * @param {object|null} testState
+ * @param {object} testConfig
+ * @returns {object}
+ */
+export function mergeResults(trialRecords, testState, testConfig) {
+  return { mushraTrials: trialRecords };
+}
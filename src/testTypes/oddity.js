@@ -0,0 +1,109 @@
+/**
+ * N-AFC oddity test type — pick the odd interval out of 3 (3AFC) or 4 (4AFC).
+ *
+ * One option fills N − 1 intervals, the other fills the remaining one. The
+ * engine plays the intervals in order with a fixed inter-stimulus interval
+ * (sequence mode), so the listener can't switch freely between them.
+ * Commitment created for the position of the odd interval ('0' .. 'N−1').
+ */
+
+import { shuffle } from '../utils/shuffle';
+import { createCommitment, verifyAnswer, deriveCorrectId } from '../utils/commitment';
+
+/** Number of intervals per registry key */
+const INTERVAL_COUNT = {
+  '3afc': 3,
+  '4afc': 4,
+};
+
+/**
+ * @param {object} params
+ * @param {object[]} params.options - Test options from config (exactly 2)
+ * @param {object} params.testConfig - Full test config object
+ * @param {boolean} params.isNewTest - First iteration of this test
+ * @param {object|null} params.testState - Per-test persistent state
+ * @param {boolean} params.hasConfidence - Whether +C suffix was used
+ * @param {object[]} params.shuffledOptions - Previously shuffled options
+ * @param {string} params.baseType - '3afc' or '4afc'
+ * @returns {{ ui: object, secure: object|null, bufferSources: object[], shuffledOptions: object[], testState: object|null }}
+ */
+export async function setup({ options, testConfig, isNewTest, testState, hasConfidence, shuffledOptions, baseType }) {
+  const ordered = isNewTest ? shuffle(options) : shuffledOptions;
+  const intervalCount = INTERVAL_COUNT[baseType];
+
+  const oddIdx = Math.floor(Math.random() * ordered.length);
+  const standard = ordered[oddIdx === 0 ? 1 : 0];
+  const oddPosition = Math.floor(Math.random() * intervalCount);
+  const intervals = Array.from({ length: intervalCount }, (_, i) => (
+    i === oddPosition ? { ...ordered[oddIdx] } : { ...standard }
+  ));
+
+  const allAnswerIds = intervals.map((_, i) => String(i));
+  const commitment = await createCommitment(String(oddPosition), allAnswerIds);
+
+  return {
+    ui: {
+      intervalCount,
+      totalIterations: testConfig.repeat,
+      showConfidence: hasConfidence,
+      showProgress: testConfig.showProgress,
+    },
+    secure: { intervalOptions: intervals.map((t) => ({ name: t.name })), commitment },
+    bufferSources: intervals,
+    shuffledOptions: ordered,
+    testState: null,
+  };
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.answerId - Selected interval position as string ('0' .. 'N−1')
+ * @param {string|null} params.confidence - Confidence level if +C
+ * @param {object} params.secure - { intervalOptions, commitment }
+ * @param {object[]} params.options - Current shuffled options
+ * @param {object|null} params.testState - Per-test persistent state
+ * @param {{ startedAt: number, finishedAt: number }} params.timing
+ * @returns {{ isCorrect: boolean|null, trialRecord: object, progressDot: object, testState: object|null }}
+ */
+export function processSubmit({ answerId, confidence, secure, options, testState, timing }) {
+  const { intervalOptions, commitment } = secure;
+  const isCorrect = verifyAnswer(commitment.answerHashes, answerId, commitment.correctHash);
+  const correctAnswerId = deriveCorrectId(commitment.answerHashes, commitment.correctHash);
+
+  const selectedOption = { name: intervalOptions[parseInt(answerId)].name };
+  const correctOption = { name: intervalOptions[parseInt(correctAnswerId)].name };
+
+  const trialRecord = {
+    selectedOption,
+    correctOption,
+    confidence: confidence || null,
+    ...timing,
+  };
+
+  return {
+    isCorrect,
+    trialRecord,
+    progressDot: { isCorrect, confidence: confidence || null },
+    testState: null,
+  };
+}
+
+/**
+ * @param {object|null} testState
+ * @param {number} repeatStep
+ * @param {object} testConfig
+ * @returns {boolean}
+ */
+export function isComplete(testState, repeatStep, testConfig) {
+  return repeatStep + 1 >= testConfig.repeat;
+}
+
+/**
+ * @param {object[]} trialRecords
+ * @param {object|null} testState
+ * @param {object} testConfig
+ * @returns {object}
+ */
+export function mergeResults(trialRecords, testState, testConfig) {
+  return { userSelectionsAndCorrects: trialRecords };
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { setup, processSubmit } from './oddity';
+import { deriveCorrectId } from '../utils/commitment';
+import { computeThreeAfcStats, computeFourAfcStats, thurstonianDPrime, FORCED_CHOICE_CHANCE } from '../stats/statistics';
+
+const OPTIONS = [{ name: 'A', audioUrl: 'a.wav' }, { name: 'B', audioUrl: 'b.wav' }];
+const TIMING = { startedAt: 0, finishedAt: 1000 };
+
+/** Helper: one oddity trial of the given base type. */
+function trial(baseType) {
+  return setup({
+    options: OPTIONS, testConfig: { repeat: 10 }, isNewTest: true, testState: null, hasConfidence: false, baseType,
+  });
+}
+
+/** Helper: forced-choice records with `correct` of `total` answers right. */
+function records(correct, total) {
+  return Array.from({ length: total }, (_, i) => ({
+    selectedOption: { name: i < correct ? 'A' : 'B' }, correctOption: { name: 'A' }, confidence: null,
+  }));
+}
+
+describe('oddity trials', () => {
+  for (const [baseType, count] of [['3afc', 3], ['4afc', 4]]) {
+    it(`fills ${count} intervals with one odd option and commits to its position (${baseType})`, async () => {
+      for (let i = 0; i < 20; i++) {
+        const { ui, secure, bufferSources } = await trial(baseType);
+        const names = bufferSources.map((s) => s.name);
+        const correctId = deriveCorrectId(secure.commitment.answerHashes, secure.commitment.correctHash);
+        const odd = names[Number(correctId)];
+
+        expect(ui.intervalCount).toBe(count);
+        expect(names).toHaveLength(count);
+        expect(names.filter((n) => n === odd)).toHaveLength(1);
+        expect(names.filter((n) => n !== odd)).toHaveLength(count - 1);
+      }
+    });
+  }
+
+  it('is correct only for the odd interval', async () => {
+    const { secure } = await trial('4afc');
+    const correctId = deriveCorrectId(secure.commitment.answerHashes, secure.commitment.correctHash);
+
+    for (const answerId of ['0', '1', '2', '3']) {
+      const { isCorrect, trialRecord } = processSubmit({ answerId, confidence: null, secure, testState: null, timing: TIMING });
+      expect(isCorrect).toBe(answerId === correctId);
+      expect(trialRecord.correctOption.name).toBe(secure.intervalOptions[Number(correctId)].name);
+    }
+  });
+});
+
+describe('oddity statistics', () => {
+  it('test against 1/3 and 1/4 chance', () => {
+    expect(FORCED_CHOICE_CHANCE['3afc']).toBe(1 / 3);
+    expect(FORCED_CHOICE_CHANCE['4afc']).toBe(1 / 4);
+    // P(X ≥ 3 | 3, ⅓) = 1/27; P(X ≥ 3 | 3, ¼) = 1/64
+    expect(computeThreeAfcStats('T', ['A', 'B'], records(3, 3)).pValue).toBeCloseTo(1 / 27, 10);
+    expect(computeFourAfcStats('T', ['A', 'B'], records(3, 3)).pValue).toBeCloseTo(1 / 64, 10);
+  });
+
+  it('use the triangle model for 3AFC and report no d\' for 4AFC', () => {
+    expect(computeThreeAfcStats('T', ['A', 'B'], records(12, 20)).dPrime).toBe(thurstonianDPrime('triangle', 12, 20));
+    expect(computeFourAfcStats('T', ['A', 'B'], records(12, 20)).dPrime).toBeNull();
+  });
+});
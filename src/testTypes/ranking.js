@@ -0,0 +1,69 @@
+/**
+ * Ranking test type — order all options from best to worst, no correct answer.
+ *
+ * Options are reshuffled every iteration and presented as blind tracks
+ * A, B, C, ... The user drags them into an order; the answer is the list
+ * of track positions, best first.
+ */
+
+import { shuffle } from '../utils/shuffle';
+
+/**
+ * @param {object} params
+ * @param {object[]} params.options - Test options from config (3+)
+ * @param {object} params.testConfig - Full test config object
+ * @param {boolean} params.isNewTest - First iteration of this test
+ * @param {object|null} params.testState - Per-test persistent state
+ * @returns {{ ui: object, secure: object, bufferSources: object[], shuffledOptions: object[], testState: object|null }}
+ */
+export async function setup({ options, testConfig, isNewTest, testState }) {
+  const presented = shuffle(options);
+
+  return {
+    ui: { trackCount: presented.length },
+    secure: { presented: presented.map((o) => o.name) },
+    bufferSources: presented,
+    // Options keep config order for stats; presentation order lives in secure
+    shuffledOptions: options,
+    testState: null,
+  };
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.answerId - Comma-separated track positions, best first (e.g. '2,0,1')
+ * @param {object} params.secure - { presented }
+ * @param {object|null} params.testState
+ * @param {{ startedAt: number, finishedAt: number }} params.timing
+ * @returns {{ isCorrect: null, trialRecord: object, progressDot: object, testState: object|null }}
+ */
+export function processSubmit({ answerId, secure, testState, timing }) {
+  const ranking = answerId.split(',').map((pos) => secure.presented[parseInt(pos)]);
+
+  return {
+    isCorrect: null,
+    trialRecord: { ranking, ...timing },
+    progressDot: { isCorrect: null, confidence: null },
+    testState: null,
+  };
+}
+
+/**
+ * @param {object|null} testState
+ * @param {number} repeatStep
+ * @param {object} testConfig
+ * @returns {boolean}
+ */
+export function isComplete(testState, repeatStep, testConfig) {
+  return repeatStep + 1 >= testConfig.repeat;
+}
+
+/**
+ * @param {object[]} trialRecords
+ * @param {object|null} testState
+ * @param {object} testConfig
+ * @returns {object}
+ */
+export function mergeResults(trialRecords, testState, testConfig) {
+  return { rankings: trialRecords };
+}
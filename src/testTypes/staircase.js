@@ -2,11 +2,18 @@
  * Staircase (2AFC-Staircase) test type — adaptive threshold measurement.
  *
  * Two phases: familiarization (free listen at max level) then real trials.
- * Real trials use adaptive staircase algorithm to find threshold.
- * Supports interleaved (multi-track) staircases.
- * Commitment created for reference track position (0 or 1).
+ * Each trial is presented as the configured task (staircase.task):
+ *   - 2afc: reference + test in random order, pick the reference
+ *   - abx: reference + test as A/B plus X, pick the one X matches
+ *   - triangle: three tracks, two alike, pick the odd one out
+ * Real trials use adaptive staircase algorithm to find threshold
+ * (transformed up-down, or QUEST with staircase.method: quest).
+ * Supports interleaved (multi-track) staircases with either method.
+ * QUEST has no reversals, so the reversal counter is hidden (targetReversals: null).
+ * Commitment created for the correct track position.
  */
 
+import { shuffle } from '../utils/shuffle';
 import { createCommitment, verifyAnswer } from '../utils/commitment';
 import {
   createStaircaseState, createInterleavedState, getCurrentLevel,
@@ -15,16 +22,42 @@ import {
 } from '../stats/staircase';
 
 /**
- * Build a pair of [reference, test] with randomized positions.
+ * Build the tracks for one trial of the configured task.
+ * @param {object[]} options - Test options (option[0] = reference)
+ * @param {number} level - Level (1-based) of the test stimulus
+ * @param {string} task - '2afc', 'abx' or 'triangle'
+ * @returns {{ tracks: object[], correctIdx: number, answerIds: string[] }}
  */
-function buildPair(options, level) {
+function buildTrial(options, level, task) {
   const reference = options[0];
   const test = options[level];
-  const referenceIdx = Math.random() < 0.5 ? 0 : 1;
-  const pair = referenceIdx === 0
-    ? [{ ...reference }, { ...test }]
-    : [{ ...test }, { ...reference }];
-  return { pair, referenceIdx };
+  const [first, second] = Math.random() < 0.5 ? [reference, test] : [test, reference];
+
+  if (task === 'abx') {
+    const xIdx = Math.random() < 0.5 ? 0 : 1;
+    const x = xIdx === 0 ? first : second;
+    return {
+      tracks: [{ ...first }, { ...second }, { ...x, name: 'X' }],
+      correctIdx: xIdx,
+      answerIds: ['0', '1'],
+    };
+  }
+
+  if (task === 'triangle') {
+    // Either stimulus can be the odd one; the other is duplicated
+    const tracks = shuffle([{ ...first }, { ...first }, { ...second }]);
+    return {
+      tracks,
+      correctIdx: tracks.findIndex((t) => t.name === second.name),
+      answerIds: ['0', '1', '2'],
+    };
+  }
+
+  return {
+    tracks: [{ ...first }, { ...second }],
+    correctIdx: first === reference ? 0 : 1,
+    answerIds: ['0', '1'],
+  };
 }
 
 /**
@@ -40,6 +73,9 @@ function buildPair(options, level) {
 export async function setup({ options, testConfig, isNewTest, testState, hasConfidence, shuffledOptions }) {
   const sc = testConfig.staircase;
   const ordered = options; // Staircase never shuffles
+  const isQuest = sc.method === 'quest';
+  const nTracks = sc.interleave ? (sc.tracks || [sc, sc]).length : 1;
+  const targetReversals = isQuest ? null : sc.reversals * nTracks;
 
   // Initialize adaptive state on new test
   if (isNewTest) {
@@ -61,7 +97,7 @@ export async function setup({ options, testConfig, isNewTest, testState, hasConf
         familiarizing: true,
         pairNames: [reference.name, testStim.name],
         reversalCount: 0,
-        targetReversals: sc.interleave ? sc.reversals * 2 : sc.reversals,
+        targetReversals,
         minRemaining: 0,
       },
       secure: null,
@@ -82,10 +118,8 @@ export async function setup({ options, testConfig, isNewTest, testState, hasConf
     level = getCurrentLevel(state);
   }
 
-  const { pair, referenceIdx } = buildPair(ordered, level);
-
-  const allAnswerIds = ['0', '1'];
-  const commitment = await createCommitment(String(referenceIdx), allAnswerIds);
+  const { tracks, correctIdx, answerIds } = buildTrial(ordered, level, sc.task);
+  const commitment = await createCommitment(String(correctIdx), answerIds);
 
   return {
     ui: {
@@ -93,16 +127,15 @@ export async function setup({ options, testConfig, isNewTest, testState, hasConf
       reversalCount: sc.interleave
         ? state.tracks.reduce((sum, t) => sum + t.reversals.length, 0)
         : state.reversals.length,
-      targetReversals: sc.interleave
-        ? sc.reversals * 2
-        : sc.reversals,
+      targetReversals,
       minRemaining: sc.interleave
         ? minInterleavedRemainingTrials(state)
         : minRemainingTrials(state),
       interleavedTrackIdx: trackIdx,
+      task: sc.task,
     },
     secure: { commitment },
-    bufferSources: pair,
+    bufferSources: tracks,
     shuffledOptions: ordered,
     testState,
   };
@@ -184,6 +217,7 @@ export function mergeResults(trialRecords, testState, testConfig) {
       trials: JSON.parse(JSON.stringify(trialRecords)),
       finalState: JSON.parse(JSON.stringify(testState.adaptiveState)),
       interleaved: testConfig.staircase.interleave,
+      task: testConfig.staircase.task,
     },
   };
 }
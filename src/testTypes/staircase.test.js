@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { setup, processSubmit } from './staircase';
+import { deriveCorrectId } from '../utils/commitment';
+
+const OPTIONS = ['Reference', 'L1', 'L2', 'L3', 'L4'].map((name) => ({ name, audioUrl: `${name}.wav` }));
+const TIMING = { startedAt: 0, finishedAt: 1000 };
+
+/** Helper: a 1-up/2-down staircase over the four levels, presented as `task`. */
+function staircaseConfig(task) {
+  return {
+    staircase: {
+      method: 'updown', task, interleave: false, nLevels: 4, rule: '1u2d', reversals: 6, maxTrials: 40,
+      initialStep: 2, finalStep: 1, stepReductionAfter: 2, startLevel: null,
+    },
+  };
+}
+
+/** Helper: a new staircase past familiarization, ready for its first real trial. */
+async function started(task) {
+  const testConfig = staircaseConfig(task);
+  const familiarization = await setup({
+    options: OPTIONS, testConfig, isNewTest: true, testState: null, hasConfidence: false, shuffledOptions: OPTIONS,
+  });
+  const { testState } = processSubmit({
+    answerId: null, confidence: null, secure: null, options: OPTIONS, testState: familiarization.testState,
+    timing: TIMING, ui: familiarization.ui,
+  });
+  return { testConfig, testState };
+}
+
+/** Helper: set up the next trial and answer it right or wrong. */
+async function answer({ testConfig, testState }, correct) {
+  const trial = await setup({
+    options: OPTIONS, testConfig, isNewTest: false, testState, hasConfidence: false, shuffledOptions: OPTIONS,
+  });
+  const { answerHashes, correctHash } = trial.secure.commitment;
+  const correctId = deriveCorrectId(answerHashes, correctHash);
+  const answerId = correct ? correctId : String((Number(correctId) + 1) % answerHashes.length);
+  return processSubmit({
+    answerId, confidence: null, secure: trial.secure, options: OPTIONS, testState: trial.testState, timing: TIMING, ui: trial.ui,
+  });
+}
+
+/** Helper: the first real trial's setup result and its correct answer. */
+async function firstTrial(task) {
+  const { testConfig, testState } = await started(task);
+  const trial = await setup({
+    options: OPTIONS, testConfig, isNewTest: false, testState, hasConfidence: false, shuffledOptions: OPTIONS,
+  });
+  const { answerHashes, correctHash } = trial.secure.commitment;
+  return { ...trial, answerHashes, correctId: deriveCorrectId(answerHashes, correctHash) };
+}
+
+describe('staircase ABX trials', () => {
+  it('plays reference and test as A and B, and X as the one it commits to', async () => {
+    for (let i = 0; i < 20; i++) {
+      const { ui, bufferSources, answerHashes, correctId } = await firstTrial('abx');
+      const [a, b, x] = bufferSources;
+
+      expect(ui).toMatchObject({ task: 'abx', testLevel: 4 });
+      expect([a.name, b.name].sort()).toEqual(['L4', 'Reference']);
+      expect(x.name).toBe('X');
+      expect(answerHashes).toHaveLength(2);
+      expect(x.audioUrl).toBe(bufferSources[Number(correctId)].audioUrl);
+    }
+  });
+
+  it('steps down after two right answers and back up after a wrong one', async () => {
+    const run = await started('abx');
+    const state = run.testState.adaptiveState;
+
+    const first = await answer(run, true);
+    expect(first.isCorrect).toBe(true);
+    expect(first.trialRecord).toMatchObject({ level: 4, isCorrect: true });
+    expect(state.level).toBe(4);
+
+    await answer(run, true);
+    expect(state.level).toBe(2);
+
+    const wrong = await answer(run, false);
+    expect(wrong.isCorrect).toBe(false);
+    expect(wrong.progressDot).toEqual({ isCorrect: false, confidence: null });
+    expect(state.trials).toEqual([
+      { level: 4, isCorrect: true }, { level: 4, isCorrect: true }, { level: 2, isCorrect: false },
+    ]);
+    expect(state.level).toBe(4);
+  });
+});
+
+describe('staircase triangle trials', () => {
+  it('plays one stimulus twice and commits to the odd one out', async () => {
+    const oddNames = new Set();
+    for (let i = 0; i < 40; i++) {
+      const { ui, bufferSources, answerHashes, correctId } = await firstTrial('triangle');
+      const odd = bufferSources[Number(correctId)];
+      const pair = bufferSources.filter((_, k) => k !== Number(correctId));
+
+      expect(ui).toMatchObject({ task: 'triangle', testLevel: 4 });
+      expect(answerHashes).toHaveLength(3);
+      expect(pair[0].audioUrl).toBe(pair[1].audioUrl);
+      expect(odd.audioUrl).not.toBe(pair[0].audioUrl);
+      expect([odd.name, pair[0].name].sort()).toEqual(['L4', 'Reference']);
+      oddNames.add(odd.name);
+    }
+    // Either stimulus can be the odd one
+    expect([...oddNames].sort()).toEqual(['L4', 'Reference']);
+  });
+
+  it('routes wrong and right answers into the staircase', async () => {
+    const run = await started('triangle');
+    const state = run.testState.adaptiveState;
+
+    // A wrong answer at the top level can't step further up
+    const wrong = await answer(run, false);
+    expect(wrong.isCorrect).toBe(false);
+    expect(wrong.trialRecord).toMatchObject({ level: 4, isCorrect: false });
+    expect(state.level).toBe(4);
+
+    await answer(run, true);
+    const right = await answer(run, true);
+    expect(right.isCorrect).toBe(true);
+    expect(state.trials.map((t) => t.isCorrect)).toEqual([false, true, true]);
+    expect(state.level).toBe(2);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tetrad test type — group four samples into two pairs of alike samples.
+ *
+ * Two copies of each option are presented in random order. The user groups
+ * them by picking which of B, C, D belongs with A (3 possible groupings).
+ * Commitment created for the position of A's true partner ('1', '2', or '3').
+ */
+
+import { shuffle } from '../utils/shuffle';
+import { createCommitment, verifyAnswer, deriveCorrectId } from '../utils/commitment';
+
+/**
+ * @param {object} params
+ * @param {object[]} params.options - Test options from config (2+ options, first 2 used)
+ * @param {object} params.testConfig - Full test config object
+ * @param {boolean} params.isNewTest - First iteration of this test
+ * @param {object|null} params.testState - Per-test persistent state
+ * @param {boolean} params.hasConfidence - Whether +C suffix was used
+ * @param {object[]} params.shuffledOptions - Previously shuffled options
+ * @returns {{ ui: object, secure: object|null, bufferSources: object[], shuffledOptions: object[], testState: object|null }}
+ */
+export async function setup({ options, testConfig, isNewTest, testState, hasConfidence, shuffledOptions }) {
+  const ordered = isNewTest ? shuffle(options) : shuffledOptions;
+
+  const quad = shuffle([
+    { ...ordered[0] },
+    { ...ordered[0] },
+    { ...ordered[1] },
+    { ...ordered[1] },
+  ]);
+  const partnerIdx = quad.findIndex((t, i) => i > 0 && t.name === quad[0].name);
+
+  const allAnswerIds = ['1', '2', '3'];
+  const commitment = await createCommitment(String(partnerIdx), allAnswerIds);
+
+  return {
+    ui: {
+      totalIterations: testConfig.repeat,
+      showConfidence: hasConfidence,
+      showProgress: testConfig.showProgress,
+    },
+    secure: { quadOptions: quad.map((t) => ({ name: t.name })), commitment },
+    bufferSources: quad,
+    shuffledOptions: ordered,
+    testState: null,
+  };
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.answerId - Position of the sample grouped with A ('1', '2', or '3')
+ * @param {string|null} params.confidence - Confidence level if +C
+ * @param {object} params.secure - { quadOptions, commitment }
+ * @param {object[]} params.options - Current shuffled options
+ * @param {object|null} params.testState - Per-test persistent state
+ * @param {{ startedAt: number, finishedAt: number }} params.timing
+ * @returns {{ isCorrect: boolean|null, trialRecord: object, progressDot: object, testState: object|null }}
+ */
+export function processSubmit({ answerId, confidence, secure, options, testState, timing }) {
+  const { quadOptions, commitment } = secure;
+  const isCorrect = verifyAnswer(commitment.answerHashes, answerId, commitment.correctHash);
+  const correctAnswerId = deriveCorrectId(commitment.answerHashes, commitment.correctHash);
+
+  // The grouping is right exactly when A's chosen partner is the same option as A
+  const selectedOption = { name: quadOptions[parseInt(answerId)].name };
+  const correctOption = { name: quadOptions[parseInt(correctAnswerId)].name };
+
+  const trialRecord = {
+    selectedOption,
+    correctOption,
+    confidence: confidence || null,
+    ...timing,
+  };
+
+  return {
+    isCorrect,
+    trialRecord,
+    progressDot: { isCorrect, confidence: confidence || null },
+    testState: null,
+  };
+}
+
+/**
+ * @param {object|null} testState
+ * @param {number} repeatStep
+ * @param {object} testConfig
+ * @returns {boolean}
+ */
+export function isComplete(testState, repeatStep, testConfig) {
+  return repeatStep + 1 >= testConfig.repeat;
+}
+
+/**
+ * @param {object[]} trialRecords
+ * @param {object|null} testState
+ * @param {object} testConfig
+ * @returns {object}
+ */
+export function mergeResults(trialRecords, testState, testConfig) {
+  return { userSelectionsAndCorrects: trialRecords };
+}
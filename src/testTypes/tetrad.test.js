@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { setup, processSubmit } from './tetrad';
+import { deriveCorrectId } from '../utils/commitment';
+
+const OPTIONS = [{ name: 'A', audioUrl: 'a.wav' }, { name: 'B', audioUrl: 'b.wav' }];
+const TIMING = { startedAt: 0, finishedAt: 1000 };
+
+describe('tetrad trials', () => {
+  it('presents two copies of each option and commits to the first sample\'s partner', async () => {
+    for (let i = 0; i < 20; i++) {
+      const { secure, bufferSources } = await setup({
+        options: OPTIONS, testConfig: { repeat: 10 }, isNewTest: true, testState: null, hasConfidence: false,
+      });
+      const names = bufferSources.map((s) => s.name);
+      const correctId = deriveCorrectId(secure.commitment.answerHashes, secure.commitment.correctHash);
+
+      expect([...names].sort()).toEqual(['A', 'A', 'B', 'B']);
+      expect([...secure.commitment.answerHashes.keys()]).toEqual(['1', '2', '3']);
+      expect(names[Number(correctId)]).toBe(names[0]);
+    }
+  });
+
+  it('is correct only when the chosen partner is the same option', async () => {
+    const { secure } = await setup({
+      options: OPTIONS, testConfig: { repeat: 10 }, isNewTest: true, testState: null, hasConfidence: false,
+    });
+    const correctId = deriveCorrectId(secure.commitment.answerHashes, secure.commitment.correctHash);
+    const partner = secure.quadOptions[0].name;
+
+    for (const answerId of ['1', '2', '3']) {
+      const { isCorrect, trialRecord } = processSubmit({ answerId, confidence: null, secure, testState: null, timing: TIMING });
+      expect(isCorrect).toBe(answerId === correctId);
+      expect(trialRecord.correctOption.name).toBe(partner);
+      expect(trialRecord.selectedOption.name === partner).toBe(isCorrect);
+    }
+  });
+});
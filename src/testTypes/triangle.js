@@ -29,7 +29,7 @@ export async function setup({ options, testConfig, isNewTest, testState, hasConf
     { ...correctOdd },
     { ...ordered[dupIdx] },
   ]);
-  const correctTripletIdx = triplet.findIndex((t) => t.audioUrl === correctOdd.audioUrl);
+  const correctTripletIdx = triplet.findIndex((t) => t.name === correctOdd.name);
 
   const allAnswerIds = ['0', '1', '2'];
   const commitment = await createCommitment(String(correctTripletIdx), allAnswerIds);
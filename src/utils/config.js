@@ -4,8 +4,9 @@
  */
 
 import yaml from 'js-yaml';
-import { VALID_TEST_TYPES, parseTestType } from './testTypeRegistry';
-import { STAIRCASE_DEFAULTS } from '../stats/staircase';
+import { VALID_TEST_TYPES, TEST_TYPES, parseTestType } from './testTypeRegistry';
+import { STAIRCASE_DEFAULTS, STAIRCASE_METHODS, STAIRCASE_TASKS } from '../stats/staircase';
+import { CONSTANT_STIMULI_DEFAULTS, PSYCHOMETRIC_FUNCTIONS } from '../stats/psychometric';
 
 /**
  * Convert Dropbox share links to direct download links.
@@ -49,69 +50,174 @@ export async function parseConfig(configUrl) {
 }
 
 /** Valid staircase rules */
-const VALID_RULES = ['1u1d', '1u2d', '1u3d'];
+const VALID_RULES = ['1u1d', '1u2d', '1u3d', 'weighted'];
+
+/** Maximum number of interleaved staircase tracks */
+const MAX_STAIRCASE_TRACKS = 4;
+
+/** Staircase fields a staircase.tracks entry may override */
+const STAIRCASE_TRACK_KEYS = [
+  'startLevel', 'rule', 'targetPercent', 'stepUp', 'stepDown',
+  'initialStep', 'finalStep', 'stepReductionAfter',
+];
 
 /**
  * Parse and validate staircase-specific config fields.
+ * Called again for each entry of staircase.tracks, with the entry merged
+ * over the test-level fields.
  * @param {object} test - Raw test object from YAML
  * @param {number} nOptions - Number of options for this test
+ * @param {object} [sc] - Staircase fields (defaults to test.staircase)
+ * @param {string} [label] - How the fields are named in error messages
  * @returns {object} Validated staircase config
  */
-function normalizeStaircaseConfig(test, nOptions) {
-  const sc = test.staircase || {};
+function normalizeStaircaseConfig(test, nOptions, sc = test.staircase || {}, label = 'staircase') {
+
+  const method = (sc.method || STAIRCASE_DEFAULTS.method).toLowerCase();
+  if (!STAIRCASE_METHODS.includes(method)) {
+    throw new Error(
+      `Test "${test.name}" has invalid ${label} method "${method}". Valid methods: ${STAIRCASE_METHODS.join(', ')}`
+    );
+  }
+
+  const task = String(sc.task || STAIRCASE_DEFAULTS.task).toLowerCase();
+  if (!STAIRCASE_TASKS.includes(task)) {
+    throw new Error(
+      `Test "${test.name}" has invalid ${label} task "${task}". Valid tasks: ${STAIRCASE_TASKS.join(', ')}`
+    );
+  }
 
   const rule = (sc.rule || STAIRCASE_DEFAULTS.rule).toLowerCase();
   if (!VALID_RULES.includes(rule)) {
     throw new Error(
-      `Test "${test.name}" has invalid staircase rule "${rule}". Valid rules: ${VALID_RULES.join(', ')}`
+      `Test "${test.name}" has invalid ${label} rule "${rule}". Valid rules: ${VALID_RULES.join(', ')}`
     );
   }
 
   const reversals = sc.reversals ?? STAIRCASE_DEFAULTS.reversals;
   if (reversals < 3 || reversals > 12) {
     throw new Error(
-      `Test "${test.name}" has staircase reversals: ${reversals}. Must be 3-12.`
+      `Test "${test.name}" has ${label} reversals: ${reversals}. Must be 3-12.`
     );
   }
 
   const maxTrials = sc.maxTrials ?? STAIRCASE_DEFAULTS.maxTrials;
   if (maxTrials < 15 || maxTrials > 50) {
     throw new Error(
-      `Test "${test.name}" has staircase maxTrials: ${maxTrials}. Must be 15-50.`
+      `Test "${test.name}" has ${label} maxTrials: ${maxTrials}. Must be 15-50.`
     );
   }
 
   const initialStep = sc.initialStep ?? STAIRCASE_DEFAULTS.initialStep;
   if (initialStep < 1 || initialStep >= nOptions) {
     throw new Error(
-      `Test "${test.name}" has staircase initialStep: ${initialStep}. Must be 1-${nOptions - 1}.`
+      `Test "${test.name}" has ${label} initialStep: ${initialStep}. Must be 1-${nOptions - 1}.`
     );
   }
 
-  const finalStep = sc.finalStep ?? STAIRCASE_DEFAULTS.finalStep;
+  let finalStep = sc.finalStep ?? STAIRCASE_DEFAULTS.finalStep;
   if (finalStep < 1 || finalStep > initialStep) {
     throw new Error(
-      `Test "${test.name}" has staircase finalStep: ${finalStep}. Must be 1-${initialStep}.`
+      `Test "${test.name}" has ${label} finalStep: ${finalStep}. Must be 1-${initialStep}.`
+    );
+  }
+
+  // Weighted up-down: up/down step ratio from targetPercent, or explicit stepUp/stepDown
+  const hasSteps = sc.stepUp != null || sc.stepDown != null;
+  if (rule !== 'weighted' && (hasSteps || sc.targetPercent != null)) {
+    throw new Error(
+      `Test "${test.name}" sets ${label} targetPercent/stepUp/stepDown, which require rule: weighted`
     );
   }
+  let targetPercent = null;
+  let upRatio = 1;
+  if (rule === 'weighted') {
+    if (hasSteps) {
+      if (sc.targetPercent != null) {
+        throw new Error(
+          `Test "${test.name}" sets both ${label} targetPercent and stepUp/stepDown. Use one or the other.`
+        );
+      }
+      const { stepUp, stepDown } = sc;
+      if (typeof stepDown !== 'number' || stepDown <= 0 || stepDown > initialStep) {
+        throw new Error(
+          `Test "${test.name}" has ${label} stepDown: ${stepDown}. Must be greater than 0 and at most initialStep (${initialStep}).`
+        );
+      }
+      if (typeof stepUp !== 'number' || stepUp <= stepDown || stepUp > nOptions - 2) {
+        throw new Error(
+          `Test "${test.name}" has ${label} stepUp: ${stepUp}. Must be greater than stepDown (${stepDown}) and at most ${nOptions - 2}.`
+        );
+      }
+      // Explicit steps are the fine-phase sizes
+      finalStep = stepDown;
+      upRatio = stepUp / stepDown;
+      targetPercent = (100 * stepUp) / (stepUp + stepDown);
+    } else {
+      targetPercent = sc.targetPercent ?? STAIRCASE_DEFAULTS.targetPercent;
+      if (typeof targetPercent !== 'number' || targetPercent < 55 || targetPercent > 95) {
+        throw new Error(
+          `Test "${test.name}" has ${label} targetPercent: ${targetPercent}. Must be 55-95.`
+        );
+      }
+      upRatio = targetPercent / (100 - targetPercent);
+    }
+  }
 
   const stepReductionAfter = sc.stepReductionAfter ?? STAIRCASE_DEFAULTS.stepReductionAfter;
   if (stepReductionAfter < 1 || stepReductionAfter >= reversals) {
     throw new Error(
-      `Test "${test.name}" has staircase stepReductionAfter: ${stepReductionAfter}. Must be 1-${reversals - 1}.`
+      `Test "${test.name}" has ${label} stepReductionAfter: ${stepReductionAfter}. Must be 1-${reversals - 1}.`
     );
   }
 
   const startLevel = sc.startLevel ?? STAIRCASE_DEFAULTS.startLevel;
   if (startLevel != null && (startLevel < 1 || startLevel > nOptions - 1)) {
     throw new Error(
-      `Test "${test.name}" has staircase startLevel: ${startLevel}. Must be 1-${nOptions - 1}.`
+      `Test "${test.name}" has ${label} startLevel: ${startLevel}. Must be 1-${nOptions - 1}.`
     );
   }
 
-  const interleave = sc.interleave ?? STAIRCASE_DEFAULTS.interleave;
+  // Per-track overrides; tracks imply interleaving
+  let tracks = null;
+  if (sc.tracks != null && label === 'staircase') {
+    if (!Array.isArray(sc.tracks) || sc.tracks.length < 2 || sc.tracks.length > MAX_STAIRCASE_TRACKS) {
+      throw new Error(
+        `Test "${test.name}" has invalid staircase tracks. Must be a list of 2-${MAX_STAIRCASE_TRACKS} entries.`
+      );
+    }
+    if (sc.interleave === false) {
+      throw new Error(`Test "${test.name}" sets staircase tracks with interleave: false. Tracks are always interleaved.`);
+    }
+    tracks = sc.tracks.map((track, k) => {
+      const unknown = Object.keys(track || {}).filter((key) => !STAIRCASE_TRACK_KEYS.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(
+          `Test "${test.name}" has unsupported staircase track ${k + 1} key "${unknown[0]}". Per-track keys: ${STAIRCASE_TRACK_KEYS.join(', ')}`
+        );
+      }
+      // A track with its own weighting, or a non-weighted rule, drops the test-level weighting
+      const ownWeighting = track.stepUp != null || track.stepDown != null || track.targetPercent != null
+        || (track.rule != null && String(track.rule).toLowerCase() !== 'weighted');
+      const base = ownWeighting
+        ? { ...sc, stepUp: undefined, stepDown: undefined, targetPercent: undefined }
+        : sc;
+      return normalizeStaircaseConfig(test, nOptions, { ...base, ...track, tracks: undefined }, `staircase track ${k + 1}`);
+    });
+  }
+
+  const interleave = tracks != null || (sc.interleave ?? STAIRCASE_DEFAULTS.interleave);
+
+  const slope = sc.slope ?? STAIRCASE_DEFAULTS.slope;
+  if (typeof slope !== 'number' || slope < 0.5 || slope > 5) {
+    throw new Error(
+      `Test "${test.name}" has ${label} slope: ${slope}. Must be 0.5-5.`
+    );
+  }
 
   return {
+    method,
+    task,
     rule,
     reversals,
     maxTrials,
@@ -120,10 +226,438 @@ function normalizeStaircaseConfig(test, nOptions) {
     stepReductionAfter,
     startLevel,
     interleave,
+    slope,
+    targetPercent,
+    upRatio,
+    tracks,
     nLevels: nOptions - 1, // Exclude reference (options[0]) from staircase levels
   };
 }
 
+/** Maximum trials in a constant stimuli test (levels × trialsPerLevel) */
+const MAX_CONSTANT_TRIALS = 100;
+
+/**
+ * Parse and validate constant-stimuli config fields.
+ * @param {object} test - Raw test object from YAML
+ * @param {number} nOptions - Number of options for this test
+ * @returns {object} Validated constant stimuli config
+ */
+function normalizeConstantConfig(test, nOptions) {
+  const cs = test.constant || {};
+  const nLevels = nOptions - 1; // Exclude reference (options[0])
+
+  const trialsPerLevel = cs.trialsPerLevel ?? CONSTANT_STIMULI_DEFAULTS.trialsPerLevel;
+  if (!Number.isInteger(trialsPerLevel) || trialsPerLevel < 2 || nLevels * trialsPerLevel > MAX_CONSTANT_TRIALS) {
+    throw new Error(
+      `Test "${test.name}" has constant trialsPerLevel: ${trialsPerLevel}. Must be at least 2, `
+      + `and ${nLevels} levels × trialsPerLevel at most ${MAX_CONSTANT_TRIALS}.`
+    );
+  }
+
+  const fn = (cs.function || CONSTANT_STIMULI_DEFAULTS.function).toLowerCase();
+  if (!PSYCHOMETRIC_FUNCTIONS.includes(fn)) {
+    throw new Error(
+      `Test "${test.name}" has invalid constant function "${fn}". Valid functions: ${PSYCHOMETRIC_FUNCTIONS.join(', ')}`
+    );
+  }
+
+  const lapseRate = cs.lapseRate ?? CONSTANT_STIMULI_DEFAULTS.lapseRate;
+  if (typeof lapseRate !== 'number' || lapseRate < 0 || lapseRate > 0.1) {
+    throw new Error(
+      `Test "${test.name}" has constant lapseRate: ${lapseRate}. Must be 0-0.1.`
+    );
+  }
+
+  return { trialsPerLevel, function: fn, lapseRate, nLevels };
+}
+
+/** Maximum blind stimuli in a MUSHRA trial (ITU-R BS.1534 recommends no more than 12) */
+const MAX_MUSHRA_STIMULI = 12;
+
+/** Maximum options in a ranking trial — longer lists are hard to keep in memory */
+const MAX_RANKING_OPTIONS = 8;
+
+/** Maximum options in an AB-Pairs test — one round of pairs must fit in 50 trials */
+const MAX_AB_PAIRS_OPTIONS = 10;
+
+/**
+ * Parse and validate MUSHRA-specific config fields.
+ * Anchors must name test options other than the reference (options[0]).
+ * @param {object} test - Raw test object from YAML
+ * @returns {object} Validated MUSHRA config
+ */
+function normalizeMushraConfig(test) {
+  const mc = test.mushra || {};
+  const lowAnchor = mc.lowAnchor ?? null;
+  const midAnchor = mc.midAnchor ?? null;
+
+  for (const [key, anchor] of [['lowAnchor', lowAnchor], ['midAnchor', midAnchor]]) {
+    if (anchor === null) continue;
+    if (!test.options.includes(anchor)) {
+      throw new Error(
+        `Test "${test.name}" has mushra ${key} "${anchor}", which is not one of the test's options`
+      );
+    }
+    if (anchor === test.options[0]) {
+      throw new Error(
+        `Test "${test.name}" uses the reference "${anchor}" as mushra ${key}. Anchors must be separate options.`
+      );
+    }
+  }
+  if (lowAnchor !== null && lowAnchor === midAnchor) {
+    throw new Error(`Test "${test.name}" uses "${lowAnchor}" as both low and mid anchor`);
+  }
+
+  return { lowAnchor, midAnchor };
+}
+
+/** Default inter-stimulus interval for sequenced tests, in ms */
+const DEFAULT_ISI_MS = 500;
+/** Longest inter-stimulus interval accepted, in ms */
+const MAX_ISI_MS = 5000;
+
+/**
+ * Normalize and validate sequenced presentation config (N-AFC).
+ * @param {object} test - Raw test config
+ * @returns {{ isi: number, restrictToLoop: boolean }} ISI in ms
+ */
+function normalizeSequenceConfig(test) {
+  const sc = test.sequence || {};
+  const isi = sc.isi ?? DEFAULT_ISI_MS;
+  if (typeof isi !== 'number' || !(isi >= 0 && isi <= MAX_ISI_MS)) {
+    throw new Error(
+      `Test "${test.name}" has sequence isi: ${isi}. Must be 0-${MAX_ISI_MS} ms.`
+    );
+  }
+  return { isi, restrictToLoop: sc.restrictToLoop ?? false };
+}
+
+/** Level matching modes for `levelMatch` */
+const LEVEL_MATCH_MODES = ['none', 'lufs'];
+/** Default loudness difference between a test's options before warning, in LU */
+const DEFAULT_LEVEL_TOLERANCE = 0.5;
+
+/**
+ * Normalize and validate level matching config.
+ * @param {object} test - Raw test config
+ * @returns {{ levelMatch: string|null, levelTolerance: number }}
+ */
+function normalizeLevelMatchConfig(test) {
+  const mode = String(test.levelMatch ?? 'none').toLowerCase();
+  if (!LEVEL_MATCH_MODES.includes(mode)) {
+    throw new Error(
+      `Test "${test.name}" has invalid levelMatch "${test.levelMatch}". Valid modes: ${LEVEL_MATCH_MODES.join(', ')}`
+    );
+  }
+  const levelTolerance = test.levelTolerance ?? DEFAULT_LEVEL_TOLERANCE;
+  if (typeof levelTolerance !== 'number' || !(levelTolerance >= 0 && levelTolerance <= 10)) {
+    throw new Error(
+      `Test "${test.name}" has levelTolerance: ${levelTolerance}. Must be 0-10 LU.`
+    );
+  }
+  return { levelMatch: mode === 'none' ? null : mode, levelTolerance };
+}
+
+/** Channel modes for `channelMode` (see audio/channelMode.js) */
+const CHANNEL_MODES = ['stereo', 'mono', 'mid', 'side', 'left', 'right'];
+
+/**
+ * Normalize and validate the channel mode.
+ * @param {object} test - Raw test config
+ * @returns {string}
+ */
+function normalizeChannelMode(test) {
+  const mode = String(test.channelMode ?? 'stereo').toLowerCase();
+  if (!CHANNEL_MODES.includes(mode)) {
+    throw new Error(
+      `Test "${test.name}" has invalid channelMode "${test.channelMode}". Valid modes: ${CHANNEL_MODES.join(', ')}`
+    );
+  }
+  return mode;
+}
+
+/** Policies for options whose sample counts differ (`lengthMismatch`) */
+const LENGTH_MISMATCH_POLICIES = ['error', 'trimToShortest', 'padWithSilence'];
+/** Default and maximum length difference a policy may absorb, in ms */
+const DEFAULT_MAX_LENGTH_DIFFERENCE_MS = 10;
+const MAX_LENGTH_DIFFERENCE_MS = 1000;
+
+/**
+ * Normalize and validate the length mismatch policy.
+ * @param {object} test - Raw test config
+ * @returns {{ lengthMismatch: string, maxLengthDifferenceMs: number|null }}
+ */
+function normalizeLengthMismatchConfig(test) {
+  const raw = String(test.lengthMismatch ?? 'error');
+  const policy = LENGTH_MISMATCH_POLICIES.find((p) => p.toLowerCase() === raw.toLowerCase());
+  if (!policy) {
+    throw new Error(
+      `Test "${test.name}" has invalid lengthMismatch "${test.lengthMismatch}". Valid policies: ${LENGTH_MISMATCH_POLICIES.join(', ')}`
+    );
+  }
+  if (policy === 'error') {
+    if (test.maxLengthDifferenceMs != null) {
+      throw new Error(
+        `Test "${test.name}" sets maxLengthDifferenceMs, which requires lengthMismatch: trimToShortest or padWithSilence`
+      );
+    }
+    return { lengthMismatch: policy, maxLengthDifferenceMs: null };
+  }
+  const maxLengthDifferenceMs = test.maxLengthDifferenceMs ?? DEFAULT_MAX_LENGTH_DIFFERENCE_MS;
+  if (typeof maxLengthDifferenceMs !== 'number' || !(maxLengthDifferenceMs > 0 && maxLengthDifferenceMs <= MAX_LENGTH_DIFFERENCE_MS)) {
+    throw new Error(
+      `Test "${test.name}" has maxLengthDifferenceMs: ${maxLengthDifferenceMs}. Must be greater than 0 and at most ${MAX_LENGTH_DIFFERENCE_MS} ms.`
+    );
+  }
+  return { lengthMismatch: policy, maxLengthDifferenceMs };
+}
+
+/** Target rates accepted by `resampleTo`, in Hz */
+const RESAMPLE_RATES = [44100, 48000, 88200, 96000, 176400, 192000];
+
+/**
+ * Normalize and validate the resampling target rate.
+ * @param {object} test - Raw test config
+ * @returns {number|null} Target rate in Hz, or null to play files at their own rate
+ */
+function normalizeResampleConfig(test) {
+  if (test.resampleTo == null) return null;
+  if (!RESAMPLE_RATES.includes(test.resampleTo)) {
+    throw new Error(
+      `Test "${test.name}" has resampleTo: ${test.resampleTo}. Valid rates: ${RESAMPLE_RATES.join(', ')}`
+    );
+  }
+  return test.resampleTo;
+}
+
+/** Default and maximum time-alignment search window, in ms either way */
+const DEFAULT_ALIGN_MAX_OFFSET_MS = 50;
+const MAX_ALIGN_OFFSET_MS = 1000;
+
+/**
+ * Normalize and validate time alignment config.
+ * Accepts `align: true` (default search window) or `align: { maxOffsetMs }`.
+ * @param {object} test - Raw test config
+ * @returns {{ maxOffsetMs: number }|null}
+ */
+function normalizeAlignConfig(test) {
+  const al = test.align;
+  if (al == null || al === false) return null;
+  if (test.synth != null) {
+    throw new Error(`Test "${test.name}" has both "align" and "synth". Synthesized levels are already aligned with their reference`);
+  }
+  if (al !== true && typeof al !== 'object') {
+    throw new Error(`Test "${test.name}" has align: ${al}. Use true or { maxOffsetMs }`);
+  }
+  const maxOffsetMs = al === true ? DEFAULT_ALIGN_MAX_OFFSET_MS : (al.maxOffsetMs ?? DEFAULT_ALIGN_MAX_OFFSET_MS);
+  if (typeof maxOffsetMs !== 'number' || !(maxOffsetMs > 0 && maxOffsetMs <= MAX_ALIGN_OFFSET_MS)) {
+    throw new Error(
+      `Test "${test.name}" has align maxOffsetMs: ${maxOffsetMs}. Must be greater than 0 and at most ${MAX_ALIGN_OFFSET_MS} ms.`
+    );
+  }
+  return { maxOffsetMs };
+}
+
+/**
+ * Normalize and validate loop presets (`segments`) and the optional `lockSegment`,
+ * which restricts playback to one of them.
+ * @param {object} test - Raw test config
+ * @returns {{ segments: { name: string, start: number, end: number }[], lockSegment: string|null }} Times in seconds
+ */
+function normalizeSegmentsConfig(test) {
+  const raw = test.segments ?? [];
+  if (!Array.isArray(raw)) {
+    throw new Error(`Test "${test.name}" has segments that is not a list. Use a list of { name, start, end }`);
+  }
+  const segments = raw.map((seg, i) => {
+    if (!seg?.name) {
+      throw new Error(`Test "${test.name}" segment ${i + 1} has no name`);
+    }
+    const { start, end } = seg;
+    if (typeof start !== 'number' || typeof end !== 'number' || !(start >= 0 && end > start)) {
+      throw new Error(
+        `Test "${test.name}" segment "${seg.name}" has start: ${start}, end: ${end}. Times are in seconds, with end after start.`
+      );
+    }
+    return { name: String(seg.name), start, end };
+  });
+  const names = new Set();
+  for (const { name } of segments) {
+    if (names.has(name)) {
+      throw new Error(`Test "${test.name}" has duplicate segment name "${name}"`);
+    }
+    names.add(name);
+  }
+
+  // lockSegment may also name a file cue marker, so it is resolved after decoding (useTestFlow)
+  const lockSegment = test.lockSegment ?? null;
+  if (lockSegment !== null && (typeof lockSegment === 'object' || lockSegment === '')) {
+    throw new Error(`Test "${test.name}" has lockSegment: ${JSON.stringify(lockSegment)}. Must be a segment or marker name.`);
+  }
+  return { segments, lockSegment: lockSegment === null ? null : String(lockSegment) };
+}
+
+/** Manipulations available for synthesized levels, with their valid value ranges */
+const SYNTH_TYPES = {
+  gain: { min: -24, max: 24, unit: 'dB offset' },
+  noise: { min: -20, max: 120, unit: 'dB SNR' },
+  lowpass: { min: 20, max: 96000, unit: 'Hz cutoff' },
+  bitdepth: { min: 1, max: 24, unit: 'bits' },
+};
+const SYNTH_NOISE_COLORS = ['white', 'pink'];
+
+/**
+ * Normalize and validate synthesized level config (2AFC-Staircase).
+ * Levels run from smallest to largest difference: growing |gain offset|,
+ * falling SNR, cutoff or bit depth.
+ * @param {object} test - Raw test config
+ * @param {string} baseType
+ * @returns {{ type: string, noise: string|null, levels: number[] }}
+ */
+function normalizeSynthConfig(test, baseType) {
+  const sy = test.synth;
+  if (baseType !== '2afc-staircase') {
+    throw new Error(`Test "${test.name}" has "synth", which is only supported by 2AFC-Staircase tests`);
+  }
+  if (test.options.length !== 1) {
+    throw new Error(
+      `Test "${test.name}" has "synth", so it must list exactly 1 option (the reference), but has ${test.options.length}`
+    );
+  }
+
+  const type = String(sy.type || '').toLowerCase();
+  const range = SYNTH_TYPES[type];
+  if (!range) {
+    throw new Error(
+      `Test "${test.name}" has invalid synth type "${sy.type}". Valid types: ${Object.keys(SYNTH_TYPES).join(', ')}`
+    );
+  }
+
+  // Loudness matching would trim every gain level back to the reference's loudness
+  if (type === 'gain' && String(test.levelMatch ?? 'none').toLowerCase() === 'lufs') {
+    throw new Error(
+      `Test "${test.name}" has synth type gain with levelMatch: lufs, which would cancel the gain levels. Remove levelMatch or use another synth type.`
+    );
+  }
+
+  let noise = null;
+  if (type === 'noise') {
+    noise = (sy.noise || 'white').toLowerCase();
+    if (!SYNTH_NOISE_COLORS.includes(noise)) {
+      throw new Error(
+        `Test "${test.name}" has invalid synth noise "${sy.noise}". Valid noise: ${SYNTH_NOISE_COLORS.join(', ')}`
+      );
+    }
+  } else if (sy.noise != null) {
+    throw new Error(`Test "${test.name}" sets synth noise, which only applies to synth type noise`);
+  }
+
+  const levels = sy.levels;
+  if (!Array.isArray(levels) || levels.length < 4) {
+    throw new Error(`Test "${test.name}" must have at least 4 synth levels`);
+  }
+  for (const v of levels) {
+    const valid = typeof v === 'number' && v >= range.min && v <= range.max
+      && (type !== 'bitdepth' || Number.isInteger(v))
+      && (type !== 'gain' || v !== 0);
+    if (!valid) {
+      throw new Error(
+        `Test "${test.name}" has synth level ${v}. Must be ${range.min} to ${range.max} (${range.unit})`
+        + (type === 'gain' ? ', not 0.' : type === 'bitdepth' ? ', whole bits.' : '.')
+      );
+    }
+  }
+  const difference = (v) => (type === 'gain' ? Math.abs(v) : -v);
+  for (let i = 1; i < levels.length; i++) {
+    if (difference(levels[i]) <= difference(levels[i - 1])) {
+      throw new Error(
+        `Test "${test.name}" has synth levels out of order. List them from smallest to largest difference `
+        + (type === 'gain' ? '(growing offset).' : `(falling ${range.unit}).`)
+      );
+    }
+  }
+
+  return { type, noise, levels };
+}
+
+/**
+ * Label for a synthesized level, appended to the reference name.
+ * @param {{ type: string, noise: string|null }} synth
+ * @param {number} value
+ * @returns {string}
+ */
+function synthLevelLabel(synth, value) {
+  switch (synth.type) {
+    case 'gain': return `${value > 0 ? '+' : ''}${value} dB`;
+    case 'noise': return `${synth.noise} noise ${value} dB SNR`;
+    case 'lowpass': return `LP ${value} Hz`;
+    default: return `${value}-bit`;
+  }
+}
+
+/** Largest per-option gain trim, in dB either way */
+const MAX_OPTION_GAIN_DB = 24;
+
+/**
+ * Validate an option's playback trim: gain in dB and polarity inversion.
+ * @param {object} opt - Raw option
+ * @returns {{ gainDb: number, invertPolarity: boolean }}
+ */
+function normalizeOptionTrim(opt) {
+  const gainDb = opt.gainDb ?? 0;
+  if (typeof gainDb !== 'number' || !(Math.abs(gainDb) <= MAX_OPTION_GAIN_DB)) {
+    throw new Error(
+      `Option "${opt.name}" has gainDb: ${opt.gainDb}. Must be a number from -${MAX_OPTION_GAIN_DB} to ${MAX_OPTION_GAIN_DB}.`
+    );
+  }
+  const invertPolarity = opt.invertPolarity ?? false;
+  if (typeof invertPolarity !== 'boolean') {
+    throw new Error(`Option "${opt.name}" has invertPolarity: ${opt.invertPolarity}. Must be true or false.`);
+  }
+  return { gainDb, invertPolarity };
+}
+
+/** Default and maximum number of audio files downloaded at once (`fetchConcurrency`) */
+const DEFAULT_FETCH_CONCURRENCY = 4;
+const MAX_FETCH_CONCURRENCY = 16;
+
+/** Default and maximum size of the persistent audio cache in MB (`audioCache.maxSizeMb`) */
+const DEFAULT_AUDIO_CACHE_MB = 1024;
+const MAX_AUDIO_CACHE_MB = 16384;
+/** Default and maximum lifetime in hours of cached files (`audioCache.maxAgeHours`) */
+const DEFAULT_AUDIO_CACHE_HOURS = 24;
+const MAX_AUDIO_CACHE_HOURS = 8760;
+
+/**
+ * Normalize the opt-in persistent audio cache.
+ * @param {true|false|{ maxSizeMb?: number, maxAgeHours?: number, version?: string|number }|undefined} raw - `audioCache` from the config
+ * @returns {{ maxBytes: number, maxAgeMs: number, version: string|null }|null} null when caching is off
+ */
+function normalizeAudioCache(raw) {
+  if (raw == null || raw === false) return null;
+  if (raw !== true && (typeof raw !== 'object' || Array.isArray(raw))) {
+    throw new Error('Config has an invalid audioCache. Must be true, false or { maxSizeMb, maxAgeHours, version }.');
+  }
+  const maxSizeMb = raw === true ? DEFAULT_AUDIO_CACHE_MB : (raw.maxSizeMb ?? DEFAULT_AUDIO_CACHE_MB);
+  if (typeof maxSizeMb !== 'number' || !(maxSizeMb >= 1 && maxSizeMb <= MAX_AUDIO_CACHE_MB)) {
+    throw new Error(`Config has audioCache.maxSizeMb: ${maxSizeMb}. Must be a number from 1 to ${MAX_AUDIO_CACHE_MB}.`);
+  }
+  const maxAgeHours = raw === true ? DEFAULT_AUDIO_CACHE_HOURS : (raw.maxAgeHours ?? DEFAULT_AUDIO_CACHE_HOURS);
+  if (typeof maxAgeHours !== 'number' || !(maxAgeHours > 0 && maxAgeHours <= MAX_AUDIO_CACHE_HOURS)) {
+    throw new Error(`Config has audioCache.maxAgeHours: ${maxAgeHours}. Must be a number above 0 and at most ${MAX_AUDIO_CACHE_HOURS}.`);
+  }
+  const version = raw === true ? null : (raw.version ?? null);
+  if (version !== null && typeof version !== 'string' && typeof version !== 'number') {
+    throw new Error(`Config has audioCache.version: ${JSON.stringify(version)}. Must be a string or number.`);
+  }
+  return {
+    maxBytes: Math.round(maxSizeMb * 1e6),
+    maxAgeMs: maxAgeHours * 3600 * 1000,
+    version: version === null ? null : String(version),
+  };
+}
+
 /**
  * Normalize raw YAML config into standard structure.
  * @param {object} raw - Raw parsed YAML
@@ -134,6 +668,12 @@ export function normalizeConfig(raw) {
   if (!raw.options || raw.options.length === 0) throw new Error('Config must have "options"');
   if (!raw.tests || raw.tests.length === 0) throw new Error('Config must have "tests"');
 
+  const fetchConcurrency = raw.fetchConcurrency ?? DEFAULT_FETCH_CONCURRENCY;
+  if (!Number.isInteger(fetchConcurrency) || fetchConcurrency < 1 || fetchConcurrency > MAX_FETCH_CONCURRENCY) {
+    throw new Error(`Config has fetchConcurrency: ${fetchConcurrency}. Must be a whole number from 1 to ${MAX_FETCH_CONCURRENCY}.`);
+  }
+  const audioCache = normalizeAudioCache(raw.audioCache);
+
   // Normalize options
   const optionMap = {};
   const options = raw.options.map((opt) => {
@@ -141,6 +681,7 @@ export function normalizeConfig(raw) {
       name: opt.name,
       audioUrl: rawLink(opt.audioUrl),
       tag: opt.tag || null,
+      ...normalizeOptionTrim(opt),
     };
     if (optionMap[opt.name]) {
       throw new Error(
@@ -164,6 +705,9 @@ export function normalizeConfig(raw) {
 
     const { baseType } = parseTestType(test.testType);
 
+    // Synthesized levels are rendered from the single reference option
+    const synth = test.synth != null ? normalizeSynthConfig(test, baseType) : null;
+
     // ABXY requires exactly 2 options
     if (baseType === 'abxy' && test.options.length !== 2) {
       throw new Error(
@@ -171,13 +715,69 @@ export function normalizeConfig(raw) {
       );
     }
 
+    // Duo-trio and tetrad compare exactly 2 options
+    if ((baseType === 'duo-trio' || baseType === 'tetrad') && test.options.length !== 2) {
+      throw new Error(
+        `${baseType === 'tetrad' ? 'Tetrad' : 'Duo-Trio'} tests require exactly 2 options, but test "${test.name}" has ${test.options.length}`
+      );
+    }
+
+    // N-AFC oddity compares exactly 2 options (standard and odd)
+    if ((baseType === '3afc' || baseType === '4afc') && test.options.length !== 2) {
+      throw new Error(
+        `${baseType.toUpperCase()} tests require exactly 2 options, but test "${test.name}" has ${test.options.length}`
+      );
+    }
+
     // 2AFC-Staircase requires at least 5 options
-    if (baseType === '2afc-staircase' && test.options.length < 5) {
+    if (baseType === '2afc-staircase' && !synth && test.options.length < 5) {
       throw new Error(
         `2AFC-Staircase tests require at least 5 options (quality levels), but test "${test.name}" has ${test.options.length}`
       );
     }
 
+    // Constant stimuli needs a reference plus enough levels to fit a slope
+    if (baseType === '2afc-constant' && test.options.length < 4) {
+      throw new Error(
+        `2AFC-Constant tests require at least 4 options (reference + 3 levels), but test "${test.name}" has ${test.options.length}`
+      );
+    }
+
+    // MUSHRA requires a reference plus at least one condition
+    if (baseType === 'mushra' && (test.options.length < 2 || test.options.length > MAX_MUSHRA_STIMULI)) {
+      throw new Error(
+        `MUSHRA tests require 2-${MAX_MUSHRA_STIMULI} options (reference first), but test "${test.name}" has ${test.options.length}`
+      );
+    }
+
+    // BS.1116 requires a reference plus at least one condition
+    if (baseType === 'bs1116' && test.options.length < 2) {
+      throw new Error(
+        `BS.1116 tests require at least 2 options (reference first), but test "${test.name}" has ${test.options.length}`
+      );
+    }
+
+    // CCR compares pairs of options
+    if (baseType === 'ccr' && test.options.length < 2) {
+      throw new Error(
+        `CCR tests require at least 2 options, but test "${test.name}" has ${test.options.length}`
+      );
+    }
+
+    // Ranking needs at least 3 options (2 is just an AB preference)
+    if (baseType === 'ranking' && (test.options.length < 3 || test.options.length > MAX_RANKING_OPTIONS)) {
+      throw new Error(
+        `Ranking tests require 3-${MAX_RANKING_OPTIONS} options, but test "${test.name}" has ${test.options.length}`
+      );
+    }
+
+    // AB-Pairs needs at least 3 options (2 is a plain AB test)
+    if (baseType === 'ab-pairs' && (test.options.length < 3 || test.options.length > MAX_AB_PAIRS_OPTIONS)) {
+      throw new Error(
+        `AB-Pairs tests require 3-${MAX_AB_PAIRS_OPTIONS} options, but test "${test.name}" has ${test.options.length}`
+      );
+    }
+
     // Resolve option names to option objects
     const testOptions = test.options.map((optName) => {
       const opt = optionMap[optName];
@@ -185,15 +785,58 @@ export function normalizeConfig(raw) {
       return { ...opt };
     });
 
+    // Generate one option per synthesized level. They join the top-level
+    // options so share links can reference them like any other option.
+    if (synth) {
+      const reference = testOptions[0];
+      for (const value of synth.levels) {
+        const name = `${reference.name} ${synthLevelLabel(synth, value)}`;
+        const audioUrl = `synth:${synth.type}:${synth.noise || ''}:${value}:${reference.audioUrl}`;
+        if (optionMap[name] && optionMap[name].audioUrl !== audioUrl) {
+          throw new Error(
+            `Test "${test.name}" synthesizes level "${name}", which clashes with an existing option name`
+          );
+        }
+        if (!optionMap[name]) {
+          optionMap[name] = {
+            name,
+            audioUrl,
+            tag: null,
+            gainDb: reference.gainDb,
+            invertPolarity: reference.invertPolarity,
+            synth: { source: reference.audioUrl, type: synth.type, value, noise: synth.noise },
+          };
+          options.push(optionMap[name]);
+        }
+        testOptions.push({ ...optionMap[name] });
+      }
+    }
+
     // Staircase tests don't use repeat — they use maxTrials from staircase config
     const isStaircase = baseType === '2afc-staircase';
 
-    const repeat = isStaircase ? null : (test.repeat || 10);
-    if (!isStaircase && repeat > 50) {
+    // AB-Pairs defaults to two full rounds of pairs (both orders), or one if that exceeds 50
+    const pairCount = (test.options.length * (test.options.length - 1)) / 2;
+    const defaultRepeat = baseType === 'ab-pairs' ? (pairCount * 2 <= 50 ? pairCount * 2 : pairCount) : 10;
+
+    // Constant stimuli derive the trial count from levels × trialsPerLevel
+    const constant = baseType === '2afc-constant'
+      ? normalizeConstantConfig(test, testOptions.length)
+      : null;
+
+    const repeat = isStaircase ? null
+      : constant ? constant.nLevels * constant.trialsPerLevel
+        : (test.repeat || defaultRepeat);
+    if (!isStaircase && !constant && repeat > 50) {
       throw new Error(
         `Test "${test.name}" has repeat: ${repeat}. Maximum is 50.`
       );
     }
+    if (baseType === 'ab-pairs' && repeat < pairCount) {
+      throw new Error(
+        `AB-Pairs test "${test.name}" has repeat: ${repeat}, but presenting every pair once takes ${pairCount}`
+      );
+    }
 
     const normalized = {
       name: test.name,
@@ -205,6 +848,12 @@ export function normalizeConfig(raw) {
       crossfadeDuration: test.crossfadeDuration ?? null,
       showProgress: test.showProgress ?? false,
       balanced: test.balanced ?? true,
+      ...normalizeLevelMatchConfig(test),
+      align: normalizeAlignConfig(test),
+      resampleTo: normalizeResampleConfig(test),
+      ...normalizeLengthMismatchConfig(test),
+      channelMode: normalizeChannelMode(test),
+      ...normalizeSegmentsConfig(test),
     };
 
     // Attach staircase config if applicable
@@ -212,9 +861,32 @@ export function normalizeConfig(raw) {
       normalized.staircase = normalizeStaircaseConfig(test, testOptions.length);
     }
 
+    // Attach constant stimuli config if applicable
+    if (constant) {
+      normalized.constant = constant;
+    }
+
+    // Attach MUSHRA anchor config if applicable
+    if (baseType === 'mushra') {
+      normalized.mushra = normalizeMushraConfig(test);
+    }
+
+    // Attach sequenced presentation config (ISI, loop restriction) if applicable
+    if (TEST_TYPES[baseType].sequencedPlayback) {
+      normalized.sequence = normalizeSequenceConfig(test);
+    }
+
     return normalized;
   });
 
+  // All tests play through one audio context, so they must share a target rate
+  const resampleRates = new Set(tests.map((t) => t.resampleTo).filter((r) => r != null));
+  if (resampleRates.size > 1) {
+    throw new Error(
+      `Tests set different resampleTo rates (${[...resampleRates].join(', ')}). All tests play at one sample rate, so they must use the same target`
+    );
+  }
+
   return {
     name: raw.name,
     welcome: raw.welcome || { description: '' },
@@ -222,5 +894,7 @@ export function normalizeConfig(raw) {
     options,
     tests,
     email: raw.email || null,
+    fetchConcurrency,
+    audioCache,
   };
 }
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeConfig } from './config';
+
+/** Helper: a config with one synthesized staircase test. */
+function synthConfig(test) {
+  return {
+    name: 'Synth',
+    options: [{ name: 'Reference', audioUrl: 'https://example.com/ref.wav' }],
+    tests: [{ name: 'T', testType: '2AFC-Staircase', options: ['Reference'], ...test }],
+  };
+}
+
+describe('synth config', () => {
+  it('rejects gain levels with loudness matching', () => {
+    expect(() => normalizeConfig(synthConfig({ synth: { type: 'gain', levels: [-1, -2, -3, -4] }, levelMatch: 'LUFS' })))
+      .toThrow('Test "T" has synth type gain with levelMatch: lufs, which would cancel the gain levels');
+  });
+
+  it('accepts loudness matching with other synth types', () => {
+    const config = normalizeConfig(synthConfig({ synth: { type: 'lowpass', levels: [16000, 12000, 8000, 4000] }, levelMatch: 'lufs' }));
+    expect(config.tests[0].levelMatch).toBe('lufs');
+  });
+});
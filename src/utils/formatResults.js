@@ -71,7 +71,7 @@ function formatAbIterations(userSelections, nameToLabel) {
 }
 
 /**
- * Format ABX / ABXY / Triangle iterations.
+ * Format ABX / ABXY / Triangle / Duo-Trio / Tetrad / 3AFC / 4AFC iterations.
  * @param {object[]} userSelectionsAndCorrects
  * @param {Object<string, string>} nameToLabel
  * @returns {object[]}
@@ -103,14 +103,15 @@ function formatSameDiffIterations(userSelectionsAndCorrects) {
 
 /**
  * Format staircase iterations.
- * @param {object} staircaseData - { trials, finalState, interleaved }
- * @returns {{ iterations: object[], finalState: object|null }}
+ * @param {object} staircaseData - { trials, finalState, interleaved, task }
+ * @returns {{ iterations: object[], finalState: object|null, task: string }}
  */
 function formatStaircaseIterations(staircaseData) {
   if (Array.isArray(staircaseData) && staircaseData.length === 0) {
-    return { iterations: [], finalState: null };
+    return { iterations: [], finalState: null, task: '2afc' };
   }
   return {
+    task: staircaseData.task || '2afc',
     iterations: staircaseData.trials.map((t) => ({
       level: t.level,
       correct: t.isCorrect,
@@ -120,6 +121,197 @@ function formatStaircaseIterations(staircaseData) {
   };
 }
 
+/**
+ * Format constant stimuli iterations.
+ * @param {object} constantData - { trials, function, guessRate, lapseRate } (or [] if incomplete)
+ * @returns {object[]}
+ */
+function formatConstantIterations(constantData) {
+  if (Array.isArray(constantData)) return [];
+  return constantData.trials.map((t) => ({
+    level: t.level,
+    correct: t.isCorrect,
+    durationMs: durationMs(t.startedAt, t.finishedAt),
+  }));
+}
+
+/**
+ * Format MUSHRA iterations.
+ * @param {object[]} mushraTrials - Array of { ratings: [{ name, role, score }] }
+ * @param {Object<string, string>} nameToLabel
+ * @returns {object[]}
+ */
+function formatMushraIterations(mushraTrials, nameToLabel) {
+  return mushraTrials.map((t) => ({
+    ratings: t.ratings.map((r) => ({
+      option: optionRef(r.name, nameToLabel),
+      role: r.role,
+      score: r.score,
+    })),
+    durationMs: durationMs(t.startedAt, t.finishedAt),
+  }));
+}
+
+/**
+ * Format BS.1116 iterations.
+ * @param {object[]} gradedTrials
+ * @param {Object<string, string>} nameToLabel
+ * @returns {object[]}
+ */
+function formatBs1116Iterations(gradedTrials, nameToLabel) {
+  return gradedTrials.map((t) => ({
+    condition: optionRef(t.condition.name, nameToLabel),
+    gradeReference: t.gradeReference,
+    gradeCondition: t.gradeCondition,
+    diffGrade: t.diffGrade,
+    isCorrect: t.diffGrade < 0,
+    durationMs: durationMs(t.startedAt, t.finishedAt),
+  }));
+}
+
+/**
+ * Format ACR iterations.
+ * @param {object[]} acrRatings - Array of { option: { name }, rating }
+ * @param {Object<string, string>} nameToLabel
+ * @returns {object[]}
+ */
+function formatAcrIterations(acrRatings, nameToLabel) {
+  return acrRatings.map((r) => ({
+    option: optionRef(r.option.name, nameToLabel),
+    rating: r.rating,
+    durationMs: durationMs(r.startedAt, r.finishedAt),
+  }));
+}
+
+/**
+ * Format CCR iterations.
+ * @param {object[]} ccrRatings - Array of { pair, swapped, rating, score }
+ * @param {Object<string, string>} nameToLabel
+ * @returns {object[]}
+ */
+function formatCcrIterations(ccrRatings, nameToLabel) {
+  return ccrRatings.map((r) => {
+    const presented = r.swapped ? [r.pair[1], r.pair[0]] : r.pair;
+    return {
+      first: optionRef(presented[0], nameToLabel),
+      second: optionRef(presented[1], nameToLabel),
+      rating: r.rating,
+      score: r.score,
+      durationMs: durationMs(r.startedAt, r.finishedAt),
+    };
+  });
+}
+
+/**
+ * Format ranking iterations.
+ * @param {object[]} rankings - Array of { ranking } (option names, best first)
+ * @param {Object<string, string>} nameToLabel
+ * @returns {object[]}
+ */
+function formatRankingIterations(rankings, nameToLabel) {
+  return rankings.map((r) => ({
+    ranking: r.ranking.map((optName) => optionRef(optName, nameToLabel)),
+    durationMs: durationMs(r.startedAt, r.finishedAt),
+  }));
+}
+
+/**
+ * Format AB-Pairs iterations.
+ * @param {object[]} pairSelections - Array of { pair, swapped, winner }
+ * @param {Object<string, string>} nameToLabel
+ * @returns {object[]}
+ */
+function formatAbPairsIterations(pairSelections, nameToLabel) {
+  return pairSelections.map((r) => {
+    const presented = r.swapped ? [r.pair[1], r.pair[0]] : r.pair;
+    return {
+      first: optionRef(presented[0], nameToLabel),
+      second: optionRef(presented[1], nameToLabel),
+      selected: optionRef(r.winner, nameToLabel),
+      durationMs: durationMs(r.startedAt, r.finishedAt),
+    };
+  });
+}
+
+/**
+ * Round a dB/LU value to 0.01, mapping silence (-Infinity) to null.
+ * @param {number} value
+ * @returns {number|null}
+ */
+function roundDb(value) {
+  return Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+}
+
+/**
+ * Format loudness measurements and level-matching gains.
+ * @param {object} loudness - { levelMatch, tolerance, spread, mismatch, options }
+ * @param {Object<string, string>} nameToLabel
+ * @returns {object}
+ */
+function formatLoudness(loudness, nameToLabel) {
+  return {
+    levelMatch: loudness.levelMatch,
+    toleranceLu: loudness.tolerance,
+    spreadLu: roundDb(loudness.spread),
+    mismatch: loudness.mismatch,
+    options: loudness.options.map((o) => ({
+      ...optionRef(o.name, nameToLabel),
+      integratedLufs: roundDb(o.integratedLufs),
+      truePeakDbtp: roundDb(o.truePeakDbtp),
+      matchGainDb: roundDb(o.matchGainDb),
+    })),
+  };
+}
+
+/**
+ * Format per-option gain/polarity trims, listing only options that have one.
+ * @param {{ name: string, gainDb: number, invertPolarity: boolean }[]} optionSettings
+ * @param {Object<string, string>} nameToLabel
+ * @returns {object[]}
+ */
+function formatOptionSettings(optionSettings, nameToLabel) {
+  return optionSettings.map((o) => ({
+    ...optionRef(o.name, nameToLabel),
+    gainDb: o.gainDb,
+    invertPolarity: o.invertPolarity,
+  }));
+}
+
+/**
+ * Format detected time-alignment offsets.
+ * @param {{ maxOffsetMs: number, options: { name: string, offsetSamples: number, offsetMs: number }[] }} alignment
+ * @param {Object<string, string>} nameToLabel
+ * @returns {object}
+ */
+function formatAlignment(alignment, nameToLabel) {
+  return {
+    maxOffsetMs: alignment.maxOffsetMs,
+    options: alignment.options.map((o) => ({
+      ...optionRef(o.name, nameToLabel),
+      offsetSamples: o.offsetSamples,
+      offsetMs: roundDb(o.offsetMs),
+    })),
+  };
+}
+
+/**
+ * Format the lengthMismatch adjustment applied to a test's files.
+ * @param {{ policy: string, maxDifferenceMs: number, sampleCount: number, options: { name: string, originalSampleCount: number }[] }} adjustment
+ * @param {Object<string, string>} nameToLabel
+ * @returns {object}
+ */
+function formatLengthAdjustment(adjustment, nameToLabel) {
+  return {
+    policy: adjustment.policy,
+    maxDifferenceMs: adjustment.maxDifferenceMs,
+    sampleCount: adjustment.sampleCount,
+    options: adjustment.options.map((o) => ({
+      ...optionRef(o.name, nameToLabel),
+      originalSampleCount: o.originalSampleCount,
+    })),
+  };
+}
+
 /**
  * Transform internal results array into the public API payload.
  * @param {object[]} results - Internal results state from TestRunner
@@ -136,19 +328,45 @@ export function formatResultsForEmit(results) {
       testType: result.testType,
       options,
     };
+    if (result.optionSettings?.length) base.optionSettings = formatOptionSettings(result.optionSettings, nameToLabel);
+    if (result.loudness) base.loudness = formatLoudness(result.loudness, nameToLabel);
+    if (result.alignment) base.alignment = formatAlignment(result.alignment, nameToLabel);
+    if (result.lengthAdjustment) base.lengthAdjustment = formatLengthAdjustment(result.lengthAdjustment, nameToLabel);
 
     if (baseType === 'ab') {
       return { ...base, iterations: formatAbIterations(result.userSelections, nameToLabel) };
     }
-    if (baseType === 'abx' || baseType === 'abxy' || baseType === 'triangle') {
+    if (baseType === 'abx' || baseType === 'abxy' || baseType === 'triangle'
+      || baseType === 'duo-trio' || baseType === 'tetrad' || baseType === '3afc' || baseType === '4afc') {
       return { ...base, iterations: formatAbxIterations(result.userSelectionsAndCorrects, nameToLabel) };
     }
     if (baseType === '2afc-sd') {
       return { ...base, iterations: formatSameDiffIterations(result.userSelectionsAndCorrects) };
     }
     if (baseType === '2afc-staircase') {
-      const { iterations, finalState } = formatStaircaseIterations(result.staircaseData);
-      return { ...base, iterations, finalState };
+      const { iterations, finalState, task } = formatStaircaseIterations(result.staircaseData);
+      return { ...base, task, iterations, finalState };
+    }
+    if (baseType === '2afc-constant') {
+      return { ...base, iterations: formatConstantIterations(result.constantData) };
+    }
+    if (baseType === 'mushra') {
+      return { ...base, iterations: formatMushraIterations(result.mushraTrials, nameToLabel) };
+    }
+    if (baseType === 'bs1116') {
+      return { ...base, iterations: formatBs1116Iterations(result.gradedTrials, nameToLabel) };
+    }
+    if (baseType === 'acr') {
+      return { ...base, iterations: formatAcrIterations(result.acrRatings, nameToLabel) };
+    }
+    if (baseType === 'ccr') {
+      return { ...base, iterations: formatCcrIterations(result.ccrRatings, nameToLabel) };
+    }
+    if (baseType === 'ranking') {
+      return { ...base, iterations: formatRankingIterations(result.rankings, nameToLabel) };
+    }
+    if (baseType === 'ab-pairs') {
+      return { ...base, iterations: formatAbPairsIterations(result.pairSelections, nameToLabel) };
     }
 
     // Unknown type — pass through name and options only
@@ -13,7 +13,15 @@
  */
 
 import { bytesToBase64, base64ToBytes } from './base64';
-import { chiSquaredPValue, binomialPValue, zScore } from '../stats/statistics';
+import {
+  chiSquaredPValue, binomialPValue, zScore, computeMushraStats, computeBs1116Stats, computeAcrStats,
+  computeCcrStats, computeRankingStats, computeAbPairsStats, computeConstantStimuliStats,
+  FORCED_CHOICE_CHANCE, thurstonianDPrime,
+} from '../stats/statistics';
+import { PSYCHOMETRIC_FUNCTIONS } from '../stats/psychometric';
+import {
+  computeQuestPosterior, summarizeQuestPosterior, STAIRCASE_TASKS, STAIRCASE_TASK_GUESS_RATES,
+} from '../stats/staircase';
 import { VALID_TEST_TYPES, getTestType } from './testTypeRegistry';
 
 // ── PRNG & obfuscation ─────────────────────────────────────────────
@@ -111,6 +119,17 @@ function decodeTiming(bytes, offset) {
   return { median, fastest, slowest };
 }
 
+/** Signed 16-bit fixed point: round(value · scale), clamped, big-endian. */
+function encodeFixed16(bytes, value, scale) {
+  const n = Math.min(32767, Math.max(-32768, Math.round(value * scale))) & 0xffff;
+  bytes.push(n >> 8, n & 0xff);
+}
+
+function decodeFixed16(bytes, offset, scale) {
+  const n = (bytes[offset] << 8) | bytes[offset + 1];
+  return (n >= 0x8000 ? n - 0x10000 : n) / scale;
+}
+
 function decodeConfidenceBreakdown(bytes, offset) {
   const levels = [
     { level: 'sure', correct: bytes[offset], total: bytes[offset + 1] },
@@ -121,6 +140,157 @@ function decodeConfidenceBreakdown(bytes, offset) {
   return rows.length > 0 ? rows : null;
 }
 
+// ── MUSHRA role codes ───────────────────────────────────────────────
+
+const MUSHRA_ROLES = ['reference', 'condition', 'lowAnchor', 'midAnchor'];
+
+// ── Staircase encoding ──────────────────────────────────────────────
+
+/**
+ * Markers in place of the reversal count of a single up-down track (at most 12):
+ * a single QUEST track, or interleaved tracks with per-track data
+ */
+const QUEST_MARKER = 0xFF;
+const TRACKS_MARKER = 0xFE;
+
+function floorCeilingFlag(floorCeiling) {
+  return floorCeiling === 'floor' ? 1 : floorCeiling === 'ceiling' ? 2 : 0;
+}
+
+function floorCeilingFromFlag(flag) {
+  return flag === 1 ? 'floor' : flag === 2 ? 'ceiling' : null;
+}
+
+/** Write a trial count, then each trial as one byte: correct flag in bit 7, level in bits 0-6. */
+function encodeStaircaseTrials(bytes, trials) {
+  bytes.push(trials.length);
+  for (const trial of trials) {
+    bytes.push((trial.isCorrect ? 0x80 : 0) | (trial.level & 0x7F));
+  }
+}
+
+/** Read trials written by encodeStaircaseTrials. Returns { trials, bytesRead }. */
+function decodeStaircaseTrials(bytes, offset) {
+  const nTrials = bytes[offset];
+  const trials = [];
+  for (let j = 0; j < nTrials; j++) {
+    const packed = bytes[offset + 1 + j];
+    trials.push({ level: packed & 0x7F, isCorrect: !!(packed & 0x80) });
+  }
+  return { trials, bytesRead: 1 + nTrials };
+}
+
+/** Up-down JND from the reversal levels used: their mean and sample SD. */
+function reversalEstimate(reversalsUsed) {
+  const n = reversalsUsed.length;
+  const jnd = n > 0 ? reversalsUsed.reduce((a, b) => a + b, 0) / n : 0;
+  const variance = n > 1 ? reversalsUsed.reduce((sum, v) => sum + (v - jnd) ** 2, 0) / (n - 1) : 0;
+  return { jnd, sd: Math.sqrt(variance) };
+}
+
+/**
+ * Interleaved staircase: method and task, then per track its rule label,
+ * floor/ceiling flag, reversal count, reversals used and trials.
+ */
+function encodeStaircaseTracks(bytes, stats) {
+  const isQuest = stats.method === 'quest';
+  bytes.push(TRACKS_MARKER);
+  bytes.push(stats.trackStats.length);
+  bytes.push((isQuest ? 1 : 0) | (Math.max(0, STAIRCASE_TASKS.indexOf(stats.task)) << 1));
+  if (isQuest) bytes.push(Math.round(stats.slope * 10));
+  for (const track of stats.trackStats) {
+    encodeString(bytes, track.rule);
+    bytes.push(floorCeilingFlag(track.floorCeiling));
+    bytes.push(track.reversalCount);
+    const reversals = track.reversalsUsed || [];
+    bytes.push(reversals.length);
+    for (const level of reversals) bytes.push(level);
+    encodeStaircaseTrials(bytes, track.trials || []);
+  }
+}
+
+/**
+ * Read an interleaved staircase written by encodeStaircaseTracks (after its marker)
+ * and rebuild the combined and per-track estimates as computeStaircaseStats does.
+ * @returns {{ stats: object, bytesRead: number }}
+ */
+function decodeStaircaseTracks(bytes, offset, nLevels) {
+  let i = offset;
+  const nTracks = bytes[i++];
+  const flags = bytes[i++];
+  const isQuest = (flags & 1) === 1;
+  const task = STAIRCASE_TASKS[flags >> 1] || '2afc';
+  const slope = isQuest ? bytes[i++] / 10 : null;
+  const guessRate = STAIRCASE_TASK_GUESS_RATES[task];
+
+  const trackStats = [];
+  for (let k = 0; k < nTracks; k++) {
+    const rule = decodeString(bytes, i);
+    i += rule.bytesRead;
+    const floorCeiling = floorCeilingFromFlag(bytes[i++]);
+    const reversalCount = bytes[i++];
+    const nUsed = bytes[i++];
+    const reversalsUsed = bytes.slice(i, i + nUsed);
+    i += nUsed;
+    const { trials, bytesRead } = decodeStaircaseTrials(bytes, i);
+    i += bytesRead;
+
+    let estimate;
+    if (isQuest) {
+      const { grid, posterior } = computeQuestPosterior(nLevels, trials, slope, guessRate);
+      estimate = summarizeQuestPosterior(grid, posterior);
+    } else {
+      estimate = reversalEstimate(reversalsUsed);
+    }
+    trackStats.push({
+      rule: rule.value,
+      startLevel: trials.length > 0 ? trials[0].level : 0,
+      jnd: estimate.jnd,
+      sd: estimate.sd,
+      credibleInterval: estimate.credibleInterval,
+      reversalCount,
+      reversalsUsed,
+      floorCeiling,
+      trials,
+    });
+  }
+
+  const trials = trackStats.flatMap((t) => t.trials);
+  let combined;
+  let quest = {};
+  if (isQuest) {
+    const posterior = computeQuestPosterior(nLevels, trials, slope, guessRate);
+    const summary = summarizeQuestPosterior(posterior.grid, posterior.posterior);
+    combined = { jnd: summary.jnd, sd: summary.sd };
+    quest = { slope, credibleInterval: summary.credibleInterval, posterior };
+  } else {
+    const jnd = trackStats.reduce((a, t) => a + t.jnd, 0) / Math.max(1, nTracks);
+    const avgVariance = trackStats.reduce((a, t) => a + t.sd ** 2, 0) / Math.max(1, nTracks);
+    combined = { jnd, sd: Math.sqrt(avgVariance) };
+  }
+  const totalCorrect = trials.filter((t) => t.isCorrect).length;
+
+  return {
+    stats: {
+      jnd: combined.jnd,
+      jndSD: combined.sd,
+      reversalsUsed: trackStats.flatMap((t) => t.reversalsUsed),
+      totalTrials: trials.length,
+      totalCorrect,
+      totalIncorrect: trials.length - totalCorrect,
+      reversalCount: trackStats.reduce((sum, t) => sum + t.reversalCount, 0),
+      floorCeiling: trackStats.map((t) => t.floorCeiling).find((fc) => fc) || null,
+      interleaved: true,
+      trackStats,
+      method: isQuest ? 'quest' : 'updown',
+      task,
+      ...quest,
+      trials,
+    },
+    bytesRead: i - offset,
+  };
+}
+
 // ── Config encoding ─────────────────────────────────────────────────
 
 function encodeConfig(bytes, config, configUrl) {
@@ -232,17 +402,75 @@ function encodeResults(bytes, allTestStats, config) {
       bytes.push(stats.misses);
       bytes.push(stats.falseAlarms);
       bytes.push(stats.correctRejections);
+    } else if (entry.shareEncoding === '2afc-staircase' && stats.trackStats) {
+      encodeStaircaseTracks(bytes, stats);
     } else if (entry.shareEncoding === '2afc-staircase') {
-      const reversals = stats.reversalsUsed || [];
-      bytes.push(reversals.length);
-      for (const level of reversals) bytes.push(level);
+      if (stats.method === 'quest') {
+        // QUEST has no reversals: marker byte, then the slope; posterior is rebuilt from trials
+        bytes.push(QUEST_MARKER);
+        bytes.push(Math.round(stats.slope * 10));
+      } else {
+        const reversals = stats.reversalsUsed || [];
+        bytes.push(reversals.length);
+        for (const level of reversals) bytes.push(level);
+      }
       bytes.push(stats.totalTrials);
       bytes.push(stats.totalCorrect);
-      bytes.push(stats.floorCeiling === 'floor' ? 1 : stats.floorCeiling === 'ceiling' ? 2 : 0);
+      // Low 2 bits: floor/ceiling flag; upper bits: trial task
+      bytes.push(floorCeilingFlag(stats.floorCeiling) | (Math.max(0, STAIRCASE_TASKS.indexOf(stats.task)) << 2));
+      encodeStaircaseTrials(bytes, stats.trials || []);
+    } else if (entry.shareEncoding === '2afc-constant') {
+      // Model settings, then per-level counts (levels follow test option order)
+      bytes.push(Math.max(0, PSYCHOMETRIC_FUNCTIONS.indexOf(stats.fn)));
+      bytes.push(Math.round(stats.guessRate > 0 ? 1 / stats.guessRate : 0));
+      bytes.push(Math.round(stats.lapseRate * 1000));
+      for (const level of stats.levels) {
+        bytes.push(level.correct);
+        bytes.push(level.total);
+      }
+      // Bootstrap CIs as computed when the test completed (flag, then fixed point)
+      bytes.push(stats.thresholdCI ? 1 : 0);
+      if (stats.thresholdCI) {
+        for (const v of stats.thresholdCI) encodeFixed16(bytes, v, 100);
+        for (const v of stats.slopeCI) encodeFixed16(bytes, v, 1000);
+      }
+    } else if (entry.shareEncoding === 'mushra') {
+      bytes.push(stats.totalTrials);
+      for (const c of stats.conditions) {
+        bytes.push(optionNameToOrd[c.name] || 0);
+        bytes.push(Math.max(0, MUSHRA_ROLES.indexOf(c.role)));
+        for (let t = 0; t < stats.totalTrials; t++) bytes.push(Math.round(c.scores[t] ?? 0));
+      }
+    } else if (entry.shareEncoding === 'bs1116') {
       const trials = stats.trials || [];
       bytes.push(trials.length);
       for (const trial of trials) {
-        bytes.push((trial.isCorrect ? 0x80 : 0) | (trial.level & 0x7F));
+        bytes.push(Math.max(0, stats.optionNames.indexOf(trial.condition.name)));
+        bytes.push(Math.round(trial.gradeReference * 10));
+        bytes.push(Math.round(trial.gradeCondition * 10));
+      }
+    } else if (entry.shareEncoding === 'acr') {
+      for (const opt of stats.options) {
+        bytes.push(optionNameToOrd[opt.name] || 0);
+        for (const count of opt.histogram) bytes.push(count);
+      }
+    } else if (entry.shareEncoding === 'ccr') {
+      // Pairs follow test option order, so only the score histograms are needed
+      for (const pair of stats.pairs) {
+        for (const count of pair.histogram) bytes.push(count);
+      }
+    } else if (entry.shareEncoding === 'ranking') {
+      // Ranks follow test option order, one byte per option per ranking
+      const rankRows = stats.rankRows || [];
+      bytes.push(rankRows.length);
+      for (const row of rankRows) {
+        for (const rank of row) bytes.push(rank);
+      }
+    } else if (entry.shareEncoding === 'ab-pairs') {
+      // Pairs follow test option order, so only the win counts are needed
+      for (const pair of stats.pairs) {
+        bytes.push(pair.firstWins);
+        bytes.push(pair.secondWins);
       }
     } else if (entry.shareEncoding === 'ab') {
       for (const opt of stats.options) {
@@ -321,10 +549,12 @@ function decodeResults(bytes, offset, config) {
       const totalIncorrect = bytes[i++];
       const total = totalCorrect + totalIncorrect;
 
+      // Shared by Triangle, Duo-Trio, Tetrad and N-AFC oddity — only the guessing rate differs
       const decoded = {
         name: testName, _baseType: baseType, optionNames: testOptionNames,
         totalCorrect, totalIncorrect, total,
-        pValue: total > 0 ? binomialPValue(totalCorrect, total, 1 / 3) : 1,
+        pValue: total > 0 ? binomialPValue(totalCorrect, total, FORCED_CHOICE_CHANCE[baseType]) : 1,
+        dPrime: thurstonianDPrime(baseType, totalCorrect, total),
       };
 
       if (hasConfidence) { decoded.confidenceBreakdown = decodeConfidenceBreakdown(bytes, i); i += 6; }
@@ -361,29 +591,60 @@ function decodeResults(bytes, offset, config) {
       decoded.timing = decodeTiming(bytes, i); i += 6;
       stats.push(decoded);
 
+    } else if (typeEntry.shareEncoding === '2afc-staircase' && bytes[i] === TRACKS_MARKER) {
+      const test = config.tests[testOrd];
+      const testOptionNames = test ? test.options.map((o) => o.name) : [];
+      const tracks = decodeStaircaseTracks(bytes, i + 1, testOptionNames.length - 1);
+      i += 1 + tracks.bytesRead;
+      const jndLevel = Math.round(tracks.stats.jnd);
+      const jndOptionName = (jndLevel >= 1 && jndLevel < testOptionNames.length)
+        ? testOptionNames[jndLevel] : `Level ${jndLevel}`;
+
+      const timing = decodeTiming(bytes, i); i += 6;
+
+      stats.push({
+        name: testName, _baseType: baseType, optionNames: testOptionNames,
+        jndLevel, jndOptionName, ...tracks.stats, timing,
+      });
+
     } else if (typeEntry.shareEncoding === '2afc-staircase') {
       const test = config.tests[testOrd];
       const testOptionNames = test ? test.options.map((o) => o.name) : [];
-      const nReversals = bytes[i++];
+      const isQuest = bytes[i] === QUEST_MARKER;
+      let nReversals = 0;
+      let slope = null;
       const reversalsUsed = [];
-      for (let j = 0; j < nReversals; j++) reversalsUsed.push(bytes[i++]);
+      if (isQuest) {
+        i++;
+        slope = bytes[i++] / 10;
+      } else {
+        nReversals = bytes[i++];
+        for (let j = 0; j < nReversals; j++) reversalsUsed.push(bytes[i++]);
+      }
       const totalTrials = bytes[i++];
       const totalCorrect = bytes[i++];
-      const fcFlag = bytes[i++];
-      const floorCeiling = fcFlag === 1 ? 'floor' : fcFlag === 2 ? 'ceiling' : null;
-
-      const nTrials = bytes[i++];
-      const trials = [];
-      for (let j = 0; j < nTrials; j++) {
-        const packed = bytes[i++];
-        trials.push({ level: packed & 0x7F, isCorrect: !!(packed & 0x80) });
+      const fcByte = bytes[i++];
+      const floorCeiling = floorCeilingFromFlag(fcByte & 0x03);
+      const task = STAIRCASE_TASKS[fcByte >> 2] || '2afc';
+
+      const decodedTrials = decodeStaircaseTrials(bytes, i);
+      i += decodedTrials.bytesRead;
+      const { trials } = decodedTrials;
+
+      let jnd;
+      let jndSD;
+      let quest = {};
+      if (isQuest) {
+        const posterior = computeQuestPosterior(
+          testOptionNames.length - 1, trials, slope, STAIRCASE_TASK_GUESS_RATES[task],
+        );
+        const summary = summarizeQuestPosterior(posterior.grid, posterior.posterior);
+        jnd = summary.jnd;
+        jndSD = summary.sd;
+        quest = { method: 'quest', slope, credibleInterval: summary.credibleInterval, posterior };
+      } else {
+        ({ jnd, sd: jndSD } = reversalEstimate(reversalsUsed));
       }
-
-      const jnd = reversalsUsed.length > 0
-        ? reversalsUsed.reduce((a, b) => a + b, 0) / reversalsUsed.length : 0;
-      const jndVariance = reversalsUsed.length > 1
-        ? reversalsUsed.reduce((sum, v) => sum + (v - jnd) ** 2, 0) / (reversalsUsed.length - 1) : 0;
-      const jndSD = Math.sqrt(jndVariance);
       const jndLevel = Math.round(jnd);
       const jndOptionName = (jndLevel >= 1 && jndLevel < testOptionNames.length)
         ? testOptionNames[jndLevel] : `Level ${jndLevel}`;
@@ -394,8 +655,147 @@ function decodeResults(bytes, offset, config) {
         name: testName, _baseType: baseType, optionNames: testOptionNames,
         jnd, jndSD, jndLevel, jndOptionName, reversalsUsed,
         totalTrials, totalCorrect, totalIncorrect: totalTrials - totalCorrect,
-        reversalCount: nReversals, floorCeiling, interleaved: false, trials, timing,
+        reversalCount: nReversals, floorCeiling, interleaved: false, trackStats: null, method: 'updown', task, ...quest, trials, timing,
+      });
+
+    } else if (typeEntry.shareEncoding === '2afc-constant') {
+      const test = config.tests[testOrd];
+      const testOptionNames = test ? test.options.map((o) => o.name) : [];
+      const fn = PSYCHOMETRIC_FUNCTIONS[bytes[i++]] || PSYCHOMETRIC_FUNCTIONS[0];
+      const alternatives = bytes[i++];
+      const lapseRate = bytes[i++] / 1000;
+      const trials = [];
+      for (let level = 1; level < testOptionNames.length; level++) {
+        const correct = bytes[i++];
+        const total = bytes[i++];
+        for (let k = 0; k < total; k++) trials.push({ level, isCorrect: k < correct });
+      }
+      let ci = null;
+      if (bytes[i++]) {
+        ci = {
+          thresholdCI: [decodeFixed16(bytes, i, 100), decodeFixed16(bytes, i + 2, 100)],
+          slopeCI: [decodeFixed16(bytes, i + 4, 1000), decodeFixed16(bytes, i + 6, 1000)],
+        };
+        i += 8;
+      }
+
+      const decoded = computeConstantStimuliStats(testName, testOptionNames, {
+        trials, function: fn, guessRate: alternatives > 0 ? 1 / alternatives : 0, lapseRate, ci,
       });
+      decoded._baseType = baseType;
+      decoded.timing = decodeTiming(bytes, i); i += 6;
+      stats.push(decoded);
+
+    } else if (typeEntry.shareEncoding === 'mushra') {
+      const test = config.tests[testOrd];
+      const nOptions = test ? test.options.length : 0;
+      const totalTrials = bytes[i++];
+      const testOptionNames = [];
+      const trials = Array.from({ length: totalTrials }, () => ({ ratings: [] }));
+      for (let j = 0; j < nOptions; j++) {
+        const optName = optionNames[bytes[i++]];
+        const role = MUSHRA_ROLES[bytes[i++]] || 'condition';
+        testOptionNames.push(optName);
+        for (let t = 0; t < totalTrials; t++) {
+          trials[t].ratings.push({ name: optName, role, score: bytes[i++] });
+        }
+      }
+
+      const decoded = computeMushraStats(testName, testOptionNames, trials);
+      decoded._baseType = baseType;
+      decoded.timing = decodeTiming(bytes, i); i += 6;
+      stats.push(decoded);
+
+    } else if (typeEntry.shareEncoding === 'bs1116') {
+      const test = config.tests[testOrd];
+      const testOptionNames = test ? test.options.map((o) => o.name) : [];
+      const nTrials = bytes[i++];
+      const trials = [];
+      for (let j = 0; j < nTrials; j++) {
+        const condName = testOptionNames[bytes[i++]];
+        const gradeReference = bytes[i++] / 10;
+        const gradeCondition = bytes[i++] / 10;
+        const diffGrade = Math.round((gradeCondition - gradeReference) * 10) / 10;
+        trials.push({ condition: { name: condName }, gradeReference, gradeCondition, diffGrade });
+      }
+
+      const decoded = computeBs1116Stats(testName, testOptionNames, trials);
+      decoded._baseType = baseType;
+      decoded.timing = decodeTiming(bytes, i); i += 6;
+      stats.push(decoded);
+
+    } else if (typeEntry.shareEncoding === 'acr') {
+      const test = config.tests[testOrd];
+      const nOptions = test ? test.options.length : 0;
+      const testOptionNames = [];
+      const ratings = [];
+      for (let j = 0; j < nOptions; j++) {
+        const optName = optionNames[bytes[i++]];
+        testOptionNames.push(optName);
+        for (let rating = 1; rating <= 5; rating++) {
+          const count = bytes[i++];
+          for (let k = 0; k < count; k++) ratings.push({ option: { name: optName }, rating });
+        }
+      }
+
+      const decoded = computeAcrStats(testName, testOptionNames, ratings);
+      decoded._baseType = baseType;
+      decoded.timing = decodeTiming(bytes, i); i += 6;
+      stats.push(decoded);
+
+    } else if (typeEntry.shareEncoding === 'ccr') {
+      const test = config.tests[testOrd];
+      const testOptionNames = test ? test.options.map((o) => o.name) : [];
+      const ratings = [];
+      for (let a = 0; a < testOptionNames.length; a++) {
+        for (let b = a + 1; b < testOptionNames.length; b++) {
+          const pair = [testOptionNames[a], testOptionNames[b]];
+          for (let score = -3; score <= 3; score++) {
+            const count = bytes[i++];
+            for (let k = 0; k < count; k++) ratings.push({ pair, score });
+          }
+        }
+      }
+
+      const decoded = computeCcrStats(testName, testOptionNames, ratings);
+      decoded._baseType = baseType;
+      decoded.timing = decodeTiming(bytes, i); i += 6;
+      stats.push(decoded);
+
+    } else if (typeEntry.shareEncoding === 'ranking') {
+      const test = config.tests[testOrd];
+      const testOptionNames = test ? test.options.map((o) => o.name) : [];
+      const nRankings = bytes[i++];
+      const rankings = [];
+      for (let j = 0; j < nRankings; j++) {
+        const ranking = [];
+        for (const optName of testOptionNames) ranking[bytes[i++] - 1] = optName;
+        rankings.push({ ranking });
+      }
+
+      const decoded = computeRankingStats(testName, testOptionNames, rankings);
+      decoded._baseType = baseType;
+      decoded.timing = decodeTiming(bytes, i); i += 6;
+      stats.push(decoded);
+
+    } else if (typeEntry.shareEncoding === 'ab-pairs') {
+      const test = config.tests[testOrd];
+      const testOptionNames = test ? test.options.map((o) => o.name) : [];
+      const selections = [];
+      for (let a = 0; a < testOptionNames.length; a++) {
+        for (let b = a + 1; b < testOptionNames.length; b++) {
+          const pair = [testOptionNames[a], testOptionNames[b]];
+          const firstWins = bytes[i++];
+          const secondWins = bytes[i++];
+          for (let k = 0; k < firstWins; k++) selections.push({ pair, winner: pair[0] });
+          for (let k = 0; k < secondWins; k++) selections.push({ pair, winner: pair[1] });
+        }
+      }
+
+      const decoded = computeAbPairsStats(testName, testOptionNames, selections);
+      decoded._baseType = baseType;
+      decoded.timing = decodeTiming(bytes, i); i += 6;
+      stats.push(decoded);
 
     } else if (typeEntry.shareEncoding === 'ab') {
       const test = config.tests[testOrd];
@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { createShareUrl, decodeShareParam } from './share';
+import { computeStaircaseStats, computeConstantStimuliStats } from '../stats/statistics';
+import { psychometricCI } from '../stats/psychometric';
+import {
+  createStaircaseState, createInterleavedState, recordResponse, recordInterleavedResponse,
+} from '../stats/staircase';
+
+const OPTIONS = ['Reference', 'L1', 'L2', 'L3', 'L4', 'L5', 'L6', 'L7', 'L8'].map((name) => ({ name }));
+
+const UPDOWN = {
+  nLevels: 8, rule: '1u2d', reversals: 6, maxTrials: 60,
+  initialStep: 2, finalStep: 1, stepReductionAfter: 2, startLevel: null,
+};
+
+/** Helper: a config with one staircase test over all options. */
+function staircaseConfig() {
+  return {
+    name: 'Share test',
+    options: OPTIONS,
+    tests: [
+      { name: 'Staircase', testType: '2AFC-Staircase', options: OPTIONS },
+      { name: 'Constant', testType: '2AFC-Constant', options: OPTIONS },
+    ],
+  };
+}
+
+/**
+ * Helper: answers of a simulated listener who hears levels above 3 and
+ * otherwise gets every other trial right.
+ */
+function listener() {
+  let n = 0;
+  return (level) => level > 3 || n++ % 2 === 0;
+}
+
+/** Helper: run an interleaved staircase, alternating tracks, until all are complete. */
+function runInterleaved(config) {
+  const state = createInterleavedState(config);
+  const answer = listener();
+  const trials = [];
+  for (let k = 0; state.tracks.some((t) => !t.complete); k++) {
+    const track = k % state.tracks.length;
+    if (state.tracks[track].complete) continue;
+    const { level } = state.tracks[track];
+    const isCorrect = answer(level);
+    recordInterleavedResponse(state, track, isCorrect);
+    trials.push({ level, isCorrect, responseTime: 2 + (k % 5) });
+  }
+  return { trials, finalState: state, interleaved: true, task: '2afc' };
+}
+
+/** Helper: run a single staircase presented as `task` until it completes. */
+function runSingle(config, task) {
+  const state = createStaircaseState({ ...config, task });
+  const answer = listener();
+  const trials = [];
+  while (!state.complete) {
+    const { level } = state;
+    const isCorrect = answer(level);
+    recordResponse(state, isCorrect);
+    trials.push({ level, isCorrect, responseTime: 3 });
+  }
+  return { trials, finalState: state, interleaved: false, task };
+}
+
+/** Helper: encode stats into a share link and decode them again. */
+function roundTrip(stats) {
+  const url = new URL(createShareUrl([stats], staircaseConfig(), null));
+  return decodeShareParam(url.searchParams.get('share')).stats[0];
+}
+
+beforeAll(() => {
+  vi.stubGlobal('window', { location: { origin: 'http://localhost', pathname: '/' } });
+});
+
+afterAll(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('staircase share encoding', () => {
+  it('restores every track of an interleaved up-down run', () => {
+    const data = runInterleaved({
+      ...UPDOWN,
+      tracks: [{ ...UPDOWN, startLevel: 8 }, { ...UPDOWN, startLevel: 1 }, { ...UPDOWN, rule: 'weighted', upRatio: 3 }],
+    });
+    const stats = computeStaircaseStats('Staircase', OPTIONS.map((o) => o.name), data);
+    const decoded = roundTrip(stats);
+
+    expect(decoded.interleaved).toBe(true);
+    expect(decoded.method).toBe('updown');
+    expect(decoded.trackStats).toHaveLength(3);
+    expect(decoded.jnd).toBeCloseTo(stats.jnd, 10);
+    expect(decoded.jndSD).toBeCloseTo(stats.jndSD, 10);
+    for (const key of ['jndLevel', 'totalTrials', 'totalCorrect', 'reversalCount', 'floorCeiling']) {
+      expect(decoded[key], key).toEqual(stats[key]);
+    }
+    expect(decoded.reversalsUsed).toEqual(stats.reversalsUsed);
+    decoded.trackStats.forEach((track, k) => {
+      const { credibleInterval, ...expected } = stats.trackStats[k];
+      expect(track).toMatchObject(expected);
+      expect(track.sd).toBeCloseTo(expected.sd, 10);
+    });
+  });
+
+  it('restores every track of an interleaved QUEST run', () => {
+    const quest = { method: 'quest', nLevels: 8, maxTrials: 15, slope: 3.5, task: '2afc', startLevel: null };
+    const data = runInterleaved({ ...quest, tracks: [quest, { ...quest, startLevel: 2 }] });
+    const stats = computeStaircaseStats('Staircase', OPTIONS.map((o) => o.name), data);
+    const decoded = roundTrip(stats);
+
+    expect(decoded.interleaved).toBe(true);
+    expect(decoded.method).toBe('quest');
+    expect(decoded.slope).toBe(3.5);
+    expect(decoded.jnd).toBeCloseTo(stats.jnd, 10);
+    expect(decoded.credibleInterval).toEqual(stats.credibleInterval);
+    decoded.trackStats.forEach((track, k) => {
+      expect(track.rule).toBe('QUEST');
+      expect(track.trials).toEqual(stats.trackStats[k].trials.map(({ level, isCorrect }) => ({ level, isCorrect })));
+      expect(track.jnd).toBeCloseTo(stats.trackStats[k].jnd, 10);
+      expect(track.credibleInterval).toEqual(stats.trackStats[k].credibleInterval);
+    });
+  });
+
+  it('still decodes a single track as before', () => {
+    const state = createStaircaseState(UPDOWN);
+    const answer = listener();
+    const trials = [];
+    while (!state.complete) {
+      const { level } = state;
+      const isCorrect = answer(level);
+      recordResponse(state, isCorrect);
+      trials.push({ level, isCorrect, responseTime: 3 });
+    }
+    const stats = computeStaircaseStats('Staircase', OPTIONS.map((o) => o.name), {
+      trials, finalState: state, interleaved: false, task: '2afc',
+    });
+    const decoded = roundTrip(stats);
+
+    expect(decoded.interleaved).toBe(false);
+    expect(decoded.trackStats).toBeNull();
+    expect(decoded.jnd).toBeCloseTo(stats.jnd, 10);
+    expect(decoded.reversalsUsed).toEqual(stats.reversalsUsed);
+    expect(decoded.totalTrials).toBe(stats.totalTrials);
+  });
+
+  it('carries the ABX task of an up-down run', () => {
+    const stats = computeStaircaseStats('Staircase', OPTIONS.map((o) => o.name), runSingle(UPDOWN, 'abx'));
+    const decoded = roundTrip(stats);
+
+    expect(decoded.task).toBe('abx');
+    expect(decoded.jnd).toBeCloseTo(stats.jnd, 10);
+    expect(decoded.trials).toEqual(stats.trials.map(({ level, isCorrect }) => ({ level, isCorrect })));
+  });
+
+  it('rebuilds a triangle QUEST posterior at the triangle guess rate', () => {
+    const quest = { method: 'quest', nLevels: 8, maxTrials: 15, slope: 3.5, startLevel: null };
+    const stats = computeStaircaseStats('Staircase', OPTIONS.map((o) => o.name), runSingle(quest, 'triangle'));
+    const decoded = roundTrip(stats);
+    // The same trials read at the 2AFC guess rate give another threshold
+    const asTwoAfc = roundTrip(
+      computeStaircaseStats('Staircase', OPTIONS.map((o) => o.name), { ...runSingle(quest, 'triangle'), task: '2afc' }),
+    );
+
+    expect(decoded.task).toBe('triangle');
+    expect(decoded.jnd).toBeCloseTo(stats.jnd, 10);
+    expect(decoded.credibleInterval).toEqual(stats.credibleInterval);
+    expect(asTwoAfc.jnd).not.toBeCloseTo(stats.jnd, 3);
+  });
+
+  it('carries the task of an interleaved run', () => {
+    const quest = { method: 'quest', nLevels: 8, maxTrials: 15, slope: 3.5, task: 'triangle', startLevel: null };
+    const data = { ...runInterleaved({ ...quest, tracks: [quest, { ...quest, startLevel: 2 }] }), task: 'triangle' };
+    const stats = computeStaircaseStats('Staircase', OPTIONS.map((o) => o.name), data);
+    const decoded = roundTrip(stats);
+
+    expect(decoded.task).toBe('triangle');
+    expect(decoded.jnd).toBeCloseTo(stats.jnd, 10);
+    decoded.trackStats.forEach((track, k) => expect(track.jnd).toBeCloseTo(stats.trackStats[k].jnd, 10));
+  });
+});
+
+describe('constant stimuli share encoding', () => {
+  it('carries the bootstrap CIs instead of recomputing them', () => {
+    const trials = [1, 2, 3, 4, 5, 6, 7, 8].flatMap((level) =>
+      Array.from({ length: 10 }, (_, t) => ({ level, isCorrect: t < 3 + level, responseTime: 2 })));
+    const model = { fn: 'logistic', guessRate: 0.5, lapseRate: 0 };
+    const stats = computeConstantStimuliStats('Constant', OPTIONS.map((o) => o.name), {
+      trials, function: 'logistic', guessRate: 0.5, lapseRate: 0, ci: psychometricCI(trials, 8, model),
+    });
+    const decoded = roundTrip(stats);
+
+    expect(decoded.threshold).toBeCloseTo(stats.threshold, 10);
+    decoded.thresholdCI.forEach((v, k) => expect(v).toBeCloseTo(stats.thresholdCI[k], 2));
+    decoded.slopeCI.forEach((v, k) => expect(v).toBeCloseTo(stats.slopeCI[k], 3));
+  });
+});
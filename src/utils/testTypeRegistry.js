@@ -5,7 +5,7 @@
  * - Plugin functions: setup, processSubmit, isComplete, mergeResults
  * - UI references: testComponent, statsComponent
  * - Stats: computeStats
- * - Behavioral flags: supportsConfidence, waveformExtraTracks, etc.
+ * - Behavioral flags: supportsConfidence, waveformExtraTracks, sequencedPlayback, etc.
  *
  * The +C confidence suffix is handled by parseTestType(), not as
  * separate registry entries.
@@ -18,14 +18,30 @@ import ABXTest from '../components/ABXTest';
 import TriangleTest from '../components/TriangleTest';
 import SameDiffTest from '../components/SameDiffTest';
 import StaircaseTest from '../components/StaircaseTest';
+import MushraTest from '../components/MushraTest';
+import Bs1116Test from '../components/Bs1116Test';
+import AcrTest from '../components/AcrTest';
+import CcrTest from '../components/CcrTest';
+import DuoTrioTest from '../components/DuoTrioTest';
+import TetradTest from '../components/TetradTest';
+import OddityTest from '../components/OddityTest';
+import RankingTest from '../components/RankingTest';
 import ABStats from '../components/ABStats';
 import ABXStats from '../components/ABXStats';
 import TriangleStats from '../components/TriangleStats';
 import SameDiffStats from '../components/SameDiffStats';
 import StaircaseStats from '../components/StaircaseStats';
+import ConstantStimuliStats from '../components/ConstantStimuliStats';
+import MushraStats from '../components/MushraStats';
+import Bs1116Stats from '../components/Bs1116Stats';
+import AcrStats from '../components/AcrStats';
+import CcrStats from '../components/CcrStats';
+import RankingStats from '../components/RankingStats';
 import {
   computeAbStats, computeAbxStats, computeTriangleStats, computeSameDiffStats,
-  computeStaircaseStats,
+  computeStaircaseStats, computeMushraStats, computeBs1116Stats, computeAcrStats,
+  computeCcrStats, computeDuoTrioStats, computeTetradStats, computeThreeAfcStats,
+  computeFourAfcStats, computeRankingStats, computeAbPairsStats, computeConstantStimuliStats,
 } from '../stats/statistics';
 
 import * as abType from '../testTypes/ab';
@@ -33,6 +49,16 @@ import * as abxType from '../testTypes/abx';
 import * as triangleType from '../testTypes/triangle';
 import * as sameDiffType from '../testTypes/sameDiff';
 import * as staircaseType from '../testTypes/staircase';
+import * as mushraType from '../testTypes/mushra';
+import * as bs1116Type from '../testTypes/bs1116';
+import * as acrType from '../testTypes/acr';
+import * as ccrType from '../testTypes/ccr';
+import * as duoTrioType from '../testTypes/duoTrio';
+import * as tetradType from '../testTypes/tetrad';
+import * as oddityType from '../testTypes/oddity';
+import * as rankingType from '../testTypes/ranking';
+import * as abPairsType from '../testTypes/abPairs';
+import * as constantStimuliType from '../testTypes/constantStimuli';
 
 /**
  * Parse a testType string into base type key + confidence flag.
@@ -64,6 +90,7 @@ export const TEST_TYPES = {
     waveformExtraTracks: 0,
     shareEncoding: 'ab',
     isAdaptive: false,
+    sequencedPlayback: false,
   },
   abx: {
     setup: abxType.setup,
@@ -78,6 +105,7 @@ export const TEST_TYPES = {
     waveformExtraTracks: 1,
     shareEncoding: 'abx',
     isAdaptive: false,
+    sequencedPlayback: false,
   },
   abxy: {
     setup: abxType.setup,
@@ -92,6 +120,7 @@ export const TEST_TYPES = {
     waveformExtraTracks: 2,
     shareEncoding: 'abx',
     isAdaptive: false,
+    sequencedPlayback: false,
   },
   triangle: {
     setup: triangleType.setup,
@@ -106,6 +135,7 @@ export const TEST_TYPES = {
     waveformExtraTracks: 1,
     shareEncoding: 'triangle',
     isAdaptive: false,
+    sequencedPlayback: false,
   },
   '2afc-sd': {
     setup: sameDiffType.setup,
@@ -120,6 +150,7 @@ export const TEST_TYPES = {
     waveformExtraTracks: 0,
     shareEncoding: '2afc-sd',
     isAdaptive: false,
+    sequencedPlayback: false,
   },
   '2afc-staircase': {
     setup: staircaseType.setup,
@@ -134,6 +165,172 @@ export const TEST_TYPES = {
     waveformExtraTracks: 0,
     shareEncoding: '2afc-staircase',
     isAdaptive: true,
+    sequencedPlayback: false,
+  },
+  mushra: {
+    setup: mushraType.setup,
+    processSubmit: mushraType.processSubmit,
+    isComplete: mushraType.isComplete,
+    mergeResults: mushraType.mergeResults,
+    testComponent: MushraTest,
+    statsComponent: MushraStats,
+    computeStats: computeMushraStats,
+    resultDataKey: 'mushraTrials',
+    supportsConfidence: false,
+    waveformExtraTracks: 1,
+    shareEncoding: 'mushra',
+    isAdaptive: false,
+    sequencedPlayback: false,
+  },
+  bs1116: {
+    setup: bs1116Type.setup,
+    processSubmit: bs1116Type.processSubmit,
+    isComplete: bs1116Type.isComplete,
+    mergeResults: bs1116Type.mergeResults,
+    testComponent: Bs1116Test,
+    statsComponent: Bs1116Stats,
+    computeStats: computeBs1116Stats,
+    resultDataKey: 'gradedTrials',
+    supportsConfidence: false,
+    waveformExtraTracks: 1,
+    shareEncoding: 'bs1116',
+    isAdaptive: false,
+    sequencedPlayback: false,
+  },
+  acr: {
+    setup: acrType.setup,
+    processSubmit: acrType.processSubmit,
+    isComplete: acrType.isComplete,
+    mergeResults: acrType.mergeResults,
+    testComponent: AcrTest,
+    statsComponent: AcrStats,
+    computeStats: computeAcrStats,
+    resultDataKey: 'acrRatings',
+    supportsConfidence: false,
+    waveformExtraTracks: 0,
+    shareEncoding: 'acr',
+    isAdaptive: false,
+    sequencedPlayback: false,
+  },
+  ccr: {
+    setup: ccrType.setup,
+    processSubmit: ccrType.processSubmit,
+    isComplete: ccrType.isComplete,
+    mergeResults: ccrType.mergeResults,
+    testComponent: CcrTest,
+    statsComponent: CcrStats,
+    computeStats: computeCcrStats,
+    resultDataKey: 'ccrRatings',
+    supportsConfidence: false,
+    waveformExtraTracks: 0,
+    shareEncoding: 'ccr',
+    isAdaptive: false,
+    sequencedPlayback: false,
+  },
+  'duo-trio': {
+    setup: duoTrioType.setup,
+    processSubmit: duoTrioType.processSubmit,
+    isComplete: duoTrioType.isComplete,
+    mergeResults: duoTrioType.mergeResults,
+    testComponent: DuoTrioTest,
+    statsComponent: TriangleStats,
+    computeStats: computeDuoTrioStats,
+    resultDataKey: 'userSelectionsAndCorrects',
+    supportsConfidence: true,
+    waveformExtraTracks: 1,
+    shareEncoding: 'triangle',
+    isAdaptive: false,
+    sequencedPlayback: false,
+  },
+  tetrad: {
+    setup: tetradType.setup,
+    processSubmit: tetradType.processSubmit,
+    isComplete: tetradType.isComplete,
+    mergeResults: tetradType.mergeResults,
+    testComponent: TetradTest,
+    statsComponent: TriangleStats,
+    computeStats: computeTetradStats,
+    resultDataKey: 'userSelectionsAndCorrects',
+    supportsConfidence: true,
+    waveformExtraTracks: 2,
+    shareEncoding: 'triangle',
+    isAdaptive: false,
+    sequencedPlayback: false,
+  },
+  '3afc': {
+    setup: oddityType.setup,
+    processSubmit: oddityType.processSubmit,
+    isComplete: oddityType.isComplete,
+    mergeResults: oddityType.mergeResults,
+    testComponent: OddityTest,
+    statsComponent: TriangleStats,
+    computeStats: computeThreeAfcStats,
+    resultDataKey: 'userSelectionsAndCorrects',
+    supportsConfidence: true,
+    waveformExtraTracks: 1,
+    shareEncoding: 'triangle',
+    isAdaptive: false,
+    sequencedPlayback: true,
+  },
+  '4afc': {
+    setup: oddityType.setup,
+    processSubmit: oddityType.processSubmit,
+    isComplete: oddityType.isComplete,
+    mergeResults: oddityType.mergeResults,
+    testComponent: OddityTest,
+    statsComponent: TriangleStats,
+    computeStats: computeFourAfcStats,
+    resultDataKey: 'userSelectionsAndCorrects',
+    supportsConfidence: true,
+    waveformExtraTracks: 2,
+    shareEncoding: 'triangle',
+    isAdaptive: false,
+    sequencedPlayback: true,
+  },
+  ranking: {
+    setup: rankingType.setup,
+    processSubmit: rankingType.processSubmit,
+    isComplete: rankingType.isComplete,
+    mergeResults: rankingType.mergeResults,
+    testComponent: RankingTest,
+    statsComponent: RankingStats,
+    computeStats: computeRankingStats,
+    resultDataKey: 'rankings',
+    supportsConfidence: false,
+    waveformExtraTracks: 0,
+    shareEncoding: 'ranking',
+    isAdaptive: false,
+    sequencedPlayback: false,
+  },
+  'ab-pairs': {
+    setup: abPairsType.setup,
+    processSubmit: abPairsType.processSubmit,
+    isComplete: abPairsType.isComplete,
+    mergeResults: abPairsType.mergeResults,
+    testComponent: ABTest,
+    statsComponent: ABStats,
+    computeStats: computeAbPairsStats,
+    resultDataKey: 'pairSelections',
+    supportsConfidence: false,
+    waveformExtraTracks: 0,
+    shareEncoding: 'ab-pairs',
+    isAdaptive: false,
+    sequencedPlayback: false,
+  },
+  '2afc-constant': {
+    setup: constantStimuliType.setup,
+    processSubmit: constantStimuliType.processSubmit,
+    isComplete: constantStimuliType.isComplete,
+    mergeResults: constantStimuliType.mergeResults,
+    testComponent: StaircaseTest,
+    statsComponent: ConstantStimuliStats,
+    computeStats: computeConstantStimuliStats,
+    resultDataKey: 'constantData',
+    supportsConfidence: false,
+    waveformExtraTracks: 0,
+    shareEncoding: '2afc-constant',
+    isAdaptive: false,
+    sequencedPlayback: false,
   },
 };
 
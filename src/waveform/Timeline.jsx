@@ -2,11 +2,13 @@
  * Timeline ruler — time markings along the bottom of the waveform.
  * Rendered as part of the waveform SVG.
  * Adapts tick intervals to the visible time range (supports zoom).
+ * Loop presets (segments) are drawn as bars along its top edge.
  */
 
 import React, { useMemo } from 'react';
 import { useTheme } from '@mui/material';
 const FONT_SIZE = 10;
+const SEGMENT_BAR_HEIGHT = 3;
 
 /**
  * Format seconds as M:SS or M:SS.m depending on duration.
@@ -50,8 +52,9 @@ function chooseInterval(visibleDuration, width) {
  * @param {number} props.width - Width in pixels
  * @param {number} props.y - Y offset (top of timeline area)
  * @param {number} props.height - Height of timeline area
+ * @param {{ name: string, start: number, end: number }[]} [props.segments] - Loop presets in seconds
  */
-export default function Timeline({ viewStart, viewEnd, duration, width, y, height }) {
+export default function Timeline({ viewStart, viewEnd, duration, width, y, height, segments }) {
   const theme = useTheme();
   const ticks = useMemo(() => {
     const visibleDuration = viewEnd - viewStart;
@@ -78,6 +81,18 @@ export default function Timeline({ viewStart, viewEnd, duration, width, y, heigh
     return result;
   }, [viewStart, viewEnd, width]);
 
+  const segmentBars = useMemo(() => {
+    const visibleDuration = viewEnd - viewStart;
+    if (!segments || visibleDuration <= 0 || width <= 0) return [];
+    return segments
+      .filter((s) => s.end > viewStart && s.start < viewEnd)
+      .map((s) => ({
+        name: s.name,
+        x1: ((s.start - viewStart) / visibleDuration) * width,
+        x2: ((s.end - viewStart) / visibleDuration) * width,
+      }));
+  }, [segments, viewStart, viewEnd, width]);
+
   return (
     <g>
       {/* Background */}
@@ -105,6 +120,29 @@ export default function Timeline({ viewStart, viewEnd, duration, width, y, heigh
           </text>
         </g>
       ))}
+
+      {/* Segments — bar over each preset's span, tick at its start */}
+      {segmentBars.map((seg, i) => (
+        <g key={`seg-${i}`}>
+          <title>{seg.name}</title>
+          <rect
+            x={Math.max(0, seg.x1)}
+            y={y}
+            width={Math.max(1, Math.min(width, seg.x2) - Math.max(0, seg.x1))}
+            height={SEGMENT_BAR_HEIGHT}
+            fill={theme.palette.waveform.segment}
+            opacity={0.7}
+          />
+          <line
+            x1={seg.x1}
+            y1={y}
+            x2={seg.x1}
+            y2={y + height}
+            stroke={theme.palette.waveform.segment}
+            strokeWidth={1}
+          />
+        </g>
+      ))}
     </g>
   );
 }
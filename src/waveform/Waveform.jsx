@@ -44,6 +44,7 @@ const PAN_FACTOR = 0.25;         // pan by 25% of view width per Shift+scroll st
  * @param {number} props.duration - Total duration in seconds
  * @param {{ current: number }} props.currentTimeRef - Ref containing current playback position
  * @param {[number, number]} props.loopRegion - [start, end] in seconds
+ * @param {{ name: string, start: number, end: number }[]} [props.segments] - Loop presets drawn on the timeline
  * @param {(time: number) => void} props.onSeek - Seek callback
  * @param {(start: number, end: number) => void} props.onLoopRegionChange - Loop region change callback
  * @param {({ isZoomed: boolean, isMaxZoom: boolean }) => void} props.onZoomChange - Zoom state change callback
@@ -53,6 +54,7 @@ const Waveform = React.memo(React.forwardRef(function Waveform({
   duration,
   currentTimeRef,
   loopRegion,
+  segments,
   onSeek,
   onLoopRegionChange,
   onZoomChange,
@@ -948,6 +950,7 @@ const Waveform = React.memo(React.forwardRef(function Waveform({
               width={containerWidth}
               y={WAVEFORM_HEIGHT}
               height={TIMELINE_HEIGHT}
+              segments={segments}
             />
           </svg>
         </div>